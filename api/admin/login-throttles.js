@@ -0,0 +1,41 @@
+import { requireAdmin } from '../../lib/auth.js';
+import { listThrottles, clearThrottle, THROTTLE_SCOPES } from '../../lib/login-throttle.js';
+
+/**
+ * Login lockouts (admins only, see ADMIN_EMAILS)
+ * GET lists locked accounts and IP addresses and those with recent failures;
+ * DELETE { scope, key } unlocks one ("account" or "reset" with the email, "ip", "signup" or
+ * "reset-ip" with the address)
+ */
+export default async function handler(req, res) {
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  const user = await requireAdmin(req, res);
+  if (!user) return;
+
+  try {
+    if (req.method === 'GET') {
+      res.json({ throttles: await listThrottles() });
+    } else if (req.method === 'DELETE') {
+      const { scope, key } = req.body || {};
+
+      if (!THROTTLE_SCOPES.includes(scope) || typeof key !== 'string' || !key.trim()) {
+        return res.status(400).json({ error: `Scope (${THROTTLE_SCOPES.join(', ')}) and key required` });
+      }
+
+      if (!await clearThrottle(scope, key.trim())) {
+        return res.status(404).json({ error: 'Nothing is recorded for this key' });
+      }
+
+      console.log(`Login throttle ${scope}:${key.trim()} cleared by ${user.email}`);
+      res.json({ message: `Unlocked ${key.trim()}` });
+    } else {
+      res.status(405).json({ error: 'Method not allowed' });
+    }
+  } catch (error) {
+    console.error('Login throttles error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
@@ -1,5 +1,6 @@
-import prisma from '../../lib/prisma.js';
 import { requireAuth } from '../../lib/auth.js';
+import { saveUserCredentials } from '../../lib/dataforseo.js';
+import { isEncryptionConfigured } from '../../lib/encryption.js';
 
 export default async function handler(req, res) {
   if (req.method === 'OPTIONS') {
@@ -16,17 +17,16 @@ export default async function handler(req, res) {
   try {
     const { apiLogin, apiPassword } = req.body;
 
-    await prisma.user.update({
-      where: { id: user.id },
-      data: {
-        dataForSeoLogin: apiLogin || null,
-        dataForSeoPassword: apiPassword || null
-      }
-    });
+    // Passwords are only ever stored encrypted
+    if (apiLogin && apiPassword && !isEncryptionConfigured()) {
+      return res.status(500).json({ error: 'Credential encryption is not configured on the server (CREDENTIALS_ENCRYPTION_KEYS)' });
+    }
+
+    const hasCredentials = await saveUserCredentials(user.id, apiLogin, apiPassword);
 
     res.json({
       message: 'API credentials updated',
-      hasCredentials: !!(apiLogin && apiPassword)
+      hasCredentials
     });
   } catch (error) {
     console.error('Update credentials error:', error);
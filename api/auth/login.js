@@ -1,5 +1,7 @@
 import prisma from '../../lib/prisma.js';
-import { comparePassword, generateToken } from '../../lib/auth.js';
+import { comparePassword, getClientIp } from '../../lib/auth.js';
+import { createSession } from '../../lib/sessions.js';
+import { startLoginAttempt, recordLoginFailure, recordLoginSuccess, sendThrottled } from '../../lib/login-throttle.js';
 
 export default async function handler(req, res) {
   if (req.method === 'OPTIONS') {
@@ -17,21 +19,30 @@ export default async function handler(req, res) {
       return res.status(400).json({ error: 'Email and password required' });
     }
 
+    // Locked or too soon after the last failure: refused before the password is checked
+    const { block, attempt } = await startLoginAttempt(email, getClientIp(req));
+    if (block) {
+      return sendThrottled(res, block);
+    }
+
     const user = await prisma.user.findUnique({
-      where: { email: email.toLowerCase() }
+      where: { email: email.trim().toLowerCase() }
     });
 
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid email or password' });
-    }
-
-    const isValid = await comparePassword(password, user.passwordHash);
+    const isValid = !!user && await comparePassword(password, user.passwordHash);
 
     if (!isValid) {
+      // The failure that locks the account says so right away
+      const nextBlock = await recordLoginFailure(attempt);
+      if (nextBlock?.status === 423) {
+        return sendThrottled(res, nextBlock);
+      }
       return res.status(401).json({ error: 'Invalid email or password' });
     }
 
-    const token = generateToken(user.id);
+    await recordLoginSuccess(attempt);
+
+    const { token, refreshToken } = await createSession(user.id, req);
 
     res.json({
       message: 'Login successful',
@@ -41,7 +52,8 @@ export default async function handler(req, res) {
         name: user.name,
         createdAt: user.createdAt
       },
-      token
+      token,
+      refreshToken
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -0,0 +1,30 @@
+import { revokeSessionByRefreshToken } from '../../lib/sessions.js';
+
+/**
+ * End the session of a refresh token
+ * Works with an expired access token, so POST { refreshToken } needs no Authorization header
+ */
+export default async function handler(req, res) {
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { refreshToken } = req.body || {};
+
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Refresh token required' });
+    }
+
+    await revokeSessionByRefreshToken(refreshToken);
+
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
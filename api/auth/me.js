@@ -1,6 +1,23 @@
-import { requireAuth } from '../../lib/auth.js';
+import prisma from '../../lib/prisma.js';
+import { requireAuth, comparePassword, isAdmin, getClientIp, validateEmail } from '../../lib/auth.js';
 import { hasCredentials } from '../../lib/dataforseo.js';
+import { startLoginAttempt, recordLoginFailure, recordLoginSuccess, sendThrottled } from '../../lib/login-throttle.js';
 
+function toProfile(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    hasApiCredentials: hasCredentials(user),
+    isAdmin: isAdmin(user),
+    createdAt: user.createdAt
+  };
+}
+
+/**
+ * The signed-in user's profile
+ * PUT updates { name, email }; changing the email also needs { currentPassword }
+ */
 export default async function handler(req, res) {
   if (req.method === 'OPTIONS') {
     return res.status(200).end();
@@ -9,17 +26,64 @@ export default async function handler(req, res) {
   const user = await requireAuth(req, res);
   if (!user) return;
 
-  if (req.method === 'GET') {
-    res.json({
-      user: {
-        id: user.id,
-        email: user.email,
-        name: user.name,
-        hasApiCredentials: hasCredentials(user),
-        createdAt: user.createdAt
+  try {
+    if (req.method === 'GET') {
+      res.json({ user: toProfile(user) });
+    } else if (req.method === 'PUT') {
+      const { name, email, currentPassword } = req.body;
+      const data = {};
+
+      if (name !== undefined) {
+        data.name = name?.trim() || null;
+      }
+
+      if (email !== undefined && email.toLowerCase().trim() !== user.email) {
+        const newEmail = email.toLowerCase().trim();
+
+        if (validateEmail(newEmail)) {
+          return res.status(400).json({ error: validateEmail(newEmail) });
+        }
+
+        if (!currentPassword) {
+          return res.status(400).json({ error: 'Current password required to change your email' });
+        }
+
+        // Guessing the current password counts against the account like failed logins
+        const { block, attempt } = await startLoginAttempt(user.email, getClientIp(req));
+        if (block) {
+          return sendThrottled(res, block);
+        }
+
+        const { passwordHash } = await prisma.user.findUnique({
+          where: { id: user.id },
+          select: { passwordHash: true }
+        });
+
+        // 400 rather than 401, which the client treats as an expired session
+        if (!await comparePassword(currentPassword, passwordHash)) {
+          const nextBlock = await recordLoginFailure(attempt);
+          if (nextBlock?.status === 423) {
+            return sendThrottled(res, nextBlock);
+          }
+          return res.status(400).json({ error: 'Current password is incorrect' });
+        }
+        await recordLoginSuccess(attempt);
+
+        if (await prisma.user.findUnique({ where: { email: newEmail } })) {
+          return res.status(409).json({ error: 'Email already registered' });
+        }
+
+        data.email = newEmail;
       }
-    });
-  } else {
-    res.status(405).json({ error: 'Method not allowed' });
+
+      const updated = await prisma.user.update({ where: { id: user.id }, data });
+
+      res.json({ message: 'Profile updated', user: toProfile(updated) });
+    } else {
+      res.status(405).json({ error: 'Method not allowed' });
+    }
+  } catch (error) {
+    console.error('Profile error:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
 }
@@ -0,0 +1,59 @@
+import { validateEmail, validatePassword, getClientIp } from '../../lib/auth.js';
+import { requestPasswordReset, resetPassword } from '../../lib/password-reset.js';
+import { recordResetRequest, sendThrottled } from '../../lib/login-throttle.js';
+import { getEmailTransport } from '../../lib/email.js';
+
+/**
+ * Password reset
+ * POST { email } emails a reset link; the answer, and the time it takes, are the same whether
+ * or not the account exists. Requests are capped per email and per IP address.
+ * PUT { token, newPassword } sets the new password and signs out every existing session.
+ */
+export default async function handler(req, res) {
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  try {
+    if (req.method === 'POST') {
+      const { email } = req.body;
+
+      if (validateEmail(email)) {
+        return res.status(400).json({ error: validateEmail(email) });
+      }
+
+      // A missing email setup fails every request alike, before the account is looked up
+      getEmailTransport();
+
+      const block = await recordResetRequest(email, getClientIp(req));
+      if (block) {
+        return sendThrottled(res, block);
+      }
+
+      await requestPasswordReset(email);
+
+      res.json({ message: 'If an account exists for this email, a reset link is on its way' });
+    } else if (req.method === 'PUT') {
+      const { token, newPassword } = req.body;
+
+      if (!token || !newPassword) {
+        return res.status(400).json({ error: 'Reset token and new password required' });
+      }
+
+      if (validatePassword(newPassword)) {
+        return res.status(400).json({ error: validatePassword(newPassword) });
+      }
+
+      if (!await resetPassword(token, newPassword)) {
+        return res.status(400).json({ error: 'This reset link is invalid or has expired' });
+      }
+
+      res.json({ message: 'Password reset. You can now log in with your new password.' });
+    } else {
+      res.status(405).json({ error: 'Method not allowed' });
+    }
+  } catch (error) {
+    console.error('Password reset error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
@@ -0,0 +1,67 @@
+import prisma from '../../lib/prisma.js';
+import { requireAuth, comparePassword, validatePassword, getClientIp } from '../../lib/auth.js';
+import { setUserPassword } from '../../lib/password-reset.js';
+import { createSession } from '../../lib/sessions.js';
+import { startLoginAttempt, recordLoginFailure, recordLoginSuccess, sendThrottled } from '../../lib/login-throttle.js';
+
+/**
+ * Change the signed-in user's password
+ * Every session is revoked, so the response carries tokens of a new one for this device
+ */
+export default async function handler(req, res) {
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'PUT') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const user = await requireAuth(req, res);
+  if (!user) return;
+
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ error: 'Current and new password required' });
+    }
+
+    if (validatePassword(newPassword)) {
+      return res.status(400).json({ error: validatePassword(newPassword) });
+    }
+
+    // Guessing the current password counts against the account like failed logins
+    const { block, attempt } = await startLoginAttempt(user.email, getClientIp(req));
+    if (block) {
+      return sendThrottled(res, block);
+    }
+
+    const { passwordHash } = await prisma.user.findUnique({
+      where: { id: user.id },
+      select: { passwordHash: true }
+    });
+
+    // 400 rather than 401, which the client treats as an expired session
+    if (!await comparePassword(currentPassword, passwordHash)) {
+      const nextBlock = await recordLoginFailure(attempt);
+      if (nextBlock?.status === 423) {
+        return sendThrottled(res, nextBlock);
+      }
+      return res.status(400).json({ error: 'Current password is incorrect' });
+    }
+    await recordLoginSuccess(attempt);
+
+    await setUserPassword(user.id, newPassword);
+    const { token, refreshToken } = await createSession(user.id, req);
+
+    res.json({
+      message: 'Password changed. Other devices have been signed out.',
+      token,
+      refreshToken
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
@@ -0,0 +1,33 @@
+import { refreshSession } from '../../lib/sessions.js';
+
+/**
+ * Swap a refresh token for a new access token and refresh token
+ * POST { refreshToken } → { token, refreshToken }
+ */
+export default async function handler(req, res) {
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { refreshToken } = req.body || {};
+
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Refresh token required' });
+    }
+
+    const tokens = await refreshSession(refreshToken, req);
+    if (!tokens) {
+      return res.status(401).json({ error: 'Session expired. Please log in again.' });
+    }
+
+    res.json(tokens);
+  } catch (error) {
+    console.error('Refresh error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
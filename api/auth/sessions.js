@@ -0,0 +1,44 @@
+import { requireAuth } from '../../lib/auth.js';
+import { listSessions, revokeSession, revokeAllSessions } from '../../lib/sessions.js';
+
+/**
+ * The signed-in user's sessions (devices)
+ * GET lists the active ones; DELETE { sessionId } signs one out, DELETE without a
+ * sessionId signs out every device, this one included
+ */
+export default async function handler(req, res) {
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  const user = await requireAuth(req, res);
+  if (!user) return;
+
+  try {
+    if (req.method === 'GET') {
+      const sessions = await listSessions(user.id);
+
+      res.json({
+        sessions: sessions.map(s => ({ ...s, current: s.id === user.sessionId }))
+      });
+    } else if (req.method === 'DELETE') {
+      const { sessionId } = req.body || {};
+
+      if (!sessionId) {
+        const count = await revokeAllSessions(user.id);
+        return res.json({ message: `Signed out of ${count} session${count === 1 ? '' : 's'}`, count });
+      }
+
+      if (!await revokeSession(user.id, sessionId)) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+
+      res.json({ message: 'Session signed out' });
+    } else {
+      res.status(405).json({ error: 'Method not allowed' });
+    }
+  } catch (error) {
+    console.error('Sessions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
@@ -1,5 +1,8 @@
 import prisma from '../../lib/prisma.js';
-import { hashPassword, generateToken } from '../../lib/auth.js';
+import { hashPassword, validateEmail, validatePassword, getClientIp } from '../../lib/auth.js';
+import { createSession } from '../../lib/sessions.js';
+import { createDefaultWorkspace } from '../../lib/workspaces.js';
+import { recordSignup, sendThrottled } from '../../lib/login-throttle.js';
 
 export default async function handler(req, res) {
   // Handle CORS preflight
@@ -19,41 +22,56 @@ export default async function handler(req, res) {
       return res.status(400).json({ error: 'Email and password required' });
     }
 
-    if (password.length < 8) {
-      return res.status(400).json({ error: 'Password must be at least 8 characters' });
+    if (validateEmail(email)) {
+      return res.status(400).json({ error: validateEmail(email) });
+    }
+
+    if (validatePassword(password)) {
+      return res.status(400).json({ error: validatePassword(password) });
+    }
+
+    // Every attempt counts, so signups can't be used to probe for registered emails
+    const block = await recordSignup(getClientIp(req));
+    if (block) {
+      return sendThrottled(res, block);
     }
 
     // Check if user exists
     const existingUser = await prisma.user.findUnique({
-      where: { email: email.toLowerCase() }
+      where: { email: email.toLowerCase().trim() }
     });
 
     if (existingUser) {
       return res.status(409).json({ error: 'Email already registered' });
     }
 
-    // Create user
+    // Create the user with their personal workspace
     const passwordHash = await hashPassword(password);
-    const user = await prisma.user.create({
-      data: {
-        email: email.toLowerCase(),
-        passwordHash,
-        name
-      },
-      select: {
-        id: true,
-        email: true,
-        name: true,
-        createdAt: true
-      }
+    const user = await prisma.$transaction(async (tx) => {
+      const created = await tx.user.create({
+        data: {
+          email: email.toLowerCase().trim(),
+          passwordHash,
+          name
+        },
+        select: {
+          id: true,
+          email: true,
+          name: true,
+          createdAt: true
+        }
+      });
+      await createDefaultWorkspace(created, tx);
+      return created;
     });
 
-    const token = generateToken(user.id);
+    const { token, refreshToken } = await createSession(user.id, req);
 
     res.status(201).json({
       message: 'Account created successfully',
       user,
-      token
+      token,
+      refreshToken
     });
   } catch (error) {
     console.error('Signup error:', error);
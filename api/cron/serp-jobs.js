@@ -0,0 +1,36 @@
+import { findActiveSerpJobs, advanceSerpJob } from '../../lib/serp-jobs.js';
+
+// Jobs per invocation - each advance posts up to 300 keywords and makes up to 20 task_get calls
+const BATCH_SIZE = parseInt(process.env.SERP_JOB_CRON_BATCH_SIZE) || 2;
+
+/**
+ * SERP Jobs Cron
+ * Advances background SERP jobs nobody is polling (e.g. the browser tab was closed)
+ * Invoked by Vercel Cron (see vercel.json) with `Authorization: Bearer <CRON_SECRET>`
+ */
+export default async function handler(req, res) {
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const cronSecret = process.env.CRON_SECRET;
+  if (!cronSecret || req.headers.authorization !== `Bearer ${cronSecret}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const activeJobs = await findActiveSerpJobs(BATCH_SIZE);
+    const jobs = [];
+
+    for (const { id } of activeJobs) {
+      const job = await advanceSerpJob(id, { background: true });
+      jobs.push({ jobId: id, projectId: job.projectId, status: job.status, progress: job.progress });
+    }
+
+    res.json({ processed: jobs.length, jobs });
+  } catch (error) {
+    console.error('SERP job cron error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
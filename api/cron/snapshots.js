@@ -0,0 +1,63 @@
+import { findDueProjects, runScheduledSnapshot, failStaleRuns } from '../../lib/scheduler.js';
+import { purgeExpiredCache } from '../../lib/dataforseo-cache.js';
+import { purgeEndedSessions } from '../../lib/sessions.js';
+import { purgeStaleThrottles } from '../../lib/login-throttle.js';
+
+// Projects per invocation - keeps each run inside the function time limit
+const BATCH_SIZE = parseInt(process.env.SNAPSHOT_CRON_BATCH_SIZE) || 3;
+
+/**
+ * Scheduled Snapshots Cron
+ * Invoked by Vercel Cron (see vercel.json) with `Authorization: Bearer <CRON_SECRET>`
+ */
+export default async function handler(req, res) {
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const cronSecret = process.env.CRON_SECRET;
+  if (!cronSecret || req.headers.authorization !== `Bearer ${cronSecret}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const staleRuns = await failStaleRuns();
+    const dueProjects = await findDueProjects(BATCH_SIZE);
+    const runs = [];
+
+    // Sequential on purpose: each project already fans out to several DataForSEO calls
+    for (const project of dueProjects) {
+      const run = await runScheduledSnapshot(project.id);
+      // Another invocation got to it first
+      if (!run) continue;
+
+      runs.push({
+        projectId: project.id,
+        projectName: project.name,
+        runId: run.id,
+        status: run.status,
+        error: run.error
+      });
+    }
+
+    // Expired DataForSEO cache rows are never read again
+    const cachePurged = await purgeExpiredCache();
+    const sessionsPurged = await purgeEndedSessions();
+    const throttlesPurged = await purgeStaleThrottles();
+
+    res.json({
+      processed: runs.length,
+      succeeded: runs.filter(r => r.status === 'success').length,
+      failed: runs.filter(r => r.status === 'failed').length,
+      runs,
+      staleRuns,
+      cachePurged,
+      sessionsPurged,
+      throttlesPurged
+    });
+  } catch (error) {
+    console.error('Snapshot cron error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
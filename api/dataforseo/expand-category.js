@@ -1,5 +1,8 @@
 import { requireAuth } from '../../lib/auth.js';
-import { getDataForSeoCredentials, getAuthHeader } from '../../lib/dataforseo.js';
+import { hasCredentials, cachedDataForSeoTask, sendDataForSeoError } from '../../lib/dataforseo.js';
+import { resolveUsageProjectId } from '../../lib/usage.js';
+import { getMarket } from '../../lib/locations.js';
+import { summarizeCache } from '../../lib/dataforseo-cache.js';
 
 /**
  * Expand seed keywords into a full category keyword list
@@ -12,21 +15,23 @@ export default async function handler(req, res) {
   const user = await requireAuth(req, res);
   if (!user) return;
 
-  const credentials = getDataForSeoCredentials(user);
-
-  if (!credentials) {
+  if (!hasCredentials(user)) {
     return res.status(400).json({ error: 'DataForSEO credentials not configured' });
   }
 
   try {
-    const { seedKeywords, locationCode = 2840, limitPerSeed = 50 } = req.body;
+    const { seedKeywords, limitPerSeed = 50, refresh = false, projectId } = req.body;
+    const { locationCode, languageCode } = getMarket(req.body);
 
     if (!seedKeywords || !Array.isArray(seedKeywords) || seedKeywords.length === 0) {
       return res.status(400).json({ error: 'Seed keywords array required' });
     }
 
-    const authHeader = getAuthHeader(credentials);
+    const usageProjectId = await resolveUsageProjectId(user.id, projectId);
+
     const keywordMap = new Map();
+    const errors = [];
+    const cachedAts = [];
 
     // Add seed keywords themselves
     for (const seed of seedKeywords) {
@@ -48,28 +53,17 @@ export default async function handler(req, res) {
 
       // Fetch keyword suggestions
       try {
-        const suggestionsResponse = await fetch(
-          'https://api.dataforseo.com/v3/dataforseo_labs/google/keyword_suggestions/live',
-          {
-            method: 'POST',
-            headers: {
-              'Authorization': authHeader,
-              'Content-Type': 'application/json'
-            },
-            body: JSON.stringify([{
-              keyword: seedWord,
-              location_code: locationCode,
-              language_code: 'en',
-              limit: limitPerSeed,
-              include_serp_info: false,
-              include_seed_keyword: false,
-              order_by: ['keyword_info.search_volume,desc']
-            }])
-          }
-        );
-
-        const suggestionsData = await suggestionsResponse.json();
-        const suggestionsItems = suggestionsData.tasks?.[0]?.result?.[0]?.items || [];
+        const { result: suggestions, cachedAt } = await cachedDataForSeoTask('/dataforseo_labs/google/keyword_suggestions/live', {
+          keyword: seedWord,
+          location_code: locationCode,
+          language_code: languageCode,
+          limit: limitPerSeed,
+          include_serp_info: false,
+          include_seed_keyword: false,
+          order_by: ['keyword_info.search_volume,desc']
+        }, user, { refresh, projectId: usageProjectId });
+        const suggestionsItems = suggestions[0]?.items || [];
+        cachedAts.push(cachedAt);
 
         suggestionsItems.forEach(item => {
           if (item.keyword && item.keyword_info?.search_volume > 0) {
@@ -83,30 +77,20 @@ export default async function handler(req, res) {
         });
       } catch (err) {
         console.error(`Error fetching suggestions for "${seedWord}":`, err.message);
+        errors.push(err);
       }
 
       // Fetch related keywords
       try {
-        const relatedResponse = await fetch(
-          'https://api.dataforseo.com/v3/dataforseo_labs/google/related_keywords/live',
-          {
-            method: 'POST',
-            headers: {
-              'Authorization': authHeader,
-              'Content-Type': 'application/json'
-            },
-            body: JSON.stringify([{
-              keyword: seedWord,
-              location_code: locationCode,
-              language_code: 'en',
-              limit: limitPerSeed,
-              order_by: ['keyword_info.search_volume,desc']
-            }])
-          }
-        );
-
-        const relatedData = await relatedResponse.json();
-        const relatedItems = relatedData.tasks?.[0]?.result?.[0]?.items || [];
+        const { result: related, cachedAt } = await cachedDataForSeoTask('/dataforseo_labs/google/related_keywords/live', {
+          keyword: seedWord,
+          location_code: locationCode,
+          language_code: languageCode,
+          limit: limitPerSeed,
+          order_by: ['keyword_info.search_volume,desc']
+        }, user, { refresh, projectId: usageProjectId });
+        const relatedItems = related[0]?.items || [];
+        cachedAts.push(cachedAt);
 
         relatedItems.forEach(item => {
           const kw = item.keyword_data?.keyword || item.keyword;
@@ -122,6 +106,7 @@ export default async function handler(req, res) {
         });
       } catch (err) {
         console.error(`Error fetching related keywords for "${seedWord}":`, err.message);
+        errors.push(err);
       }
 
       return results;
@@ -130,10 +115,18 @@ export default async function handler(req, res) {
     // Wait for all expansion requests to complete
     const allResults = await Promise.all(expansionPromises);
 
-    // Flatten and deduplicate, keeping highest volume for duplicates
+    // Nothing came back because every call failed (bad credentials, no balance, ...)
+    if (errors.length > 0 && allResults.flat().length === 0) {
+      return sendDataForSeoError(res, errors[0]);
+    }
+
+    // Flatten and deduplicate, keeping highest volume for duplicates. A seed found again
+    // (e.g. as another seed's suggestion) stays a seed and only takes the higher volume
     allResults.flat().forEach(kw => {
       const existing = keywordMap.get(kw.keyword);
-      if (!existing || kw.volume > existing.volume) {
+      if (existing?.isSeed) {
+        existing.volume = Math.max(existing.volume, kw.volume);
+      } else if (!existing || kw.volume > existing.volume) {
         keywordMap.set(kw.keyword, {
           keyword: kw.keyword,
           volume: kw.volume,
@@ -163,10 +156,11 @@ export default async function handler(req, res) {
         expandedCount,
         totalKeywords: expandedKeywords.length,
         avgVolumePerKeyword: Math.round(totalMarketVolume / expandedKeywords.length)
-      }
+      },
+      cache: summarizeCache(cachedAts)
     });
   } catch (error) {
     console.error('Error expanding category:', error);
-    res.status(500).json({ error: error.message });
+    sendDataForSeoError(res, error);
   }
 }
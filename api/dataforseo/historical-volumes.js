@@ -1,5 +1,7 @@
 import { requireAuth } from '../../lib/auth.js';
-import { getDataForSeoCredentials, getAuthHeader } from '../../lib/dataforseo.js';
+import { hasCredentials, cachedKeywordsTask, sendDataForSeoError } from '../../lib/dataforseo.js';
+import { resolveUsageProjectId } from '../../lib/usage.js';
+import { getMarket } from '../../lib/locations.js';
 
 export default async function handler(req, res) {
   if (req.method === 'OPTIONS') return res.status(200).end();
@@ -8,41 +10,34 @@ export default async function handler(req, res) {
   const user = await requireAuth(req, res);
   if (!user) return;
 
-  const credentials = getDataForSeoCredentials(user);
-
-  if (!credentials) {
+  if (!hasCredentials(user)) {
     return res.status(400).json({ error: 'DataForSEO credentials not configured' });
   }
 
   try {
-    const { keywords, locationCode = 2840 } = req.body;
+    const { keywords, refresh = false, projectId } = req.body;
+    const { locationCode, languageCode } = getMarket(req.body);
 
     if (!keywords || keywords.length === 0) {
       return res.status(400).json({ error: 'Keywords required' });
     }
 
-    const response = await fetch('https://api.dataforseo.com/v3/dataforseo_labs/google/historical_search_volume/live', {
-      method: 'POST',
-      headers: {
-        'Authorization': getAuthHeader(credentials),
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify([{
-        keywords: keywords.map(k => k.toLowerCase()),
-        location_code: locationCode,
-        language_code: 'en'
-      }])
-    });
+    const usageProjectId = await resolveUsageProjectId(user.id, projectId);
 
-    const data = await response.json();
-    const items = data.tasks?.[0]?.result || [];
+    // Labs returns result[0].items[] with the numbers under keyword_info;
+    // the flat keywords_data shape (result[] with monthly_searches) is still accepted
+    const { items, cache } = await cachedKeywordsTask('/dataforseo_labs/google/historical_search_volume/live', keywords, {
+      location_code: locationCode,
+      language_code: languageCode
+    }, user, result => result[0]?.items || result, { refresh, projectId: usageProjectId });
     const history = {};
 
     items.forEach(item => {
-      if (item.keyword && item.monthly_searches) {
+      const info = item.keyword_info || item;
+      if (item.keyword && info.monthly_searches) {
         history[item.keyword] = {
-          current: item.search_volume || 0,
-          monthly: item.monthly_searches.map(m => ({
+          current: info.search_volume || 0,
+          monthly: info.monthly_searches.map(m => ({
             year: m.year,
             month: m.month,
             volume: m.search_volume || 0
@@ -54,8 +49,8 @@ export default async function handler(req, res) {
       }
     });
 
-    res.json({ history });
+    res.json({ history, cache });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendDataForSeoError(res, error);
   }
 }
@@ -1,5 +1,8 @@
 import { requireAuth } from '../../lib/auth.js';
-import { getDataForSeoCredentials, getAuthHeader } from '../../lib/dataforseo.js';
+import { hasCredentials, fetchRankedPositions, sendDataForSeoError } from '../../lib/dataforseo.js';
+import { resolveUsageProjectId } from '../../lib/usage.js';
+import { getMarket } from '../../lib/locations.js';
+import { validateMatchSettings } from '../../lib/keyword-matching.js';
 
 /**
  * Ranked Keywords API - Gets all keyword rankings for each domain
@@ -14,182 +17,35 @@ export default async function handler(req, res) {
   const user = await requireAuth(req, res);
   if (!user) return;
 
-  const credentials = getDataForSeoCredentials(user);
-
-  if (!credentials) {
+  if (!hasCredentials(user)) {
     return res.status(400).json({ error: 'DataForSEO credentials not configured' });
   }
 
   try {
-    const { keywords, domains, locationCode = 2840 } = req.body;
+    const { keywords, domains, refresh = false, projectId, matchMode, matchThreshold } = req.body;
+    const { locationCode, languageCode } = getMarket(req.body);
 
     if (!keywords?.length || !domains?.length) {
       return res.status(400).json({ error: 'Keywords and domains required' });
     }
 
-    // Normalize keywords for matching - create word sets for fuzzy matching
-    const keywordList = keywords.map(k => ({
-      original: k,
-      lower: k.toLowerCase().trim(),
-      words: new Set(k.toLowerCase().trim().split(/\s+/).filter(w => w.length > 2))
-    }));
-
-    const authHeader = getAuthHeader(credentials);
-
-    // Fetch ranked keywords for each domain in parallel
-    const fetchPromises = domains.map(async (domain, domainIdx) => {
-      try {
-        // Clean domain for API
-        const cleanDomain = domain
-          .replace(/^(https?:\/\/)?(www\.)?/, '')
-          .split('/')[0]
-          .toLowerCase();
-
-        const response = await fetch('https://api.dataforseo.com/v3/dataforseo_labs/google/ranked_keywords/live', {
-          method: 'POST',
-          headers: {
-            'Authorization': authHeader,
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify([{
-            target: cleanDomain,
-            location_code: locationCode,
-            language_code: 'en',
-            limit: 1000, // Get top 1000 keywords
-            order_by: ['keyword_data.keyword_info.search_volume,desc']
-          }])
-        });
-
-        if (!response.ok) {
-          const errorText = await response.text().catch(() => 'Unknown error');
-          return {
-            domain,
-            error: `API ${response.status}: ${errorText.substring(0, 100)}`,
-            rankings: {},
-            sampleKeywords: []
-          };
-        }
-
-        const data = await response.json();
-
-        // Check for API-level errors
-        if (data.tasks?.[0]?.status_code !== 20000) {
-          return {
-            domain,
-            error: data.tasks?.[0]?.status_message || 'API task error',
-            rankings: {},
-            sampleKeywords: []
-          };
-        }
-
-        const items = data.tasks?.[0]?.result?.[0]?.items || [];
-
-        // Get sample of top keywords this domain ranks for (for debug)
-        const sampleKeywords = items.slice(0, 20).map(item => ({
-          keyword: item.keyword_data?.keyword,
-          position: item.ranked_serp_element?.serp_item?.rank_group,
-          volume: item.keyword_data?.keyword_info?.search_volume
-        }));
-
-        // Build rankings map with fuzzy matching
-        const rankings = {};
-        const matchedKeywords = [];
-
-        items.forEach(item => {
-          const apiKw = item.keyword_data?.keyword?.toLowerCase().trim();
-          if (!apiKw) return;
-
-          const apiWords = new Set(apiKw.split(/\s+/).filter(w => w.length > 2));
-          const position = item.ranked_serp_element?.serp_item?.rank_group;
-          const volume = item.keyword_data?.keyword_info?.search_volume || 0;
-
-          if (!position) return;
-
-          // Check each keyword for matches
-          keywordList.forEach((kw, kwIdx) => {
-            // Already matched this keyword for this domain
-            if (rankings[kw.lower]) return;
-
-            // Exact match
-            if (apiKw === kw.lower) {
-              rankings[kw.lower] = { position, volume, matchType: 'exact' };
-              matchedKeywords.push({ keyword: kw.original, matched: apiKw, type: 'exact' });
-              return;
-            }
-
-            // Contains match (one contains the other)
-            if (apiKw.includes(kw.lower) || kw.lower.includes(apiKw)) {
-              rankings[kw.lower] = { position, volume, matchType: 'contains' };
-              matchedKeywords.push({ keyword: kw.original, matched: apiKw, type: 'contains' });
-              return;
-            }
-
-            // Word overlap match (at least 2 words in common)
-            const commonWords = [...kw.words].filter(w => apiWords.has(w));
-            if (commonWords.length >= 2 && commonWords.length >= kw.words.size * 0.6) {
-              rankings[kw.lower] = { position, volume, matchType: 'fuzzy' };
-              matchedKeywords.push({ keyword: kw.original, matched: apiKw, type: 'fuzzy', commonWords });
-            }
-          });
-        });
-
-        return {
-          domain,
-          rankings,
-          totalKeywordsFound: items.length,
-          matchedKeywords: matchedKeywords.length,
-          matches: matchedKeywords.slice(0, 10), // First 10 matches for debug
-          sampleKeywords
-        };
-
-      } catch (error) {
-        return {
-          domain,
-          error: error.message || 'Request failed',
-          rankings: {},
-          sampleKeywords: []
-        };
-      }
-    });
-
-    // Wait for all domain requests to complete
-    const results = await Promise.all(fetchPromises);
-
-    // Build position matrix (keywordIndex -> { domain: position })
-    const positions = {};
-    const keywordVolumes = {};
-    const errors = [];
-
-    // Initialize positions for each keyword index
-    keywords.forEach((kw, idx) => {
-      positions[idx] = {};
-    });
-
-    // Fill in positions from each domain's results
-    results.forEach(result => {
-      if (result.error) {
-        errors.push({ domain: result.domain, error: result.error });
-      }
-
-      // Map rankings back to keyword indices
-      keywords.forEach((kw, idx) => {
-        const kwLower = kw.toLowerCase().trim();
-        const ranking = result.rankings[kwLower];
+    const matchError = validateMatchSettings({ keywordMatchMode: matchMode, keywordMatchThreshold: matchThreshold });
+    if (matchError) {
+      return res.status(400).json({ error: matchError });
+    }
 
-        if (ranking) {
-          positions[idx][result.domain] = ranking.position;
+    const usageProjectId = await resolveUsageProjectId(user.id, projectId);
 
-          // Store volume if we don't have it yet
-          if (!keywordVolumes[kw] && ranking.volume) {
-            keywordVolumes[kw] = ranking.volume;
-          }
-        }
-      });
-    });
+    // Fetch ranked keywords for each domain and map them onto the project keywords
+    // Each entry of `domains` is one domain or the list of a brand's domain targets
+    const { positions, extraPositions, features, matchTypes, serpFeatures, keywordVolumes, errors, results, cache } = await fetchRankedPositions(
+      keywords, domains, user, { locationCode, languageCode, refresh, projectId: usageProjectId, matchMode, matchThreshold }
+    );
 
     // Collect debug info - include sample keywords to help user understand what domain ranks for
     const debugResults = results.map(r => ({
       domain: r.domain,
+      targets: r.targets,
       totalKeywordsFound: r.totalKeywordsFound,
       matchedKeywords: r.matchedKeywords,
       matches: r.matches, // Shows what keywords matched and how
@@ -199,7 +55,12 @@ export default async function handler(req, res) {
 
     res.json({
       positions,
+      extraPositions,
+      features,
+      matchTypes,
+      serpFeatures,
       keywordVolumes,
+      cache,
       errors: errors.length > 0 ? errors : undefined,
       debug: {
         domainsProcessed: domains.length,
@@ -209,6 +70,6 @@ export default async function handler(req, res) {
     });
 
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendDataForSeoError(res, error);
   }
 }
@@ -1,5 +1,8 @@
 import { requireAuth } from '../../lib/auth.js';
-import { getDataForSeoCredentials, getAuthHeader } from '../../lib/dataforseo.js';
+import { hasCredentials, cachedDataForSeoTask, sendDataForSeoError } from '../../lib/dataforseo.js';
+import { resolveUsageProjectId } from '../../lib/usage.js';
+import { getMarket } from '../../lib/locations.js';
+import { summarizeCache } from '../../lib/dataforseo-cache.js';
 
 export default async function handler(req, res) {
   if (req.method === 'OPTIONS') return res.status(200).end();
@@ -8,36 +11,29 @@ export default async function handler(req, res) {
   const user = await requireAuth(req, res);
   if (!user) return;
 
-  const credentials = getDataForSeoCredentials(user);
-
-  if (!credentials) {
+  if (!hasCredentials(user)) {
     return res.status(400).json({ error: 'DataForSEO credentials not configured' });
   }
 
   try {
-    const { seedKeyword, limit = 20, locationCode = 2840 } = req.body;
+    const { seedKeyword, limit = 20, refresh = false, projectId } = req.body;
+    const { locationCode, languageCode } = getMarket(req.body);
 
     if (!seedKeyword) {
       return res.status(400).json({ error: 'Seed keyword required' });
     }
 
-    const response = await fetch('https://api.dataforseo.com/v3/dataforseo_labs/google/related_keywords/live', {
-      method: 'POST',
-      headers: {
-        'Authorization': getAuthHeader(credentials),
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify([{
-        keyword: seedKeyword.trim().toLowerCase(),
-        location_code: locationCode,
-        language_code: 'en',
-        limit,
-        order_by: ['keyword_info.search_volume,desc']
-      }])
-    });
-
-    const data = await response.json();
-    const items = data.tasks?.[0]?.result?.[0]?.items || [];
+    const usageProjectId = await resolveUsageProjectId(user.id, projectId);
+
+    const { result, cachedAt } = await cachedDataForSeoTask('/dataforseo_labs/google/related_keywords/live', {
+      keyword: seedKeyword.trim().toLowerCase(),
+      location_code: locationCode,
+      language_code: languageCode,
+      limit,
+      order_by: ['keyword_info.search_volume,desc']
+    }, user, { refresh, projectId: usageProjectId });
+
+    const items = result[0]?.items || [];
 
     const keywords = items.map(item => ({
       keyword: item.keyword_data?.keyword || item.keyword,
@@ -45,8 +41,8 @@ export default async function handler(req, res) {
       competition: item.keyword_data?.keyword_info?.competition || 0
     })).filter(k => k.volume > 0);
 
-    res.json({ keywords });
+    res.json({ keywords, cache: summarizeCache([cachedAt]) });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendDataForSeoError(res, error);
   }
 }
@@ -0,0 +1,51 @@
+import { requireAuth } from '../../lib/auth.js';
+import { hasCredentials, fetchSerpCompetitors, fetchSearchVolumes, sendDataForSeoError } from '../../lib/dataforseo.js';
+import { resolveUsageProjectId } from '../../lib/usage.js';
+import { getMarket } from '../../lib/locations.js';
+import { summarizeCache } from '../../lib/dataforseo-cache.js';
+
+/**
+ * Discover competitors from SERP overlap
+ * Takes the market keywords and returns the domains ranking for most of them, each with a
+ * suggested brand name and the search volume of that name as its estimated brand volume.
+ * `exclude` lists the domain targets already in the project.
+ */
+export default async function handler(req, res) {
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  const user = await requireAuth(req, res);
+  if (!user) return;
+
+  if (!hasCredentials(user)) {
+    return res.status(400).json({ error: 'DataForSEO credentials not configured' });
+  }
+
+  try {
+    const { keywords, exclude = [], limit = 20, refresh = false, projectId } = req.body;
+    const { locationCode, languageCode } = getMarket(req.body);
+
+    if (!keywords || !Array.isArray(keywords) || keywords.length === 0) {
+      return res.status(400).json({ error: 'Keywords array required' });
+    }
+
+    const usageProjectId = await resolveUsageProjectId(user.id, projectId);
+    const market = { locationCode, languageCode, refresh, projectId: usageProjectId };
+
+    const { competitors, cachedAt } = await fetchSerpCompetitors(keywords, user, {
+      ...market,
+      limit: Math.min(parseInt(limit) || 20, 50),
+      exclude: exclude.filter(d => typeof d === 'string' && d.trim())
+    });
+
+    const names = [...new Set(competitors.map(c => c.name).filter(Boolean))];
+    const { volumes } = names.length > 0 ? await fetchSearchVolumes(names, user, market) : { volumes: {} };
+
+    res.json({
+      competitors: competitors.map(c => ({ ...c, volume: volumes[c.name.toLowerCase()] || 0 })),
+      cache: summarizeCache([cachedAt])
+    });
+  } catch (error) {
+    sendDataForSeoError(res, error);
+  }
+}
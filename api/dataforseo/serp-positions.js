@@ -1,5 +1,8 @@
 import { requireAuth } from '../../lib/auth.js';
-import { getDataForSeoCredentials, getAuthHeader } from '../../lib/dataforseo.js';
+import { hasCredentials, cachedDataForSeoTask, sendDataForSeoError, cleanDomain, extractSerpFeatures } from '../../lib/dataforseo.js';
+import { resolveUsageProjectId } from '../../lib/usage.js';
+import { getMarket } from '../../lib/locations.js';
+import { summarizeCache } from '../../lib/dataforseo-cache.js';
 
 export default async function handler(req, res) {
   if (req.method === 'OPTIONS') return res.status(200).end();
@@ -8,89 +11,42 @@ export default async function handler(req, res) {
   const user = await requireAuth(req, res);
   if (!user) return;
 
-  const credentials = getDataForSeoCredentials(user);
-
-  if (!credentials) {
+  if (!hasCredentials(user)) {
     return res.status(400).json({ error: 'DataForSEO credentials not configured' });
   }
 
   try {
-    const { keywords, domains, locationCode = 2840 } = req.body;
+    const { keywords, domains, refresh = false, projectId } = req.body;
+    const { locationCode, languageCode } = getMarket(req.body);
 
     if (!keywords?.length || !domains?.length) {
       return res.status(400).json({ error: 'Keywords and domains required' });
     }
 
+    const usageProjectId = await resolveUsageProjectId(user.id, projectId);
+
     // Limit keywords to prevent timeout
     // Vercel Pro has 60s limit, so we can process more keywords
     const maxKeywords = 5;
     const limitedKeywords = keywords.slice(0, maxKeywords);
     const wasLimited = keywords.length > maxKeywords;
 
-    const cleanDomains = domains.map(d =>
-      d.replace(/^(https?:\/\/)?(www\.)?/, '').split('/')[0].toLowerCase()
-    );
-
-    const authHeader = getAuthHeader(credentials);
-
-    // Helper function to fetch with timeout
-    const fetchWithTimeout = async (url, options, timeoutMs = 8000) => {
-      const controller = new AbortController();
-      const timeout = setTimeout(() => controller.abort(), timeoutMs);
-      try {
-        const response = await fetch(url, { ...options, signal: controller.signal });
-        clearTimeout(timeout);
-        return response;
-      } catch (error) {
-        clearTimeout(timeout);
-        throw error;
-      }
-    };
-
-    // Fetch all keywords in parallel for speed
+    // Fetch all keywords in parallel for speed - the client caps concurrent requests
     const fetchPromises = limitedKeywords.map(async (keyword, i) => {
       try {
-        const response = await fetchWithTimeout('https://api.dataforseo.com/v3/serp/google/organic/live/regular', {
-          method: 'POST',
-          headers: {
-            'Authorization': authHeader,
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify([{
-            keyword,
-            location_code: locationCode,
-            language_code: 'en',
-            depth: 100 // Full depth - Vercel Pro has 60s timeout
-          }])
-        }, 45000); // 45 second timeout per request (Vercel Pro allows 60s)
-
-        if (!response.ok) {
-          const errorText = await response.text().catch(() => 'Unknown error');
-          return { index: i, keyword, positions: {}, volume: 0, error: `API ${response.status}: ${errorText.substring(0, 100)}` };
-        }
-
-        const data = await response.json();
-
-        // Check for API-level errors
-        if (data.tasks?.[0]?.status_code !== 20000) {
-          return { index: i, keyword, positions: {}, volume: 0, error: data.tasks?.[0]?.status_message || 'API task error' };
-        }
-
-        const items = data.tasks?.[0]?.result?.[0]?.items || [];
-        const searchInfo = data.tasks?.[0]?.result?.[0]?.search_information || {};
-
-        const keywordPositions = {};
-
-        items.forEach(item => {
-          if (item.type === 'organic') {
-            const itemDomain = (item.domain || '').toLowerCase();
-            cleanDomains.forEach((domain, domainIdx) => {
-              if (itemDomain.includes(domain) || domain.includes(itemDomain)) {
-                keywordPositions[domains[domainIdx]] = item.rank_group;
-              }
-            });
-          }
-        });
+        const { result, cachedAt } = await cachedDataForSeoTask('/serp/google/organic/live/advanced', {
+          keyword,
+          location_code: locationCode,
+          language_code: languageCode,
+          depth: 100 // Full depth - Vercel Pro has 60s timeout
+        }, user, { timeoutMs: 45000, retries: 1, refresh, projectId: usageProjectId }); // 45 second timeout per request (Vercel Pro allows 60s)
+
+        const items = result[0]?.items || [];
+        const searchInfo = result[0]?.search_information || {};
+
+        // Organic positions plus the SERP features (featured snippet, local pack, ...) each domain owns
+        // Each entry of `domains` is one domain or the list of a brand's domain targets
+        const { positions: keywordPositions, extraPositions, features, serpFeatures } = extractSerpFeatures(items, domains);
 
         // Get top 10 domains for debug
         const topDomains = items
@@ -102,12 +58,16 @@ export default async function handler(req, res) {
           index: i,
           keyword,
           positions: keywordPositions,
+          extraPositions,
+          features,
+          serpFeatures,
           volume: searchInfo.search_volume || 0,
+          cachedAt,
           itemCount: items.length,
           topDomains
         };
       } catch (error) {
-        return { index: i, keyword, positions: {}, volume: 0, error: error.message || 'Request failed' };
+        return { index: i, keyword, positions: {}, extraPositions: {}, features: {}, serpFeatures: [], volume: 0, error: error.message || 'Request failed', errorType: error.type };
       }
     });
 
@@ -116,14 +76,20 @@ export default async function handler(req, res) {
 
     // Build response objects
     const positions = {};
+    const extraPositions = {};
+    const features = {};
+    const serpFeatures = {};
     const keywordVolumes = {};
     const errors = [];
 
     results.forEach(result => {
       positions[result.index] = result.positions;
+      extraPositions[result.index] = result.extraPositions;
+      features[result.index] = result.features;
+      serpFeatures[result.index] = result.serpFeatures;
       keywordVolumes[result.keyword] = result.volume;
       if (result.error) {
-        errors.push({ keyword: result.keyword, error: result.error });
+        errors.push({ keyword: result.keyword, error: result.error, type: result.errorType });
       }
     });
 
@@ -132,24 +98,29 @@ export default async function handler(req, res) {
       keyword: r.keyword,
       itemCount: r.itemCount,
       topDomains: r.topDomains,
+      serpFeatures: r.serpFeatures,
       foundPositions: Object.keys(r.positions).length
     }));
 
     res.json({
       positions,
+      extraPositions,
+      features,
+      serpFeatures,
       keywordVolumes,
+      cache: summarizeCache(results.filter(r => !r.error).map(r => r.cachedAt)),
       limited: wasLimited,
       message: wasLimited
-        ? `Only fetched first ${maxKeywords} keywords to avoid timeout. Process remaining keywords separately.`
+        ? `Only fetched first ${maxKeywords} keywords to avoid timeout. Use "Fetch all positions" on the project page to queue every keyword as a background job.`
         : undefined,
       errors: errors.length > 0 ? errors : undefined,
       debug: {
         keywordsProcessed: limitedKeywords.length,
-        domainsSearched: cleanDomains,
+        domainsSearched: domains.flat().map(cleanDomain),
         results: debugResults
       }
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendDataForSeoError(res, error);
   }
 }
@@ -1,5 +1,7 @@
 import { requireAuth } from '../../lib/auth.js';
-import { getDataForSeoCredentials, getAuthHeader } from '../../lib/dataforseo.js';
+import { hasCredentials, fetchSearchVolumes, sendDataForSeoError } from '../../lib/dataforseo.js';
+import { resolveUsageProjectId } from '../../lib/usage.js';
+import { getMarket } from '../../lib/locations.js';
 
 export default async function handler(req, res) {
   if (req.method === 'OPTIONS') return res.status(200).end();
@@ -8,44 +10,24 @@ export default async function handler(req, res) {
   const user = await requireAuth(req, res);
   if (!user) return;
 
-  const credentials = getDataForSeoCredentials(user);
-
-  if (!credentials) {
+  if (!hasCredentials(user)) {
     return res.status(400).json({ error: 'DataForSEO credentials not configured' });
   }
 
   try {
-    const { keywords, locationCode = 2840 } = req.body;
+    const { keywords, refresh = false, projectId } = req.body;
+    const { locationCode, languageCode } = getMarket(req.body);
 
     if (!keywords || keywords.length === 0) {
       return res.status(400).json({ error: 'Keywords required' });
     }
 
-    const response = await fetch('https://api.dataforseo.com/v3/keywords_data/google/search_volume/live', {
-      method: 'POST',
-      headers: {
-        'Authorization': getAuthHeader(credentials),
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify([{
-        keywords: keywords.map(k => k.toLowerCase()),
-        location_code: locationCode,
-        language_code: 'en'
-      }])
-    });
-
-    const data = await response.json();
-    const volumes = {};
-    const items = data.tasks?.[0]?.result || [];
-
-    items.forEach(item => {
-      if (item.keyword && item.search_volume) {
-        volumes[item.keyword] = item.search_volume;
-      }
-    });
-
-    res.json({ volumes });
+    const usageProjectId = await resolveUsageProjectId(user.id, projectId);
+
+    const { volumes, cache } = await fetchSearchVolumes(keywords, user, { locationCode, languageCode, refresh, projectId: usageProjectId });
+
+    res.json({ volumes, cache });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendDataForSeoError(res, error);
   }
 }
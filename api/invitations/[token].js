@@ -0,0 +1,57 @@
+import { requireAuth } from '../../lib/auth.js';
+import { findInvitation, acceptInvitation } from '../../lib/workspaces.js';
+
+/**
+ * A workspace invitation link
+ * GET shows which workspace and role it is for, POST joins the workspace. Only the
+ * account with the invited email address can accept it.
+ */
+export default async function handler(req, res) {
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  const user = await requireAuth(req, res);
+  if (!user) return;
+
+  const { token } = req.query;
+
+  try {
+    const invitation = await findInvitation(token);
+
+    if (!invitation) {
+      return res.status(404).json({ error: 'This invitation is invalid or has expired' });
+    }
+
+    if (req.method === 'GET') {
+      res.json({
+        invitation: {
+          workspace: invitation.workspace,
+          email: invitation.email,
+          role: invitation.role,
+          invitedByEmail: invitation.invitedByEmail,
+          expiresAt: invitation.expiresAt
+        }
+      });
+    } else if (req.method === 'POST') {
+      if (invitation.email !== user.email) {
+        return res.status(403).json({ error: `This invitation is for ${invitation.email}. Log in with that account to accept it.` });
+      }
+
+      const member = await acceptInvitation(invitation, user);
+      if (!member) {
+        return res.status(404).json({ error: 'This invitation is invalid or has expired' });
+      }
+
+      res.json({
+        message: `You joined ${invitation.workspace.name}`,
+        workspace: { ...invitation.workspace, role: member.role }
+      });
+    } else {
+      res.status(405).json({ error: 'Method not allowed' });
+    }
+  } catch (error) {
+    console.error('Invitation error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
@@ -0,0 +1,19 @@
+import { requireAuth } from '../lib/auth.js';
+import { LOCATIONS, LANGUAGES, DEFAULT_LOCATION_CODE, DEFAULT_LANGUAGE_CODE } from '../lib/locations.js';
+
+/**
+ * Locations API - Google markets a project can be tracked in
+ */
+export default async function handler(req, res) {
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+  const user = await requireAuth(req, res);
+  if (!user) return;
+
+  res.json({
+    locations: LOCATIONS,
+    languages: LANGUAGES,
+    defaults: { locationCode: DEFAULT_LOCATION_CODE, languageCode: DEFAULT_LANGUAGE_CODE }
+  });
+}
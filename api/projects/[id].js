@@ -1,6 +1,57 @@
+import { Prisma } from '@prisma/client';
 import prisma from '../../lib/prisma.js';
 import { requireAuth } from '../../lib/auth.js';
-import { calculateSnapshot } from '../../lib/calculations.js';
+import { CTR_MODELS, resolveCtrCurve, validateCtrCurve } from '../../lib/calculations.js';
+import { SNAPSHOT_SCHEDULES, getNextSnapshotDate, getSchedulePayer } from '../../lib/scheduler.js';
+import { validateMarket } from '../../lib/locations.js';
+import {
+  projectDataInclude, getKeywordData, validateMarkets, saveMarkets, replaceMarketKeywords, createProjectSnapshots
+} from '../../lib/markets.js';
+import { groupBrandTerms, validateBrandTerms, replaceBrandTerms } from '../../lib/brand-terms.js';
+import { validateExpandedKeywords, replaceExpandedKeywords, getExpandedKeywordData } from '../../lib/expanded-keywords.js';
+import { validateMatchSettings } from '../../lib/keyword-matching.js';
+import { getPositionOverrideMatrix } from '../../lib/position-overrides.js';
+import { DOMAIN_AGGREGATIONS, validateBrandDomains, toBrandDomainData } from '../../lib/brand-domains.js';
+import { requireProjectRole } from '../../lib/workspaces.js';
+
+// Role each method needs in the project's workspace
+const METHOD_ROLES = { GET: 'viewer', PUT: 'editor', DELETE: 'owner' };
+
+const snapshotHistory = { orderBy: { timestamp: 'desc' }, take: 12 };
+
+// Everything GET returns, loaded with the role check
+const projectInclude = {
+  ...projectDataInclude,
+  markets: {
+    ...projectDataInclude.markets,
+    include: { ...projectDataInclude.markets.include, snapshots: snapshotHistory }
+  },
+  snapshots: { where: { marketId: null, isRollup: false }, ...snapshotHistory }
+};
+
+function toCurrentMetrics(snapshot) {
+  return snapshot ? {
+    sos: snapshot.sos,
+    sov: snapshot.sov,
+    gap: snapshot.gap,
+    status: snapshot.status,
+    brandVolume: snapshot.brandVolume,
+    totalBrandVolume: snapshot.totalBrandVolume,
+    totalMarketVolume: snapshot.totalMarketVolume,
+    visibleVolume: snapshot.visibleVolume,
+    coveredVolume: snapshot.coveredVolume,
+    coverage: snapshot.coverage,
+    allBrands: snapshot.allBrandsData,
+    segments: snapshot.segmentsData || []
+  } : null;
+}
+
+function toSnapshotSummary(s) {
+  return {
+    id: s.id, date: s.date, timestamp: s.timestamp, sos: s.sos, sov: s.sov, gap: s.gap, status: s.status,
+    locationCode: s.locationCode, languageCode: s.languageCode
+  };
+}
 
 export default async function handler(req, res) {
   if (req.method === 'OPTIONS') {
@@ -13,83 +64,157 @@ export default async function handler(req, res) {
   const { id } = req.query;
 
   try {
-    if (req.method === 'GET') {
-      const project = await prisma.project.findFirst({
-        where: { id, userId: user.id },
-        include: {
-          brand: true,
-          competitors: { orderBy: { sortOrder: 'asc' } },
-          keywords: {
-            orderBy: { sortOrder: 'asc' },
-            include: { positions: true }
-          },
-          snapshots: { orderBy: { timestamp: 'desc' }, take: 12 }
-        }
-      });
-
-      if (!project) {
-        return res.status(404).json({ error: 'Project not found' });
-      }
+    const minimumRole = METHOD_ROLES[req.method];
+    if (!minimumRole) {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
 
-      // Transform positions
-      const positions = {};
-      project.keywords.forEach((kw, idx) => {
-        positions[idx] = {};
-        kw.positions.forEach(pos => {
-          if (pos.position) positions[idx][pos.brandName] = pos.position;
-        });
-      });
+    const access = await requireProjectRole(res, id, user, minimumRole, req.method === 'GET' ? projectInclude : {});
+    if (!access) return;
+    const { role, project } = access;
 
-      const latestSnapshot = project.snapshots[0];
+    if (req.method === 'GET') {
+      const rollupSnapshots = project.markets.length > 0
+        ? await prisma.snapshot.findMany({ where: { projectId: id, isRollup: true }, ...snapshotHistory })
+        : [];
 
       res.json({
         project: {
           id: project.id,
           name: project.name,
           client: project.client,
+          workspace: project.workspace,
+          // The signed-in user's role, so the client can hide what it may not change
+          role,
           brand: project.brand,
           competitors: project.competitors,
-          marketKeywords: project.keywords.map(k => ({ keyword: k.keyword, volume: k.volume })),
-          positions,
-          currentMetrics: latestSnapshot ? {
-            sos: latestSnapshot.sos,
-            sov: latestSnapshot.sov,
-            gap: latestSnapshot.gap,
-            status: latestSnapshot.status,
-            brandVolume: latestSnapshot.brandVolume,
-            totalBrandVolume: latestSnapshot.totalBrandVolume,
-            totalMarketVolume: latestSnapshot.totalMarketVolume,
-            visibleVolume: latestSnapshot.visibleVolume,
-            allBrands: latestSnapshot.allBrandsData
-          } : null,
-          snapshots: project.snapshots.map(s => ({
-            date: s.date, sos: s.sos, sov: s.sov, gap: s.gap, status: s.status
+          ...getKeywordData(project.keywords),
+          // Locked manual positions, laid over the fetched `positions` in every snapshot
+          positionOverrides: getPositionOverrideMatrix(project.keywords, project.positionOverrides),
+          // Search terms summed into each brand's volume { brandName: [{ term, rule, volume }] }
+          brandTerms: groupBrandTerms(project.brandTerms),
+          // Curated category universe the Total Market Volume is summed from
+          ...getExpandedKeywordData(project.expandedKeywords, project.keywords),
+          ctrModel: project.ctrModel,
+          ctrCurve: resolveCtrCurve(project.ctrModel, project.ctrCurve),
+          keywordMatchMode: project.keywordMatchMode,
+          keywordMatchThreshold: project.keywordMatchThreshold,
+          domainAggregation: project.domainAggregation,
+          locationCode: project.locationCode,
+          languageCode: project.languageCode,
+          snapshotSchedule: project.snapshotSchedule,
+          nextSnapshotAt: project.nextSnapshotAt,
+          currentMetrics: toCurrentMetrics(project.snapshots[0]),
+          snapshots: project.snapshots.map(toSnapshotSummary),
+          // Additional markets, each with its own volumes, keywords and snapshot history
+          markets: project.markets.map(market => ({
+            id: market.id,
+            locationCode: market.locationCode,
+            languageCode: market.languageCode,
+            brandVolumes: market.brandVolumes || {},
+            ...getKeywordData(market.keywords),
+            positionOverrides: getPositionOverrideMatrix(market.keywords, market.positionOverrides),
+            brandTerms: groupBrandTerms(market.brandTerms),
+            ...getExpandedKeywordData(market.expandedKeywords, market.keywords),
+            currentMetrics: toCurrentMetrics(market.snapshots[0]),
+            snapshots: market.snapshots.map(toSnapshotSummary)
           })),
+          rollup: project.markets.length > 0 ? {
+            currentMetrics: toCurrentMetrics(rollupSnapshots[0]),
+            snapshots: rollupSnapshots.map(toSnapshotSummary)
+          } : null,
           createdAt: project.createdAt,
           updatedAt: project.updatedAt
         }
       });
     } else if (req.method === 'PUT') {
-      const existing = await prisma.project.findFirst({
-        where: { id, userId: user.id }
-      });
+      const existing = project;
+
+      const {
+        name, client, brand, competitors, marketKeywords, positions, extraPositions, features, matchTypes, snapshotSchedule,
+        ctrModel, ctrCurve, locationCode, languageCode, markets, brandTerms, expandedKeywords, keywordMatchMode,
+        keywordMatchThreshold, domainAggregation
+      } = req.body;
+
+      if (snapshotSchedule && !SNAPSHOT_SCHEDULES.includes(snapshotSchedule)) {
+        return res.status(400).json({ error: `Snapshot schedule must be one of: ${SNAPSHOT_SCHEDULES.join(', ')}` });
+      }
+
+      if (validateMarket({ locationCode, languageCode })) {
+        return res.status(400).json({ error: validateMarket({ locationCode, languageCode }) });
+      }
+
+      const primaryMarket = {
+        locationCode: locationCode ?? existing.locationCode,
+        languageCode: languageCode ?? existing.languageCode
+      };
+      if (markets !== undefined && validateMarkets(markets, primaryMarket)) {
+        return res.status(400).json({ error: validateMarkets(markets, primaryMarket) });
+      }
 
-      if (!existing) {
-        return res.status(404).json({ error: 'Project not found' });
+      if (brandTerms !== undefined && validateBrandTerms(brandTerms)) {
+        return res.status(400).json({ error: validateBrandTerms(brandTerms) });
       }
 
-      const { name, client, brand, competitors, marketKeywords, positions } = req.body;
+      if (expandedKeywords !== undefined && validateExpandedKeywords(expandedKeywords)) {
+        return res.status(400).json({ error: validateExpandedKeywords(expandedKeywords) });
+      }
+
+      const domainsError = [brand, ...(competitors || [])].map(b => b?.domains && validateBrandDomains(b.domains)).find(Boolean);
+      if (domainsError) {
+        return res.status(400).json({ error: domainsError });
+      }
+
+      if (domainAggregation !== undefined && !DOMAIN_AGGREGATIONS[domainAggregation]) {
+        return res.status(400).json({ error: `Domain aggregation must be one of: ${Object.keys(DOMAIN_AGGREGATIONS).join(', ')}` });
+      }
+
+      if (validateMatchSettings({ keywordMatchMode, keywordMatchThreshold })) {
+        return res.status(400).json({ error: validateMatchSettings({ keywordMatchMode, keywordMatchThreshold }) });
+      }
+
+      if (ctrModel !== undefined && !CTR_MODELS[ctrModel]) {
+        return res.status(400).json({ error: `CTR model must be one of: ${Object.keys(CTR_MODELS).join(', ')}` });
+      }
+
+      if (ctrModel === 'custom' && validateCtrCurve(ctrCurve)) {
+        return res.status(400).json({ error: validateCtrCurve(ctrCurve) });
+      }
+
+      const ctrData = ctrModel !== undefined
+        ? { ctrModel, ctrCurve: ctrModel === 'custom' ? ctrCurve : Prisma.DbNull }
+        : {};
+
+      // Only reset the next run when the schedule actually changes. Whoever sets it pays for
+      // the runs; an editor saving a schedule whose payer can no longer edit takes it over
+      let scheduleData = {};
+      if (snapshotSchedule !== undefined && (snapshotSchedule || null) !== existing.snapshotSchedule) {
+        scheduleData = {
+          snapshotSchedule: snapshotSchedule || null,
+          nextSnapshotAt: getNextSnapshotDate(snapshotSchedule),
+          scheduledById: snapshotSchedule ? user.id : null
+        };
+      } else if (snapshotSchedule && !await getSchedulePayer(existing)) {
+        scheduleData = { scheduledById: user.id };
+      }
 
       await prisma.$transaction(async (tx) => {
         await tx.project.update({
           where: { id },
-          data: { name, client }
+          data: {
+            name, client, ...ctrData, ...scheduleData,
+            locationCode: locationCode != null ? parseInt(locationCode) : undefined,
+            languageCode: languageCode ?? undefined,
+            keywordMatchMode,
+            keywordMatchThreshold: keywordMatchThreshold != null ? Number(keywordMatchThreshold) : undefined,
+            domainAggregation
+          }
         });
 
         if (brand) {
           await tx.brand.update({
             where: { projectId: id },
-            data: { name: brand.name, domain: brand.domain, volume: brand.volume }
+            data: { name: brand.name, ...toBrandDomainData(brand), volume: brand.volume }
           });
         }
 
@@ -97,79 +222,39 @@ export default async function handler(req, res) {
           await tx.competitor.deleteMany({ where: { projectId: id } });
           await tx.competitor.createMany({
             data: competitors.map((c, idx) => ({
-              projectId: id, name: c.name, domain: c.domain, volume: c.volume || 0, sortOrder: idx
+              projectId: id, name: c.name, ...toBrandDomainData(c), volume: c.volume || 0, sortOrder: idx
             }))
           });
         }
 
         if (marketKeywords) {
-          await tx.marketKeyword.deleteMany({ where: { projectId: id } });
-          for (let idx = 0; idx < marketKeywords.length; idx++) {
-            const kw = marketKeywords[idx];
-            const keyword = await tx.marketKeyword.create({
-              data: { projectId: id, keyword: kw.keyword, volume: kw.volume || 0, sortOrder: idx }
-            });
-            if (positions && positions[idx]) {
-              for (const [brandName, position] of Object.entries(positions[idx])) {
-                await tx.position.create({
-                  data: { keywordId: keyword.id, brandName, position }
-                });
-              }
-            }
-          }
+          await replaceMarketKeywords(tx, id, null, { marketKeywords, positions, extraPositions, features, matchTypes });
         }
-      });
 
-      if (brand || competitors || marketKeywords || positions) {
-        const snapshot = calculateSnapshot({
-          brand: brand || existing.brand,
-          competitors: competitors || [],
-          marketKeywords: marketKeywords || [],
-          positions: positions || {}
-        });
+        if (brandTerms) {
+          await replaceBrandTerms(tx, id, null, brandTerms);
+        }
 
-        await prisma.$transaction([
-          prisma.snapshot.create({
-            data: {
-              projectId: id,
-              date: snapshot.date,
-              brandVolume: snapshot.brandVolume,
-              totalBrandVolume: snapshot.totalBrandVolume,
-              totalMarketVolume: snapshot.totalMarketVolume,
-              visibleVolume: snapshot.visibleVolume,
-              sos: snapshot.sos,
-              sov: snapshot.sov,
-              gap: snapshot.gap,
-              status: snapshot.status,
-              allBrandsData: snapshot.allBrands
-            }
-          }),
-          prisma.project.update({
-            where: { id },
-            data: {
-              currentSOS: snapshot.sos,
-              currentSOV: snapshot.sov,
-              currentGap: snapshot.gap,
-              currentStatus: snapshot.status
-            }
-          })
-        ]);
-      }
+        if (expandedKeywords) {
+          await replaceExpandedKeywords(tx, id, null, expandedKeywords);
+        }
 
-      res.json({ message: 'Project updated successfully' });
-    } else if (req.method === 'DELETE') {
-      const project = await prisma.project.findFirst({
-        where: { id, userId: user.id }
+        if (markets) {
+          await saveMarkets(tx, id, markets);
+        }
       });
 
-      if (!project) {
-        return res.status(404).json({ error: 'Project not found' });
+      // Current metrics follow every setting they are computed with, not just the data
+      const settingsChanged = [ctrModel, ctrCurve, keywordMatchMode, keywordMatchThreshold, domainAggregation]
+        .some(value => value !== undefined);
+      if (brand || competitors || marketKeywords || positions || markets || brandTerms || expandedKeywords || settingsChanged) {
+        await createProjectSnapshots(id);
       }
 
+      res.json({ message: 'Project updated successfully' });
+    } else {
       await prisma.project.delete({ where: { id } });
       res.json({ message: 'Project deleted successfully' });
-    } else {
-      res.status(405).json({ error: 'Method not allowed' });
     }
   } catch (error) {
     console.error('Project error:', error);
@@ -0,0 +1,82 @@
+import prisma from '../../../lib/prisma.js';
+import { requireAuth } from '../../../lib/auth.js';
+import { requireProjectRole } from '../../../lib/workspaces.js';
+import { createProjectSnapshots } from '../../../lib/markets.js';
+import { validatePositionOverride, setPositionOverride, removePositionOverride } from '../../../lib/position-overrides.js';
+
+/**
+ * Manual position overrides
+ * GET lists the project's overrides and the latest changes to them (`limit`, default 50).
+ * PUT locks { keyword, brandName, position, reason } in the primary market or the additional
+ * market `marketId`; DELETE removes the lock on { keyword, brandName, marketId?, reason? }.
+ * Both recalculate the project's snapshots.
+ */
+export default async function handler(req, res) {
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  const user = await requireAuth(req, res);
+  if (!user) return;
+
+  const { id, limit = '50' } = req.query;
+
+  try {
+    const access = await requireProjectRole(res, id, user, req.method === 'GET' ? 'viewer' : 'editor', {
+      brand: true,
+      competitors: true,
+      markets: { select: { id: true } }
+    });
+    if (!access) return;
+    const { project } = access;
+
+    if (req.method === 'GET') {
+      const [overrides, events] = await Promise.all([
+        prisma.positionOverride.findMany({ where: { projectId: id }, orderBy: { updatedAt: 'desc' } }),
+        prisma.positionOverrideEvent.findMany({
+          where: { projectId: id },
+          orderBy: { createdAt: 'desc' },
+          take: Math.min(parseInt(limit) || 50, 200)
+        })
+      ]);
+
+      res.json({ overrides, events });
+    } else if (req.method === 'PUT' || req.method === 'DELETE') {
+      const { keyword, brandName, position = null, reason, marketId = null } = req.body || {};
+
+      if (marketId && !project.markets.some(m => m.id === marketId)) {
+        return res.status(404).json({ error: 'Market not found' });
+      }
+
+      const brandNames = [project.brand?.name, ...project.competitors.map(c => c.name)].filter(Boolean);
+      if (brandName && !brandNames.includes(brandName)) {
+        return res.status(400).json({ error: `${brandName} is not a brand or competitor of this project` });
+      }
+
+      if (req.method === 'PUT') {
+        const override = { keyword, brandName, position, reason };
+        if (validatePositionOverride(override)) {
+          return res.status(400).json({ error: validatePositionOverride(override) });
+        }
+
+        await setPositionOverride(id, marketId, override, user);
+      } else {
+        if (!keyword || !brandName) {
+          return res.status(400).json({ error: 'Keyword and brand name required' });
+        }
+
+        if (!await removePositionOverride(id, marketId, { keyword, brandName, reason }, user)) {
+          return res.status(404).json({ error: 'Override not found' });
+        }
+      }
+
+      const { snapshot } = await createProjectSnapshots(id);
+      res.json({ message: req.method === 'PUT' ? 'Position override saved' : 'Position override removed', snapshot });
+    } else {
+      res.status(405).json({ error: 'Method not allowed' });
+    }
+  } catch (error) {
+    console.error('Position overrides error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
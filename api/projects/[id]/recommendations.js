@@ -1,5 +1,6 @@
 import prisma from '../../../lib/prisma.js';
 import { requireAuth } from '../../../lib/auth.js';
+import { requireProjectRole } from '../../../lib/workspaces.js';
 import { generateRecommendations } from '../../../lib/calculations.js';
 
 export default async function handler(req, res) {
@@ -17,18 +18,14 @@ export default async function handler(req, res) {
   const { id } = req.query;
 
   try {
-    const project = await prisma.project.findFirst({
-      where: { id, userId: user.id },
-      include: {
-        brand: true,
-        keywords: true,
-        snapshots: { orderBy: { timestamp: 'desc' }, take: 1 }
-      }
+    const access = await requireProjectRole(res, id, user, 'viewer', {
+      brand: true,
+      keywords: true,
+      // The rollup when the project tracks several markets, otherwise the primary market
+      snapshots: { where: { marketId: null }, orderBy: { timestamp: 'desc' }, take: 1 }
     });
-
-    if (!project) {
-      return res.status(404).json({ error: 'Project not found' });
-    }
+    if (!access) return;
+    const { project } = access;
 
     const latestSnapshot = project.snapshots[0];
     if (!latestSnapshot) {
@@ -0,0 +1,39 @@
+import prisma from '../../../lib/prisma.js';
+import { requireAuth } from '../../../lib/auth.js';
+import { requireProjectRole } from '../../../lib/workspaces.js';
+
+export default async function handler(req, res) {
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const user = await requireAuth(req, res);
+  if (!user) return;
+
+  const { id, limit = '20' } = req.query;
+
+  try {
+    const access = await requireProjectRole(res, id, user, 'viewer');
+    if (!access) return;
+    const { project } = access;
+
+    const runs = await prisma.snapshotRun.findMany({
+      where: { projectId: id },
+      orderBy: { startedAt: 'desc' },
+      take: Math.min(parseInt(limit) || 20, 100)
+    });
+
+    res.json({
+      schedule: project.snapshotSchedule,
+      nextSnapshotAt: project.nextSnapshotAt,
+      runs
+    });
+  } catch (error) {
+    console.error('Snapshot runs error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
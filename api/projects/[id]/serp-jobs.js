@@ -0,0 +1,88 @@
+import prisma from '../../../lib/prisma.js';
+import { requireAuth } from '../../../lib/auth.js';
+import { requireProjectRole } from '../../../lib/workspaces.js';
+import { hasCredentials } from '../../../lib/dataforseo.js';
+import { ACTIVE_JOB_STATUSES, createSerpJob, advanceSerpJob, getSerpJob } from '../../../lib/serp-jobs.js';
+
+/**
+ * Background SERP position jobs
+ * POST queues the project's keywords (or a subset in `keywords`) for all brand domains,
+ * in the primary market or the additional market `marketId`. GET lists recent jobs. Poll /serp-jobs/:jobId for progress.
+ */
+export default async function handler(req, res) {
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  const user = await requireAuth(req, res);
+  if (!user) return;
+
+  const { id } = req.query;
+
+  try {
+    const access = await requireProjectRole(res, id, user, req.method === 'GET' ? 'viewer' : 'editor', {
+      brand: true,
+      competitors: { orderBy: { sortOrder: 'asc' } },
+      markets: { select: { id: true, locationCode: true, languageCode: true } }
+    });
+    if (!access) return;
+    const { project } = access;
+
+    if (req.method === 'GET') {
+      const jobs = await prisma.serpJob.findMany({
+        where: { projectId: id },
+        orderBy: { createdAt: 'desc' },
+        take: 10,
+        select: { id: true }
+      });
+
+      res.json({ jobs: await Promise.all(jobs.map(job => getSerpJob(job.id))) });
+    } else if (req.method === 'POST') {
+      if (!hasCredentials(user)) {
+        return res.status(400).json({ error: 'DataForSEO credentials not configured' });
+      }
+
+      const activeJob = await prisma.serpJob.findFirst({
+        where: { projectId: id, status: { in: ACTIVE_JOB_STATUSES } },
+        select: { id: true }
+      });
+      if (activeJob) {
+        return res.status(409).json({ error: 'A position fetch is already running for this project', jobId: activeJob.id });
+      }
+
+      const marketId = req.body?.marketId || null;
+      const market = marketId ? project.markets.find(m => m.id === marketId) : null;
+      if (marketId && !market) {
+        return res.status(404).json({ error: 'Market not found' });
+      }
+
+      // Only tracked keywords can be written back to Position
+      const trackedKeywords = await prisma.marketKeyword.findMany({
+        where: { projectId: id, marketId },
+        orderBy: { sortOrder: 'asc' },
+        select: { keyword: true }
+      });
+      const tracked = trackedKeywords.map(k => k.keyword);
+      const requested = req.body?.keywords?.length
+        ? req.body.keywords.map(k => k.toLowerCase().trim())
+        : null;
+      const keywords = requested
+        ? tracked.filter(k => requested.includes(k.toLowerCase().trim()))
+        : tracked;
+
+      if (keywords.length === 0) {
+        return res.status(400).json({ error: 'No tracked keywords to fetch' });
+      }
+
+      const job = await createSerpJob(project, keywords, market, user);
+
+      // Post the first batch right away so progress starts moving
+      res.status(202).json({ job: await advanceSerpJob(job.id) });
+    } else {
+      res.status(405).json({ error: 'Method not allowed' });
+    }
+  } catch (error) {
+    console.error('SERP jobs error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
@@ -0,0 +1,47 @@
+import prisma from '../../../../lib/prisma.js';
+import { requireAuth } from '../../../../lib/auth.js';
+import { requireProjectRole, hasRole } from '../../../../lib/workspaces.js';
+import { ACTIVE_JOB_STATUSES, advanceSerpJob, getSerpJob } from '../../../../lib/serp-jobs.js';
+
+/**
+ * Poll a background SERP job
+ * An editor's poll of an unfinished job also posts queued keywords and collects the tasks
+ * DataForSEO has completed; viewers only read its progress, the cron keeps it moving
+ */
+export default async function handler(req, res) {
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const user = await requireAuth(req, res);
+  if (!user) return;
+
+  const { id, jobId } = req.query;
+
+  try {
+    const access = await requireProjectRole(res, id, user, 'viewer');
+    if (!access) return;
+
+    const job = await prisma.serpJob.findFirst({
+      where: { id: jobId, projectId: id },
+      select: { id: true, status: true }
+    });
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json({
+      job: ACTIVE_JOB_STATUSES.includes(job.status) && hasRole(access.role, 'editor')
+        ? await advanceSerpJob(job.id)
+        : await getSerpJob(job.id)
+    });
+  } catch (error) {
+    console.error('SERP job error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
@@ -1,6 +1,6 @@
-import prisma from '../../../lib/prisma.js';
 import { requireAuth } from '../../../lib/auth.js';
-import { calculateSnapshot } from '../../../lib/calculations.js';
+import { requireProjectRole } from '../../../lib/workspaces.js';
+import { createProjectSnapshots } from '../../../lib/markets.js';
 
 export default async function handler(req, res) {
   if (req.method === 'OPTIONS') {
@@ -17,60 +17,9 @@ export default async function handler(req, res) {
   const { id } = req.query;
 
   try {
-    const project = await prisma.project.findFirst({
-      where: { id, userId: user.id },
-      include: {
-        brand: true,
-        competitors: true,
-        keywords: { include: { positions: true } }
-      }
-    });
+    if (!await requireProjectRole(res, id, user, 'editor')) return;
 
-    if (!project) {
-      return res.status(404).json({ error: 'Project not found' });
-    }
-
-    const positions = {};
-    project.keywords.forEach((kw, idx) => {
-      positions[idx] = {};
-      kw.positions.forEach(pos => {
-        if (pos.position) positions[idx][pos.brandName] = pos.position;
-      });
-    });
-
-    const snapshot = calculateSnapshot({
-      brand: project.brand,
-      competitors: project.competitors,
-      marketKeywords: project.keywords.map(k => ({ keyword: k.keyword, volume: k.volume })),
-      positions
-    });
-
-    await prisma.$transaction([
-      prisma.snapshot.create({
-        data: {
-          projectId: project.id,
-          date: snapshot.date,
-          brandVolume: snapshot.brandVolume,
-          totalBrandVolume: snapshot.totalBrandVolume,
-          totalMarketVolume: snapshot.totalMarketVolume,
-          visibleVolume: snapshot.visibleVolume,
-          sos: snapshot.sos,
-          sov: snapshot.sov,
-          gap: snapshot.gap,
-          status: snapshot.status,
-          allBrandsData: snapshot.allBrands
-        }
-      }),
-      prisma.project.update({
-        where: { id: project.id },
-        data: {
-          currentSOS: snapshot.sos,
-          currentSOV: snapshot.sov,
-          currentGap: snapshot.gap,
-          currentStatus: snapshot.status
-        }
-      })
-    ]);
+    const { snapshot } = await createProjectSnapshots(id);
 
     res.json({ message: 'Snapshot created', snapshot });
   } catch (error) {
@@ -0,0 +1,47 @@
+import { requireAuth } from '../../../../lib/auth.js';
+import { requireProjectRole } from '../../../../lib/workspaces.js';
+import { findSnapshotPair, compareSnapshots } from '../../../../lib/snapshots.js';
+
+/**
+ * Compare two snapshots
+ * GET /api/projects/:id/snapshots/compare?from=<snapshotId>&to=<snapshotId>
+ */
+export default async function handler(req, res) {
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const user = await requireAuth(req, res);
+  if (!user) return;
+
+  const { id, from, to } = req.query;
+
+  try {
+    if (!await requireProjectRole(res, id, user, 'viewer')) return;
+
+    const { fromSnapshot, toSnapshot } = await findSnapshotPair(id, { from, to }, { positions: true });
+
+    if (!fromSnapshot || !toSnapshot) {
+      return res.status(404).json({ error: 'Two snapshots are required for a comparison' });
+    }
+
+    res.json({
+      from: {
+        id: fromSnapshot.id, date: fromSnapshot.date, timestamp: fromSnapshot.timestamp,
+        locationCode: fromSnapshot.locationCode, languageCode: fromSnapshot.languageCode
+      },
+      to: {
+        id: toSnapshot.id, date: toSnapshot.date, timestamp: toSnapshot.timestamp,
+        locationCode: toSnapshot.locationCode, languageCode: toSnapshot.languageCode
+      },
+      comparison: compareSnapshots(fromSnapshot, toSnapshot)
+    });
+  } catch (error) {
+    console.error('Snapshot compare error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
@@ -0,0 +1,55 @@
+import { requireAuth } from '../../../../lib/auth.js';
+import { requireProjectRole } from '../../../../lib/workspaces.js';
+import { findSnapshotPair, diffSnapshotPositions } from '../../../../lib/snapshots.js';
+
+/**
+ * Keyword rank changes between two snapshots
+ * GET /api/projects/:id/snapshots/rank-changes?from=<snapshotId>&to=<snapshotId>&brand=<name>
+ */
+export default async function handler(req, res) {
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const user = await requireAuth(req, res);
+  if (!user) return;
+
+  const { id, from, to, brand } = req.query;
+
+  try {
+    if (!await requireProjectRole(res, id, user, 'viewer')) return;
+
+    const { fromSnapshot, toSnapshot } = await findSnapshotPair(id, { from, to }, { positions: true });
+
+    if (!fromSnapshot || !toSnapshot) {
+      return res.status(404).json({ error: 'Two snapshots are required to compare rankings' });
+    }
+
+    let changes = diffSnapshotPositions(fromSnapshot, toSnapshot);
+    if (brand) {
+      changes = changes.filter(c => c.brandName === brand);
+    }
+
+    const countBy = (status) => changes.filter(c => c.status === status).length;
+
+    res.json({
+      from: { id: fromSnapshot.id, date: fromSnapshot.date, timestamp: fromSnapshot.timestamp },
+      to: { id: toSnapshot.id, date: toSnapshot.date, timestamp: toSnapshot.timestamp },
+      summary: {
+        improved: countBy('improved'),
+        declined: countBy('declined'),
+        new: countBy('new'),
+        lost: countBy('lost'),
+        unchanged: countBy('unchanged')
+      },
+      changes
+    });
+  } catch (error) {
+    console.error('Rank changes error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
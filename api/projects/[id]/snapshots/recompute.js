@@ -0,0 +1,73 @@
+import prisma from '../../../../lib/prisma.js';
+import { requireAuth } from '../../../../lib/auth.js';
+import { requireProjectRole } from '../../../../lib/workspaces.js';
+import { CTR_MODELS, resolveCtrCurve, validateCtrCurve } from '../../../../lib/calculations.js';
+import { recalculateSnapshotSov } from '../../../../lib/snapshots.js';
+
+/**
+ * CTR sensitivity analysis
+ * POST /api/projects/:id/snapshots/recompute { ctrModel, ctrCurve?, snapshotIds? }
+ * Recalculates historical snapshots under another CTR curve without changing the stored data
+ */
+export default async function handler(req, res) {
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const user = await requireAuth(req, res);
+  if (!user) return;
+
+  const { id } = req.query;
+
+  try {
+    const { ctrModel, ctrCurve, snapshotIds } = req.body;
+
+    if (!CTR_MODELS[ctrModel]) {
+      return res.status(400).json({ error: `CTR model must be one of: ${Object.keys(CTR_MODELS).join(', ')}` });
+    }
+
+    if (ctrModel === 'custom') {
+      const curveError = validateCtrCurve(ctrCurve);
+      if (curveError) {
+        return res.status(400).json({ error: curveError });
+      }
+    }
+
+    if (!await requireProjectRole(res, id, user, 'viewer')) return;
+
+    const snapshots = await prisma.snapshot.findMany({
+      where: {
+        projectId: id,
+        ...(Array.isArray(snapshotIds) && snapshotIds.length > 0
+          ? { id: { in: snapshotIds } }
+          : { marketId: null, isRollup: false })
+      },
+      orderBy: { timestamp: 'desc' },
+      take: 24,
+      include: { positions: true }
+    });
+
+    const curve = resolveCtrCurve(ctrModel, ctrCurve);
+
+    res.json({
+      ctrModel,
+      ctrCurve: curve,
+      snapshots: snapshots.map(s => ({
+        id: s.id,
+        date: s.date,
+        timestamp: s.timestamp,
+        // Snapshots taken before positions were stored per snapshot can't be recalculated
+        available: s.positions.length > 0,
+        original: { ctrModel: s.ctrModel, sos: s.sos, sov: s.sov, gap: s.gap, status: s.status },
+        recomputed: s.positions.length > 0 ? recalculateSnapshotSov(s, curve) : null
+      }))
+    });
+  } catch (error) {
+    console.error('Snapshot recompute error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
@@ -0,0 +1,44 @@
+import prisma from '../../../lib/prisma.js';
+import { requireAuth } from '../../../lib/auth.js';
+import { requireProjectRole, requireWorkspaceRole } from '../../../lib/workspaces.js';
+
+/**
+ * Move a project to another workspace
+ * PUT { workspaceId } needs the owner role on the project and at least editor in the target workspace
+ */
+export default async function handler(req, res) {
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'PUT') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const user = await requireAuth(req, res);
+  if (!user) return;
+
+  const { id } = req.query;
+
+  try {
+    const { workspaceId } = req.body || {};
+
+    if (!workspaceId) {
+      return res.status(400).json({ error: 'Workspace required' });
+    }
+
+    if (!await requireProjectRole(res, id, user, 'owner')) return;
+    if (!await requireWorkspaceRole(res, workspaceId, user, 'editor')) return;
+
+    const project = await prisma.project.update({
+      where: { id },
+      data: { workspaceId },
+      select: { id: true, workspace: { select: { id: true, name: true } } }
+    });
+
+    res.json({ message: `Project moved to ${project.workspace.name}`, workspace: project.workspace });
+  } catch (error) {
+    console.error('Move project error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
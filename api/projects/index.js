@@ -1,6 +1,17 @@
 import prisma from '../../lib/prisma.js';
 import { requireAuth } from '../../lib/auth.js';
-import { calculateSnapshot } from '../../lib/calculations.js';
+import { CTR_MODELS, validateCtrCurve } from '../../lib/calculations.js';
+import { getKeywordPositionRows } from '../../lib/snapshots.js';
+import { validateMarkets, saveMarkets, createProjectSnapshots } from '../../lib/markets.js';
+import { validateBrandTerms, replaceBrandTerms } from '../../lib/brand-terms.js';
+import { validateExpandedKeywords, replaceExpandedKeywords } from '../../lib/expanded-keywords.js';
+import { DEFAULT_MATCH_MODE, DEFAULT_MATCH_THRESHOLD, validateMatchSettings } from '../../lib/keyword-matching.js';
+import {
+  DOMAIN_AGGREGATIONS, DEFAULT_DOMAIN_AGGREGATION, validateBrandDomains, toBrandDomainData
+} from '../../lib/brand-domains.js';
+import { SNAPSHOT_SCHEDULES, getNextSnapshotDate } from '../../lib/scheduler.js';
+import { getMarket, validateMarket } from '../../lib/locations.js';
+import { projectAccessWhere, ensureDefaultWorkspace, requireWorkspaceRole } from '../../lib/workspaces.js';
 
 export default async function handler(req, res) {
   if (req.method === 'OPTIONS') {
@@ -12,13 +23,14 @@ export default async function handler(req, res) {
 
   try {
     if (req.method === 'GET') {
-      // List all projects
+      // List all projects in the user's workspaces
       const projects = await prisma.project.findMany({
-        where: { userId: user.id },
+        where: projectAccessWhere(user.id),
         include: {
+          workspace: { select: { id: true, name: true, members: { where: { userId: user.id }, select: { role: true } } } },
           brand: true,
           competitors: { orderBy: { sortOrder: 'asc' } },
-          _count: { select: { snapshots: true } }
+          _count: { select: { snapshots: { where: { marketId: null, isRollup: false } }, markets: true } }
         },
         orderBy: { updatedAt: 'desc' }
       });
@@ -28,6 +40,9 @@ export default async function handler(req, res) {
           id: p.id,
           name: p.name,
           client: p.client,
+          // Projects from before workspaces have none until their creator's next new project
+          workspace: p.workspace && { id: p.workspace.id, name: p.workspace.name },
+          role: p.workspace ? p.workspace.members[0]?.role : 'owner',
           brand: p.brand,
           competitorCount: p.competitors.length,
           snapshotCount: p._count.snapshots,
@@ -35,35 +50,102 @@ export default async function handler(req, res) {
           currentSOV: p.currentSOV,
           currentGap: p.currentGap,
           currentStatus: p.currentStatus,
+          snapshotSchedule: p.snapshotSchedule,
+          ctrModel: p.ctrModel,
+          locationCode: p.locationCode,
+          languageCode: p.languageCode,
+          marketCount: p._count.markets + 1,
+          nextSnapshotAt: p.nextSnapshotAt,
           createdAt: p.createdAt,
           updatedAt: p.updatedAt
         }))
       });
     } else if (req.method === 'POST') {
       // Create new project
-      const { name, client, brand, competitors = [], marketKeywords = [], positions = {} } = req.body;
+      const {
+        name, client, brand, competitors = [], marketKeywords = [], positions = {}, features = {}, matchTypes = {},
+        snapshotSchedule = null, ctrModel = 'industry', ctrCurve = null, markets = [], brandTerms = [],
+        expandedKeywords = [], keywordMatchMode = DEFAULT_MATCH_MODE, keywordMatchThreshold = DEFAULT_MATCH_THRESHOLD,
+        domainAggregation = DEFAULT_DOMAIN_AGGREGATION, extraPositions = {}, workspaceId
+      } = req.body;
 
       if (!name || !brand?.name) {
         return res.status(400).json({ error: 'Project name and brand name required' });
       }
 
+      // New projects go to the given workspace, where the user must be an editor, or their own
+      if (workspaceId && !await requireWorkspaceRole(res, workspaceId, user, 'editor')) return;
+
+      if (snapshotSchedule && !SNAPSHOT_SCHEDULES.includes(snapshotSchedule)) {
+        return res.status(400).json({ error: `Snapshot schedule must be one of: ${SNAPSHOT_SCHEDULES.join(', ')}` });
+      }
+
+      if (validateMarket(req.body)) {
+        return res.status(400).json({ error: validateMarket(req.body) });
+      }
+
+      if (validateMarkets(markets, req.body)) {
+        return res.status(400).json({ error: validateMarkets(markets, req.body) });
+      }
+
+      if (validateBrandTerms(brandTerms)) {
+        return res.status(400).json({ error: validateBrandTerms(brandTerms) });
+      }
+
+      if (validateExpandedKeywords(expandedKeywords)) {
+        return res.status(400).json({ error: validateExpandedKeywords(expandedKeywords) });
+      }
+
+      const domainsError = [brand, ...competitors].map(b => b.domains && validateBrandDomains(b.domains)).find(Boolean);
+      if (domainsError) {
+        return res.status(400).json({ error: domainsError });
+      }
+
+      if (!DOMAIN_AGGREGATIONS[domainAggregation]) {
+        return res.status(400).json({ error: `Domain aggregation must be one of: ${Object.keys(DOMAIN_AGGREGATIONS).join(', ')}` });
+      }
+
+      if (validateMatchSettings({ keywordMatchMode, keywordMatchThreshold })) {
+        return res.status(400).json({ error: validateMatchSettings({ keywordMatchMode, keywordMatchThreshold }) });
+      }
+
+      if (!CTR_MODELS[ctrModel]) {
+        return res.status(400).json({ error: `CTR model must be one of: ${Object.keys(CTR_MODELS).join(', ')}` });
+      }
+
+      if (ctrModel === 'custom' && validateCtrCurve(ctrCurve)) {
+        return res.status(400).json({ error: validateCtrCurve(ctrCurve) });
+      }
+
+      const targetWorkspaceId = workspaceId || await ensureDefaultWorkspace(user);
+
       const project = await prisma.$transaction(async (tx) => {
         const proj = await tx.project.create({
           data: {
             name,
             client,
             userId: user.id,
+            workspaceId: targetWorkspaceId,
+            ...getMarket(req.body),
+            snapshotSchedule: snapshotSchedule || null,
+            scheduledById: snapshotSchedule ? user.id : null,
+            ctrModel,
+            ctrCurve: ctrModel === 'custom' ? ctrCurve : undefined,
+            keywordMatchMode,
+            keywordMatchThreshold: Number(keywordMatchThreshold ?? DEFAULT_MATCH_THRESHOLD),
+            domainAggregation,
+            nextSnapshotAt: getNextSnapshotDate(snapshotSchedule),
             brand: {
               create: {
                 name: brand.name,
-                domain: brand.domain,
+                ...toBrandDomainData(brand),
                 volume: brand.volume || 0
               }
             },
             competitors: {
               create: competitors.map((c, idx) => ({
                 name: c.name,
-                domain: c.domain,
+                ...toBrandDomainData(c),
                 volume: c.volume || 0,
                 sortOrder: idx
               }))
@@ -72,6 +154,8 @@ export default async function handler(req, res) {
               create: marketKeywords.map((k, idx) => ({
                 keyword: k.keyword,
                 volume: k.volume || 0,
+                serpFeatures: k.serpFeatures || [],
+                segment: k.segment?.trim() || null,
                 sortOrder: idx
               }))
             }
@@ -83,54 +167,25 @@ export default async function handler(req, res) {
           }
         });
 
-        // Create positions
-        for (const [kwIdx, brandPositions] of Object.entries(positions)) {
-          const keyword = proj.keywords[parseInt(kwIdx)];
-          if (keyword) {
-            for (const [brandName, position] of Object.entries(brandPositions)) {
-              await tx.position.create({
-                data: {
-                  keywordId: keyword.id,
-                  brandName,
-                  position
-                }
-              });
-            }
+        // Create positions (organic rank, owned SERP features and how the rank was matched)
+        for (let idx = 0; idx < proj.keywords.length; idx++) {
+          const keyword = proj.keywords.find(k => k.sortOrder === idx);
+          for (const row of getKeywordPositionRows(idx, positions, features, matchTypes, extraPositions)) {
+            await tx.position.create({
+              data: { keywordId: keyword.id, ...row }
+            });
           }
         }
 
+        await replaceBrandTerms(tx, proj.id, null, brandTerms);
+        await replaceExpandedKeywords(tx, proj.id, null, expandedKeywords);
+        await saveMarkets(tx, proj.id, markets);
+
         return proj;
       });
 
       // Calculate initial metrics
-      const snapshot = calculateSnapshot({ brand, competitors, marketKeywords, positions });
-
-      await prisma.$transaction([
-        prisma.snapshot.create({
-          data: {
-            projectId: project.id,
-            date: snapshot.date,
-            brandVolume: snapshot.brandVolume,
-            totalBrandVolume: snapshot.totalBrandVolume,
-            totalMarketVolume: snapshot.totalMarketVolume,
-            visibleVolume: snapshot.visibleVolume,
-            sos: snapshot.sos,
-            sov: snapshot.sov,
-            gap: snapshot.gap,
-            status: snapshot.status,
-            allBrandsData: snapshot.allBrands
-          }
-        }),
-        prisma.project.update({
-          where: { id: project.id },
-          data: {
-            currentSOS: snapshot.sos,
-            currentSOV: snapshot.sov,
-            currentGap: snapshot.gap,
-            currentStatus: snapshot.status
-          }
-        })
-      ]);
+      const { snapshot } = await createProjectSnapshots(project.id);
 
       res.status(201).json({
         message: 'Project created successfully',
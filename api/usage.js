@@ -0,0 +1,71 @@
+import prisma from '../lib/prisma.js';
+import { requireAuth } from '../lib/auth.js';
+import { hasCredentials, fetchAccountBalance } from '../lib/dataforseo.js';
+import { getMonthToDateSpend, getUsageSummary } from '../lib/usage.js';
+
+/**
+ * DataForSEO Usage API
+ * GET - account balance, this month's spend against the budget, daily (30 days) and
+ *       monthly (12 months) totals, and this month's spend per project and endpoint
+ * PUT - set the monthly budget in USD ({ monthlyBudget }, null removes it); paid requests
+ *       that would go over it are refused
+ */
+export default async function handler(req, res) {
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  const user = await requireAuth(req, res);
+  if (!user) return;
+
+  try {
+    if (req.method === 'GET') {
+      const [account, spent, summary] = await Promise.all([
+        prisma.user.findUnique({ where: { id: user.id }, select: { monthlyBudget: true } }),
+        getMonthToDateSpend(user.id),
+        getUsageSummary(user.id)
+      ]);
+
+      // The balance is informational - usage is still shown when DataForSEO can't be reached
+      let balance = null;
+      if (hasCredentials(user)) {
+        try {
+          balance = await fetchAccountBalance(user);
+        } catch (error) {
+          console.error('Usage balance error:', error);
+        }
+      }
+
+      const budget = account.monthlyBudget;
+
+      res.json({
+        balance,
+        month: {
+          spent,
+          budget,
+          remaining: budget != null ? Math.max(0, Math.round((budget - spent) * 10000) / 10000) : null
+        },
+        ...summary
+      });
+    } else if (req.method === 'PUT') {
+      const { monthlyBudget } = req.body;
+      const budget = monthlyBudget === null || monthlyBudget === '' ? null : Number(monthlyBudget);
+
+      if (budget !== null && !(Number.isFinite(budget) && budget >= 0)) {
+        return res.status(400).json({ error: 'Monthly budget must be a positive amount' });
+      }
+
+      await prisma.user.update({
+        where: { id: user.id },
+        data: { monthlyBudget: budget }
+      });
+
+      res.json({ monthlyBudget: budget });
+    } else {
+      res.status(405).json({ error: 'Method not allowed' });
+    }
+  } catch (error) {
+    console.error('Usage error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
@@ -0,0 +1,92 @@
+import prisma from '../../lib/prisma.js';
+import { requireAuth } from '../../lib/auth.js';
+import { requireWorkspaceRole } from '../../lib/workspaces.js';
+
+// Role each method needs in the workspace
+const METHOD_ROLES = { GET: 'viewer', PUT: 'owner', DELETE: 'owner' };
+
+/**
+ * One workspace
+ * GET returns it with its members (and open invitations for owners), PUT { name } renames it,
+ * DELETE removes it once it has no projects left
+ */
+export default async function handler(req, res) {
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  const user = await requireAuth(req, res);
+  if (!user) return;
+
+  const { id } = req.query;
+
+  try {
+    const minimumRole = METHOD_ROLES[req.method];
+    const role = minimumRole && await requireWorkspaceRole(res, id, user, minimumRole);
+    if (minimumRole && !role) return;
+
+    if (req.method === 'GET') {
+      const workspace = await prisma.workspace.findUnique({
+        where: { id },
+        include: {
+          members: {
+            include: { user: { select: { id: true, email: true, name: true } } },
+            orderBy: { createdAt: 'asc' }
+          },
+          invitations: role === 'owner'
+            ? { where: { acceptedAt: null, expiresAt: { gt: new Date() } }, orderBy: { createdAt: 'desc' } }
+            : false,
+          _count: { select: { projects: true } }
+        }
+      });
+
+      res.json({
+        workspace: {
+          id: workspace.id,
+          name: workspace.name,
+          role,
+          projectCount: workspace._count.projects,
+          members: workspace.members.map(m => ({
+            userId: m.user.id,
+            email: m.user.email,
+            name: m.user.name,
+            role: m.role,
+            joinedAt: m.createdAt
+          })),
+          invitations: (workspace.invitations || []).map(i => ({
+            id: i.id,
+            email: i.email,
+            role: i.role,
+            invitedByEmail: i.invitedByEmail,
+            expiresAt: i.expiresAt,
+            createdAt: i.createdAt
+          })),
+          createdAt: workspace.createdAt
+        }
+      });
+    } else if (req.method === 'PUT') {
+      const name = req.body?.name?.trim();
+
+      if (!name) {
+        return res.status(400).json({ error: 'Workspace name required' });
+      }
+
+      await prisma.workspace.update({ where: { id }, data: { name } });
+      res.json({ message: 'Workspace renamed' });
+    } else if (req.method === 'DELETE') {
+      const projectCount = await prisma.project.count({ where: { workspaceId: id } });
+
+      if (projectCount > 0) {
+        return res.status(409).json({ error: 'Move or delete the workspace\'s projects first' });
+      }
+
+      await prisma.workspace.delete({ where: { id } });
+      res.json({ message: 'Workspace deleted' });
+    } else {
+      res.status(405).json({ error: 'Method not allowed' });
+    }
+  } catch (error) {
+    console.error('Workspace error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
@@ -0,0 +1,68 @@
+import prisma from '../../../lib/prisma.js';
+import { requireAuth, validateEmail } from '../../../lib/auth.js';
+import { requireWorkspaceRole, validateRole, createInvitation } from '../../../lib/workspaces.js';
+
+/**
+ * Workspace invitations (owners only)
+ * POST { email, role } emails an invitation link, DELETE { invitationId } revokes an open one
+ */
+export default async function handler(req, res) {
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST' && req.method !== 'DELETE') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const user = await requireAuth(req, res);
+  if (!user) return;
+
+  const { id } = req.query;
+
+  try {
+    if (!await requireWorkspaceRole(res, id, user, 'owner')) return;
+
+    if (req.method === 'POST') {
+      const { email, role = 'viewer' } = req.body || {};
+
+      if (validateEmail(email)) {
+        return res.status(400).json({ error: 'Valid email required' });
+      }
+
+      if (validateRole(role)) {
+        return res.status(400).json({ error: validateRole(role) });
+      }
+
+      const member = await prisma.workspaceMember.findFirst({
+        where: { workspaceId: id, user: { email: email.toLowerCase().trim() } },
+        select: { id: true }
+      });
+      if (member) {
+        return res.status(409).json({ error: 'Already a member of this workspace' });
+      }
+
+      const workspace = await prisma.workspace.findUnique({ where: { id }, select: { id: true, name: true } });
+      const invitation = await createInvitation(workspace, { email, role }, user);
+
+      res.status(201).json({
+        message: `Invitation sent to ${invitation.email}`,
+        invitation: { id: invitation.id, email: invitation.email, role: invitation.role, expiresAt: invitation.expiresAt }
+      });
+    } else {
+      const { invitationId } = req.body || {};
+
+      const { count } = await prisma.workspaceInvitation.deleteMany({
+        where: { id: invitationId, workspaceId: id, acceptedAt: null }
+      });
+      if (count === 0) {
+        return res.status(404).json({ error: 'Invitation not found' });
+      }
+
+      res.json({ message: 'Invitation revoked' });
+    }
+  } catch (error) {
+    console.error('Workspace invitations error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
@@ -0,0 +1,47 @@
+import { requireAuth } from '../../../lib/auth.js';
+import { requireWorkspaceRole, validateRole, updateMember } from '../../../lib/workspaces.js';
+
+/**
+ * Workspace members
+ * PUT { userId, role } changes a member's role, DELETE { userId } removes them (owners only,
+ * except members leaving on their own). The last owner can't be demoted or removed.
+ */
+export default async function handler(req, res) {
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'PUT' && req.method !== 'DELETE') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const user = await requireAuth(req, res);
+  if (!user) return;
+
+  const { id } = req.query;
+
+  try {
+    const { userId, role } = req.body || {};
+
+    if (!userId) {
+      return res.status(400).json({ error: 'Member required' });
+    }
+
+    const leaving = req.method === 'DELETE' && userId === user.id;
+    if (!await requireWorkspaceRole(res, id, user, leaving ? 'viewer' : 'owner')) return;
+
+    if (req.method === 'PUT' && validateRole(role)) {
+      return res.status(400).json({ error: validateRole(role) });
+    }
+
+    const error = await updateMember(id, userId, req.method === 'PUT' ? role : null);
+    if (error) {
+      return res.status(error === 'Member not found' ? 404 : 409).json({ error });
+    }
+
+    res.json({ message: req.method === 'PUT' ? 'Role updated' : leaving ? 'You left the workspace' : 'Member removed' });
+  } catch (error) {
+    console.error('Workspace members error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
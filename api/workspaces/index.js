@@ -0,0 +1,58 @@
+import prisma from '../../lib/prisma.js';
+import { requireAuth } from '../../lib/auth.js';
+
+/**
+ * The user's workspaces
+ * GET lists them with the user's role; POST { name } creates one owned by the user
+ */
+export default async function handler(req, res) {
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  const user = await requireAuth(req, res);
+  if (!user) return;
+
+  try {
+    if (req.method === 'GET') {
+      const memberships = await prisma.workspaceMember.findMany({
+        where: { userId: user.id },
+        include: {
+          workspace: { include: { _count: { select: { members: true, projects: true } } } }
+        },
+        orderBy: { createdAt: 'asc' }
+      });
+
+      res.json({
+        workspaces: memberships.map(({ role, workspace }) => ({
+          id: workspace.id,
+          name: workspace.name,
+          role,
+          memberCount: workspace._count.members,
+          projectCount: workspace._count.projects,
+          createdAt: workspace.createdAt
+        }))
+      });
+    } else if (req.method === 'POST') {
+      const name = req.body?.name?.trim();
+
+      if (!name) {
+        return res.status(400).json({ error: 'Workspace name required' });
+      }
+
+      const workspace = await prisma.workspace.create({
+        data: {
+          name,
+          members: { create: { userId: user.id, role: 'owner' } }
+        }
+      });
+
+      res.status(201).json({ message: 'Workspace created', workspace: { ...workspace, role: 'owner' } });
+    } else {
+      res.status(405).json({ error: 'Method not allowed' });
+    }
+  } catch (error) {
+    console.error('Workspaces error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
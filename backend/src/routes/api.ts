@@ -5,6 +5,10 @@ import { BrandKeyword, RankedKeyword } from '../types/index.js';
 
 const router = Router();
 
+// Every DataForSEO route needs a locationCode: the Vercel API defaults to the United States
+// and this backend used to default to Germany, so a missing one is refused rather than guessed
+const DEFAULT_LANGUAGE_CODE = 'en';
+
 // Test API connection
 router.post('/test-connection', async (req: Request, res: Response) => {
   try {
@@ -29,15 +33,15 @@ router.post('/search-volume', async (req: Request, res: Response) => {
   try {
     const { keywords, locationCode, languageCode, login, password } = req.body;
 
-    if (!keywords?.length || !login || !password) {
-      return res.status(400).json({ error: 'Keywords, login, and password required' });
+    if (!keywords?.length || !locationCode || !login || !password) {
+      return res.status(400).json({ error: 'Keywords, locationCode, login, and password required' });
     }
 
     const client = new DataForSEOClient(login, password);
     const volumes = await client.getSearchVolume(
       keywords,
-      locationCode || 2276,
-      languageCode || 'en'
+      locationCode,
+      languageCode || DEFAULT_LANGUAGE_CODE
     );
 
     res.json(volumes);
@@ -52,15 +56,15 @@ router.post('/clickstream-volume', async (req: Request, res: Response) => {
   try {
     const { keywords, locationCode, languageCode, login, password } = req.body;
 
-    if (!keywords?.length || !login || !password) {
-      return res.status(400).json({ error: 'Keywords, login, and password required' });
+    if (!keywords?.length || !locationCode || !login || !password) {
+      return res.status(400).json({ error: 'Keywords, locationCode, login, and password required' });
     }
 
     const client = new DataForSEOClient(login, password);
     const volumes = await client.getClickstreamSearchVolume(
       keywords,
-      locationCode || 2276,
-      languageCode || 'en'
+      locationCode,
+      languageCode || DEFAULT_LANGUAGE_CODE
     );
 
     res.json(volumes);
@@ -75,15 +79,15 @@ router.post('/ranked-keywords', async (req: Request, res: Response) => {
   try {
     const { domain, locationCode, languageCode, limit, login, password } = req.body;
 
-    if (!domain || !login || !password) {
-      return res.status(400).json({ error: 'Domain, login, and password required' });
+    if (!domain || !locationCode || !login || !password) {
+      return res.status(400).json({ error: 'Domain, locationCode, login, and password required' });
     }
 
     const client = new DataForSEOClient(login, password);
     const keywords = await client.getRankedKeywords(
       domain,
-      locationCode || 2276,
-      languageCode || 'en',
+      locationCode,
+      languageCode || DEFAULT_LANGUAGE_CODE,
       limit || 1000
     );
 
@@ -99,15 +103,15 @@ router.post('/serp-competitors', async (req: Request, res: Response) => {
   try {
     const { keywords, locationCode, languageCode, limit, login, password } = req.body;
 
-    if (!keywords?.length || !login || !password) {
-      return res.status(400).json({ error: 'Keywords, login, and password required' });
+    if (!keywords?.length || !locationCode || !login || !password) {
+      return res.status(400).json({ error: 'Keywords, locationCode, login, and password required' });
     }
 
     const client = new DataForSEOClient(login, password);
     const competitors = await client.getSerpCompetitors(
       keywords,
-      locationCode || 2276,
-      languageCode || 'en',
+      locationCode,
+      languageCode || DEFAULT_LANGUAGE_CODE,
       limit || 100
     );
 
@@ -123,15 +127,15 @@ router.post('/keywords-for-site', async (req: Request, res: Response) => {
   try {
     const { domain, locationCode, languageCode, limit, login, password } = req.body;
 
-    if (!domain || !login || !password) {
-      return res.status(400).json({ error: 'Domain, login, and password required' });
+    if (!domain || !locationCode || !login || !password) {
+      return res.status(400).json({ error: 'Domain, locationCode, login, and password required' });
     }
 
     const client = new DataForSEOClient(login, password);
     const suggestions = await client.getKeywordsForSite(
       domain,
-      locationCode || 2276,
-      languageCode || 'en',
+      locationCode,
+      languageCode || DEFAULT_LANGUAGE_CODE,
       limit || 500
     );
 
@@ -147,15 +151,15 @@ router.post('/related-keywords', async (req: Request, res: Response) => {
   try {
     const { seedKeyword, locationCode, languageCode, limit, login, password } = req.body;
 
-    if (!seedKeyword || !login || !password) {
-      return res.status(400).json({ error: 'Seed keyword, login, and password required' });
+    if (!seedKeyword || !locationCode || !login || !password) {
+      return res.status(400).json({ error: 'Seed keyword, locationCode, login, and password required' });
     }
 
     const client = new DataForSEOClient(login, password);
     const keywords = await client.getRelatedKeywords(
       seedKeyword,
-      locationCode || 2276,
-      languageCode || 'en',
+      locationCode,
+      languageCode || DEFAULT_LANGUAGE_CODE,
       limit || 100
     );
 
@@ -171,15 +175,15 @@ router.post('/keyword-ideas', async (req: Request, res: Response) => {
   try {
     const { seedKeywords, locationCode, languageCode, limit, login, password } = req.body;
 
-    if (!seedKeywords?.length || !login || !password) {
-      return res.status(400).json({ error: 'Seed keywords, login, and password required' });
+    if (!seedKeywords?.length || !locationCode || !login || !password) {
+      return res.status(400).json({ error: 'Seed keywords, locationCode, login, and password required' });
     }
 
     const client = new DataForSEOClient(login, password);
     const ideas = await client.getKeywordIdeas(
       seedKeywords,
-      locationCode || 2276,
-      languageCode || 'en',
+      locationCode,
+      languageCode || DEFAULT_LANGUAGE_CODE,
       limit || 100
     );
 
@@ -226,8 +230,8 @@ router.post('/analyze', async (req: Request, res: Response) => {
       password
     } = req.body;
 
-    if (!domain || !login || !password) {
-      return res.status(400).json({ error: 'Domain, login, and password required' });
+    if (!domain || !locationCode || !login || !password) {
+      return res.status(400).json({ error: 'Domain, locationCode, login, and password required' });
     }
 
     const client = new DataForSEOClient(login, password);
@@ -235,8 +239,8 @@ router.post('/analyze', async (req: Request, res: Response) => {
     // Fetch ranked keywords for SOV (your domain)
     const rankedKeywords = await client.getRankedKeywords(
       domain,
-      locationCode || 2276,
-      languageCode || 'en'
+      locationCode,
+      languageCode || DEFAULT_LANGUAGE_CODE
     );
 
     // If brand keywords provided, fetch their volumes; otherwise use default
@@ -247,8 +251,8 @@ router.post('/analyze', async (req: Request, res: Response) => {
       const allBrandTerms = inputBrandKeywords.map((k: { keyword: string }) => k.keyword);
       const volumes = await client.getSearchVolume(
         allBrandTerms,
-        locationCode || 2276,
-        languageCode || 'en'
+        locationCode,
+        languageCode || DEFAULT_LANGUAGE_CODE
       );
 
       const volumeMap = new Map(volumes.map(v => [v.keyword.toLowerCase(), v.searchVolume]));
@@ -278,8 +282,8 @@ router.post('/analyze', async (req: Request, res: Response) => {
         try {
           const compKeywords = await client.getRankedKeywords(
             compDomain,
-            locationCode || 2276,
-            languageCode || 'en',
+            locationCode,
+            languageCode || DEFAULT_LANGUAGE_CODE,
             500
           );
           competitorData[compDomain] = { rankedKeywords: compKeywords };
@@ -42,8 +42,8 @@ router.post('/', async (req: Request, res: Response) => {
   try {
     const { name, domain, brandName, locationCode, languageCode } = req.body;
 
-    if (!name || !domain || !brandName) {
-      return res.status(400).json({ error: 'Name, domain, and brandName are required' });
+    if (!name || !domain || !brandName || !locationCode) {
+      return res.status(400).json({ error: 'Name, domain, brandName, and locationCode are required' });
     }
 
     const project = await projectService.create({
@@ -15,7 +15,7 @@ export const projectService = {
     name: string;
     domain: string;
     brandName: string;
-    locationCode?: number;
+    locationCode: number;
     languageCode?: string;
   }) {
     return prisma.project.create({ data });
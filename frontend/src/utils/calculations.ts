@@ -1,33 +1,30 @@
 import { BrandKeyword, RankedKeyword, SOSResult, SOVResult, GrowthGapResult } from '../types';
 
-// CTR Curve based on SERP position
+// CTR Curve based on SERP position - industry default, kept in sync with
+// CTR_MODELS.industry in lib/calculations.js so both stacks report the same SOV.
+// Keys are upper position bounds: position 10 gets 2.3%, positions 11-20 get 1%.
 const CTR_CURVE: Record<number, number> = {
-  1: 0.28,   // 28%
-  2: 0.15,   // 15%
-  3: 0.09,   // 9%
-  4: 0.06,   // 6%
-  5: 0.04,   // 4%
-  6: 0.03,   // 3%
-  7: 0.025,  // 2.5%
-  8: 0.02,   // 2%
-  9: 0.018,  // 1.8%
-  10: 0.015, // 1.5%
-  11: 0.012,
-  12: 0.01,
-  13: 0.009,
-  14: 0.008,
-  15: 0.007,
-  16: 0.006,
-  17: 0.005,
-  18: 0.004,
-  19: 0.003,
-  20: 0.002
+  1: 0.316,
+  2: 0.158,
+  3: 0.110,
+  4: 0.077,
+  5: 0.053,
+  6: 0.043,
+  7: 0.035,
+  8: 0.030,
+  9: 0.026,
+  10: 0.023,
+  20: 0.01,
+  50: 0.005,
+  100: 0.001
 };
 
+const CTR_BOUNDS = Object.keys(CTR_CURVE).map(Number).sort((a, b) => a - b);
+
 export function getCTR(position: number): number {
-  if (position <= 0) return 0;
-  if (position > 20) return 0.001;
-  return CTR_CURVE[position] || 0.001;
+  if (!position || position <= 0) return 0;
+  const bound = CTR_BOUNDS.find(b => position <= b);
+  return bound ? CTR_CURVE[bound] : 0;
 }
 
 // Calculate Share of Search
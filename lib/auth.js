@@ -1,15 +1,17 @@
+import crypto from 'node:crypto';
 import jwt from 'jsonwebtoken';
 import bcrypt from 'bcryptjs';
 import prisma from './prisma.js';
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+// Access tokens are short-lived; sessions renew them with a refresh token (lib/sessions.js)
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
 
 /**
- * Generate JWT token
+ * Generate an access token (JWT) for a session
  */
-export function generateToken(userId) {
-  return jwt.sign({ userId }, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
+export function generateAccessToken(userId, sessionId) {
+  return jwt.sign({ userId, sid: sessionId }, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
 }
 
 /**
@@ -37,8 +39,70 @@ export async function comparePassword(password, hash) {
   return bcrypt.compare(password, hash);
 }
 
+/**
+ * Random token for emailed links (password resets, invitations)
+ */
+export function generateSecretToken() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * SHA-256 hash a secret token is stored as, so a leaked database can't be used to redeem it
+ */
+export function hashSecretToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// No whitespace (and so no line breaks, which would end up in mail headers) or angle brackets
+const EMAIL_PATTERN = /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/;
+
+/**
+ * Validate an email address
+ * Returns an error message, or null when it is acceptable
+ */
+export function validateEmail(email) {
+  if (typeof email !== 'string' || !EMAIL_PATTERN.test(email.trim())) {
+    return 'Invalid email address';
+  }
+
+  return null;
+}
+
+/**
+ * Validate a new password
+ * Returns an error message, or null when it is acceptable
+ */
+export function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < 8) {
+    return 'Password must be at least 8 characters';
+  }
+
+  return null;
+}
+
+/**
+ * Address of the client making a request
+ * Vercel's proxy appends the address it was connected from to X-Forwarded-For, so only the
+ * last entry can be trusted; earlier ones are whatever the client sent
+ */
+export function getClientIp(req) {
+  const forwardedFor = req.headers['x-forwarded-for'];
+  const address = forwardedFor ? forwardedFor.split(',').at(-1) : req.socket?.remoteAddress;
+  return address?.trim() || null;
+}
+
+/**
+ * Whether a user is an admin: their email is listed in ADMIN_EMAILS (comma-separated)
+ */
+export function isAdmin(user) {
+  const adminEmails = (process.env.ADMIN_EMAILS || '').split(',').map(e => e.trim().toLowerCase()).filter(Boolean);
+  return !!user?.email && adminEmails.includes(user.email.toLowerCase());
+}
+
 /**
  * Get user from request (middleware helper)
+ * The token's session must still be active, so revoked sessions end at once; the user
+ * gets the session's id as `sessionId`
  */
 export async function getUserFromRequest(req) {
   const authHeader = req.headers.authorization;
@@ -50,23 +114,34 @@ export async function getUserFromRequest(req) {
   const token = authHeader.split(' ')[1];
   const decoded = verifyToken(token);
 
-  if (!decoded) {
+  if (!decoded?.sid) {
     return null;
   }
 
   try {
-    const user = await prisma.user.findUnique({
-      where: { id: decoded.userId },
+    const session = await prisma.session.findUnique({
+      where: { id: decoded.sid },
       select: {
-        id: true,
-        email: true,
-        name: true,
-        dataForSeoLogin: true,
-        dataForSeoPassword: true,
-        createdAt: true
+        userId: true,
+        revokedAt: true,
+        expiresAt: true,
+        user: {
+          select: {
+            id: true,
+            email: true,
+            name: true,
+            dataForSeoLogin: true,
+            createdAt: true
+          }
+        }
       }
     });
-    return user;
+
+    if (!session || session.userId !== decoded.userId || session.revokedAt || session.expiresAt <= new Date()) {
+      return null;
+    }
+
+    return { ...session.user, sessionId: decoded.sid };
   } catch (error) {
     console.error('Error fetching user:', error);
     return null;
@@ -86,3 +161,18 @@ export async function requireAuth(req, res) {
 
   return user;
 }
+
+/**
+ * Require an admin (returns error response if not)
+ */
+export async function requireAdmin(req, res) {
+  const user = await requireAuth(req, res);
+  if (!user) return null;
+
+  if (!isAdmin(user)) {
+    res.status(403).json({ error: 'Admins only' });
+    return null;
+  }
+
+  return user;
+}
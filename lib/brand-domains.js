@@ -0,0 +1,146 @@
+/**
+ * Brand Domains
+ * A brand can rank with several sites: country domains (brand.de, brand.at), shop subdomains
+ * or its pages on a marketplace. Each brand keeps a list of domain targets, matched against
+ * result URLs by exact host:
+ *   brand.com              brand.com and www.brand.com only
+ *   *.brand.com            brand.com and every subdomain
+ *   amazon.de/stores/brand URLs on that host whose path starts with /stores/brand (* matches within a path segment)
+ *   brand                  a bare name (no dot) matches any host with that label (brand.com, shop.brand.de)
+ * Projects pick whether a keyword credits the brand's best-ranking target or sums them all.
+ */
+
+export const DOMAIN_AGGREGATIONS = {
+  best: { label: 'Best-ranking domain', description: 'Each keyword counts the position of the brand\'s best-ranking domain' },
+  sum: { label: 'Sum across domains', description: 'Each keyword counts the visibility of every domain of the brand that ranks' }
+};
+
+export const DEFAULT_DOMAIN_AGGREGATION = 'best';
+
+/**
+ * Split a domain target into { host, path, wildcard, bare }
+ */
+export function parseDomainTarget(value) {
+  const cleaned = value.trim().toLowerCase().replace(/^https?:\/\//, '');
+  const slash = cleaned.indexOf('/');
+  const rawHost = slash === -1 ? cleaned : cleaned.slice(0, slash);
+  const host = rawHost.replace(/^\*\./, '').replace(/^www\./, '');
+
+  return {
+    host,
+    path: slash === -1 ? '' : cleaned.slice(slash).replace(/\/+$/, ''),
+    wildcard: rawHost.startsWith('*.'),
+    bare: !host.includes('.')
+  };
+}
+
+function toPathPattern(path) {
+  const escaped = path.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^/]*');
+  return new RegExp(`^${escaped}(?=/|$)`);
+}
+
+function pathOf(url) {
+  try {
+    return new URL(url).pathname.toLowerCase();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Build a matcher for a brand's targets: (host, url) → whether the result belongs to the brand
+ */
+export function createDomainMatcher(targets) {
+  const rules = targets.map(parseDomainTarget).map(target => ({
+    ...target,
+    pattern: target.path ? toPathPattern(target.path) : null
+  }));
+
+  return (host, url) => {
+    const itemHost = (host || (url && url.replace(/^https?:\/\//, '').split('/')[0]) || '')
+      .toLowerCase()
+      .replace(/^www\./, '');
+    if (!itemHost) return false;
+
+    return rules.some(rule => {
+      const hostMatches = rule.bare
+        ? itemHost.split('.').includes(rule.host)
+        : itemHost === rule.host || (rule.wildcard && itemHost.endsWith(`.${rule.host}`));
+      if (!hostMatches) return false;
+      if (!rule.pattern) return true;
+
+      const path = url && pathOf(url);
+      return !!path && rule.pattern.test(path);
+    });
+  };
+}
+
+/**
+ * The domain targets of a brand: its domain list, its single domain, or nothing
+ */
+export function getBrandDomains(brand) {
+  if (brand?.domains?.length) return brand.domains;
+  return brand?.domain ? [brand.domain] : [];
+}
+
+/**
+ * Targets positions are looked up with, falling back to the brand name like the project modal does
+ */
+export function getBrandTargets(brand) {
+  const domains = getBrandDomains(brand);
+  return domains.length > 0 ? domains : [brand.name];
+}
+
+/**
+ * Group the domains of a positions request into brands
+ * Each entry is one domain or the list of a brand's domain targets, keyed by its first target
+ */
+export function groupDomainTargets(domains) {
+  return domains.map(entry => {
+    const targets = (Array.isArray(entry) ? entry : [entry]).filter(t => typeof t === 'string' && t.trim());
+    return { key: targets[0], targets };
+  }).filter(group => group.targets.length > 0);
+}
+
+// Second-level labels of country domains (nike.co.uk, nike.com.au)
+const SECOND_LEVEL_LABELS = ['co', 'com', 'net', 'org', 'gov', 'ac', 'or', 'ne'];
+
+/**
+ * Brand name suggested for a domain: its registrable label, capitalized
+ * (shop.nike.co.uk → Nike, the-north-face.com → The North Face)
+ */
+export function suggestBrandName(domain) {
+  const labels = parseDomainTarget(domain).host.split('.');
+  if (labels.length > 1) labels.pop();
+  if (labels.length > 1 && SECOND_LEVEL_LABELS.includes(labels[labels.length - 1])) labels.pop();
+
+  return labels[labels.length - 1]
+    .split('-')
+    .filter(Boolean)
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+/**
+ * Validate the domain targets of a brand from a request
+ * Returns an error message, or null when every target is valid
+ */
+export function validateBrandDomains(domains) {
+  if (!Array.isArray(domains)) {
+    return 'Brand domains must be an array';
+  }
+
+  const invalid = domains.find(d => typeof d !== 'string' || !d.trim() || /\s/.test(d.trim()) || !parseDomainTarget(d).host);
+  return invalid !== undefined ? `Invalid domain "${invalid}"` : null;
+}
+
+/**
+ * Domain columns stored for a brand from a request ({ domain?, domains? })
+ * `domain` stays the brand's first target
+ */
+export function toBrandDomainData(brand) {
+  const domains = (brand.domains || (brand.domain ? [brand.domain] : []))
+    .map(d => d.trim())
+    .filter(Boolean);
+  return { domain: domains[0] || null, domains: [...new Set(domains)] };
+}
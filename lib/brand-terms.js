@@ -0,0 +1,97 @@
+/**
+ * Brand Term Sets
+ * Share of Search counts every query people use to look for a brand, not just its name:
+ * "nike", "nike shoes", "nikey", sub-brands. Include terms are summed into the brand's
+ * volume, exclude terms are never counted and keep unrelated variants out of suggestions.
+ */
+
+export const TERM_RULES = ['include', 'exclude'];
+
+// Whole-word match, so excluding "air" drops "nike air max" but not "nike airline"
+function containsTerm(text, term) {
+  return ` ${text.toLowerCase().trim()} `.includes(` ${term.toLowerCase().trim()} `);
+}
+
+/**
+ * Whether a candidate term is ruled out by one of the exclude terms
+ */
+export function isExcludedTerm(term, terms = []) {
+  return terms.some(t => t.rule === 'exclude' && containsTerm(term, t.term));
+}
+
+/**
+ * Brand volume from its term set: the summed volume of include terms that no exclude term
+ * rules out. Brands without include terms keep the volume fetched for their name.
+ */
+export function getBrandTermVolume(brand, terms = []) {
+  const included = terms.filter(t => t.rule !== 'exclude');
+  if (included.length === 0) return brand?.volume || 0;
+
+  return included
+    .filter(t => !isExcludedTerm(t.term, terms))
+    .reduce((sum, t) => sum + (t.volume || 0), 0);
+}
+
+/**
+ * Validate the term sets from a request ([{ brandName, term, rule, volume }])
+ * Returns an error message, or null when every term is valid
+ */
+export function validateBrandTerms(brandTerms) {
+  if (!Array.isArray(brandTerms)) {
+    return 'Brand terms must be an array';
+  }
+
+  for (const t of brandTerms) {
+    if (!t?.brandName || !t.term?.trim()) {
+      return 'Every brand term needs a brand and a term';
+    }
+    if (t.rule !== undefined && !TERM_RULES.includes(t.rule)) {
+      return `Term rule must be one of: ${TERM_RULES.join(', ')}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Group stored terms by brand name: { brandName: [{ term, rule, volume }] }
+ */
+export function groupBrandTerms(rows = []) {
+  const grouped = {};
+  rows.forEach(row => {
+    grouped[row.brandName] = grouped[row.brandName] || [];
+    grouped[row.brandName].push({ term: row.term, rule: row.rule, volume: row.volume });
+  });
+  return grouped;
+}
+
+/**
+ * Replace the term sets of one market
+ * Terms are de-duplicated per brand (case-insensitive), the first occurrence wins
+ */
+export async function replaceBrandTerms(tx, projectId, marketId, brandTerms) {
+  await tx.brandTerm.deleteMany({ where: { projectId, marketId } });
+
+  const seen = new Set();
+  const data = brandTerms
+    .map(t => ({ ...t, term: t.term.trim().toLowerCase() }))
+    .filter(t => {
+      const key = `${t.brandName}::${t.term}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .map((t, idx) => ({
+      projectId,
+      marketId,
+      brandName: t.brandName,
+      term: t.term,
+      rule: t.rule || 'include',
+      volume: parseInt(t.volume) || 0,
+      sortOrder: idx
+    }));
+
+  if (data.length > 0) {
+    await tx.brandTerm.createMany({ data });
+  }
+}
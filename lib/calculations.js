@@ -3,36 +3,212 @@
  * Handles SOS, SOV, and Gap calculations
  */
 
-// CTR model based on position (Sistrix/industry averages)
-const CTR_BY_POSITION = {
-  1: 0.316,
-  2: 0.158,
-  3: 0.110,
-  4: 0.077,
-  5: 0.053,
-  6: 0.043,
-  7: 0.035,
-  8: 0.030,
-  9: 0.026,
-  10: 0.023
+// CTR models based on position
+// Curves map an upper position bound to its CTR: { 10: 0.023, 20: 0.01 } means
+// position 10 gets 2.3% and positions 11-20 get 1%. Positions past the last bound get 0.
+export const CTR_MODELS = {
+  industry: {
+    label: 'Industry default',
+    description: 'Sistrix/industry averages across all SERP types',
+    curve: {
+      1: 0.316, 2: 0.158, 3: 0.110, 4: 0.077, 5: 0.053,
+      6: 0.043, 7: 0.035, 8: 0.030, 9: 0.026, 10: 0.023,
+      20: 0.01, 50: 0.005, 100: 0.001
+    }
+  },
+  branded: {
+    label: 'Branded SERP',
+    description: 'Navigational queries where the top result takes most clicks',
+    curve: {
+      1: 0.50, 2: 0.15, 3: 0.08, 4: 0.05, 5: 0.035,
+      6: 0.025, 7: 0.02, 8: 0.016, 9: 0.013, 10: 0.011,
+      20: 0.005, 50: 0.002, 100: 0.001
+    }
+  },
+  mobile: {
+    label: 'Mobile',
+    description: 'Mobile SERPs with fewer results above the fold',
+    curve: {
+      1: 0.27, 2: 0.13, 3: 0.085, 4: 0.06, 5: 0.042,
+      6: 0.032, 7: 0.025, 8: 0.02, 9: 0.017, 10: 0.015,
+      20: 0.006, 50: 0.002, 100: 0.0005
+    }
+  },
+  custom: {
+    label: 'Custom curve',
+    description: 'Uploaded position → CTR curve',
+    curve: null
+  }
 };
 
+export const DEFAULT_CTR_MODEL = 'industry';
+
+/**
+ * Validate a custom CTR curve ({ position: ctr })
+ * Returns an error message, or null when the curve is valid
+ */
+export function validateCtrCurve(curve) {
+  if (!curve || typeof curve !== 'object' || Array.isArray(curve)) {
+    return 'CTR curve must be an object of position → CTR';
+  }
+
+  const entries = Object.entries(curve);
+  if (entries.length === 0) {
+    return 'CTR curve must define at least one position';
+  }
+
+  for (const [position, ctr] of entries) {
+    const pos = Number(position);
+    if (!Number.isInteger(pos) || pos < 1 || pos > 100) {
+      return `Invalid position "${position}" - positions must be whole numbers between 1 and 100`;
+    }
+    if (typeof ctr !== 'number' || ctr < 0 || ctr > 1) {
+      return `Invalid CTR for position ${position} - CTR must be a number between 0 and 1`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Resolve the CTR curve for a model name, falling back to the industry default
+ */
+export function resolveCtrCurve(ctrModel, customCurve) {
+  if (ctrModel === 'custom' && customCurve && !validateCtrCurve(customCurve)) {
+    return customCurve;
+  }
+  return CTR_MODELS[ctrModel]?.curve || CTR_MODELS[DEFAULT_CTR_MODEL].curve;
+}
+
 /**
  * Get CTR for a SERP position
  */
-function getCTR(position) {
-  if (!position || position > 100) return 0;
-  if (position <= 10) return CTR_BY_POSITION[position];
-  if (position <= 20) return 0.01;
-  if (position <= 50) return 0.005;
-  return 0.001;
+export function getCTR(position, curve = CTR_MODELS[DEFAULT_CTR_MODEL].curve) {
+  if (!position || position < 1) return 0;
+
+  const bound = Object.keys(curve)
+    .map(Number)
+    .sort((a, b) => a - b)
+    .find(b => position <= b);
+
+  return bound ? curve[bound] : 0;
+}
+
+// SERP features that take clicks away from the organic results
+// ctr: share of the keyword's clicks won by the domain that owns the feature
+// organicShare: multiplier applied to organic CTR when the feature is on the SERP
+export const SERP_FEATURES = {
+  featured_snippet: { label: 'Featured snippet', ctr: 0.08, organicShare: 0.9 },
+  local_pack: { label: 'Local pack', ctr: 0.15, organicShare: 0.8 },
+  shopping: { label: 'Shopping', ctr: 0.06, organicShare: 0.9 },
+  people_also_ask: { label: 'People also ask', ctr: 0.03, organicShare: 0.95 }
+};
+
+/**
+ * Split a keyword's visible volume for one brand into organic and SERP feature clicks
+ * `features` are the features the brand owns, `serpFeatures` everything shown on the SERP,
+ * `extraPositions` the positions of the brand's other domains when they are summed
+ */
+export function getKeywordVisibility({ volume = 0, position, extraPositions = [], features = [], serpFeatures = [] }, curve) {
+  const present = new Set([...serpFeatures, ...features].filter(f => SERP_FEATURES[f]));
+  const organicShare = [...present].reduce((share, f) => share * SERP_FEATURES[f].organicShare, 1);
+  const featureCtr = [...new Set(features)]
+    .filter(f => SERP_FEATURES[f])
+    .reduce((sum, f) => sum + SERP_FEATURES[f].ctr, 0);
+
+  return {
+    organic: volume * [position, ...(extraPositions || [])].reduce((ctr, p) => ctr + getCTR(p, curve), 0) * organicShare,
+    feature: volume * featureCtr
+  };
+}
+
+/**
+ * Classify the SOV - SOS gap
+ */
+export function getGapStatus(gap) {
+  if (gap > 5) return 'growing';
+  if (gap < -5) return 'declining';
+  return 'neutral';
+}
+
+/**
+ * Metrics of one keyword segment from its summed volumes
+ * `visible` maps brand names to their visible volume in the segment
+ */
+function toSegmentMetrics({ name, keywordCount, totalVolume, visible }, brands) {
+  const segmentBrands = brands.map(b => ({
+    name: b.name,
+    isBrand: !!b.isBrand,
+    visibleVolume: Math.round(visible[b.name] || 0),
+    sov: totalVolume > 0 ? ((visible[b.name] || 0) / totalVolume) * 100 : 0
+  }));
+  const ownBrand = segmentBrands.find(b => b.isBrand);
+  const leader = [...segmentBrands].sort((a, b) => b.visibleVolume - a.visibleVolume)[0];
+
+  return {
+    name,
+    keywordCount,
+    totalVolume,
+    sov: ownBrand?.sov || 0,
+    visibleVolume: ownBrand?.visibleVolume || 0,
+    // Brand with the most visible volume, null while nobody is visible
+    leader: leader?.visibleVolume > 0 ? leader.name : null,
+    brands: segmentBrands
+  };
+}
+
+/**
+ * SOV per keyword segment: each brand's visible volume as a share of the segment's volume
+ * `visibility` is the visible volume per keyword index and brand name
+ */
+function calculateSegments(keywords, brands, visibility) {
+  const segmentMap = new Map();
+
+  keywords.forEach((kw, idx) => {
+    if (!kw.segment) return;
+    const segment = segmentMap.get(kw.segment) || { name: kw.segment, keywordCount: 0, totalVolume: 0, visible: {} };
+    segment.keywordCount++;
+    segment.totalVolume += kw.volume || 0;
+    brands.forEach(b => {
+      segment.visible[b.name] = (segment.visible[b.name] || 0) + (visibility[idx]?.[b.name] || 0);
+    });
+    segmentMap.set(kw.segment, segment);
+  });
+
+  return [...segmentMap.values()].map(segment => toSegmentMetrics(segment, brands));
+}
+
+// Every tracked keyword, with the positions entered or fetched for it, plus the curated
+// expanded keywords that aren't tracked, with the rankings matched for them. These are the
+// keywords buildSnapshotPositions stores, so a recalculated snapshot sums the same universe
+function getUniverseKeywords(expandedKeywords, seedKeywords) {
+  const seeds = new Set(seedKeywords.map(kw => kw.keyword.toLowerCase()));
+
+  const expanded = expandedKeywords
+    .filter(kw => !seeds.has(kw.keyword.toLowerCase()))
+    .map(kw => ({
+      keyword: kw.keyword,
+      volume: kw.volume || 0,
+      serpFeatures: kw.serpFeatures,
+      positions: kw.positions || {},
+      extraPositions: kw.extraPositions || {},
+      features: kw.features || {}
+    }));
+
+  return [...seedKeywords, ...expanded];
 }
 
 /**
  * Calculate metrics snapshot
  */
 export function calculateSnapshot(project) {
-  const { brand, competitors, marketKeywords, positions, expandedKeywords, expandedTotalMarketVolume, expansionStats } = project;
+  const {
+    brand, competitors, marketKeywords, positions, extraPositions, features, expandedKeywords, expandedTotalMarketVolume, expansionStats
+  } = project;
+  const ctrModel = CTR_MODELS[project.ctrModel] ? project.ctrModel : DEFAULT_CTR_MODEL;
+  // Brands with several domains count every ranking domain, or only their best one
+  const domainAggregation = project.domainAggregation === 'sum' ? 'sum' : 'best';
+  const ctrCurve = resolveCtrCurve(ctrModel, project.customCtrCurve);
 
   const allBrands = [
     { ...brand, isBrand: true },
@@ -49,38 +225,67 @@ export function calculateSnapshot(project) {
   });
 
   // Share of Voice
-  // Use seed keywords for position-based visibility calculation
-  const seedKeywords = marketKeywords || [];
+  const seedKeywords = (marketKeywords || []).map((kw, idx) => ({
+    ...kw,
+    positions: positions?.[idx] || {},
+    extraPositions: extraPositions?.[idx] || {},
+    features: features?.[idx] || {}
+  }));
   const seedKeywordVolume = seedKeywords.reduce((sum, k) => sum + (k.volume || 0), 0);
 
-  // Use expanded Total Market Volume if available, otherwise use seed keywords volume
+  // With expanded data the market is the tracked keywords plus the expanded category,
+  // otherwise the tracked keywords alone. Visibility is measured over the same keywords the
+  // market volume is summed from
   const hasExpandedData = expandedKeywords && expandedTotalMarketVolume > 0;
-  const totalMarketVolume = hasExpandedData ? expandedTotalMarketVolume : seedKeywordVolume;
+  const universe = hasExpandedData ? getUniverseKeywords(expandedKeywords, seedKeywords) : seedKeywords;
+  const totalMarketVolume = hasExpandedData
+    ? universe.reduce((sum, k) => sum + (k.volume || 0), 0)
+    : seedKeywordVolume;
+
+  const toShare = (volume) => totalMarketVolume > 0 ? (volume / totalMarketVolume) * 100 : 0;
+  const getVisibility = (kw, brandName) => getKeywordVisibility({
+    volume: kw.volume || 0,
+    position: kw.positions[brandName],
+    extraPositions: domainAggregation === 'sum' ? kw.extraPositions[brandName] : [],
+    features: kw.features[brandName],
+    serpFeatures: kw.serpFeatures
+  }, ctrCurve);
 
   allBrands.forEach(b => {
-    let visibleVolume = 0;
-
-    // Calculate visible volume based on seed keywords positions
-    // Note: For a more accurate SOV, we'd need positions for all expanded keywords
-    // Currently using seed keywords for visibility calculation
-    seedKeywords.forEach((kw, idx) => {
-      const pos = positions?.[idx]?.[b.name];
-      const ctr = getCTR(pos);
-      visibleVolume += (kw.volume || 0) * ctr;
+    let organicVolume = 0;
+    let featureVolume = 0;
+
+    universe.forEach(kw => {
+      const visibility = getVisibility(kw, b.name);
+      organicVolume += visibility.organic;
+      featureVolume += visibility.feature;
     });
 
+    const visibleVolume = organicVolume + featureVolume;
+    b.organicVisibleVolume = Math.round(organicVolume);
+    b.featureVisibleVolume = Math.round(featureVolume);
     b.visibleVolume = Math.round(visibleVolume);
-    b.sov = totalMarketVolume > 0
-      ? (visibleVolume / totalMarketVolume) * 100
-      : 0;
+    b.organicSov = toShare(organicVolume);
+    b.featureSov = toShare(featureVolume);
+    b.sov = toShare(visibleVolume);
   });
 
+  // Segments are tagged on the tracked seed keywords
+  const keywordVisibility = seedKeywords.map(kw => Object.fromEntries(allBrands.map(b => {
+    const { organic, feature } = getVisibility(kw, b.name);
+    return [b.name, organic + feature];
+  })));
+
+  // Position coverage: market volume on keywords where at least one brand ranks or owns a feature
+  const coveredKeywords = universe.filter(kw =>
+    Object.values(kw.positions).some(Boolean) || Object.values(kw.features).some(f => f?.length > 0)
+  );
+  const coveredVolume = coveredKeywords.reduce((sum, kw) => sum + (kw.volume || 0), 0);
+
   const brandMetrics = allBrands.find(b => b.isBrand);
   const gap = (brandMetrics?.sov || 0) - (brandMetrics?.sos || 0);
 
-  let status = 'neutral';
-  if (gap > 5) status = 'growing';
-  else if (gap < -5) status = 'declining';
+  const status = getGapStatus(gap);
 
   return {
     date: new Date().toISOString().slice(0, 7),
@@ -95,6 +300,14 @@ export function calculateSnapshot(project) {
     gap,
     status,
     allBrands,
+    segments: calculateSegments(seedKeywords, allBrands, keywordVisibility),
+    coveredVolume,
+    coverage: toShare(coveredVolume),
+    coveredKeywordCount: coveredKeywords.length,
+    universeKeywordCount: universe.length,
+    ctrModel,
+    ctrCurve,
+    domainAggregation,
     // Expansion metadata
     hasExpandedData,
     expansionStats: hasExpandedData ? expansionStats : null,
@@ -103,6 +316,90 @@ export function calculateSnapshot(project) {
   };
 }
 
+/**
+ * Roll per-market snapshots up into one snapshot across markets
+ * Volumes are summed before shares are taken, so each market weighs in with its search volume:
+ * SOS is the brand's share of all brand searches, SOV its share of all market volume
+ */
+export function calculateRollup(marketSnapshots) {
+  const sum = (items, key) => items.reduce((total, item) => total + (item[key] || 0), 0);
+  const toShare = (volume, total) => total > 0 ? (volume / total) * 100 : 0;
+
+  const brandMap = new Map();
+  marketSnapshots.forEach(snapshot => (snapshot.allBrands || []).forEach(b => {
+    const entries = brandMap.get(b.name) || [];
+    entries.push(b);
+    brandMap.set(b.name, entries);
+  }));
+
+  const totalBrandVolume = sum(marketSnapshots, 'totalBrandVolume');
+  const totalMarketVolume = sum(marketSnapshots, 'totalMarketVolume');
+  const coveredVolume = sum(marketSnapshots, 'coveredVolume');
+
+  const allBrands = [...brandMap.entries()].map(([name, entries]) => {
+    const volume = sum(entries, 'volume');
+    const organicVisibleVolume = sum(entries, 'organicVisibleVolume');
+    const featureVisibleVolume = sum(entries, 'featureVisibleVolume');
+    const visibleVolume = sum(entries, 'visibleVolume');
+
+    return {
+      name,
+      domain: entries[0].domain,
+      isBrand: entries.some(b => b.isBrand),
+      volume,
+      sos: toShare(volume, totalBrandVolume),
+      organicVisibleVolume,
+      featureVisibleVolume,
+      visibleVolume,
+      organicSov: toShare(organicVisibleVolume, totalMarketVolume),
+      featureSov: toShare(featureVisibleVolume, totalMarketVolume),
+      sov: toShare(visibleVolume, totalMarketVolume)
+    };
+  });
+
+  const brandMetrics = allBrands.find(b => b.isBrand);
+  const gap = (brandMetrics?.sov || 0) - (brandMetrics?.sos || 0);
+
+  // Segments with the same name are merged across markets
+  const segmentMap = new Map();
+  marketSnapshots.forEach(snapshot => (snapshot.segments || []).forEach(s => {
+    const segment = segmentMap.get(s.name) || { name: s.name, keywordCount: 0, totalVolume: 0, visible: {} };
+    segment.keywordCount += s.keywordCount;
+    segment.totalVolume += s.totalVolume;
+    s.brands.forEach(b => {
+      segment.visible[b.name] = (segment.visible[b.name] || 0) + b.visibleVolume;
+    });
+    segmentMap.set(s.name, segment);
+  }));
+
+  return {
+    date: new Date().toISOString().slice(0, 7),
+    timestamp: new Date().toISOString(),
+    brandVolume: sum(marketSnapshots, 'brandVolume'),
+    totalBrandVolume,
+    totalMarketVolume,
+    seedKeywordVolume: sum(marketSnapshots, 'seedKeywordVolume'),
+    sos: brandMetrics?.sos || 0,
+    sov: brandMetrics?.sov || 0,
+    visibleVolume: brandMetrics?.visibleVolume || 0,
+    gap,
+    status: getGapStatus(gap),
+    allBrands,
+    segments: [...segmentMap.values()].map(segment => toSegmentMetrics(segment, allBrands)),
+    coveredVolume,
+    coverage: toShare(coveredVolume, totalMarketVolume),
+    coveredKeywordCount: sum(marketSnapshots, 'coveredKeywordCount'),
+    universeKeywordCount: sum(marketSnapshots, 'universeKeywordCount'),
+    ctrModel: marketSnapshots[0]?.ctrModel || DEFAULT_CTR_MODEL,
+    ctrCurve: marketSnapshots[0]?.ctrCurve || CTR_MODELS[DEFAULT_CTR_MODEL].curve,
+    hasExpandedData: false,
+    expansionStats: null,
+    expandedKeywordCount: 0,
+    seedKeywordCount: sum(marketSnapshots, 'seedKeywordCount'),
+    marketCount: marketSnapshots.length
+  };
+}
+
 /**
  * Generate recommendations based on metrics
  */
@@ -0,0 +1,119 @@
+/**
+ * DataForSEO Response Cache
+ * Keeps task results in Postgres so repeated lookups (reopening the project modal,
+ * expanding the same category again) don't bill the same keywords twice
+ */
+
+import crypto from 'node:crypto';
+import prisma from './prisma.js';
+
+const DEFAULT_TTL_HOURS = 24;
+
+/**
+ * How long a cached result stays fresh - DATAFORSEO_CACHE_TTL_HOURS, 0 turns caching off
+ */
+export function getCacheTtlMs() {
+  const hours = parseFloat(process.env.DATAFORSEO_CACHE_TTL_HOURS);
+  return (Number.isFinite(hours) && hours >= 0 ? hours : DEFAULT_TTL_HOURS) * 60 * 60 * 1000;
+}
+
+// JSON with sorted keys, so the order parameters were written in doesn't change the key
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Cache key for a task: endpoint + keyword/target + location + language + remaining parameters
+ */
+export function getCacheKey(endpoint, task) {
+  return crypto.createHash('sha256').update(`${endpoint}|${stableStringify(task)}`).digest('hex');
+}
+
+function getSubject(task) {
+  return String(task.keyword || task.target || (task.keywords || []).join(',')).toLowerCase();
+}
+
+/**
+ * Look up fresh cached results for tasks of one endpoint
+ * Returns a Map of cache key -> { result, cachedAt }
+ * Cache failures are logged and treated as misses - a lookup should never fail because of them
+ */
+export async function readCache(endpoint, tasks) {
+  if (getCacheTtlMs() === 0 || tasks.length === 0) return new Map();
+
+  try {
+    const entries = await prisma.dataForSeoCache.findMany({
+      where: {
+        key: { in: tasks.map(task => getCacheKey(endpoint, task)) },
+        expiresAt: { gt: new Date() }
+      },
+      select: { key: true, result: true, createdAt: true }
+    });
+    return new Map(entries.map(e => [e.key, { result: e.result, cachedAt: e.createdAt }]));
+  } catch (error) {
+    console.error('DataForSEO cache read failed:', error);
+    return new Map();
+  }
+}
+
+/**
+ * Store fresh results ([{ task, result }]) for an endpoint
+ */
+export async function writeCache(endpoint, entries) {
+  const ttlMs = getCacheTtlMs();
+  if (ttlMs === 0 || entries.length === 0) return;
+
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + ttlMs);
+
+  try {
+    await prisma.$transaction(entries.map(({ task, result }) => {
+      const data = { result, createdAt: now, expiresAt };
+      return prisma.dataForSeoCache.upsert({
+        where: { key: getCacheKey(endpoint, task) },
+        update: data,
+        create: {
+          key: getCacheKey(endpoint, task),
+          endpoint,
+          subject: getSubject(task),
+          locationCode: task.location_code ?? null,
+          languageCode: task.language_code ?? null,
+          ...data
+        }
+      });
+    }));
+  } catch (error) {
+    console.error('DataForSEO cache write failed:', error);
+  }
+}
+
+/**
+ * Summarize cache use for an API response from each lookup's cachedAt (null = fetched live)
+ * Returns { hits, misses, cachedAt, ageSeconds } - cachedAt is the oldest cached result
+ */
+export function summarizeCache(cachedAts, now = new Date()) {
+  const hits = cachedAts.filter(Boolean).map(d => new Date(d).getTime());
+  const oldest = hits.length > 0 ? Math.min(...hits) : null;
+
+  return {
+    hits: hits.length,
+    misses: cachedAts.length - hits.length,
+    cachedAt: oldest !== null ? new Date(oldest).toISOString() : null,
+    ageSeconds: oldest !== null ? Math.round((now.getTime() - oldest) / 1000) : null
+  };
+}
+
+/**
+ * Delete expired cache entries, returns how many were removed
+ */
+export async function purgeExpiredCache(now = new Date()) {
+  const { count } = await prisma.dataForSeoCache.deleteMany({ where: { expiresAt: { lte: now } } });
+  return count;
+}
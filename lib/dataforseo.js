@@ -1,31 +1,117 @@
 /**
- * DataForSEO API Helper
- * Uses environment variables as default, falls back to user credentials
+ * DataForSEO API Client
+ * Every DataForSEO call goes through here: credentials (environment first, then the
+ * user's own), bounded concurrency, retries with backoff and typed errors.
+ * A user's password is stored encrypted (lib/encryption.js) and only loaded and decrypted
+ * here, right before a call is sent; user objects elsewhere carry the login alone.
  */
 
-export function getDataForSeoCredentials(user) {
-  // First check environment variables (hardcoded/global)
-  const envLogin = process.env.DATAFORSEO_LOGIN;
-  const envPassword = process.env.DATAFORSEO_PASSWORD;
+import prisma from './prisma.js';
+import { encryptSecret, decryptSecret, isEncryptedSecret, needsRewrap, rewrapSecret } from './encryption.js';
+import { readCache, writeCache, getCacheKey, summarizeCache } from './dataforseo-cache.js';
+import { estimateCost, reserveBudget, settleBudget, recordUsage } from './usage.js';
+import { DEFAULT_LOCATION_CODE, DEFAULT_LANGUAGE_CODE } from './locations.js';
+import { createKeywordMatcher, isStricterMatch } from './keyword-matching.js';
+import { parseDomainTarget, createDomainMatcher, groupDomainTargets, suggestBrandName } from './brand-domains.js';
 
-  if (envLogin && envPassword) {
-    return {
-      login: envLogin,
-      password: envPassword,
-      source: 'environment'
-    };
+/**
+ * Where calls for this user get their credentials: 'environment', 'user' or null (none)
+ * A stored login always comes with a stored password, so the login tells
+ */
+export function getCredentialsSource(user) {
+  // First check environment variables (hardcoded/global)
+  if (process.env.DATAFORSEO_LOGIN && process.env.DATAFORSEO_PASSWORD) {
+    return 'environment';
   }
 
   // Fall back to user-specific credentials
-  if (user?.dataForSeoLogin && user?.dataForSeoPassword) {
-    return {
-      login: user.dataForSeoLogin,
-      password: user.dataForSeoPassword,
-      source: 'user'
-    };
+  return user?.dataForSeoLogin ? 'user' : null;
+}
+
+// Context a user's password is encrypted with, tying the ciphertext to its row
+function getSecretContext(userId) {
+  return `dataforseo:${userId}`;
+}
+
+/**
+ * Store (or with an empty login or password, remove) a user's own credentials
+ */
+export async function saveUserCredentials(userId, login, password) {
+  const hasBoth = !!(login && password);
+
+  await prisma.user.update({
+    where: { id: userId },
+    data: {
+      dataForSeoLogin: hasBoth ? login : null,
+      dataForSeoPasswordEncrypted: hasBoth ? encryptSecret(password, getSecretContext(userId)) : null
+    }
+  });
+
+  return hasBoth;
+}
+
+// The credentials a call is sent with, decrypting the user's password
+async function loadCredentials(user) {
+  const source = getCredentialsSource(user);
+
+  if (source === 'environment') {
+    return { login: process.env.DATAFORSEO_LOGIN, password: process.env.DATAFORSEO_PASSWORD, source };
   }
+  if (!source || !user.id) return null;
 
-  return null;
+  const stored = await prisma.user.findUnique({
+    where: { id: user.id },
+    select: { dataForSeoLogin: true, dataForSeoPasswordEncrypted: true }
+  });
+  const secret = stored?.dataForSeoPasswordEncrypted;
+  if (!stored?.dataForSeoLogin || !secret) return null;
+
+  // Passwords saved before encryption stay readable until credentials:rotate encrypts them
+  if (!isEncryptedSecret(secret)) {
+    return { login: stored.dataForSeoLogin, password: secret, source };
+  }
+
+  try {
+    return { login: stored.dataForSeoLogin, password: decryptSecret(secret, getSecretContext(user.id)), source };
+  } catch (error) {
+    console.error('DataForSEO credentials decryption error:', error.message);
+    throw new DataForSeoError(ERROR_MESSAGES.undecryptable, { type: 'credentials' });
+  }
+}
+
+/**
+ * Encrypt stored passwords that are still plain text and re-wrap those encrypted with an
+ * older key, so the older keys can be removed from CREDENTIALS_ENCRYPTION_KEYS
+ * Returns { encrypted, rewrapped, failed } counts
+ */
+export async function rotateStoredCredentials() {
+  const users = await prisma.user.findMany({
+    where: { dataForSeoPasswordEncrypted: { not: null } },
+    select: { id: true, dataForSeoPasswordEncrypted: true }
+  });
+  const counts = { encrypted: 0, rewrapped: 0, failed: 0 };
+
+  for (const { id, dataForSeoPasswordEncrypted: secret } of users) {
+    try {
+      let updated = null;
+      if (!isEncryptedSecret(secret)) {
+        updated = encryptSecret(secret, getSecretContext(id));
+        counts.encrypted++;
+      } else if (needsRewrap(secret)) {
+        updated = rewrapSecret(secret, getSecretContext(id));
+        counts.rewrapped++;
+      }
+
+      if (updated) {
+        await prisma.user.update({ where: { id }, data: { dataForSeoPasswordEncrypted: updated } });
+      }
+    } catch (error) {
+      console.error(`Credential rotation failed for user ${id}:`, error.message);
+      counts.failed++;
+    }
+  }
+
+  return counts;
 }
 
 export function getAuthHeader(credentials) {
@@ -34,31 +120,654 @@ export function getAuthHeader(credentials) {
   return `Basic ${encoded}`;
 }
 
-export async function dataForSeoRequest(endpoint, body, user) {
-  const credentials = getDataForSeoCredentials(user);
+const DEFAULT_BASE_URL = 'https://api.dataforseo.com/v3';
+
+// Simultaneous DataForSEO requests per function instance
+const MAX_CONCURRENCY = parseInt(process.env.DATAFORSEO_MAX_CONCURRENCY) || 5;
+const MAX_RETRIES = 3;
+const RETRY_BASE_DELAY_MS = 500;
+const DEFAULT_TIMEOUT_MS = 30000;
+
+const ERROR_MESSAGES = {
+  credentials: 'DataForSEO credentials not configured. Set DATAFORSEO_LOGIN and DATAFORSEO_PASSWORD environment variables or configure in Settings.',
+  undecryptable: 'Your saved DataForSEO credentials can\'t be decrypted. Save them again in Settings.',
+  auth: 'DataForSEO rejected the API credentials. Check your login and password in Settings.',
+  insufficient_funds: 'Your DataForSEO balance is too low for this request. Top up your account and try again.',
+  rate_limit: 'DataForSEO rate limit reached. Wait a minute and try again.',
+  server: 'DataForSEO is having problems right now. Try again later.',
+  timeout: 'DataForSEO did not respond in time. Try again with fewer keywords.',
+  network: 'Could not reach DataForSEO.'
+};
+
+// Errors worth retrying with backoff (timeouts are not - the caller's time budget is already spent)
+const RETRYABLE_ERROR_TYPES = ['rate_limit', 'server', 'network'];
+
+// HTTP status our API answers with for each error type (never 401, that logs the user out)
+const ERROR_HTTP_STATUS = {
+  credentials: 400,
+  auth: 400,
+  invalid_request: 400,
+  insufficient_funds: 402,
+  budget: 402,
+  rate_limit: 429,
+  timeout: 504
+};
+
+/**
+ * Error from a DataForSEO call
+ * `type` is one of credentials, auth, insufficient_funds, budget, rate_limit, invalid_request,
+ * not_found, server, timeout, network, task or api. `code` is DataForSEO's status_code.
+ */
+export class DataForSeoError extends Error {
+  constructor(message, { type = 'api', code = null, httpStatus = null, apiMessage = null } = {}) {
+    super(message);
+    this.name = 'DataForSeoError';
+    this.type = type;
+    this.code = code;
+    this.httpStatus = httpStatus;
+    this.apiMessage = apiMessage;
+  }
+
+  get retryable() {
+    return RETRYABLE_ERROR_TYPES.includes(this.type);
+  }
+}
+
+function getErrorType(httpStatus, code) {
+  if (httpStatus === 401 || (code >= 40100 && code < 40200)) return 'auth';
+  if (httpStatus === 402 || code === 40200 || code === 40210) return 'insufficient_funds';
+  if (httpStatus === 429 || code === 40202 || code === 40209) return 'rate_limit';
+  if (httpStatus >= 500 || code >= 50000) return 'server';
+  if (httpStatus === 404 || code === 40400) return 'not_found';
+  if (code >= 40000) return 'invalid_request';
+  return null;
+}
+
+/**
+ * Build a typed error from an HTTP status and/or DataForSEO status_code
+ */
+export function createDataForSeoError(httpStatus, code, apiMessage, fallbackType = 'api') {
+  const type = getErrorType(httpStatus, code) || fallbackType;
+  return new DataForSeoError(ERROR_MESSAGES[type] || apiMessage || 'DataForSEO API error', {
+    type, code, httpStatus, apiMessage
+  });
+}
+
+/**
+ * Send a DataForSEO failure from an API route
+ */
+export function sendDataForSeoError(res, error) {
+  if (!(error instanceof DataForSeoError)) {
+    return res.status(500).json({ error: error.message });
+  }
+
+  res.status(ERROR_HTTP_STATUS[error.type] || 502).json({
+    error: error.message,
+    errorType: error.type,
+    code: error.code
+  });
+}
+
+/**
+ * Full URL for a DataForSEO endpoint
+ * DATAFORSEO_BASE_URL points requests at another host, e.g. the bundled mock server
+ */
+export function getDataForSeoUrl(endpoint) {
+  const baseUrl = (process.env.DATAFORSEO_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+  return `${baseUrl}${endpoint}`;
+}
+
+// Concurrency limiter - a freed slot is handed straight to the next waiting request
+let activeRequests = 0;
+const waitingRequests = [];
+
+async function acquireSlot() {
+  if (activeRequests < MAX_CONCURRENCY) {
+    activeRequests++;
+    return;
+  }
+  await new Promise(resolve => waitingRequests.push(resolve));
+}
+
+function releaseSlot() {
+  const next = waitingRequests.shift();
+  if (next) {
+    next();
+  } else {
+    activeRequests--;
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function sendOnce(method, endpoint, body, credentials, timeoutMs) {
+  await acquireSlot();
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    const response = await fetch(getDataForSeoUrl(endpoint), {
+      method,
+      headers: {
+        'Authorization': getAuthHeader(credentials),
+        'Content-Type': 'application/json'
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+      signal: controller.signal
+    });
+
+    // Error pages from proxies are not JSON
+    const data = await response.json().catch(() => null);
+    return { response, data };
+  } catch (error) {
+    const type = error.name === 'AbortError' ? 'timeout' : 'network';
+    throw new DataForSeoError(ERROR_MESSAGES[type], { type, apiMessage: error.message });
+  } finally {
+    clearTimeout(timeout);
+    releaseSlot();
+  }
+}
+
+// Total cost of a response envelope in USD
+function getResponseCost(data) {
+  const taskCost = (data.tasks || []).reduce((sum, task) => sum + (task.cost || 0), 0);
+  return taskCost || data.cost || 0;
+}
 
+/**
+ * options.projectId attributes the spend to a project; options.budget = false skips the
+ * monthly budget reservation for free calls (balance lookups, task_get)
+ */
+async function callDataForSeo(method, endpoint, body, user, {
+  timeoutMs = DEFAULT_TIMEOUT_MS, retries = MAX_RETRIES, projectId = null, budget = true
+} = {}) {
+  if (!getCredentialsSource(user)) {
+    throw new DataForSeoError(ERROR_MESSAGES.credentials, { type: 'credentials' });
+  }
+
+  const credentials = await loadCredentials(user);
   if (!credentials) {
-    throw new Error('DataForSEO credentials not configured. Set DATAFORSEO_LOGIN and DATAFORSEO_PASSWORD environment variables or configure in Settings.');
+    throw new DataForSeoError(ERROR_MESSAGES.credentials, { type: 'credentials' });
+  }
+
+  // Reserved before sending and settled to the real cost, or released, once it's known
+  const reserved = budget && user?.id ? estimateCost(endpoint, body ?? []) : 0;
+  if (reserved) {
+    const exceeded = await reserveBudget(user.id, reserved);
+    if (exceeded) {
+      throw new DataForSeoError(
+        `This request would go over your monthly DataForSEO budget of $${exceeded.budget.toFixed(2)} ($${exceeded.spent.toFixed(2)} spent or in progress this month). Raise it in Settings or wait until next month.`,
+        { type: 'budget' }
+      );
+    }
   }
 
-  const response = await fetch(`https://api.dataforseo.com/v3${endpoint}`, {
-    method: 'POST',
-    headers: {
-      'Authorization': getAuthHeader(credentials),
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify(body)
+  let cost = 0;
+  try {
+    for (let attempt = 0; ; attempt++) {
+      let error;
+      let retryAfterMs = null;
+
+      try {
+        const { response, data } = await sendOnce(method, endpoint, body, credentials, timeoutMs);
+        if (response.ok && data?.status_code === 20000) {
+          cost = getResponseCost(data);
+          await recordUsage({
+            userId: user?.id,
+            projectId,
+            endpoint,
+            cost,
+            taskCount: data.tasks_count || data.tasks?.length || 1
+          });
+          return data;
+        }
+
+        error = createDataForSeoError(response.status, data?.status_code, data?.status_message);
+        const retryAfter = parseInt(response.headers.get('retry-after'));
+        if (retryAfter > 0) retryAfterMs = retryAfter * 1000;
+      } catch (e) {
+        if (!(e instanceof DataForSeoError)) throw e;
+        error = e;
+      }
+
+      if (!error.retryable || attempt >= retries) {
+        throw error;
+      }
+
+      // Exponential backoff with a little jitter, unless the API told us how long to wait
+      await sleep(retryAfterMs ?? RETRY_BASE_DELAY_MS * 2 ** attempt + Math.random() * 100);
+    }
+  } finally {
+    if (reserved) await settleBudget(user.id, reserved, cost);
+  }
+}
+
+/**
+ * POST to a DataForSEO endpoint and return the response envelope
+ * Throws a DataForSeoError unless the request-level status_code is 20000
+ */
+export async function dataForSeoRequest(endpoint, body, user, options) {
+  return callDataForSeo('POST', endpoint, body, user, options);
+}
+
+// GET endpoints (task_get, tasks_ready)
+export async function dataForSeoGet(endpoint, user, options) {
+  return callDataForSeo('GET', endpoint, undefined, user, options);
+}
+
+/**
+ * Check a single task from a response envelope and return its result array
+ */
+export function getTaskResult(task) {
+  if (!task) {
+    throw new DataForSeoError('DataForSEO returned no task', { type: 'api' });
+  }
+  if (task.status_code !== 20000) {
+    throw createDataForSeoError(null, task.status_code, task.status_message, 'task');
+  }
+  return task.result || [];
+}
+
+/**
+ * Run a single live task and return its result array
+ */
+export async function dataForSeoTask(endpoint, task, user, options) {
+  const data = await dataForSeoRequest(endpoint, [task], user, options);
+  return getTaskResult(data.tasks?.[0]);
+}
+
+/**
+ * Run a single live task, answering from the response cache while a fresh copy exists
+ * Returns { result, cachedAt } - cachedAt is null when the result was fetched just now
+ * options.refresh skips the cache lookup (the new result is still stored)
+ */
+export async function cachedDataForSeoTask(endpoint, task, user, options = {}) {
+  if (!options.refresh) {
+    const cached = (await readCache(endpoint, [task])).get(getCacheKey(endpoint, task));
+    if (cached) return cached;
+  }
+
+  const result = await dataForSeoTask(endpoint, task, user, options);
+  await writeCache(endpoint, [{ task, result }]);
+  return { result, cachedAt: null };
+}
+
+/**
+ * Run a keywords-list task with each keyword cached on its own, so overlapping lists
+ * only pay for the keywords that haven't been looked up yet
+ * getItems picks the per-keyword items (each with a `keyword`) out of the task result
+ * Returns { items, cache } with one item per keyword that has data
+ */
+export async function cachedKeywordsTask(endpoint, keywords, params, user, getItems, options = {}) {
+  const uniqueKeywords = [...new Set(keywords.map(k => k.toLowerCase().trim()))];
+  const tasks = new Map(uniqueKeywords.map(keyword => [keyword, { keyword, ...params }]));
+  const cached = options.refresh ? new Map() : await readCache(endpoint, [...tasks.values()]);
+
+  const items = new Map();
+  const cachedAts = [];
+  const missing = [];
+
+  tasks.forEach((task, keyword) => {
+    const hit = cached.get(getCacheKey(endpoint, task));
+    if (hit) {
+      items.set(keyword, hit.result);
+      cachedAts.push(hit.cachedAt);
+    } else {
+      missing.push(keyword);
+    }
   });
 
-  const data = await response.json();
+  if (missing.length > 0) {
+    const result = await dataForSeoTask(endpoint, { keywords: missing, ...params }, user, options);
+    const fetched = new Map(getItems(result).filter(item => item.keyword).map(item => [item.keyword.toLowerCase(), item]));
+
+    // Keywords without data are cached too, otherwise they'd be billed again every time
+    const entries = missing.map(keyword => ({ task: tasks.get(keyword), result: fetched.get(keyword) || { keyword } }));
+    entries.forEach(({ task, result }) => items.set(task.keyword, result));
+    missing.forEach(() => cachedAts.push(null));
 
-  if (!response.ok) {
-    throw new Error(data.status_message || 'DataForSEO API error');
+    await writeCache(endpoint, entries);
   }
 
-  return data;
+  return { items: [...items.values()], cache: summarizeCache(cachedAts) };
+}
+
+/**
+ * Remaining DataForSEO account balance in USD (a free call, so it skips the budget check)
+ */
+export async function fetchAccountBalance(user) {
+  const result = await dataForSeoTask('/appendix/user_data', {}, user, { budget: false });
+  return result[0]?.money?.balance || 0;
 }
 
 export function hasCredentials(user) {
-  return !!getDataForSeoCredentials(user);
+  return !!getCredentialsSource(user);
+}
+
+export function cleanDomain(domain) {
+  return domain
+    .replace(/^(https?:\/\/)?(www\.)?/, '')
+    .split('/')[0]
+    .toLowerCase();
+}
+
+// DataForSEO SERP element types counted as SERP features (see SERP_FEATURES in calculations.js)
+const SERP_FEATURE_TYPES = {
+  featured_snippet: 'featured_snippet',
+  local_pack: 'local_pack',
+  shopping: 'shopping',
+  popular_products: 'shopping',
+  people_also_ask: 'people_also_ask'
+};
+
+/**
+ * Map DataForSEO element types to the tracked SERP features, dropping everything else
+ */
+export function normalizeSerpFeatures(types = []) {
+  return [...new Set(types.map(t => SERP_FEATURE_TYPES[t]).filter(Boolean))];
+}
+
+// Links of a SERP element as { domain, url }, including nested carousel/PAA entries
+function getElementLinks(item) {
+  const links = [{ domain: item.domain, url: item.url }];
+  (item.items || []).forEach(child => {
+    links.push({ domain: child.domain, url: child.url });
+    (child.expanded_element || []).forEach(el => links.push({ domain: el.domain, url: el.url }));
+  });
+  return links.filter(link => link.domain || link.url);
+}
+
+/**
+ * Read organic positions and owned SERP features for a set of brands from a live SERP
+ * `domains` holds one domain or a list of domain targets per brand (see brand-domains.js),
+ * results are keyed by the brand's first target. A brand's best-ranking target sets its
+ * position, the best positions of its other targets are kept as extraPositions
+ * Returns { positions: { key: rank }, extraPositions: { key: [rank] }, features: { key: [feature] }, serpFeatures: [feature] }
+ */
+export function extractSerpFeatures(items, domains) {
+  const positions = {};
+  const extraPositions = {};
+  const features = {};
+  const serpFeatures = normalizeSerpFeatures(items.map(item => item.type));
+
+  groupDomainTargets(domains).forEach(({ key, targets }) => {
+    const matchers = targets.map(target => createDomainMatcher([target]));
+    const targetPositions = matchers.map(matches => items.find(item =>
+      item.type === 'organic' && matches(item.domain, item.url)
+    )?.rank_group);
+
+    const ranked = targetPositions.filter(Boolean).sort((a, b) => a - b);
+    if (ranked.length > 0) {
+      positions[key] = ranked[0];
+      if (ranked.length > 1) extraPositions[key] = ranked.slice(1);
+    }
+
+    const owned = items
+      .filter(item => SERP_FEATURE_TYPES[item.type])
+      .filter(item => getElementLinks(item).some(link => matchers.some(matches => matches(link.domain, link.url))))
+      .map(item => SERP_FEATURE_TYPES[item.type]);
+    if (owned.length > 0) features[key] = [...new Set(owned)];
+  });
+
+  return { positions, extraPositions, features, serpFeatures };
+}
+
+/**
+ * Fetch search volumes for a list of keywords
+ * Returns { volumes: { lowercased keyword: monthly search volume }, cache }
+ */
+export async function fetchSearchVolumes(keywords, user, {
+  locationCode = DEFAULT_LOCATION_CODE, languageCode = DEFAULT_LANGUAGE_CODE, refresh = false, projectId = null
+} = {}) {
+  const { items, cache } = await cachedKeywordsTask('/keywords_data/google/search_volume/live', keywords, {
+    location_code: locationCode,
+    language_code: languageCode
+  }, user, result => result, { refresh, projectId });
+
+  const volumes = {};
+  items.forEach(item => {
+    if (item.keyword && item.search_volume) {
+      volumes[item.keyword] = item.search_volume;
+    }
+  });
+
+  return { volumes, cache };
+}
+
+/**
+ * Match a domain's ranked keywords onto project keywords
+ * How loose a match may be is set by matchOptions ({ mode, threshold, languageCode }, see
+ * keyword-matching.js); each ranking keeps the match type it was found with
+ * Organic results set the position, featured snippets and local packs are kept as owned features
+ */
+export function matchRankedKeywords(items, keywords, matchOptions = {}) {
+  const matcher = createKeywordMatcher(keywords, matchOptions);
+  const keywordList = keywords.map(k => ({ original: k, lower: k.toLowerCase().trim() }));
+
+  const rankings = {};
+  const matchedKeywords = [];
+
+  items.forEach(item => {
+    const apiKw = item.keyword_data?.keyword?.toLowerCase().trim();
+    if (!apiKw) return;
+
+    const serpItem = item.ranked_serp_element?.serp_item;
+    const itemType = serpItem?.type || 'organic';
+    const feature = SERP_FEATURE_TYPES[itemType];
+    const position = serpItem?.rank_group;
+    const volume = item.keyword_data?.keyword_info?.search_volume || 0;
+
+    if (!position || (itemType !== 'organic' && !feature)) return;
+
+    const ranked = matcher.prepare(apiKw);
+    const serpFeatures = normalizeSerpFeatures(item.ranked_serp_element?.serp_item_types);
+
+    keywordList.forEach((kw, idx) => {
+      let ranking = rankings[kw.lower];
+      const match = matcher.match(ranked, idx);
+      if (!match) return;
+
+      // The first matching organic result counts as the position, unless a later one matches more strictly
+      if (ranking?.position && itemType === 'organic' && !isStricterMatch(match.type, ranking.matchType)) return;
+
+      if (!ranking) {
+        ranking = rankings[kw.lower] = { position: null, volume, matchType: match.type, features: [], serpFeatures: [] };
+        matchedKeywords.push({ keyword: kw.original, matched: apiKw, ...match });
+      }
+
+      if (itemType === 'organic') {
+        ranking.position = position;
+        ranking.matchType = match.type;
+      } else if (!ranking.features.includes(feature)) {
+        ranking.features.push(feature);
+      }
+      ranking.serpFeatures = [...new Set([...ranking.serpFeatures, ...serpFeatures])];
+    });
+  });
+
+  return { rankings, matchedKeywords };
+}
+
+/**
+ * Fetch the top ranked keywords of a single domain target (see brand-domains.js)
+ * Subdomains are only included for wildcard targets, path targets only return URLs under the path
+ * Returns { items, cachedAt }
+ */
+export async function fetchDomainRankedKeywords(domain, user, {
+  locationCode = DEFAULT_LOCATION_CODE, languageCode = DEFAULT_LANGUAGE_CODE, limit = 1000, refresh = false, projectId = null
+} = {}) {
+  const { host, path, wildcard, bare } = parseDomainTarget(domain);
+  const { result, cachedAt } = await cachedDataForSeoTask('/dataforseo_labs/google/ranked_keywords/live', {
+    target: host,
+    location_code: locationCode,
+    language_code: languageCode,
+    limit,
+    include_subdomains: wildcard || bare,
+    item_types: ['organic', 'featured_snippet', 'local_pack'],
+    ...(path && { filters: [['ranked_serp_element.serp_item.relative_url', 'like', `${path.replace(/\*/g, '%')}%`]] }),
+    order_by: ['keyword_data.keyword_info.search_volume,desc']
+  }, user, { refresh, projectId });
+
+  const matches = createDomainMatcher([domain]);
+  const items = (result[0]?.items || []).filter(item => {
+    const serpItem = item.ranked_serp_element?.serp_item;
+    return !serpItem?.url || matches(serpItem.domain, serpItem.url);
+  });
+
+  return { items, cachedAt };
+}
+
+/**
+ * Merge the rankings of a brand's domain targets: the best-ranking target sets the position
+ * and match type, the other targets' positions are kept as extraPositions
+ */
+function mergeTargetRankings(targetRankings) {
+  const merged = {};
+
+  targetRankings.forEach(rankings => {
+    Object.entries(rankings).forEach(([keyword, ranking]) => {
+      const current = merged[keyword];
+      if (!current) {
+        merged[keyword] = { ...ranking, extraPositions: [] };
+        return;
+      }
+
+      if (ranking.position && (!current.position || ranking.position < current.position)) {
+        if (current.position) current.extraPositions.push(current.position);
+        current.position = ranking.position;
+        current.matchType = ranking.matchType;
+      } else if (ranking.position) {
+        current.extraPositions.push(ranking.position);
+      }
+      current.volume = current.volume || ranking.volume;
+      current.features = [...new Set([...current.features, ...ranking.features])];
+      current.serpFeatures = [...new Set([...current.serpFeatures, ...ranking.serpFeatures])];
+    });
+  });
+
+  Object.values(merged).forEach(ranking => ranking.extraPositions.sort((a, b) => a - b));
+  return merged;
+}
+
+/**
+ * Build a keyword position matrix (keywordIndex -> { domain: position }) from each
+ * domain's ranked keywords, plus owned features (keywordIndex -> { domain: [feature] }),
+ * how each position was matched (keywordIndex -> { domain: matchType }) and the features
+ * seen on each keyword's SERP (keywordIndex -> [feature])
+ * `domains` holds one domain or a list of domain targets per brand, keyed by its first
+ * target; positions of a brand's other targets land in extraPositions (keywordIndex -> { domain: [position] })
+ * options.matchMode / matchThreshold pick the project's matching mode
+ */
+export async function fetchRankedPositions(keywords, domains, user, options = {}) {
+  const matchOptions = { mode: options.matchMode, threshold: options.matchThreshold, languageCode: options.languageCode };
+
+  // One ranked keywords request per domain target; a brand fails as a whole when one of its targets does
+  const results = await Promise.all(groupDomainTargets(domains).map(async ({ key, targets }) => {
+    try {
+      const fetched = await Promise.all(targets.map(async (target) => {
+        const { items, cachedAt } = await fetchDomainRankedKeywords(target, user, options);
+        return { items, cachedAt, ...matchRankedKeywords(items, keywords, matchOptions) };
+      }));
+      const items = fetched.flatMap(f => f.items);
+      const matchedKeywords = fetched.flatMap(f => f.matchedKeywords);
+
+      return {
+        domain: key,
+        targets,
+        rankings: mergeTargetRankings(fetched.map(f => f.rankings)),
+        cachedAt: fetched.map(f => f.cachedAt),
+        totalKeywordsFound: items.length,
+        matchedKeywords: matchedKeywords.length,
+        matches: matchedKeywords.slice(0, 10),
+        sampleKeywords: items.slice(0, 20).map(item => ({
+          keyword: item.keyword_data?.keyword,
+          position: item.ranked_serp_element?.serp_item?.rank_group,
+          url: item.ranked_serp_element?.serp_item?.url,
+          volume: item.keyword_data?.keyword_info?.search_volume
+        }))
+      };
+    } catch (error) {
+      return { domain: key, targets, error: error.message || 'Request failed', errorType: error.type, rankings: {}, sampleKeywords: [], cachedAt: [] };
+    }
+  }));
+
+  const positions = {};
+  const extraPositions = {};
+  const features = {};
+  const matchTypes = {};
+  const serpFeatures = {};
+  const keywordVolumes = {};
+  const errors = [];
+
+  keywords.forEach((kw, idx) => {
+    positions[idx] = {};
+    extraPositions[idx] = {};
+    features[idx] = {};
+    matchTypes[idx] = {};
+    serpFeatures[idx] = [];
+  });
+
+  results.forEach(result => {
+    if (result.error) {
+      errors.push({ domain: result.domain, error: result.error, type: result.errorType });
+    }
+
+    keywords.forEach((kw, idx) => {
+      const ranking = result.rankings[kw.toLowerCase().trim()];
+
+      if (ranking) {
+        if (ranking.position) positions[idx][result.domain] = ranking.position;
+        if (ranking.extraPositions.length > 0) extraPositions[idx][result.domain] = ranking.extraPositions;
+        if (ranking.features.length > 0) features[idx][result.domain] = ranking.features;
+        matchTypes[idx][result.domain] = ranking.matchType;
+        serpFeatures[idx] = [...new Set([...serpFeatures[idx], ...ranking.serpFeatures])];
+
+        if (!keywordVolumes[kw] && ranking.volume) {
+          keywordVolumes[kw] = ranking.volume;
+        }
+      }
+    });
+  });
+
+  const cache = summarizeCache(results.filter(r => !r.error).flatMap(r => r.cachedAt));
+
+  return { positions, extraPositions, features, matchTypes, serpFeatures, keywordVolumes, errors, results, cache };
+}
+
+// serp_competitors takes at most 200 keywords per task
+const MAX_SERP_COMPETITOR_KEYWORDS = 200;
+
+/**
+ * Find the domains competing on the SERPs of a keyword list
+ * Candidates are ranked by how many of the keywords they rank for (intersections), then by
+ * average position. Domains matched by one of the `exclude` targets (the project's own
+ * brands) are dropped, each candidate gets a brand name suggested from its domain
+ * Returns { competitors: [{ domain, name, intersections, avgPosition, etv }], cachedAt }
+ */
+export async function fetchSerpCompetitors(keywords, user, {
+  locationCode = DEFAULT_LOCATION_CODE, languageCode = DEFAULT_LANGUAGE_CODE, limit = 20, exclude = [], refresh = false, projectId = null
+} = {}) {
+  const uniqueKeywords = [...new Set(keywords.map(k => k.toLowerCase().trim()).filter(Boolean))];
+  const { result, cachedAt } = await cachedDataForSeoTask('/dataforseo_labs/google/serp_competitors/live', {
+    keywords: uniqueKeywords.slice(0, MAX_SERP_COMPETITOR_KEYWORDS),
+    location_code: locationCode,
+    language_code: languageCode,
+    item_types: ['organic'],
+    limit: Math.min(limit + exclude.length, 100)
+  }, user, { refresh, projectId });
+
+  const isExcluded = createDomainMatcher(exclude);
+  const competitors = (result[0]?.items || [])
+    .filter(item => item.domain && !isExcluded(item.domain))
+    .map(item => ({
+      domain: cleanDomain(item.domain),
+      name: suggestBrandName(item.domain),
+      intersections: item.keywords_count ?? item.intersections ?? 0,
+      avgPosition: item.avg_position ? Math.round(item.avg_position * 10) / 10 : null,
+      etv: Math.round(item.etv || 0)
+    }))
+    .sort((a, b) => b.intersections - a.intersections || (a.avgPosition ?? 101) - (b.avgPosition ?? 101))
+    .slice(0, limit);
+
+  return { competitors, cachedAt };
 }
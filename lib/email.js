@@ -0,0 +1,172 @@
+/**
+ * Email
+ * Outgoing mail goes through one transport, picked with EMAIL_TRANSPORT:
+ *   file     (default outside production) writes every message as an .eml file to EMAIL_OUTBOX_DIR
+ *   smtp     plain SMTP to SMTP_HOST:SMTP_PORT, for local catchers like Mailpit or MailHog (no TLS or auth)
+ *   webhook  POSTs { from, to, subject, text } as JSON to EMAIL_WEBHOOK_URL, for a mail provider or relay
+ * Other transports can be plugged in with registerEmailTransport. In production EMAIL_TRANSPORT
+ * must be set, so mail is never quietly written to the function's disk.
+ */
+
+import fs from 'node:fs/promises';
+import net from 'node:net';
+import os from 'node:os';
+import path from 'node:path';
+import crypto from 'node:crypto';
+
+const DEFAULT_FROM = 'SearchShare Pro <no-reply@searchshare.local>';
+const SMTP_TIMEOUT_MS = 10000;
+
+/**
+ * Base URL links in emails point to: APP_URL, the Vercel deployment or local dev
+ * (never the request's Host header, which the requester controls)
+ */
+export function getAppUrl() {
+  if (process.env.APP_URL) return process.env.APP_URL.replace(/\/+$/, '');
+  if (process.env.VERCEL_URL) return `https://${process.env.VERCEL_URL}`;
+  return 'http://localhost:3000';
+}
+
+function getFrom() {
+  return process.env.EMAIL_FROM || DEFAULT_FROM;
+}
+
+// Bare address of "Name <address>"
+function getAddress(mailbox) {
+  return mailbox.match(/<([^>]+)>/)?.[1] || mailbox.trim();
+}
+
+/**
+ * RFC 5322 message for a plain-text email
+ */
+function buildMessage({ from, to, subject, text }) {
+  const domain = getAddress(from).split('@')[1] || 'localhost';
+  return [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${subject}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: 8bit',
+    '',
+    text.replace(/\r?\n/g, '\r\n')
+  ].join('\r\n');
+}
+
+async function sendToFile(email) {
+  const dir = process.env.EMAIL_OUTBOX_DIR || path.join(os.tmpdir(), 'searchshare-outbox');
+  const file = path.join(dir, `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomUUID().slice(0, 8)}.eml`);
+
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(file, buildMessage(email));
+  console.log(`Email to ${email.to} written to ${file}`);
+}
+
+// Minimal SMTP conversation: one command per reply, failing on any 4xx/5xx reply
+function sendToSmtp(email) {
+  const host = process.env.SMTP_HOST || 'localhost';
+  const port = parseInt(process.env.SMTP_PORT) || 1025;
+
+  // Lines starting with a dot are doubled so they don't end the DATA block
+  const data = buildMessage(email).replace(/^\./gm, '..');
+  const commands = [
+    `EHLO ${os.hostname()}`,
+    `MAIL FROM:<${getAddress(email.from)}>`,
+    `RCPT TO:<${getAddress(email.to)}>`,
+    'DATA',
+    `${data}\r\n.`,
+    'QUIT'
+  ];
+
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection({ host, port });
+    let buffer = '';
+    let step = 0;
+
+    socket.setEncoding('utf8');
+    socket.setTimeout(SMTP_TIMEOUT_MS, () => socket.destroy(new Error(`SMTP server ${host}:${port} did not respond`)));
+    socket.on('error', reject);
+    // Does nothing once the QUIT reply resolved; otherwise the server hung up mid-conversation
+    socket.on('close', () => reject(new Error(`SMTP server ${host}:${port} closed the connection before the message was sent`)));
+    socket.on('data', chunk => {
+      buffer += chunk;
+
+      // A reply is complete once its last line has a space after the code ("250 OK", not "250-SIZE")
+      const lines = buffer.split('\r\n');
+      const lastLine = lines[lines.length - 2];
+      if (!buffer.endsWith('\r\n') || !/^\d{3} /.test(lastLine)) return;
+      buffer = '';
+
+      if (parseInt(lastLine) >= 400) {
+        socket.destroy();
+        reject(new Error(`SMTP error: ${lastLine}`));
+      } else if (step < commands.length) {
+        socket.write(`${commands[step++]}\r\n`);
+      } else {
+        socket.end();
+        resolve();
+      }
+    });
+  });
+}
+
+async function sendToWebhook(email) {
+  const url = process.env.EMAIL_WEBHOOK_URL;
+  if (!url) throw new Error('EMAIL_WEBHOOK_URL is not set');
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(email)
+  });
+
+  if (!response.ok) {
+    throw new Error(`Email webhook answered ${response.status}`);
+  }
+}
+
+const transports = {
+  file: sendToFile,
+  smtp: sendToSmtp,
+  webhook: sendToWebhook
+};
+
+/**
+ * Add or replace a transport: send({ from, to, subject, text }) → Promise
+ */
+export function registerEmailTransport(name, send) {
+  transports[name] = send;
+}
+
+/**
+ * The configured transport; throws when EMAIL_TRANSPORT is unknown, or unset in production
+ */
+export function getEmailTransport() {
+  const name = process.env.EMAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? null : 'file');
+
+  if (!name) {
+    throw new Error(`EMAIL_TRANSPORT is not set, so no email can be sent (available: ${Object.keys(transports).join(', ')})`);
+  }
+  if (!transports[name]) {
+    throw new Error(`Unknown EMAIL_TRANSPORT "${name}" (available: ${Object.keys(transports).join(', ')})`);
+  }
+  return transports[name];
+}
+
+/**
+ * Send a plain-text email with the configured transport
+ */
+export async function sendEmail({ to, subject, text }) {
+  const send = getEmailTransport();
+  const email = { from: getFrom(), to, subject, text };
+
+  // Line breaks in a header would start new headers, or new SMTP commands
+  const header = ['from', 'to', 'subject'].find(field => /[\r\n]/.test(email[field]));
+  if (header) {
+    throw new Error(`Email ${header} can't contain line breaks`);
+  }
+
+  await send(email);
+}
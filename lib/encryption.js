@@ -0,0 +1,136 @@
+/**
+ * Secret Encryption
+ * Secrets stored in the database (DataForSEO passwords) use envelope encryption: each value
+ * is encrypted with its own random data key (AES-256-GCM), and that data key is encrypted
+ * ("wrapped") with a master key from CREDENTIALS_ENCRYPTION_KEYS. Rotating the master key
+ * only re-wraps the data keys; the encrypted values themselves never change.
+ *
+ * CREDENTIALS_ENCRYPTION_KEYS is a comma-separated list of `id:base64key` (32-byte keys).
+ * The first key encrypts new secrets, the others still decrypt older ones until
+ * `npm run credentials:rotate` has moved everything to the first key.
+ */
+
+import crypto from 'node:crypto';
+
+const ENVELOPE_VERSION = 'v1';
+const ALGORITHM = 'aes-256-gcm';
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+/**
+ * Master keys from the environment: [{ id, key }], active key first
+ */
+function getMasterKeys() {
+  const value = process.env.CREDENTIALS_ENCRYPTION_KEYS || '';
+
+  return value.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const separator = entry.indexOf(':');
+    const id = entry.slice(0, separator);
+    const key = Buffer.from(entry.slice(separator + 1), 'base64');
+
+    if (separator <= 0 || !/^[\w-]+$/.test(id) || key.length !== KEY_BYTES) {
+      throw new Error(`CREDENTIALS_ENCRYPTION_KEYS entries must be "id:<base64 ${KEY_BYTES}-byte key>" (id of letters, digits, - or _)`);
+    }
+    return { id, key };
+  });
+}
+
+function getActiveKey() {
+  const [active] = getMasterKeys();
+  if (!active) {
+    throw new Error('CREDENTIALS_ENCRYPTION_KEYS is not set, so secrets can\'t be stored');
+  }
+  return active;
+}
+
+function getKey(id) {
+  const entry = getMasterKeys().find(k => k.id === id);
+  if (!entry) {
+    throw new Error(`Encryption key "${id}" is not in CREDENTIALS_ENCRYPTION_KEYS`);
+  }
+  return entry.key;
+}
+
+// iv | tag | ciphertext, base64url
+function seal(key, plaintext, context) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(context));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64url');
+}
+
+function open(key, sealed, context) {
+  const data = Buffer.from(sealed, 'base64url');
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, data.subarray(0, IV_BYTES));
+  decipher.setAAD(Buffer.from(context));
+  decipher.setAuthTag(data.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+  return Buffer.concat([decipher.update(data.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]);
+}
+
+function parseEnvelope(envelope) {
+  const [version, keyId, wrappedKey, ciphertext] = envelope.split('.');
+  if (version !== ENVELOPE_VERSION || !keyId || !wrappedKey || !ciphertext) {
+    throw new Error('Not an encrypted secret');
+  }
+  return { keyId, wrappedKey, ciphertext };
+}
+
+/**
+ * Whether encryption keys are configured (secrets can be stored)
+ */
+export function isEncryptionConfigured() {
+  return getMasterKeys().length > 0;
+}
+
+/**
+ * Whether a stored value is an encrypted envelope (older rows may still hold plain text)
+ */
+export function isEncryptedSecret(value) {
+  return typeof value === 'string' && value.startsWith(`${ENVELOPE_VERSION}.`);
+}
+
+/**
+ * Encrypt a secret into "v1.<keyId>.<wrapped data key>.<ciphertext>"
+ * `context` (e.g. the owning user's id) is authenticated, so an envelope copied to
+ * another row doesn't decrypt there
+ */
+export function encryptSecret(plaintext, context) {
+  const master = getActiveKey();
+  const dataKey = crypto.randomBytes(KEY_BYTES);
+
+  return [
+    ENVELOPE_VERSION,
+    master.id,
+    seal(master.key, dataKey, context),
+    seal(dataKey, Buffer.from(plaintext, 'utf8'), context)
+  ].join('.');
+}
+
+/**
+ * Decrypt an envelope made by encryptSecret with the same context
+ */
+export function decryptSecret(envelope, context) {
+  const { keyId, wrappedKey, ciphertext } = parseEnvelope(envelope);
+  const dataKey = open(getKey(keyId), wrappedKey, context);
+  return open(dataKey, ciphertext, context).toString('utf8');
+}
+
+/**
+ * Whether an envelope's data key is wrapped with a key other than the active one
+ */
+export function needsRewrap(envelope) {
+  return parseEnvelope(envelope).keyId !== getActiveKey().id;
+}
+
+/**
+ * Re-wrap an envelope's data key with the active master key, keeping its ciphertext
+ */
+export function rewrapSecret(envelope, context) {
+  const { keyId, wrappedKey, ciphertext } = parseEnvelope(envelope);
+  const master = getActiveKey();
+  const dataKey = open(getKey(keyId), wrappedKey, context);
+
+  return [ENVELOPE_VERSION, master.id, seal(master.key, dataKey, context), ciphertext].join('.');
+}
@@ -0,0 +1,108 @@
+/**
+ * Expanded Category Keywords
+ * Seed keywords are expanded through DataForSEO into the full keyword universe of a category,
+ * whose summed volume is the Total Market Volume SOV is measured against. Expanded keywords are
+ * stored per market and can be excluded one by one to curate that universe.
+ */
+
+/**
+ * Validate expanded keywords from a request
+ * ([{ keyword, volume, isSeed?, source?, seedKeyword?, excluded?, positions?, extraPositions?, features?, serpFeatures?, rankedAt? }])
+ * Returns an error message, or null when the list is valid
+ */
+export function validateExpandedKeywords(expandedKeywords) {
+  if (!Array.isArray(expandedKeywords)) {
+    return 'Expanded keywords must be an array';
+  }
+
+  if (expandedKeywords.some(kw => typeof kw?.keyword !== 'string' || !kw.keyword.trim())) {
+    return 'Every expanded keyword needs a keyword';
+  }
+
+  return null;
+}
+
+/**
+ * Replace the expanded keywords of one market
+ * Keywords are de-duplicated (case-insensitive), the highest volume wins
+ */
+export async function replaceExpandedKeywords(tx, projectId, marketId, expandedKeywords) {
+  await tx.expandedKeyword.deleteMany({ where: { projectId, marketId } });
+
+  const keywordMap = new Map();
+  expandedKeywords.forEach(kw => {
+    const keyword = kw.keyword.trim().toLowerCase();
+    const volume = parseInt(kw.volume) || 0;
+    if (!keywordMap.has(keyword) || volume > keywordMap.get(keyword).volume) {
+      keywordMap.set(keyword, {
+        projectId,
+        marketId,
+        keyword,
+        volume,
+        isSeed: !!kw.isSeed,
+        source: kw.isSeed ? null : kw.source || null,
+        // Seeds are linked to themselves, so every row names the seed it belongs to
+        seedKeyword: (kw.isSeed ? keyword : kw.seedKeyword?.trim().toLowerCase()) || null,
+        excluded: !!kw.excluded,
+        positions: kw.positions || undefined,
+        extraPositions: kw.extraPositions || undefined,
+        features: kw.features || undefined,
+        serpFeatures: kw.serpFeatures || [],
+        rankedAt: kw.rankedAt ? new Date(kw.rankedAt) : null
+      });
+    }
+  });
+
+  if (keywordMap.size > 0) {
+    await tx.expandedKeyword.createMany({ data: [...keywordMap.values()] });
+  }
+}
+
+/**
+ * The curated keyword universe of one market in the shape calculateSnapshot takes
+ * Excluded keywords and keywords expanded from seeds the market no longer tracks are left out
+ */
+export function getExpandedUniverse(rows = [], seedKeywords = []) {
+  const seeds = new Set(seedKeywords.map(k => k.keyword.toLowerCase()));
+  const expandedKeywords = rows.filter(kw => !kw.excluded && (!kw.seedKeyword || seeds.has(kw.seedKeyword)));
+
+  if (expandedKeywords.length === 0) {
+    return {};
+  }
+
+  return {
+    expandedKeywords,
+    expandedTotalMarketVolume: expandedKeywords.reduce((sum, kw) => sum + (kw.volume || 0), 0),
+    expansionStats: {
+      seedCount: expandedKeywords.filter(kw => kw.isSeed).length,
+      expandedCount: expandedKeywords.filter(kw => !kw.isSeed).length,
+      totalKeywords: expandedKeywords.length,
+      excludedCount: rows.length - expandedKeywords.length
+    }
+  };
+}
+
+/**
+ * Stored expanded keywords as returned to the client, curated universe stats included
+ */
+export function getExpandedKeywordData(rows = [], seedKeywords = []) {
+  const { expandedTotalMarketVolume = 0, expansionStats = null } = getExpandedUniverse(rows, seedKeywords);
+
+  return {
+    expandedKeywords: rows.map(kw => ({
+      keyword: kw.keyword,
+      volume: kw.volume,
+      isSeed: kw.isSeed,
+      source: kw.source,
+      seedKeyword: kw.seedKeyword,
+      excluded: kw.excluded,
+      positions: kw.positions || {},
+      extraPositions: kw.extraPositions || {},
+      features: kw.features || {},
+      serpFeatures: kw.serpFeatures,
+      rankedAt: kw.rankedAt
+    })),
+    expandedTotalMarketVolume,
+    expansionStats
+  };
+}
@@ -0,0 +1,138 @@
+/**
+ * Keyword Matching
+ * Maps the keywords a domain ranks for onto project keywords. Each project picks how loose
+ * the match may be; every mode also accepts the stricter ones and reports which one matched,
+ * so analysts can audit where a position came from.
+ */
+
+export const MATCH_MODES = {
+  exact: { label: 'Exact only', description: 'The ranked keyword is the project keyword' },
+  normalized: { label: 'Normalized', description: 'Equal after folding case, accents, umlauts and plurals' },
+  contains: { label: 'Contains', description: 'The ranked keyword contains the project keyword, or the other way round' },
+  fuzzy: { label: 'Fuzzy', description: 'Enough words in common (at least 2 and the threshold share)' }
+};
+
+export const DEFAULT_MATCH_MODE = 'fuzzy';
+export const DEFAULT_MATCH_THRESHOLD = 0.6;
+
+const MODE_ORDER = Object.keys(MATCH_MODES);
+
+/**
+ * Whether match type `a` is stricter than `b` (exact is the strictest)
+ */
+export function isStricterMatch(a, b) {
+  return MODE_ORDER.indexOf(a) < MODE_ORDER.indexOf(b);
+}
+
+// Plural endings per language as [ending, replacement], longest first; stems keep at least 3 letters
+const PLURAL_RULES = {
+  en: [['ies', 'y'], ['ches', 'ch'], ['shes', 'sh'], ['ses', 's'], ['xes', 'x'], ['s', '']],
+  de: [['en', ''], ['er', ''], ['es', ''], ['n', ''], ['e', ''], ['s', '']],
+  fr: [['aux', 'al'], ['x', ''], ['s', '']],
+  es: [['es', ''], ['s', '']],
+  pt: [['ões', 'ão'], ['es', ''], ['s', '']],
+  nl: [['en', ''], ['s', '']],
+  it: [['i', ''], ['e', '']],
+  sv: [['or', ''], ['ar', ''], ['er', '']],
+  da: [['er', ''], ['e', '']]
+};
+
+// Letters spelled out instead of dropping their accent
+const LETTER_FOLDS = {
+  de: { ä: 'ae', ö: 'oe', ü: 'ue', ß: 'ss' }
+};
+
+function stemWord(word, rules) {
+  if (word.endsWith('ss')) return word;
+
+  const rule = rules.find(([ending, replacement]) =>
+    word.endsWith(ending) && word.length - ending.length + replacement.length >= 3
+  );
+  return rule ? word.slice(0, -rule[0].length) + rule[1] : word;
+}
+
+/**
+ * Fold a keyword into its comparable form: lowercase, no punctuation, German umlauts spelled
+ * out (ä → ae), other accents dropped and plural endings stripped for the language
+ */
+export function normalizeKeyword(keyword, languageCode = 'en') {
+  const folds = LETTER_FOLDS[languageCode] || {};
+  const rules = PLURAL_RULES[languageCode] || [['s', '']];
+
+  return keyword
+    .toLowerCase()
+    .replace(/[äöüß]/g, ch => folds[ch] || ch)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(word => stemWord(word, rules))
+    .join(' ');
+}
+
+/**
+ * Validate a project's matching settings
+ * Returns an error message, or null when they are valid
+ */
+export function validateMatchSettings({ keywordMatchMode, keywordMatchThreshold } = {}) {
+  if (keywordMatchMode !== undefined && !MATCH_MODES[keywordMatchMode]) {
+    return `Keyword match mode must be one of: ${Object.keys(MATCH_MODES).join(', ')}`;
+  }
+
+  if (keywordMatchThreshold !== undefined && keywordMatchThreshold !== null) {
+    const threshold = Number(keywordMatchThreshold);
+    if (!(threshold > 0 && threshold <= 1)) {
+      return 'Keyword match threshold must be a number above 0 and up to 1';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build a matcher for a list of project keywords
+ * Ranked keywords are prepared once with prepare(rankedKeyword), then compared with
+ * match(prepared, keywordIndex) → { type, commonWords? } | null
+ */
+export function createKeywordMatcher(keywords, {
+  mode = DEFAULT_MATCH_MODE, threshold = DEFAULT_MATCH_THRESHOLD, languageCode = 'en'
+} = {}) {
+  const allowed = MODE_ORDER.slice(0, MODE_ORDER.indexOf(MATCH_MODES[mode] ? mode : DEFAULT_MATCH_MODE) + 1);
+
+  const prepare = (keyword) => {
+    const normalized = normalizeKeyword(keyword, languageCode);
+    return {
+      lower: keyword.toLowerCase().trim(),
+      normalized,
+      words: new Set(normalized.split(' ').filter(w => w.length > 2))
+    };
+  };
+  const prepared = keywords.map(prepare);
+
+  const match = (ranked, idx) => {
+    const kw = prepared[idx];
+    if (ranked.lower === kw.lower) return { type: 'exact' };
+    if (!allowed.includes('normalized')) return null;
+    if (ranked.normalized === kw.normalized) return { type: 'normalized' };
+
+    // Whole words only, so "shoe" doesn't match inside "snowshoes"
+    if (allowed.includes('contains')) {
+      if (` ${ranked.normalized} `.includes(` ${kw.normalized} `) || ` ${kw.normalized} `.includes(` ${ranked.normalized} `)) {
+        return { type: 'contains' };
+      }
+    }
+
+    if (allowed.includes('fuzzy')) {
+      const commonWords = [...kw.words].filter(w => ranked.words.has(w));
+      if (commonWords.length >= 2 && commonWords.length >= kw.words.size * threshold) {
+        return { type: 'fuzzy', commonWords };
+      }
+    }
+
+    return null;
+  };
+
+  return { prepare, match };
+}
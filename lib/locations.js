@@ -0,0 +1,93 @@
+/**
+ * Search Markets
+ * Google locations and languages a project can be tracked in. Location codes are
+ * DataForSEO's country codes (2000 + ISO 3166 numeric), languages are its language codes.
+ */
+
+export const DEFAULT_LOCATION_CODE = 2840;
+export const DEFAULT_LANGUAGE_CODE = 'en';
+
+export const LANGUAGES = [
+  { code: 'en', name: 'English' },
+  { code: 'de', name: 'German' },
+  { code: 'fr', name: 'French' },
+  { code: 'es', name: 'Spanish' },
+  { code: 'it', name: 'Italian' },
+  { code: 'nl', name: 'Dutch' },
+  { code: 'pt', name: 'Portuguese' },
+  { code: 'pl', name: 'Polish' },
+  { code: 'sv', name: 'Swedish' },
+  { code: 'da', name: 'Danish' },
+  { code: 'fi', name: 'Finnish' },
+  { code: 'cs', name: 'Czech' },
+  { code: 'tr', name: 'Turkish' },
+  { code: 'ja', name: 'Japanese' },
+  { code: 'ar', name: 'Arabic' }
+];
+
+// `language` is the language picked by default for the location
+export const LOCATIONS = [
+  { code: 2840, name: 'United States', language: 'en' },
+  { code: 2826, name: 'United Kingdom', language: 'en' },
+  { code: 2276, name: 'Germany', language: 'de' },
+  { code: 2040, name: 'Austria', language: 'de' },
+  { code: 2756, name: 'Switzerland', language: 'de' },
+  { code: 2250, name: 'France', language: 'fr' },
+  { code: 2056, name: 'Belgium', language: 'fr' },
+  { code: 2442, name: 'Luxembourg', language: 'fr' },
+  { code: 2724, name: 'Spain', language: 'es' },
+  { code: 2380, name: 'Italy', language: 'it' },
+  { code: 2528, name: 'Netherlands', language: 'nl' },
+  { code: 2620, name: 'Portugal', language: 'pt' },
+  { code: 2616, name: 'Poland', language: 'pl' },
+  { code: 2752, name: 'Sweden', language: 'sv' },
+  { code: 2208, name: 'Denmark', language: 'da' },
+  { code: 2246, name: 'Finland', language: 'fi' },
+  { code: 2203, name: 'Czechia', language: 'cs' },
+  { code: 2792, name: 'Turkey', language: 'tr' },
+  { code: 2372, name: 'Ireland', language: 'en' },
+  { code: 2124, name: 'Canada', language: 'en' },
+  { code: 2036, name: 'Australia', language: 'en' },
+  { code: 2554, name: 'New Zealand', language: 'en' },
+  { code: 2356, name: 'India', language: 'en' },
+  { code: 2702, name: 'Singapore', language: 'en' },
+  { code: 2710, name: 'South Africa', language: 'en' },
+  { code: 2784, name: 'United Arab Emirates', language: 'ar' },
+  { code: 2076, name: 'Brazil', language: 'pt' },
+  { code: 2484, name: 'Mexico', language: 'es' },
+  { code: 2032, name: 'Argentina', language: 'es' },
+  { code: 2392, name: 'Japan', language: 'ja' }
+];
+
+export function isValidLocationCode(code) {
+  return LOCATIONS.some(l => l.code === Number(code));
+}
+
+export function isValidLanguageCode(code) {
+  return LANGUAGES.some(l => l.code === code);
+}
+
+/**
+ * Location and language for DataForSEO requests, falling back to the defaults
+ * Accepts anything with locationCode / languageCode (a project, a request body)
+ */
+export function getMarket({ locationCode, languageCode } = {}) {
+  return {
+    locationCode: parseInt(locationCode) || DEFAULT_LOCATION_CODE,
+    languageCode: languageCode || DEFAULT_LANGUAGE_CODE
+  };
+}
+
+/**
+ * Validate a location/language pair from a request
+ * Returns an error message, or null when both are supported
+ */
+export function validateMarket({ locationCode, languageCode } = {}) {
+  if (locationCode != null && !isValidLocationCode(locationCode)) {
+    return `Unsupported location code: ${locationCode}`;
+  }
+  if (languageCode != null && !isValidLanguageCode(languageCode)) {
+    return `Unsupported language code: ${languageCode}`;
+  }
+  return null;
+}
@@ -0,0 +1,290 @@
+/**
+ * Login Throttling
+ * Failed logins are counted per account (the email tried, whether or not it exists) and
+ * per IP address. After a few failures every further attempt has to wait, twice as long
+ * each time; after LOGIN_LOCKOUT_THRESHOLD failures the account is locked for
+ * LOGIN_LOCKOUT_MINUTES, until an admin unlocks it or its password is reset. IP addresses
+ * get more room, since offices share one. Signups are capped per IP address and hour, and
+ * password reset requests per email and per IP address and hour.
+ * Counts are forgotten an hour after the last failure. Every password check counts as a
+ * failure before the password is compared and is taken back when it was right, so parallel
+ * requests can't all get in before the first failure is recorded.
+ */
+
+import prisma from './prisma.js';
+
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 10;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const FAILURE_WINDOW_MS = 60 * 60 * 1000;
+const MAX_DELAY_SECONDS = 60;
+
+// Per scope: failures allowed without waiting, failures that lock, and for how long
+const RULES = {
+  account: { freeFailures: 3, lockAfter: LOCKOUT_THRESHOLD, lockMinutes: LOCKOUT_MINUTES },
+  ip: { freeFailures: 10, lockAfter: LOCKOUT_THRESHOLD * 5, lockMinutes: LOCKOUT_MINUTES },
+  signup: { freeFailures: 10, lockAfter: 10, lockMinutes: 60 },
+  reset: { freeFailures: 3, lockAfter: 3, lockMinutes: 60 },
+  'reset-ip': { freeFailures: 10, lockAfter: 10, lockMinutes: 60 }
+};
+
+// Scopes keyed by an email address rather than an IP address
+const EMAIL_SCOPES = ['account', 'reset'];
+
+export const THROTTLE_SCOPES = Object.keys(RULES);
+
+function toKey(scope, value) {
+  return EMAIL_SCOPES.includes(scope) ? value.toLowerCase().trim() : value;
+}
+
+// Seconds to wait after `failures` failures (0 while still free)
+function getDelaySeconds(failures, rule) {
+  if (failures < rule.freeFailures) return 0;
+  return Math.min(MAX_DELAY_SECONDS, 2 ** (failures - rule.freeFailures));
+}
+
+function formatMinutes(ms) {
+  const minutes = Math.ceil(ms / 60000);
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
+const LOCKED_MESSAGES = {
+  account: wait => `Too many failed logins for this account. Try again in ${wait}, reset your password, or ask an admin to unlock it.`,
+  ip: wait => `Too many failed logins from your network. Try again in ${wait}.`,
+  signup: wait => `Too many signups from your network. Try again in ${wait}.`,
+  reset: wait => `Too many password reset requests for this email. Try again in ${wait}.`,
+  'reset-ip': wait => `Too many password reset requests from your network. Try again in ${wait}.`
+};
+
+/**
+ * Why a throttle row refuses an attempt now, or null when it doesn't
+ * Returns { status, error, retryAfter } (retryAfter in seconds)
+ */
+function getBlock(scope, row, now = new Date()) {
+  if (!row) return null;
+
+  if (row.lockedUntil > now) {
+    const remaining = row.lockedUntil - now;
+    return {
+      status: scope === 'account' ? 423 : 429,
+      error: LOCKED_MESSAGES[scope](formatMinutes(remaining)),
+      retryAfter: Math.ceil(remaining / 1000)
+    };
+  }
+
+  if (!row.lastFailureAt || now - row.lastFailureAt > FAILURE_WINDOW_MS) return null;
+
+  const readyAt = row.lastFailureAt.getTime() + getDelaySeconds(row.failures, RULES[scope]) * 1000;
+  if (readyAt <= now.getTime()) return null;
+
+  const retryAfter = Math.ceil((readyAt - now.getTime()) / 1000);
+  return {
+    status: 429,
+    error: `Too many failed attempts. Wait ${retryAfter} second${retryAfter === 1 ? '' : 's'} before trying again.`,
+    retryAfter
+  };
+}
+
+/**
+ * Refuse a throttled attempt from an API route
+ */
+export function sendThrottled(res, block) {
+  res.setHeader('Retry-After', String(block.retryAfter));
+  return res.status(block.status).json({ error: block.error, retryAfter: block.retryAfter });
+}
+
+async function findThrottle(scope, key) {
+  return prisma.loginThrottle.findUnique({ where: { scope_key: { scope, key } } });
+}
+
+// Refuses a request that lost the race for a throttle row to a parallel one
+const BUSY_BLOCK = {
+  status: 429,
+  error: 'Another attempt is already being checked. Try again in a second.',
+  retryAfter: 1
+};
+
+/**
+ * Count an attempt as failed before it is checked, unless the throttle refuses it
+ * Counting first keeps parallel requests from all passing before the first failure is
+ * recorded: the count only moves on from the value this request read, so of several
+ * requests that read the same row one gets through and the others are refused.
+ * Returns { block } when refused, or { reservation } to settle once the outcome is known
+ */
+async function reserveAttempt(scope, key, now = new Date()) {
+  const row = await findThrottle(scope, key);
+  const block = getBlock(scope, row, now);
+  if (block) return { block };
+
+  // Failures from long ago don't count towards a new streak
+  const previous = row && row.lastFailureAt && now - row.lastFailureAt <= FAILURE_WINDOW_MS ? row.failures : 0;
+  const data = { failures: previous + 1, lastFailureAt: now };
+
+  try {
+    if (!row) {
+      const created = await prisma.loginThrottle.create({ data: { scope, key, ...data } });
+      return { reservation: { scope, row: created, previous: null } };
+    }
+
+    const { count } = await prisma.loginThrottle.updateMany({
+      where: { id: row.id, failures: row.failures, lastFailureAt: row.lastFailureAt },
+      data
+    });
+    if (count > 0) {
+      return { reservation: { scope, row: { ...row, ...data }, previous: row } };
+    }
+  } catch (error) {
+    // Another request created the row first
+    if (error.code !== 'P2002') throw error;
+  }
+  return { block: BUSY_BLOCK };
+}
+
+/**
+ * Keep a reserved attempt as a failure, locking once the threshold is reached
+ * Returns the block the next attempt will meet, if any
+ */
+async function keepFailure({ scope, row }, now = new Date()) {
+  const rule = RULES[scope];
+
+  if (row.failures >= rule.lockAfter && !(row.lockedUntil > now)) {
+    row = await prisma.loginThrottle.update({
+      where: { id: row.id },
+      data: { lockedUntil: new Date(now.getTime() + rule.lockMinutes * 60 * 1000) }
+    });
+  }
+
+  return getBlock(scope, row, now);
+}
+
+/**
+ * Take back a reserved attempt that succeeded; the row returns to how it was unless a
+ * parallel attempt has counted since
+ */
+async function releaseAttempt({ row, previous }) {
+  const unchanged = { id: row.id, failures: row.failures, lastFailureAt: row.lastFailureAt };
+  const { count } = previous
+    ? await prisma.loginThrottle.updateMany({
+      where: unchanged,
+      data: { failures: previous.failures, lastFailureAt: previous.lastFailureAt }
+    })
+    : await prisma.loginThrottle.deleteMany({ where: unchanged });
+
+  if (count === 0) {
+    await prisma.loginThrottle.updateMany({
+      where: { id: row.id, failures: { gt: 0 } },
+      data: { failures: { decrement: 1 } }
+    });
+  }
+}
+
+/**
+ * Start checking a password for this email from this IP (logins, and the current password
+ * asked for by profile and password changes). The attempt is counted as failed up front.
+ * Returns { block } with { status, error, retryAfter } to refuse it with, or { attempt }
+ * for recordLoginFailure / recordLoginSuccess
+ */
+export async function startLoginAttempt(email, ip) {
+  const account = await reserveAttempt('account', toKey('account', email));
+  if (account.block) return account;
+
+  const address = ip ? await reserveAttempt('ip', ip) : { reservation: null };
+  if (address.block) {
+    await releaseAttempt(account.reservation);
+    return address;
+  }
+
+  return { attempt: { email, reservations: [account.reservation, address.reservation].filter(Boolean) } };
+}
+
+/**
+ * Keep a started attempt as failed; returns the block the next attempt will meet, if any
+ */
+export async function recordLoginFailure(attempt) {
+  const blocks = await Promise.all(attempt.reservations.map(reservation => keepFailure(reservation)));
+  return blocks.find(Boolean) || null;
+}
+
+/**
+ * Forget an account's failures after its password was right (the IP's count only drops
+ * this attempt, so one valid account can't be used to reset it)
+ */
+export async function recordLoginSuccess(attempt) {
+  await Promise.all(attempt.reservations
+    .filter(reservation => reservation.scope === 'ip')
+    .map(releaseAttempt));
+  await clearThrottle('account', attempt.email);
+}
+
+// Count a capped action (every one counts, not just failures); returns a block or null
+async function countAttempt(scope, key) {
+  const { block, reservation } = await reserveAttempt(scope, key);
+  if (block) return block;
+
+  // The attempt that reaches the limit goes through; the lock meets the next one
+  await keepFailure(reservation);
+  return null;
+}
+
+/**
+ * Count a signup attempt against its IP address
+ * Returns null, or { status, error, retryAfter } to refuse it with
+ */
+export async function recordSignup(ip) {
+  return ip ? countAttempt('signup', ip) : null;
+}
+
+/**
+ * Count a password reset request against its IP address and the email it is for,
+ * whether or not an account has that email
+ * Returns null, or { status, error, retryAfter } to refuse it with
+ */
+export async function recordResetRequest(email, ip) {
+  return (ip && await countAttempt('reset-ip', ip)) || countAttempt('reset', toKey('reset', email));
+}
+
+/**
+ * Unlock an account or IP address and forget its failures
+ * Returns false when nothing was recorded for it
+ */
+export async function clearThrottle(scope, value) {
+  const { count } = await prisma.loginThrottle.deleteMany({ where: { scope, key: toKey(scope, value) } });
+  return count > 0;
+}
+
+/**
+ * Accounts and IP addresses that are locked or had failures in the last hour
+ */
+export async function listThrottles() {
+  const now = new Date();
+  const rows = await prisma.loginThrottle.findMany({
+    where: {
+      OR: [
+        { lockedUntil: { gt: now } },
+        { lastFailureAt: { gt: new Date(now - FAILURE_WINDOW_MS) } }
+      ]
+    },
+    orderBy: [{ lockedUntil: { sort: 'desc', nulls: 'last' } }, { lastFailureAt: 'desc' }]
+  });
+
+  return rows.map(row => ({
+    scope: row.scope,
+    key: row.key,
+    failures: row.failures,
+    lastFailureAt: row.lastFailureAt,
+    lockedUntil: row.lockedUntil > now ? row.lockedUntil : null
+  }));
+}
+
+/**
+ * Delete rows that no longer block anything, returns how many were removed
+ */
+export async function purgeStaleThrottles() {
+  const now = new Date();
+  const { count } = await prisma.loginThrottle.deleteMany({
+    where: {
+      lastFailureAt: { lt: new Date(now - FAILURE_WINDOW_MS) },
+      OR: [{ lockedUntil: null }, { lockedUntil: { lte: now } }]
+    }
+  });
+  return count;
+}
@@ -0,0 +1,217 @@
+/**
+ * Project Markets
+ * A project is tracked in its primary market (Project.locationCode / languageCode) and any
+ * number of additional ProjectMarket rows. Brands and competitors are shared, while brand
+ * volumes, brand terms, keywords, expanded keywords, positions and position overrides are kept per market. Every snapshot run stores one snapshot
+ * per market plus a rollup across all of them.
+ */
+
+import prisma from './prisma.js';
+import { calculateSnapshot, calculateRollup } from './calculations.js';
+import {
+  buildPositionsMatrix, buildExtraPositionsMatrix, buildFeaturesMatrix, buildMatchTypesMatrix, getKeywordPositionRows, saveSnapshot
+} from './snapshots.js';
+import { getMarket, validateMarket } from './locations.js';
+import { getBrandTermVolume, groupBrandTerms, validateBrandTerms, replaceBrandTerms } from './brand-terms.js';
+import { validateExpandedKeywords, replaceExpandedKeywords, getExpandedUniverse } from './expanded-keywords.js';
+import { applyPositionOverrides } from './position-overrides.js';
+
+const keywordInclude = { orderBy: { sortOrder: 'asc' }, include: { positions: true } };
+const termInclude = { orderBy: { sortOrder: 'asc' } };
+const expandedInclude = { orderBy: { volume: 'desc' } };
+
+// Everything needed to calculate a project's snapshots
+export const projectDataInclude = {
+  brand: true,
+  competitors: { orderBy: { sortOrder: 'asc' } },
+  keywords: { where: { marketId: null }, ...keywordInclude },
+  brandTerms: { where: { marketId: null }, ...termInclude },
+  expandedKeywords: { where: { marketId: null }, ...expandedInclude },
+  positionOverrides: { where: { marketId: null } },
+  markets: {
+    orderBy: { sortOrder: 'asc' },
+    include: { keywords: keywordInclude, brandTerms: termInclude, expandedKeywords: expandedInclude, positionOverrides: true }
+  }
+};
+
+/**
+ * Validate the additional markets from a request ([{ locationCode, languageCode, brandTerms?, expandedKeywords? }])
+ * `primary` is the project's own market, which can't be added again
+ * Returns an error message, or null when the markets are valid
+ */
+export function validateMarkets(markets, primary = {}) {
+  if (!Array.isArray(markets)) {
+    return 'Markets must be an array';
+  }
+
+  const seen = new Set([getMarketKey(getMarket(primary))]);
+  for (const market of markets) {
+    if (market?.locationCode == null) {
+      return 'Every market needs a location';
+    }
+
+    const marketError = validateMarket(market)
+      || (market.brandTerms && validateBrandTerms(market.brandTerms))
+      || (market.expandedKeywords && validateExpandedKeywords(market.expandedKeywords));
+    if (marketError) return marketError;
+
+    const key = getMarketKey(getMarket(market));
+    if (seen.has(key)) {
+      return `Market ${market.locationCode} / ${market.languageCode || 'default language'} is already tracked by this project`;
+    }
+    seen.add(key);
+  }
+
+  return null;
+}
+
+function getMarketKey({ locationCode, languageCode }) {
+  return `${locationCode}:${languageCode}`;
+}
+
+/**
+ * Keywords, positions, SERP features and match types of one market in the shape calculateSnapshot takes
+ */
+export function getKeywordData(keywords) {
+  return {
+    marketKeywords: keywords.map(k => ({ keyword: k.keyword, volume: k.volume, serpFeatures: k.serpFeatures, segment: k.segment })),
+    positions: buildPositionsMatrix(keywords),
+    extraPositions: buildExtraPositionsMatrix(keywords),
+    features: buildFeaturesMatrix(keywords),
+    matchTypes: buildMatchTypesMatrix(keywords)
+  };
+}
+
+// A brand's volume in one market: its term set when it has one, otherwise the volume of its name
+function withMarketVolume(brand, volume, terms) {
+  const brandTerms = terms[brand.name] || [];
+  return {
+    ...brand,
+    volume: getBrandTermVolume({ volume }, brandTerms),
+    ...(brandTerms.length > 0 && { terms: brandTerms })
+  };
+}
+
+function getMarketBrands(project, getVolume, termRows) {
+  const terms = groupBrandTerms(termRows);
+  return {
+    brand: project.brand && withMarketVolume(project.brand, getVolume(project.brand), terms),
+    competitors: project.competitors.map(c => withMarketVolume(c, getVolume(c), terms))
+  };
+}
+
+/**
+ * Snapshot input for every market of a project loaded with projectDataInclude
+ * Position overrides win over fetched positions
+ * Returns [{ marketId, input }], primary market first (marketId null)
+ */
+export function getMarketInputs(project) {
+  const ctr = { ctrModel: project.ctrModel, customCtrCurve: project.ctrCurve, domainAggregation: project.domainAggregation };
+
+  return [
+    {
+      marketId: null,
+      input: {
+        ...getMarketBrands(project, b => b.volume, project.brandTerms),
+        ...applyPositionOverrides(getKeywordData(project.keywords), project.positionOverrides),
+        ...getExpandedUniverse(project.expandedKeywords, project.keywords),
+        ...ctr
+      }
+    },
+    ...(project.markets || []).map(market => ({
+      marketId: market.id,
+      input: {
+        ...getMarketBrands(project, b => parseInt(market.brandVolumes?.[b.name]) || 0, market.brandTerms),
+        ...applyPositionOverrides(getKeywordData(market.keywords), market.positionOverrides),
+        ...getExpandedUniverse(market.expandedKeywords, market.keywords),
+        ...ctr
+      }
+    }))
+  ];
+}
+
+/**
+ * Replace the keywords (and their positions) of one market
+ */
+export async function replaceMarketKeywords(tx, projectId, marketId, { marketKeywords = [], positions = {}, features = {}, matchTypes = {}, extraPositions = {} }) {
+  await tx.marketKeyword.deleteMany({ where: { projectId, marketId } });
+
+  for (let idx = 0; idx < marketKeywords.length; idx++) {
+    const kw = marketKeywords[idx];
+    const keyword = await tx.marketKeyword.create({
+      data: {
+        projectId, marketId, keyword: kw.keyword, volume: kw.volume || 0,
+        serpFeatures: kw.serpFeatures || [], segment: kw.segment?.trim() || null, sortOrder: idx
+      }
+    });
+    for (const row of getKeywordPositionRows(idx, positions, features, matchTypes, extraPositions)) {
+      await tx.position.create({
+        data: { keywordId: keyword.id, ...row }
+      });
+    }
+  }
+}
+
+/**
+ * Store a project's additional markets from a request
+ * Markets with a known `id` are updated (keeping their snapshot history), new ones are
+ * created and markets missing from the list are deleted
+ */
+export async function saveMarkets(tx, projectId, markets) {
+  const existing = await tx.projectMarket.findMany({ where: { projectId }, select: { id: true } });
+  const existingIds = new Set(existing.map(m => m.id));
+  const keptIds = markets.map(m => m.id).filter(marketId => existingIds.has(marketId));
+
+  await tx.projectMarket.deleteMany({ where: { projectId, id: { notIn: keptIds } } });
+
+  for (let idx = 0; idx < markets.length; idx++) {
+    const market = markets[idx];
+    const data = {
+      ...getMarket(market),
+      sortOrder: idx,
+      brandVolumes: Object.fromEntries(
+        Object.entries(market.brandVolumes || {}).map(([name, volume]) => [name, parseInt(volume) || 0])
+      )
+    };
+
+    const saved = keptIds.includes(market.id)
+      ? await tx.projectMarket.update({ where: { id: market.id }, data })
+      : await tx.projectMarket.create({ data: { projectId, ...data } });
+
+    if (market.marketKeywords) {
+      await replaceMarketKeywords(tx, projectId, saved.id, market);
+    }
+
+    if (market.brandTerms) {
+      await replaceBrandTerms(tx, projectId, saved.id, market.brandTerms);
+    }
+
+    if (market.expandedKeywords) {
+      await replaceExpandedKeywords(tx, projectId, saved.id, market.expandedKeywords);
+    }
+  }
+}
+
+/**
+ * Calculate and store a snapshot for every market of a project, plus the rollup when
+ * it has more than one market
+ * Returns the headline { snapshot, saved } - the rollup, or the primary market's snapshot
+ */
+export async function createProjectSnapshots(projectId) {
+  const project = await prisma.project.findUnique({ where: { id: projectId }, include: projectDataInclude });
+
+  const results = [];
+  for (const { marketId, input } of getMarketInputs(project)) {
+    const snapshot = calculateSnapshot(input);
+    const saved = await saveSnapshot(projectId, snapshot, input, { marketId });
+    results.push({ snapshot, saved });
+  }
+
+  if (results.length === 1) {
+    return results[0];
+  }
+
+  const rollup = calculateRollup(results.map(r => r.snapshot));
+  const saved = await saveSnapshot(projectId, rollup, {}, { rollup: true });
+  return { snapshot: rollup, saved };
+}
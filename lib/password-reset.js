@@ -0,0 +1,108 @@
+/**
+ * Password Reset
+ * A reset request emails a one-time link. Only the token's SHA-256 hash is stored, so a
+ * leaked database can't be used to reset passwords. Setting a new password (by reset or
+ * change) revokes every session of the account.
+ */
+
+import prisma from './prisma.js';
+import { hashPassword, generateSecretToken, hashSecretToken } from './auth.js';
+import { revokeAllSessions } from './sessions.js';
+import { clearThrottle } from './login-throttle.js';
+import { sendEmail, getAppUrl } from './email.js';
+
+const RESET_TOKEN_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+
+// Reset requests take at least this long, so the time taken (a lookup, or a lookup and an
+// email) doesn't tell whether the account exists
+const RESET_REQUEST_MIN_MS = 2000;
+
+/**
+ * Store a new password and sign out every session
+ */
+export async function setUserPassword(userId, password, tx = prisma) {
+  const user = await tx.user.update({
+    where: { id: userId },
+    data: { passwordHash: await hashPassword(password), passwordChangedAt: new Date() }
+  });
+  await revokeAllSessions(userId, tx);
+  return user;
+}
+
+/**
+ * Email a reset link to the account with this email
+ * Takes the same time and never throws whether or not the account exists or the email
+ * could be sent (failures are logged), so callers answer the same either way
+ */
+export async function requestPasswordReset(email) {
+  const started = Date.now();
+
+  try {
+    await sendResetLink(email);
+  } catch (error) {
+    console.error('Password reset email failed:', error);
+  }
+
+  const remaining = started + RESET_REQUEST_MIN_MS - Date.now();
+  if (remaining > 0) {
+    await new Promise(resolve => setTimeout(resolve, remaining));
+  }
+}
+
+// Email the account a fresh link (nothing happens when there is no account)
+async function sendResetLink(email) {
+  const user = await prisma.user.findUnique({ where: { email: email.toLowerCase().trim() } });
+  if (!user) return;
+
+  const token = generateSecretToken();
+  await prisma.passwordResetToken.create({
+    data: {
+      userId: user.id,
+      tokenHash: hashSecretToken(token),
+      expiresAt: new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000)
+    }
+  });
+
+  await sendEmail({
+    to: user.email,
+    subject: 'Reset your SearchShare Pro password',
+    text: [
+      `Hi${user.name ? ` ${user.name}` : ''},`,
+      '',
+      'Someone asked to reset the password of your SearchShare Pro account. Open this link to choose a new one:',
+      '',
+      `${getAppUrl()}/?reset=${token}`,
+      '',
+      `The link works once and expires in ${RESET_TOKEN_TTL_MINUTES} minutes. If you didn't ask for it, ignore this email.`
+    ].join('\n')
+  });
+}
+
+/**
+ * Set a new password with a reset token
+ * Returns the user, or null when the token is unknown, used or expired
+ */
+export async function resetPassword(token, password) {
+  const resetToken = await prisma.passwordResetToken.findUnique({ where: { tokenHash: hashSecretToken(token) } });
+  if (!resetToken || resetToken.usedAt || resetToken.expiresAt <= new Date()) return null;
+
+  const user = await prisma.$transaction(async (tx) => {
+    // Claiming the token in the update keeps two simultaneous resets from both using it
+    const { count } = await tx.passwordResetToken.updateMany({
+      where: { id: resetToken.id, usedAt: null },
+      data: { usedAt: new Date() }
+    });
+    if (count === 0) return null;
+
+    // Using one link voids the account's other open links
+    await tx.passwordResetToken.updateMany({
+      where: { userId: resetToken.userId, usedAt: null },
+      data: { usedAt: new Date() }
+    });
+    return setUserPassword(resetToken.userId, password, tx);
+  });
+
+  // Whoever can read the account's email may unlock it
+  if (user) await clearThrottle('account', user.email);
+  return user;
+}
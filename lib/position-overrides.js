@@ -0,0 +1,159 @@
+/**
+ * Position Overrides
+ * When DataForSEO misses a ranking or the matcher picks the wrong one, an analyst can lock a
+ * keyword's position for a brand. Overrides are kept apart from the fetched positions and keyed
+ * by keyword text, so re-saving the keyword list and automated refreshes never touch them; they
+ * are laid over the fetched positions whenever snapshot input is built. Every change is logged
+ * in PositionOverrideEvent.
+ */
+
+import prisma from './prisma.js';
+
+/**
+ * Validate an override from a request ({ keyword, brandName, position, reason })
+ * A null position locks the brand as not ranking
+ * Returns an error message, or null when the override is valid
+ */
+export function validatePositionOverride({ keyword, brandName, position, reason } = {}) {
+  if (typeof keyword !== 'string' || !keyword.trim() || !brandName) {
+    return 'Keyword and brand name required';
+  }
+
+  if (position !== null && !(Number.isInteger(position) && position >= 1 && position <= 100)) {
+    return 'Position must be a whole number from 1 to 100, or null for not ranking';
+  }
+
+  if (typeof reason !== 'string' || !reason.trim()) {
+    return 'A reason is required for every override';
+  }
+
+  return null;
+}
+
+function toKeywordKey(keyword) {
+  return keyword.toLowerCase().trim();
+}
+
+// Unique key of one keyword and brand's override in a market
+function toOverrideKey(projectId, marketId, keyword, brandName) {
+  return { projectId_marketKey_keyword_brandName: { projectId, marketKey: marketId || 'primary', keyword, brandName } };
+}
+
+// Stored overrides of the tracked keywords: [{ idx, override }]
+function matchOverrides(marketKeywords, overrides) {
+  const keywordIdx = new Map(marketKeywords.map((kw, idx) => [toKeywordKey(kw.keyword), idx]));
+  return overrides
+    .filter(o => keywordIdx.has(o.keyword))
+    .map(override => ({ idx: keywordIdx.get(override.keyword), override }));
+}
+
+function copyMatrix(matrix = {}) {
+  return Object.fromEntries(Object.entries(matrix).map(([idx, byBrand]) => [idx, { ...byBrand }]));
+}
+
+/**
+ * Keyword data (see getKeywordData) with a market's overrides laid over the fetched positions
+ * A locked position replaces the positions of all of the brand's domains
+ * Overrides of keywords the market no longer tracks are kept but ignored
+ */
+export function applyPositionOverrides(keywordData, overrides = []) {
+  const positions = copyMatrix(keywordData.positions);
+  const extraPositions = copyMatrix(keywordData.extraPositions);
+
+  matchOverrides(keywordData.marketKeywords || [], overrides).forEach(({ idx, override }) => {
+    positions[idx] = positions[idx] || {};
+    if (override.position) {
+      positions[idx][override.brandName] = override.position;
+    } else {
+      delete positions[idx][override.brandName];
+    }
+    if (extraPositions[idx]) delete extraPositions[idx][override.brandName];
+  });
+
+  return { ...keywordData, positions, extraPositions };
+}
+
+/**
+ * A market's overrides as returned to the client: keywordIndex -> { brandName: { position, reason, setByEmail, updatedAt } }
+ */
+export function getPositionOverrideMatrix(marketKeywords = [], overrides = []) {
+  const matrix = {};
+  matchOverrides(marketKeywords, overrides).forEach(({ idx, override }) => {
+    matrix[idx] = matrix[idx] || {};
+    matrix[idx][override.brandName] = {
+      position: override.position,
+      reason: override.reason,
+      setByEmail: override.setByEmail,
+      updatedAt: override.updatedAt
+    };
+  });
+  return matrix;
+}
+
+/**
+ * Set or change the override of one keyword and brand, and log it
+ * The upsert on the unique key keeps two simultaneous sets from creating two overrides
+ */
+export async function setPositionOverride(projectId, marketId, { keyword, brandName, position, reason }, user) {
+  const key = toKeywordKey(keyword);
+  const where = toOverrideKey(projectId, marketId, key, brandName);
+
+  return prisma.$transaction(async (tx) => {
+    const existing = await tx.positionOverride.findUnique({ where });
+    const data = { position, reason: reason.trim(), setById: user.id, setByEmail: user.email };
+
+    const override = await tx.positionOverride.upsert({
+      where,
+      update: data,
+      create: { projectId, marketId, marketKey: where.projectId_marketKey_keyword_brandName.marketKey, keyword: key, brandName, ...data }
+    });
+
+    await tx.positionOverrideEvent.create({
+      data: {
+        projectId,
+        marketId,
+        action: existing ? 'updated' : 'set',
+        keyword: key,
+        brandName,
+        position,
+        previousPosition: existing?.position ?? null,
+        reason: data.reason,
+        userId: user.id,
+        userEmail: user.email
+      }
+    });
+
+    return override;
+  });
+}
+
+/**
+ * Remove the override of one keyword and brand, and log it
+ * Returns false when there was none
+ */
+export async function removePositionOverride(projectId, marketId, { keyword, brandName, reason }, user) {
+  const key = toKeywordKey(keyword);
+
+  return prisma.$transaction(async (tx) => {
+    const existing = await tx.positionOverride.findUnique({ where: toOverrideKey(projectId, marketId, key, brandName) });
+    if (!existing) return false;
+
+    await tx.positionOverride.delete({ where: { id: existing.id } });
+    await tx.positionOverrideEvent.create({
+      data: {
+        projectId,
+        marketId,
+        action: 'removed',
+        keyword: key,
+        brandName,
+        position: null,
+        previousPosition: existing.position,
+        reason: reason?.trim() || null,
+        userId: user.id,
+        userEmail: user.email
+      }
+    });
+
+    return true;
+  });
+}
@@ -0,0 +1,289 @@
+/**
+ * Scheduled Snapshots
+ * Re-fetches volumes and positions for projects with an automatic schedule
+ * and records every attempt in the SnapshotRun log
+ */
+
+import prisma from './prisma.js';
+import { hasCredentials, fetchSearchVolumes, fetchRankedPositions } from './dataforseo.js';
+import { projectDataInclude, createProjectSnapshots } from './markets.js';
+import { getBrandTermVolume, groupBrandTerms } from './brand-terms.js';
+import { getBrandTargets } from './brand-domains.js';
+import { getPayingMember } from './workspaces.js';
+
+export const SNAPSHOT_SCHEDULES = ['weekly', 'monthly'];
+
+const RETRY_DELAY_MS = 24 * 60 * 60 * 1000;
+
+// A run still `running` after this long was cut off by the function time limit
+const STALE_RUN_MS = 15 * 60 * 1000;
+
+/**
+ * Get the next run date for a schedule, or null for manual-only projects
+ */
+export function getNextSnapshotDate(schedule, from = new Date()) {
+  if (!SNAPSHOT_SCHEDULES.includes(schedule)) return null;
+
+  const next = new Date(from);
+  if (schedule === 'weekly') {
+    next.setUTCDate(next.getUTCDate() + 7);
+  } else {
+    next.setUTCMonth(next.getUTCMonth() + 1);
+  }
+  return next;
+}
+
+/**
+ * The member paying for a project's scheduled runs, or null when they can no longer edit it
+ * Schedules set before the scheduler was recorded are paid by the project's creator
+ */
+export async function getSchedulePayer(project) {
+  return getPayingMember(project.id, project.scheduledById ?? project.userId);
+}
+
+/**
+ * Find projects whose scheduled snapshot is due
+ */
+export async function findDueProjects(limit, now = new Date()) {
+  return prisma.project.findMany({
+    where: {
+      snapshotSchedule: { in: SNAPSHOT_SCHEDULES },
+      nextSnapshotAt: { lte: now }
+    },
+    orderBy: { nextSnapshotAt: 'asc' },
+    take: limit,
+    select: { id: true, name: true, snapshotSchedule: true }
+  });
+}
+
+/**
+ * Claim a due project for one run before anything is fetched (and billed)
+ * Moving nextSnapshotAt to the retry date in the same statement that checks it keeps two
+ * overlapping cron invocations from both running it, and a run cut off by the time limit
+ * is retried the next day like a failed one. Returns false when someone else claimed it
+ */
+export async function claimDueProject(projectId, now = new Date()) {
+  const { count } = await prisma.project.updateMany({
+    where: {
+      id: projectId,
+      snapshotSchedule: { in: SNAPSHOT_SCHEDULES },
+      nextSnapshotAt: { lte: now }
+    },
+    data: { nextSnapshotAt: new Date(now.getTime() + RETRY_DELAY_MS) }
+  });
+  return count > 0;
+}
+
+/**
+ * Mark runs that never finished as failed, returns how many were closed
+ */
+export async function failStaleRuns(now = new Date()) {
+  const { count } = await prisma.snapshotRun.updateMany({
+    where: { status: 'running', startedAt: { lt: new Date(now.getTime() - STALE_RUN_MS) } },
+    data: { status: 'failed', error: 'Run did not finish in time', finishedAt: now }
+  });
+  return count;
+}
+
+/**
+ * Refresh one market's volumes and positions from DataForSEO and store the new values
+ * `market` is null for the project's primary market, whose brand volumes live on Brand / Competitor
+ * `user` is the member whose credentials and budget pay for the calls
+ */
+async function refreshMarketData(project, market, user) {
+  const { brand, competitors } = project;
+  const keywords = market ? market.keywords : project.keywords;
+  const terms = market ? market.brandTerms : project.brandTerms;
+  const expanded = (market ? market.expandedKeywords : project.expandedKeywords).filter(kw => !kw.excluded);
+  const allBrands = [brand, ...competitors].filter(Boolean);
+  const keywordTexts = keywords.map(k => k.keyword);
+  const options = {
+    locationCode: (market || project).locationCode,
+    languageCode: (market || project).languageCode,
+    projectId: project.id,
+    matchMode: project.keywordMatchMode,
+    matchThreshold: project.keywordMatchThreshold
+  };
+
+  const { volumes } = await fetchSearchVolumes(
+    [...allBrands.map(b => b.name), ...terms.map(t => t.term), ...keywordTexts],
+    user,
+    options
+  );
+
+  // Brands with a term set get the summed volume of their refreshed terms
+  const refreshedTerms = terms.map(t => ({ ...t, volume: volumes[t.term.toLowerCase()] || t.volume }));
+  const termsByBrand = groupBrandTerms(refreshedTerms);
+  const getBrandVolume = (b) => getBrandTermVolume({ volume: volumes[b.name.toLowerCase()] }, termsByBrand[b.name]);
+
+  // Positions are looked up by each brand's domain targets (results keyed by the first one).
+  // Expanded keywords are matched against the same ranked keyword lists, after the tracked ones
+  const brandTargets = allBrands.map(getBrandTargets);
+  const brandDomains = brandTargets.map(targets => targets[0]);
+  const rankedTexts = [...keywordTexts, ...expanded.map(kw => kw.keyword)];
+  const { positions, extraPositions, features, matchTypes, serpFeatures, errors } = rankedTexts.length > 0
+    ? await fetchRankedPositions(rankedTexts, brandTargets, user, options)
+    : { positions: {}, extraPositions: {}, features: {}, matchTypes: {}, serpFeatures: {}, errors: [] };
+  const failedDomains = new Set(errors.map(e => e.domain));
+
+  await prisma.$transaction(async (tx) => {
+    for (const term of refreshedTerms) {
+      if (volumes[term.term.toLowerCase()]) {
+        await tx.brandTerm.update({ where: { id: term.id }, data: { volume: term.volume } });
+      }
+    }
+
+    if (market) {
+      const brandVolumes = { ...(market.brandVolumes || {}) };
+      allBrands.forEach(b => {
+        if (getBrandVolume(b)) brandVolumes[b.name] = getBrandVolume(b);
+      });
+      await tx.projectMarket.update({ where: { id: market.id }, data: { brandVolumes } });
+    } else {
+      if (brand && getBrandVolume(brand)) {
+        await tx.brand.update({
+          where: { id: brand.id },
+          data: { volume: getBrandVolume(brand) }
+        });
+      }
+
+      for (const competitor of competitors) {
+        const volume = getBrandVolume(competitor);
+        if (volume) {
+          await tx.competitor.update({ where: { id: competitor.id }, data: { volume } });
+        }
+      }
+    }
+
+    for (let idx = 0; idx < keywords.length; idx++) {
+      const kw = keywords[idx];
+      const volume = volumes[kw.keyword.toLowerCase()];
+      if (volume || serpFeatures[idx]?.length) {
+        await tx.marketKeyword.update({
+          where: { id: kw.id },
+          data: { ...(volume && { volume }), ...(serpFeatures[idx]?.length && { serpFeatures: serpFeatures[idx] }) }
+        });
+      }
+
+      for (let brandIdx = 0; brandIdx < allBrands.length; brandIdx++) {
+        const domain = brandDomains[brandIdx];
+        // Keep the last known position when the domain lookup failed
+        if (failedDomains.has(domain)) continue;
+
+        const ranking = {
+          position: positions[idx]?.[domain] || null,
+          extraPositions: extraPositions[idx]?.[domain] || [],
+          features: features[idx]?.[domain] || [],
+          matchType: matchTypes[idx]?.[domain] || null
+        };
+        await tx.position.upsert({
+          where: { keywordId_brandName: { keywordId: kw.id, brandName: allBrands[brandIdx].name } },
+          update: ranking,
+          create: { keywordId: kw.id, brandName: allBrands[brandIdx].name, ...ranking }
+        });
+      }
+    }
+
+    for (let idx = 0; idx < expanded.length; idx++) {
+      const kw = expanded[idx];
+      const rankIdx = keywords.length + idx;
+      const kwPositions = { ...(kw.positions || {}) };
+      const kwExtraPositions = { ...(kw.extraPositions || {}) };
+      const kwFeatures = { ...(kw.features || {}) };
+
+      allBrands.forEach((b, brandIdx) => {
+        const domain = brandDomains[brandIdx];
+        if (failedDomains.has(domain)) return;
+
+        kwPositions[b.name] = positions[rankIdx]?.[domain] || null;
+        kwExtraPositions[b.name] = extraPositions[rankIdx]?.[domain] || [];
+        kwFeatures[b.name] = features[rankIdx]?.[domain] || [];
+      });
+
+      await tx.expandedKeyword.update({
+        where: { id: kw.id },
+        data: {
+          positions: kwPositions,
+          extraPositions: kwExtraPositions,
+          features: kwFeatures,
+          serpFeatures: serpFeatures[rankIdx] || [],
+          rankedAt: new Date()
+        }
+      });
+    }
+  });
+
+  // Errors name the market when the project tracks more than one
+  return market
+    ? errors.map(e => ({ ...e, domain: `${e.domain} (${market.locationCode}/${market.languageCode})` }))
+    : errors;
+}
+
+/**
+ * Run a scheduled snapshot for one project and log the outcome
+ * Returns the run, or null when the project was no longer due (claimed by another run)
+ */
+export async function runScheduledSnapshot(projectId, now = new Date()) {
+  if (!await claimDueProject(projectId, now)) return null;
+
+  const run = await prisma.snapshotRun.create({
+    data: { projectId, trigger: 'scheduled' }
+  });
+
+  let succeeded = false;
+  try {
+    const project = await prisma.project.findUnique({
+      where: { id: projectId },
+      include: projectDataInclude
+    });
+
+    const payer = await getSchedulePayer(project);
+    if (!payer) {
+      throw new Error('The editor who scheduled these snapshots can no longer edit the project. Save the project as an editor to run them with your DataForSEO credentials');
+    }
+    if (!hasCredentials(payer)) {
+      throw new Error('DataForSEO credentials not configured');
+    }
+
+    const fetchErrors = [];
+    for (const market of [null, ...project.markets]) {
+      fetchErrors.push(...await refreshMarketData(project, market, payer));
+    }
+
+    const { saved } = await createProjectSnapshots(projectId);
+    succeeded = true;
+
+    return await prisma.snapshotRun.update({
+      where: { id: run.id },
+      data: {
+        status: 'success',
+        snapshotId: saved.id,
+        error: fetchErrors.length > 0
+          ? fetchErrors.map(e => `${e.domain}: ${e.error}`).join('; ')
+          : null,
+        finishedAt: new Date()
+      }
+    });
+  } catch (error) {
+    console.error(`Scheduled snapshot failed for project ${projectId}:`, error);
+    return await prisma.snapshotRun.update({
+      where: { id: run.id },
+      data: { status: 'failed', error: error.message || 'Snapshot failed', finishedAt: new Date() }
+    });
+  } finally {
+    // Failed runs are retried the next day instead of waiting for the next period
+    const project = await prisma.project.findUnique({
+      where: { id: projectId },
+      select: { snapshotSchedule: true }
+    });
+    if (project) {
+      const nextSnapshotAt = succeeded
+        ? getNextSnapshotDate(project.snapshotSchedule, now)
+        : new Date(now.getTime() + RETRY_DELAY_MS);
+      await prisma.project.update({
+        where: { id: projectId },
+        data: { nextSnapshotAt: project.snapshotSchedule ? nextSnapshotAt : null }
+      });
+    }
+  }
+}
@@ -0,0 +1,337 @@
+/**
+ * SERP Jobs
+ * Fetches live SERP positions for large keyword sets in the background with
+ * DataForSEO's task_post / task_get flow. A job advances a little every time an editor
+ * polls it, and in bulk from /api/cron/serp-jobs, writing positions as tasks complete.
+ */
+
+import crypto from 'node:crypto';
+import prisma from './prisma.js';
+import { dataForSeoRequest, dataForSeoGet, getTaskResult, extractSerpFeatures } from './dataforseo.js';
+import { getBrandTargets } from './brand-domains.js';
+import { getPayingMember } from './workspaces.js';
+
+export const ACTIVE_JOB_STATUSES = ['queued', 'running'];
+
+// DataForSEO accepts up to 100 tasks per task_post call
+const POST_BATCH_SIZE = 100;
+
+// How much one advance does. Polls and the POST route run in a 10-second function, so they
+// post at most one batch and give up on slow calls instead of retrying them; the cron
+// (300 seconds) does the bulk of the posting and collecting
+const ADVANCE_LIMITS = {
+  request: { postBatches: 1, checkBatchSize: 5, timeoutMs: 3000, retries: 0 },
+  background: { postBatches: 3, checkBatchSize: 20 }
+};
+
+// A task still `posting` after this long was cut off before DataForSEO's answer was saved
+const STALE_POSTING_MS = 10 * 60 * 1000;
+
+// Errors that mean DataForSEO never took the tasks, so they can be posted again
+const REFUSED_ERROR_TYPES = ['credentials', 'auth', 'insufficient_funds', 'budget', 'rate_limit', 'invalid_request'];
+
+// task_get status codes for tasks that are still queued or being processed
+const TASK_WAITING_CODES = [40601, 40602];
+const TASK_CREATED_CODE = 20100;
+
+/**
+ * Create a job for a project's keywords against its brand and competitor domains
+ * `market` is one of the project's additional markets, the primary market when omitted.
+ * `user` started the job and pays for its tasks
+ */
+export async function createSerpJob(project, keywords, market, user) {
+  const allBrands = [project.brand, ...project.competitors].filter(Boolean);
+
+  return prisma.serpJob.create({
+    data: {
+      projectId: project.id,
+      marketId: market?.id || null,
+      createdById: user.id,
+      locationCode: (market || project).locationCode,
+      languageCode: (market || project).languageCode,
+      // Every domain target of every brand, with the brand it belongs to at the same index
+      domains: allBrands.flatMap(getBrandTargets),
+      brandNames: allBrands.flatMap(b => getBrandTargets(b).map(() => b.name)),
+      tasks: { create: keywords.map(keyword => ({ keyword })) }
+    }
+  });
+}
+
+/**
+ * Claim up to one batch of a job's pending tasks for posting
+ * The claim is a single pending -> posting update, so a poll, the cron and a second tab
+ * advancing the same job never post (and pay for) the same task twice. Returns the claimed tasks
+ */
+async function claimPendingTasks(jobId) {
+  const candidates = await prisma.serpTask.findMany({
+    where: { jobId, status: 'pending' },
+    select: { id: true },
+    take: POST_BATCH_SIZE
+  });
+  if (candidates.length === 0) return [];
+
+  const claimToken = crypto.randomUUID();
+  await prisma.serpTask.updateMany({
+    where: { id: { in: candidates.map(t => t.id) }, status: 'pending' },
+    data: { status: 'posting', claimToken, checkedAt: new Date() }
+  });
+
+  return prisma.serpTask.findMany({ where: { jobId, status: 'posting', claimToken } });
+}
+
+/**
+ * Fail tasks whose posting was cut off. DataForSEO may have taken (and billed) them,
+ * so they are not posted again
+ */
+async function failStalePostingTasks(jobId) {
+  await prisma.serpTask.updateMany({
+    where: { jobId, status: 'posting', checkedAt: { lt: new Date(Date.now() - STALE_POSTING_MS) } },
+    data: { status: 'failed', error: 'Posting the task was interrupted', claimToken: null }
+  });
+}
+
+/**
+ * Post pending keywords to the DataForSEO task queue
+ */
+async function postPendingTasks(job, user, limits) {
+  await failStalePostingTasks(job.id);
+
+  for (let batch = 0; batch < limits.postBatches; batch++) {
+    const claimed = await claimPendingTasks(job.id);
+    if (claimed.length === 0) return;
+
+    let data;
+    try {
+      // Posting is billed and not idempotent, so a failed post is never sent again
+      data = await dataForSeoRequest('/serp/google/organic/task_post', claimed.map(task => ({
+        keyword: task.keyword,
+        location_code: job.locationCode,
+        language_code: job.languageCode,
+        depth: 100,
+        tag: task.id
+      })), user, { projectId: job.projectId, timeoutMs: limits.timeoutMs, retries: 0 });
+    } catch (error) {
+      // Refused posts go back to the queue; ones that may have gone through wait for the stale check
+      if (REFUSED_ERROR_TYPES.includes(error.type)) {
+        await prisma.serpTask.updateMany({
+          where: { id: { in: claimed.map(t => t.id) }, status: 'posting' },
+          data: { status: 'pending', claimToken: null }
+        });
+      }
+      throw error;
+    }
+
+    const now = new Date();
+    const responses = new Map((data.tasks || []).map(t => [t.data?.tag, t]));
+
+    await prisma.$transaction(claimed.map(task => {
+      const response = responses.get(task.id);
+      return prisma.serpTask.update({
+        where: { id: task.id },
+        data: response?.status_code === TASK_CREATED_CODE
+          ? { status: 'posted', taskId: response.id, claimToken: null, checkedAt: now }
+          : { status: 'failed', error: response?.status_message || 'Task was not accepted', claimToken: null }
+      });
+    }));
+  }
+}
+
+/**
+ * Fetch one posted task's SERP
+ * Returns { items } when done, { waiting: true } while queued, { error } on failure
+ */
+async function fetchTaskSerp(task, user, limits) {
+  try {
+    // Collecting is free - the task was paid for when it was posted
+    const data = await dataForSeoGet(`/serp/google/organic/task_get/advanced/${task.taskId}`, user, {
+      budget: false, timeoutMs: limits.timeoutMs, retries: limits.retries
+    });
+    const result = data.tasks?.[0];
+
+    if (TASK_WAITING_CODES.includes(result?.status_code)) return { waiting: true };
+
+    return { items: getTaskResult(result)[0]?.items || [] };
+  } catch (error) {
+    // Rate limits, outages and timeouts are retried on the next advance
+    if (error.retryable || error.type === 'timeout') {
+      console.error(`SERP task ${task.taskId} check failed:`, error);
+      return { waiting: true };
+    }
+    return { error: error.message };
+  }
+}
+
+/**
+ * Check posted tasks and write finished SERPs to Position
+ */
+async function collectPostedTasks(job, user, limits) {
+  const posted = await prisma.serpTask.findMany({
+    where: { jobId: job.id, status: 'posted' },
+    orderBy: { checkedAt: 'asc' },
+    take: limits.checkBatchSize
+  });
+  if (posted.length === 0) return;
+
+  const results = await Promise.all(posted.map(async task => ({ task, ...await fetchTaskSerp(task, user, limits) })));
+
+  // Keywords are matched by text because MarketKeyword rows are recreated on every project update
+  const keywords = await prisma.marketKeyword.findMany({
+    where: { projectId: job.projectId, marketId: job.marketId },
+    select: { id: true, keyword: true }
+  });
+  const keywordIds = new Map(keywords.map(k => [k.keyword.toLowerCase(), k.id]));
+  const now = new Date();
+
+  await prisma.$transaction(async (tx) => {
+    for (const { task, waiting, error, items } of results) {
+      if (waiting) {
+        await tx.serpTask.update({ where: { id: task.id }, data: { checkedAt: now } });
+        continue;
+      }
+
+      if (error) {
+        await tx.serpTask.update({ where: { id: task.id }, data: { status: 'failed', error, checkedAt: now } });
+        continue;
+      }
+
+      const keywordId = keywordIds.get(task.keyword.toLowerCase());
+      if (keywordId) {
+        const brandNames = [...new Set(job.brandNames)];
+        const brandTargets = brandNames.map(name => job.domains.filter((domain, idx) => job.brandNames[idx] === name));
+        const { positions, extraPositions, features, serpFeatures } = extractSerpFeatures(items, brandTargets);
+
+        await tx.marketKeyword.update({ where: { id: keywordId }, data: { serpFeatures } });
+
+        for (let idx = 0; idx < brandNames.length; idx++) {
+          const domain = brandTargets[idx][0];
+          const brandName = brandNames[idx];
+          const ranking = {
+            position: positions[domain] || null,
+            extraPositions: extraPositions[domain] || [],
+            features: features[domain] || [],
+            // The SERP was fetched for the keyword itself, so any earlier match type no longer applies
+            matchType: positions[domain] ? 'exact' : null
+          };
+
+          await tx.position.upsert({
+            where: { keywordId_brandName: { keywordId, brandName } },
+            update: ranking,
+            create: { keywordId, brandName, ...ranking }
+          });
+        }
+      }
+
+      await tx.serpTask.update({ where: { id: task.id }, data: { status: 'completed', checkedAt: now } });
+    }
+  });
+}
+
+/**
+ * Count a job's tasks by status
+ */
+export async function getSerpJobProgress(jobId) {
+  const groups = await prisma.serpTask.groupBy({
+    by: ['status'],
+    where: { jobId },
+    _count: true
+  });
+  const counts = Object.fromEntries(groups.map(g => [g.status, g._count]));
+
+  const completed = counts.completed || 0;
+  const failed = counts.failed || 0;
+  const pending = (counts.pending || 0) + (counts.posting || 0) + (counts.posted || 0);
+  const total = completed + failed + pending;
+
+  return {
+    total,
+    completed,
+    failed,
+    pending,
+    percent: total > 0 ? Math.round(((completed + failed) / total) * 100) : 100
+  };
+}
+
+/**
+ * Post queued keywords, collect finished tasks and update the job status
+ * Posting is billed, so only editors' polls and the cron advance jobs; viewers get getSerpJob.
+ * options.background lifts the limits meant for advancing inside a request (the cron)
+ * Returns the job with its progress
+ */
+export async function advanceSerpJob(jobId, { background = false } = {}) {
+  const job = await prisma.serpJob.findUnique({
+    where: { id: jobId },
+    include: { project: { select: { userId: true } } }
+  });
+  if (!job) return null;
+
+  if (ACTIVE_JOB_STATUSES.includes(job.status)) {
+    try {
+      // Jobs from before the starter was recorded are paid by the project's creator
+      const user = await getPayingMember(job.projectId, job.createdById ?? job.project.userId);
+      if (!user) {
+        throw new Error('The editor who started this fetch can no longer edit the project');
+      }
+
+      const limits = ADVANCE_LIMITS[background ? 'background' : 'request'];
+      await postPendingTasks(job, user, limits);
+      await collectPostedTasks(job, user, limits);
+
+      const progress = await getSerpJobProgress(job.id);
+      const done = progress.pending === 0;
+
+      await prisma.serpJob.update({
+        where: { id: job.id },
+        data: {
+          status: !done ? 'running' : progress.completed > 0 || progress.total === 0 ? 'completed' : 'failed',
+          error: done && progress.failed > 0 ? `${progress.failed} of ${progress.total} keywords failed` : null,
+          finishedAt: done ? new Date() : null
+        }
+      });
+    } catch (error) {
+      console.error(`SERP job ${job.id} failed:`, error);
+      // Rate limits, outages and timeouts keep the job running so the next poll tries again
+      await prisma.serpJob.update({
+        where: { id: job.id },
+        data: error.retryable || error.type === 'timeout'
+          ? { status: 'running', error: error.message }
+          : { status: 'failed', error: error.message || 'SERP job failed', finishedAt: new Date() }
+      });
+    }
+  }
+
+  return getSerpJob(jobId);
+}
+
+/**
+ * Load a job in its API shape
+ */
+export async function getSerpJob(jobId) {
+  const job = await prisma.serpJob.findUnique({ where: { id: jobId } });
+  if (!job) return null;
+
+  return {
+    id: job.id,
+    projectId: job.projectId,
+    status: job.status,
+    error: job.error,
+    domains: job.domains,
+    marketId: job.marketId,
+    locationCode: job.locationCode,
+    languageCode: job.languageCode,
+    createdAt: job.createdAt,
+    finishedAt: job.finishedAt,
+    progress: await getSerpJobProgress(job.id)
+  };
+}
+
+/**
+ * Find unfinished jobs, least recently advanced first
+ */
+export async function findActiveSerpJobs(limit) {
+  return prisma.serpJob.findMany({
+    where: { status: { in: ACTIVE_JOB_STATUSES } },
+    orderBy: { updatedAt: 'asc' },
+    take: limit,
+    select: { id: true, projectId: true }
+  });
+}
@@ -0,0 +1,141 @@
+/**
+ * Sessions
+ * Logging in starts a session for the device and returns two tokens: an access token (a JWT
+ * valid for JWT_EXPIRES_IN, 15 minutes by default) sent with every request, and a refresh
+ * token that gets a new access token once it expires. Every refresh swaps the refresh token
+ * for a new one and keeps the session alive for REFRESH_TOKEN_TTL_DAYS more. A refresh
+ * token that was already swapped coming back means someone else holds a copy, so the
+ * session is revoked.
+ */
+
+import prisma from './prisma.js';
+import { generateAccessToken, generateSecretToken, hashSecretToken, getClientIp } from './auth.js';
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Two tabs refreshing at the same moment present the same token; the slower one is
+// refused, but not taken for a stolen copy
+const REUSE_GRACE_MS = 30 * 1000;
+
+function getExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+// Device details shown in the sessions list
+function getClientInfo(req) {
+  return {
+    userAgent: req.headers['user-agent']?.slice(0, 500) || null,
+    ipAddress: getClientIp(req)
+  };
+}
+
+/**
+ * Start a session for the device making the request
+ * Returns { token, refreshToken }
+ */
+export async function createSession(userId, req, tx = prisma) {
+  const refreshToken = generateSecretToken();
+  const session = await tx.session.create({
+    data: {
+      userId,
+      refreshTokenHash: hashSecretToken(refreshToken),
+      expiresAt: getExpiry(),
+      ...getClientInfo(req)
+    }
+  });
+
+  return { token: generateAccessToken(userId, session.id), refreshToken };
+}
+
+/**
+ * Swap a refresh token for a new access token and refresh token
+ * Returns { token, refreshToken }, or null when the token is unknown, used, revoked or expired
+ */
+export async function refreshSession(refreshToken, req) {
+  const tokenHash = hashSecretToken(refreshToken);
+  const session = await prisma.session.findUnique({ where: { refreshTokenHash: tokenHash } });
+
+  if (!session) {
+    const replayed = await prisma.session.findUnique({ where: { previousTokenHash: tokenHash } });
+    if (replayed && !replayed.revokedAt && Date.now() - replayed.rotatedAt.getTime() > REUSE_GRACE_MS) {
+      console.warn(`Refresh token of session ${replayed.id} was used twice, revoking the session`);
+      await revokeSession(replayed.userId, replayed.id);
+    }
+    return null;
+  }
+
+  if (session.revokedAt || session.expiresAt <= new Date()) return null;
+
+  // Rotating only while the token is still current keeps two simultaneous refreshes from both succeeding
+  const nextToken = generateSecretToken();
+  const now = new Date();
+  const { count } = await prisma.session.updateMany({
+    where: { id: session.id, refreshTokenHash: tokenHash, revokedAt: null },
+    data: {
+      refreshTokenHash: hashSecretToken(nextToken),
+      previousTokenHash: tokenHash,
+      rotatedAt: now,
+      lastUsedAt: now,
+      expiresAt: getExpiry(),
+      ...getClientInfo(req)
+    }
+  });
+  if (count === 0) return null;
+
+  return { token: generateAccessToken(session.userId, session.id), refreshToken: nextToken };
+}
+
+/**
+ * End the session a refresh token belongs to (logging out)
+ */
+export async function revokeSessionByRefreshToken(refreshToken) {
+  await prisma.session.updateMany({
+    where: { refreshTokenHash: hashSecretToken(refreshToken), revokedAt: null },
+    data: { revokedAt: new Date() }
+  });
+}
+
+/**
+ * End one of a user's sessions
+ * Returns false when the user has no such active session
+ */
+export async function revokeSession(userId, sessionId) {
+  const { count } = await prisma.session.updateMany({
+    where: { id: sessionId, userId, revokedAt: null },
+    data: { revokedAt: new Date() }
+  });
+  return count > 0;
+}
+
+/**
+ * End every session of a user (sign out all devices)
+ * Returns the number of sessions ended
+ */
+export async function revokeAllSessions(userId, tx = prisma) {
+  const { count } = await tx.session.updateMany({
+    where: { userId, revokedAt: null },
+    data: { revokedAt: new Date() }
+  });
+  return count;
+}
+
+/**
+ * A user's active sessions, most recently used first
+ */
+export async function listSessions(userId) {
+  return prisma.session.findMany({
+    where: { userId, revokedAt: null, expiresAt: { gt: new Date() } },
+    select: { id: true, userAgent: true, ipAddress: true, createdAt: true, lastUsedAt: true },
+    orderBy: { lastUsedAt: 'desc' }
+  });
+}
+
+/**
+ * Delete expired and revoked sessions, returns how many were removed
+ */
+export async function purgeEndedSessions() {
+  const { count } = await prisma.session.deleteMany({
+    where: { OR: [{ expiresAt: { lte: new Date() } }, { revokedAt: { not: null } }] }
+  });
+  return count;
+}
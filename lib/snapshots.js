@@ -0,0 +1,415 @@
+/**
+ * Snapshot Service
+ * Persists calculated snapshots and keeps the project's cached metrics in sync
+ */
+
+import prisma from './prisma.js';
+import { getKeywordVisibility, getGapStatus, resolveCtrCurve } from './calculations.js';
+
+/**
+ * Transform stored keyword positions into the matrix used by calculateSnapshot
+ * (keywordIndex -> { brandName: position })
+ */
+export function buildPositionsMatrix(keywords) {
+  const positions = {};
+  keywords.forEach((kw, idx) => {
+    positions[idx] = {};
+    (kw.positions || []).forEach(pos => {
+      if (pos.position) positions[idx][pos.brandName] = pos.position;
+    });
+  });
+  return positions;
+}
+
+/**
+ * Transform the stored positions of brands' other domains into keywordIndex -> { brandName: [position] }
+ */
+export function buildExtraPositionsMatrix(keywords) {
+  const extraPositions = {};
+  keywords.forEach((kw, idx) => {
+    extraPositions[idx] = {};
+    (kw.positions || []).forEach(pos => {
+      if (pos.extraPositions?.length) extraPositions[idx][pos.brandName] = pos.extraPositions;
+    });
+  });
+  return extraPositions;
+}
+
+/**
+ * Transform stored SERP feature ownership into keywordIndex -> { brandName: [feature] }
+ */
+export function buildFeaturesMatrix(keywords) {
+  const features = {};
+  keywords.forEach((kw, idx) => {
+    features[idx] = {};
+    (kw.positions || []).forEach(pos => {
+      if (pos.features?.length) features[idx][pos.brandName] = pos.features;
+    });
+  });
+  return features;
+}
+
+/**
+ * Transform stored match types into keywordIndex -> { brandName: matchType }
+ */
+export function buildMatchTypesMatrix(keywords) {
+  const matchTypes = {};
+  keywords.forEach((kw, idx) => {
+    matchTypes[idx] = {};
+    (kw.positions || []).forEach(pos => {
+      if (pos.matchType) matchTypes[idx][pos.brandName] = pos.matchType;
+    });
+  });
+  return matchTypes;
+}
+
+/**
+ * Position rows to store for one keyword from the request matrices
+ * A brand gets a row when it ranks organically or owns a SERP feature
+ */
+export function getKeywordPositionRows(idx, positions = {}, features = {}, matchTypes = {}, extraPositions = {}) {
+  const brandNames = new Set([
+    ...Object.keys(positions?.[idx] || {}),
+    ...Object.keys(features?.[idx] || {})
+  ]);
+
+  return [...brandNames].map(brandName => ({
+    brandName,
+    position: positions?.[idx]?.[brandName] || null,
+    extraPositions: extraPositions?.[idx]?.[brandName] || [],
+    features: features?.[idx]?.[brandName] || [],
+    matchType: matchTypes?.[idx]?.[brandName] || null
+  }));
+}
+
+/**
+ * Build the per-keyword ranking rows stored with a snapshot
+ * One row per tracked keyword and brand, null position = not ranking. Expanded category
+ * keywords only get rows for the brands that rank or own a feature on them.
+ */
+export function buildSnapshotPositions(snapshot, {
+  marketKeywords = [], positions = {}, extraPositions = {}, features = {}, expandedKeywords = []
+} = {}) {
+  const brandNames = (snapshot.allBrands || []).map(b => b.name).filter(Boolean);
+  const seeds = new Set(marketKeywords.map(kw => kw.keyword.toLowerCase()));
+  // Other domains' positions are only stored when the snapshot counted them
+  const summed = snapshot.domainAggregation === 'sum';
+
+  const trackedRows = marketKeywords.flatMap((kw, idx) => brandNames.map(brandName => ({
+    keyword: kw.keyword,
+    keywordVolume: kw.volume || 0,
+    brandName,
+    position: positions[idx]?.[brandName] || null,
+    extraPositions: summed ? extraPositions?.[idx]?.[brandName] || [] : [],
+    features: features?.[idx]?.[brandName] || [],
+    serpFeatures: kw.serpFeatures || [],
+    segment: kw.segment || null
+  })));
+
+  const expandedRows = (expandedKeywords || [])
+    .filter(kw => !seeds.has(kw.keyword.toLowerCase()))
+    .flatMap(kw => brandNames
+      .filter(brandName => kw.positions?.[brandName] || kw.features?.[brandName]?.length)
+      .map(brandName => ({
+        keyword: kw.keyword,
+        keywordVolume: kw.volume || 0,
+        brandName,
+        position: kw.positions?.[brandName] || null,
+        extraPositions: summed ? kw.extraPositions?.[brandName] || [] : [],
+        features: kw.features?.[brandName] || [],
+        serpFeatures: kw.serpFeatures || [],
+        expanded: true
+      })));
+
+  return [...trackedRows, ...expandedRows];
+}
+
+// Visible volume of a stored snapshot position row, organic and SERP feature clicks combined
+function getRowVisibleVolume(row, curve) {
+  if (!row) return 0;
+  const { organic, feature } = getKeywordVisibility({
+    volume: row.keywordVolume || 0,
+    position: row.position,
+    extraPositions: row.extraPositions,
+    features: row.features,
+    serpFeatures: row.serpFeatures
+  }, curve);
+  return organic + feature;
+}
+
+/**
+ * Store a calculated snapshot and update the project's current metrics
+ * `input` is the data the snapshot was calculated from ({ marketKeywords, positions, features })
+ * Market and rollup snapshots are passed `marketId` / `rollup`; the project's current metrics
+ * follow its primary market, or the rollup once it has more than one market
+ */
+export async function saveSnapshot(projectId, snapshot, input = {}, { marketId = null, rollup = false } = {}) {
+  const select = { locationCode: true, languageCode: true };
+  const market = rollup ? null : marketId
+    ? await prisma.projectMarket.findUnique({ where: { id: marketId }, select })
+    : await prisma.project.findUnique({ where: { id: projectId }, select });
+
+  const [saved] = await prisma.$transaction([
+    prisma.snapshot.create({
+      data: {
+        projectId,
+        date: snapshot.date,
+        brandVolume: snapshot.brandVolume,
+        totalBrandVolume: snapshot.totalBrandVolume,
+        totalMarketVolume: snapshot.totalMarketVolume,
+        visibleVolume: snapshot.visibleVolume,
+        sos: snapshot.sos,
+        sov: snapshot.sov,
+        gap: snapshot.gap,
+        status: snapshot.status,
+        coveredVolume: snapshot.coveredVolume || 0,
+        coverage: snapshot.coverage || 0,
+        allBrandsData: snapshot.allBrands,
+        segmentsData: snapshot.segments || [],
+        ctrModel: snapshot.ctrModel,
+        ctrCurve: snapshot.ctrCurve,
+        locationCode: market?.locationCode,
+        languageCode: market?.languageCode,
+        marketId,
+        isRollup: rollup,
+        positions: {
+          createMany: { data: buildSnapshotPositions(snapshot, input) }
+        }
+      }
+    }),
+    ...(marketId ? [] : [prisma.project.update({
+      where: { id: projectId },
+      data: {
+        currentSOS: snapshot.sos,
+        currentSOV: snapshot.sov,
+        currentGap: snapshot.gap,
+        currentStatus: snapshot.status
+      }
+    })])
+  ]);
+
+  return saved;
+}
+
+function getRankStatus(from, to) {
+  if (!from && !to) return 'unranked';
+  if (!from) return 'new';
+  if (!to) return 'lost';
+  if (to < from) return 'improved';
+  if (to > from) return 'declined';
+  return 'unchanged';
+}
+
+/**
+ * Get the CTR curve a stored snapshot was calculated with
+ */
+export function getSnapshotCtrCurve(snapshot) {
+  return snapshot.ctrCurve || resolveCtrCurve(snapshot.ctrModel);
+}
+
+// Snapshot positions of the tracked keywords, without the expanded category keywords
+function getTrackedRows(snapshot) {
+  return (snapshot.positions || []).filter(row => !row.expanded);
+}
+
+/**
+ * Compare the stored rankings of two snapshots
+ * Returns one entry per keyword/brand with the rank movement and its visible volume impact
+ */
+export function diffSnapshotPositions(fromSnapshot, toSnapshot) {
+  const key = (row) => `${row.keyword.toLowerCase()}::${row.brandName}`;
+  const fromMap = new Map(getTrackedRows(fromSnapshot).map(row => [key(row), row]));
+  const toMap = new Map(getTrackedRows(toSnapshot).map(row => [key(row), row]));
+  const keys = new Set([...fromMap.keys(), ...toMap.keys()]);
+  const fromCurve = getSnapshotCtrCurve(fromSnapshot);
+  const toCurve = getSnapshotCtrCurve(toSnapshot);
+
+  const changes = [...keys].map(k => {
+    const from = fromMap.get(k);
+    const to = toMap.get(k);
+    const fromPosition = from?.position || null;
+    const toPosition = to?.position || null;
+    const fromVisible = getRowVisibleVolume(from, fromCurve);
+    const toVisible = getRowVisibleVolume(to, toCurve);
+
+    return {
+      keyword: (to || from).keyword,
+      brandName: (to || from).brandName,
+      keywordVolume: to?.keywordVolume ?? from?.keywordVolume ?? 0,
+      from: fromPosition,
+      to: toPosition,
+      // Positive = moved up the SERP
+      change: fromPosition && toPosition ? fromPosition - toPosition : null,
+      status: getRankStatus(fromPosition, toPosition),
+      visibleVolumeChange: Math.round(toVisible - fromVisible)
+    };
+  });
+
+  return changes
+    .filter(c => c.status !== 'unranked')
+    .sort((a, b) => Math.abs(b.visibleVolumeChange) - Math.abs(a.visibleVolumeChange));
+}
+
+/**
+ * Load the two snapshots to compare
+ * Defaults to the primary market's latest snapshot and the one before it
+ */
+export async function findSnapshotPair(projectId, { from, to } = {}, include = undefined) {
+  if (from && to) {
+    const snapshots = await prisma.snapshot.findMany({
+      where: { projectId, id: { in: [from, to] } },
+      include
+    });
+    return {
+      fromSnapshot: snapshots.find(s => s.id === from) || null,
+      toSnapshot: snapshots.find(s => s.id === to) || null
+    };
+  }
+
+  const toSnapshot = to
+    ? await prisma.snapshot.findFirst({ where: { projectId, id: to }, include })
+    : await prisma.snapshot.findFirst({
+      where: { projectId, marketId: null, isRollup: false },
+      orderBy: { timestamp: 'desc' },
+      include
+    });
+
+  // The earlier snapshot comes from the same market (or the rollup) as the later one
+  const fromSnapshot = from
+    ? await prisma.snapshot.findFirst({ where: { projectId, id: from }, include })
+    : toSnapshot && await prisma.snapshot.findFirst({
+      where: {
+        projectId,
+        marketId: toSnapshot.marketId,
+        isRollup: toSnapshot.isRollup,
+        timestamp: { lt: toSnapshot.timestamp }
+      },
+      orderBy: { timestamp: 'desc' },
+      include
+    });
+
+  return { fromSnapshot: fromSnapshot || null, toSnapshot: toSnapshot || null };
+}
+
+function describeChange(from = 0, to = 0) {
+  return { from, to, change: to - from };
+}
+
+/**
+ * Break down what changed between two snapshots
+ * Brand-level SOS/SOV movement from allBrandsData plus per-keyword visible volume
+ * from the stored snapshot positions
+ */
+export function compareSnapshots(fromSnapshot, toSnapshot) {
+  const fromBrands = fromSnapshot.allBrandsData || [];
+  const toBrands = toSnapshot.allBrandsData || [];
+  const brandNames = [...new Set([...toBrands, ...fromBrands].map(b => b.name))];
+  const ownBrandName = (toBrands.find(b => b.isBrand) || fromBrands.find(b => b.isBrand))?.name;
+
+  const brands = brandNames.map(name => {
+    const from = fromBrands.find(b => b.name === name) || {};
+    const to = toBrands.find(b => b.name === name) || {};
+    return {
+      name,
+      isBrand: name === ownBrandName,
+      status: !from.name ? 'added' : !to.name ? 'removed' : 'tracked',
+      volume: describeChange(from.volume, to.volume),
+      sos: describeChange(from.sos, to.sos),
+      sov: describeChange(from.sov, to.sov),
+      visibleVolume: describeChange(from.visibleVolume, to.visibleVolume)
+    };
+  });
+
+  // Group snapshot positions by keyword, each side keeps the curve of its snapshot
+  const curves = { from: getSnapshotCtrCurve(fromSnapshot), to: getSnapshotCtrCurve(toSnapshot) };
+  const keywordMap = new Map();
+  const collect = (rows, side) => rows.forEach(row => {
+    const key = row.keyword.toLowerCase();
+    if (!keywordMap.has(key)) {
+      keywordMap.set(key, { keyword: row.keyword, from: null, to: null });
+    }
+    const entry = keywordMap.get(key);
+    entry[side] = entry[side] || { volume: row.keywordVolume, positions: {}, rows: {}, curve: curves[side] };
+    entry[side].positions[row.brandName] = row.position;
+    entry[side].rows[row.brandName] = row;
+  });
+  collect(getTrackedRows(fromSnapshot), 'from');
+  collect(getTrackedRows(toSnapshot), 'to');
+
+  const visibleFor = (side, brandName) => side
+    ? Math.round(getRowVisibleVolume(side.rows[brandName], side.curve))
+    : 0;
+
+  const keywords = [...keywordMap.values()].map(({ keyword, from, to }) => ({
+    keyword,
+    status: !from ? 'added' : !to ? 'removed' : 'tracked',
+    volume: describeChange(from?.volume, to?.volume),
+    visibleVolume: describeChange(visibleFor(from, ownBrandName), visibleFor(to, ownBrandName)),
+    brands: Object.fromEntries(brandNames.map(name => [name, {
+      from: from?.positions[name] || null,
+      to: to?.positions[name] || null,
+      visibleVolumeChange: visibleFor(to, name) - visibleFor(from, name)
+    }]))
+  })).sort((a, b) => Math.abs(b.visibleVolume.change) - Math.abs(a.visibleVolume.change));
+
+  const ownPosition = (kw, side) => kw.brands[ownBrandName]?.[side];
+
+  return {
+    brand: ownBrandName,
+    metrics: {
+      sos: describeChange(fromSnapshot.sos, toSnapshot.sos),
+      sov: describeChange(fromSnapshot.sov, toSnapshot.sov),
+      gap: describeChange(fromSnapshot.gap, toSnapshot.gap),
+      brandVolume: describeChange(fromSnapshot.brandVolume, toSnapshot.brandVolume),
+      totalBrandVolume: describeChange(fromSnapshot.totalBrandVolume, toSnapshot.totalBrandVolume),
+      visibleVolume: describeChange(fromSnapshot.visibleVolume, toSnapshot.visibleVolume),
+      totalMarketVolume: describeChange(fromSnapshot.totalMarketVolume, toSnapshot.totalMarketVolume),
+      coverage: describeChange(fromSnapshot.coverage, toSnapshot.coverage)
+    },
+    brands,
+    keywords,
+    // Keywords where your brand started or stopped ranking
+    keywordsGained: keywords.filter(kw => !ownPosition(kw, 'from') && ownPosition(kw, 'to')).map(kw => kw.keyword),
+    keywordsLost: keywords.filter(kw => ownPosition(kw, 'from') && !ownPosition(kw, 'to')).map(kw => kw.keyword),
+    // Keywords added to or removed from the tracked market
+    keywordsAdded: keywords.filter(kw => kw.status === 'added').map(kw => kw.keyword),
+    keywordsRemoved: keywords.filter(kw => kw.status === 'removed').map(kw => kw.keyword)
+  };
+}
+
+/**
+ * Recalculate a stored snapshot's SOV under a different CTR curve
+ * SOS and market volume stay as recorded; visibility is rebuilt from the snapshot positions
+ */
+export function recalculateSnapshotSov(snapshot, ctrCurve) {
+  const rows = snapshot.positions || [];
+  const totalMarketVolume = snapshot.totalMarketVolume || 0;
+
+  const allBrands = (snapshot.allBrandsData || []).map(b => {
+    const visibleVolume = rows
+      .filter(row => row.brandName === b.name)
+      .reduce((sum, row) => sum + getRowVisibleVolume(row, ctrCurve), 0);
+
+    return {
+      name: b.name,
+      isBrand: !!b.isBrand,
+      sos: b.sos || 0,
+      visibleVolume: Math.round(visibleVolume),
+      sov: totalMarketVolume > 0 ? (visibleVolume / totalMarketVolume) * 100 : 0,
+      originalSov: b.sov || 0
+    };
+  });
+
+  const brandMetrics = allBrands.find(b => b.isBrand);
+  const sov = brandMetrics?.sov || 0;
+  const gap = sov - (snapshot.sos || 0);
+
+  return {
+    sos: snapshot.sos,
+    sov,
+    gap,
+    status: getGapStatus(gap),
+    visibleVolume: brandMetrics?.visibleVolume || 0,
+    allBrands
+  };
+}
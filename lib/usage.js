@@ -0,0 +1,195 @@
+/**
+ * DataForSEO Usage
+ * Records what each DataForSEO request cost per user and project, and holds users to their
+ * monthly budget: every paid request reserves its estimated cost before it is sent and
+ * settles to the real cost once DataForSEO answers.
+ */
+
+import prisma from './prisma.js';
+import { projectAccessWhere } from './workspaces.js';
+
+const round = (value) => Math.round(value * 10000) / 10000;
+
+/**
+ * First instant of the current (UTC) month
+ */
+export function getMonthStart(now = new Date()) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+}
+
+/**
+ * A user's DataForSEO spend since the start of the month
+ */
+export async function getMonthToDateSpend(userId, now = new Date()) {
+  const { _sum } = await prisma.apiUsage.aggregate({
+    where: { userId, createdAt: { gte: getMonthStart(now) } },
+    _sum: { cost: true }
+  });
+  return round(_sum.cost || 0);
+}
+
+// Approximate DataForSEO prices in USD: a flat rate per task plus a rate per result item.
+// The first matching prefix wins
+const PRICES = [
+  { prefix: '/keywords_data/google/search_volume/', perTask: 0.075, perItem: 0 },
+  { prefix: '/serp/google/organic/task_post', perTask: 0.0006, perItem: 0 },
+  { prefix: '/serp/google/organic/live/', perTask: 0.002, perItem: 0 },
+  { prefix: '/dataforseo_labs/', perTask: 0.01, perItem: 0.0001 }
+];
+const DEFAULT_PRICE = { perTask: 0.01, perItem: 0.0001 };
+
+// Labs endpoints return up to 100 items unless the task sets a limit
+const DEFAULT_ITEM_LIMIT = 100;
+
+// Costs are recorded to four decimals, so leave room for float drift below that
+const BUDGET_TOLERANCE = 0.00005;
+
+/**
+ * Expected cost of a request's tasks - items per task are its limit, otherwise its
+ * keyword count, otherwise the endpoint's default page size
+ */
+export function estimateCost(endpoint, tasks) {
+  const { perTask, perItem } = PRICES.find(price => endpoint.startsWith(price.prefix)) || DEFAULT_PRICE;
+  const list = Array.isArray(tasks) ? tasks : [tasks];
+
+  return round(list.reduce((sum, task) => {
+    const items = task?.limit ?? task?.keywords?.length ?? DEFAULT_ITEM_LIMIT;
+    return sum + perTask + perItem * items;
+  }, 0));
+}
+
+// Start the month's counter from the spend recorded so far this month
+async function startBudgetMonth(userId, now) {
+  const monthStart = getMonthStart(now);
+  const spent = await getMonthToDateSpend(userId, now);
+
+  await prisma.user.updateMany({
+    where: { id: userId, OR: [{ budgetMonth: null }, { budgetMonth: { lt: monthStart } }] },
+    data: { budgetMonth: monthStart, budgetCommitted: spent }
+  });
+}
+
+/**
+ * Reserve a request's estimated cost against the user's monthly budget before it is sent
+ * The reservation is a single conditional update of the user's month-to-date counter
+ * (recorded spend plus requests in flight), so parallel requests can't all pass against
+ * the same spend. Users without a budget are counted too, so setting one mid-month
+ * starts from the right total. Returns null once reserved - settle it with settleBudget -
+ * otherwise { budget, spent, estimate } and nothing is reserved
+ */
+export async function reserveBudget(userId, estimate, now = new Date()) {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { monthlyBudget: true, budgetMonth: true }
+  });
+  if (!user) return null;
+
+  const monthStart = getMonthStart(now);
+  if (!(user.budgetMonth >= monthStart)) {
+    await startBudgetMonth(userId, now);
+  }
+
+  const { count } = await prisma.user.updateMany({
+    where: {
+      id: userId,
+      ...(user.monthlyBudget != null && { budgetCommitted: { lte: user.monthlyBudget - estimate + BUDGET_TOLERANCE } })
+    },
+    data: { budgetCommitted: { increment: estimate } }
+  });
+  if (count > 0) return null;
+
+  const { budgetCommitted } = await prisma.user.findUnique({ where: { id: userId }, select: { budgetCommitted: true } });
+  return { budget: user.monthlyBudget, spent: round(budgetCommitted), estimate };
+}
+
+/**
+ * Replace a reservation with what the request really cost (0 when it failed)
+ * Failures are logged - the counter only guards the budget, ApiUsage holds the spend
+ */
+export async function settleBudget(userId, estimate, cost = 0) {
+  if (estimate === cost) return;
+
+  try {
+    await prisma.user.updateMany({
+      where: { id: userId },
+      data: { budgetCommitted: { increment: cost - estimate } }
+    });
+  } catch (error) {
+    console.error('Failed to settle DataForSEO budget reservation:', error);
+  }
+}
+
+/**
+ * Record a billed request - failures are logged, the request itself already succeeded
+ */
+export async function recordUsage({ userId, projectId = null, endpoint, cost, taskCount = 1 }) {
+  if (!userId || !(cost > 0)) return;
+
+  try {
+    await prisma.apiUsage.create({ data: { userId, projectId, endpoint, cost, taskCount } });
+  } catch (error) {
+    console.error('Failed to record DataForSEO usage:', error);
+  }
+}
+
+/**
+ * The project id to attribute usage to, if the user can see it
+ */
+export async function resolveUsageProjectId(userId, projectId) {
+  if (!projectId) return null;
+
+  const project = await prisma.project.findFirst({
+    where: { id: String(projectId), ...projectAccessWhere(userId) },
+    select: { id: true }
+  });
+  return project?.id || null;
+}
+
+function addTo(map, key, fields, row) {
+  const entry = map.get(key) || { ...fields, cost: 0, calls: 0 };
+  entry.cost += row.cost;
+  entry.calls += 1;
+  map.set(key, entry);
+}
+
+/**
+ * Daily totals for the last `days` days, monthly totals for the last `months` months,
+ * and this month's spend per project and endpoint
+ */
+export async function getUsageSummary(userId, { days = 30, months = 12 } = {}, now = new Date()) {
+  const monthStart = getMonthStart(now);
+  const firstMonth = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - (months - 1), 1));
+  const firstDay = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() - (days - 1)));
+
+  const rows = await prisma.apiUsage.findMany({
+    where: { userId, createdAt: { gte: firstMonth < firstDay ? firstMonth : firstDay } },
+    select: { cost: true, endpoint: true, createdAt: true, project: { select: { id: true, name: true } } },
+    orderBy: { createdAt: 'asc' }
+  });
+
+  const daily = new Map();
+  const monthly = new Map();
+  const projects = new Map();
+  const endpoints = new Map();
+
+  rows.forEach(row => {
+    const date = row.createdAt.toISOString().slice(0, 10);
+    if (row.createdAt >= firstDay) addTo(daily, date, { date }, row);
+    if (row.createdAt >= firstMonth) addTo(monthly, date.slice(0, 7), { month: date.slice(0, 7) }, row);
+
+    if (row.createdAt >= monthStart) {
+      addTo(projects, row.project?.id || null, { projectId: row.project?.id || null, name: row.project?.name || null }, row);
+      addTo(endpoints, row.endpoint, { endpoint: row.endpoint }, row);
+    }
+  });
+
+  const finish = (map) => [...map.values()].map(entry => ({ ...entry, cost: round(entry.cost) }));
+  const byCost = (a, b) => b.cost - a.cost;
+
+  return {
+    daily: finish(daily),
+    monthly: finish(monthly),
+    projects: finish(projects).sort(byCost),
+    endpoints: finish(endpoints).sort(byCost)
+  };
+}
@@ -0,0 +1,282 @@
+/**
+ * Workspaces
+ * Projects are shared through the workspace they belong to. Every member has one role:
+ * viewers read, editors change project data, owners also manage members and invitations,
+ * delete projects and move them between workspaces. Projects created before workspaces
+ * (workspaceId null) stay private to their creator, who acts as their owner, until the
+ * creator's next new project adopts them into their own workspace.
+ */
+
+import prisma from './prisma.js';
+import { generateSecretToken, hashSecretToken } from './auth.js';
+import { sendEmail, getAppUrl } from './email.js';
+
+// Least to most privileged
+export const WORKSPACE_ROLES = ['viewer', 'editor', 'owner'];
+
+const INVITATION_TTL_DAYS = 14;
+
+/**
+ * Whether `role` grants at least `minimumRole`
+ */
+export function hasRole(role, minimumRole) {
+  return WORKSPACE_ROLES.includes(role) && WORKSPACE_ROLES.indexOf(role) >= WORKSPACE_ROLES.indexOf(minimumRole);
+}
+
+/**
+ * Prisma filter for the projects a user can see
+ */
+export function projectAccessWhere(userId) {
+  return {
+    OR: [
+      { workspace: { members: { some: { userId } } } },
+      { workspaceId: null, userId }
+    ]
+  };
+}
+
+/**
+ * A user's role in a workspace, or null when they aren't a member
+ */
+export async function getWorkspaceRole(workspaceId, userId) {
+  const member = await prisma.workspaceMember.findUnique({
+    where: { workspaceId_userId: { workspaceId, userId } },
+    select: { role: true }
+  });
+  return member?.role || null;
+}
+
+// A user's role on a loaded project (with its workspace members filtered to the user)
+function getRoleOnProject(project, userId) {
+  if (!project) return null;
+  if (!project.workspaceId) return project.userId === userId ? 'owner' : null;
+  return project.workspace.members[0]?.role || null;
+}
+
+function findProjectWithMember(projectId, userId, include = {}) {
+  return prisma.project.findUnique({
+    where: { id: String(projectId) },
+    include: {
+      ...include,
+      workspace: { select: { id: true, name: true, members: { where: { userId }, select: { role: true } } } }
+    }
+  });
+}
+
+/**
+ * A user's role on a project, or null when they can't see it
+ */
+export async function getProjectRole(projectId, userId) {
+  return getRoleOnProject(await findProjectWithMember(projectId, userId), userId);
+}
+
+/**
+ * Require at least `minimumRole` on a project (returns error response if not)
+ * Projects the user can't see answer 404, like ones that don't exist
+ * Returns { role, project }: the project with its workspace ({ id, name }) and `include`,
+ * so routes don't load it again
+ */
+export async function requireProjectRole(res, projectId, user, minimumRole = 'viewer', include = {}) {
+  const project = await findProjectWithMember(projectId, user.id, include);
+  const role = getRoleOnProject(project, user.id);
+
+  if (!role) {
+    res.status(404).json({ error: 'Project not found' });
+    return null;
+  }
+
+  if (!hasRole(role, minimumRole)) {
+    res.status(403).json({ error: `This needs the ${minimumRole} role in the project's workspace` });
+    return null;
+  }
+
+  // The membership lookup isn't part of the project
+  const { members, ...workspace } = project.workspace || {};
+  return { role, project: { ...project, workspace: project.workspace ? workspace : null } };
+}
+
+/**
+ * The user whose DataForSEO credentials and budget pay for a project's background fetches
+ * (scheduled snapshots, SERP jobs): `userId`, the editor who set them up, as long as they
+ * can still edit the project. Returns null once they left its workspace or lost the role,
+ * so nobody spends the money of someone who is no longer a member
+ */
+export async function getPayingMember(projectId, userId) {
+  if (!userId || !hasRole(await getProjectRole(projectId, userId), 'editor')) return null;
+
+  return prisma.user.findUnique({
+    where: { id: userId },
+    select: { id: true, dataForSeoLogin: true }
+  });
+}
+
+/**
+ * Require at least `minimumRole` in a workspace (returns error response if not)
+ */
+export async function requireWorkspaceRole(res, workspaceId, user, minimumRole = 'viewer') {
+  const role = await getWorkspaceRole(String(workspaceId), user.id);
+
+  if (!role) {
+    res.status(404).json({ error: 'Workspace not found' });
+    return null;
+  }
+
+  if (!hasRole(role, minimumRole)) {
+    res.status(403).json({ error: `This needs the ${minimumRole} role in the workspace` });
+    return null;
+  }
+
+  return role;
+}
+
+/**
+ * Create a user's personal workspace, owned by them, unless they already have one
+ * Keyed on the user, so parallel requests end up with the same workspace. `db` is the
+ * client or transaction to use (signup creates it with the account). Returns its id
+ */
+export async function createDefaultWorkspace(user, db = prisma) {
+  const where = { defaultForUserId: user.id };
+
+  try {
+    const workspace = await db.workspace.upsert({
+      where,
+      update: {},
+      create: {
+        name: `${user.name || user.email.split('@')[0]}'s workspace`,
+        defaultForUserId: user.id,
+        members: { create: { userId: user.id, role: 'owner' } }
+      },
+      select: { id: true }
+    });
+    return workspace.id;
+  } catch (error) {
+    // Another request created it between the upsert's lookup and insert
+    if (error.code !== 'P2002') throw error;
+    return (await db.workspace.findUnique({ where, select: { id: true } })).id;
+  }
+}
+
+/**
+ * The workspace new projects go to when none is picked: the oldest one the user owns,
+ * usually the personal workspace from signup. Accounts from before workspaces get theirs
+ * with their first new project, and their older projects are moved into it.
+ */
+export async function ensureDefaultWorkspace(user) {
+  const membership = await prisma.workspaceMember.findFirst({
+    where: { userId: user.id, role: 'owner' },
+    orderBy: { createdAt: 'asc' },
+    select: { workspaceId: true }
+  });
+  const workspaceId = membership?.workspaceId || await createDefaultWorkspace(user);
+
+  await prisma.project.updateMany({
+    where: { userId: user.id, workspaceId: null },
+    data: { workspaceId }
+  });
+
+  return workspaceId;
+}
+
+/**
+ * Validate a role from a request
+ * Returns an error message, or null when it is valid
+ */
+export function validateRole(role) {
+  return WORKSPACE_ROLES.includes(role) ? null : `Role must be one of: ${WORKSPACE_ROLES.join(', ')}`;
+}
+
+/**
+ * Change a member's role or remove them (role null), keeping at least one owner
+ * Returns an error message, or null when the change was made
+ */
+export async function updateMember(workspaceId, userId, role) {
+  return prisma.$transaction(async (tx) => {
+    const member = await tx.workspaceMember.findUnique({ where: { workspaceId_userId: { workspaceId, userId } } });
+    if (!member) return 'Member not found';
+
+    if (member.role === 'owner' && role !== 'owner') {
+      const owners = await tx.workspaceMember.count({ where: { workspaceId, role: 'owner' } });
+      if (owners <= 1) return 'A workspace needs at least one owner';
+    }
+
+    if (role) {
+      await tx.workspaceMember.update({ where: { id: member.id }, data: { role } });
+    } else {
+      await tx.workspaceMember.delete({ where: { id: member.id } });
+    }
+    return null;
+  });
+}
+
+/**
+ * Invite an email address to a workspace and email them the link
+ * Inviting the same address again replaces its open invitation
+ */
+export async function createInvitation(workspace, { email, role }, invitedBy) {
+  const token = generateSecretToken();
+  const address = email.toLowerCase().trim();
+
+  await prisma.workspaceInvitation.deleteMany({ where: { workspaceId: workspace.id, email: address, acceptedAt: null } });
+  const invitation = await prisma.workspaceInvitation.create({
+    data: {
+      workspaceId: workspace.id,
+      email: address,
+      role,
+      tokenHash: hashSecretToken(token),
+      invitedByEmail: invitedBy.email,
+      expiresAt: new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000)
+    }
+  });
+
+  await sendEmail({
+    to: address,
+    subject: `You're invited to ${workspace.name} on SearchShare Pro`,
+    text: [
+      `${invitedBy.name || invitedBy.email} invited you to the workspace "${workspace.name}" as ${role}.`,
+      '',
+      'Open this link to join (sign up first with this email address if you have no account yet):',
+      '',
+      `${getAppUrl()}/?invite=${token}`,
+      '',
+      `The invitation expires in ${INVITATION_TTL_DAYS} days.`
+    ].join('\n')
+  });
+
+  return invitation;
+}
+
+/**
+ * The open invitation of a token, with its workspace, or null when it is unknown, used or expired
+ */
+export async function findInvitation(token) {
+  const invitation = await prisma.workspaceInvitation.findUnique({
+    where: { tokenHash: hashSecretToken(token) },
+    include: { workspace: { select: { id: true, name: true } } }
+  });
+
+  if (!invitation || invitation.acceptedAt || invitation.expiresAt <= new Date()) return null;
+  return invitation;
+}
+
+/**
+ * Join the invitation's workspace; existing members keep the higher of both roles
+ */
+export async function acceptInvitation(invitation, user) {
+  return prisma.$transaction(async (tx) => {
+    const { count } = await tx.workspaceInvitation.updateMany({
+      where: { id: invitation.id, acceptedAt: null },
+      data: { acceptedAt: new Date() }
+    });
+    if (count === 0) return null;
+
+    const where = { workspaceId_userId: { workspaceId: invitation.workspaceId, userId: user.id } };
+    const existing = await tx.workspaceMember.findUnique({ where });
+
+    if (!existing) {
+      return tx.workspaceMember.create({ data: { workspaceId: invitation.workspaceId, userId: user.id, role: invitation.role } });
+    }
+    return hasRole(existing.role, invitation.role)
+      ? existing
+      : tx.workspaceMember.update({ where: { id: existing.id }, data: { role: invitation.role } });
+  });
+}
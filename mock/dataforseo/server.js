@@ -0,0 +1,180 @@
+/**
+ * DataForSEO Mock Server
+ * Replays recorded API responses so the app can run offline and deterministically
+ * without spending credits.
+ *
+ *   npm run mock:dataforseo              replay fixtures on http://localhost:4010/v3
+ *   npm run mock:dataforseo -- --record  proxy to the real API and save responses as fixtures
+ *
+ * Point the app at it with DATAFORSEO_BASE_URL=http://localhost:4010/v3
+ *
+ * Fixtures live in fixtures/<endpoint path>/<key>.json, where the key comes from the
+ * first task in the request (keyword, target or keywords). default.json is served
+ * when there is no fixture for the key.
+ */
+
+import http from 'node:http';
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+const UPSTREAM_URL = (process.env.DATAFORSEO_UPSTREAM_URL || 'https://api.dataforseo.com/v3').replace(/\/+$/, '');
+const PORT = parseInt(process.env.DATAFORSEO_MOCK_PORT) || 4010;
+const RECORD = process.argv.includes('--record') || process.env.DATAFORSEO_MOCK_MODE === 'record';
+
+// Queued SERP tasks are answered from the live SERP fixtures
+const TASK_POST_PATH = 'serp/google/organic/task_post';
+const TASK_GET_PATTERN = /^serp\/google\/organic\/task_get\/advanced\/(.+)$/;
+const SERP_LIVE_PATH = 'serp/google/organic/live/advanced';
+
+/**
+ * Fixture key for a request body, e.g. [{ keyword: 'CRM Software' }] -> "crm-software"
+ */
+function getFixtureKey(task = {}) {
+  const subject = task.keyword || task.target || (task.keywords || []).join(',');
+  if (!subject) return 'default';
+
+  const slug = String(subject).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  if (slug.length <= 80) return slug || 'default';
+
+  // Long keyword lists get a stable hash suffix instead of an unreadable file name
+  const hash = crypto.createHash('sha1').update(slug).digest('hex').slice(0, 10);
+  return `${slug.slice(0, 69)}-${hash}`;
+}
+
+function fixturePath(endpoint, key) {
+  return path.join(FIXTURES_DIR, endpoint, `${key}.json`);
+}
+
+async function readFixture(endpoint, key) {
+  for (const file of [fixturePath(endpoint, key), fixturePath(endpoint, 'default')]) {
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+  return null;
+}
+
+async function writeFixture(endpoint, key, data) {
+  const file = fixturePath(endpoint, key);
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, `${JSON.stringify(data, null, 2)}\n`);
+  return file;
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(body ? JSON.parse(body) : null);
+      } catch (error) {
+        reject(error);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function send(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+function notFound(res, endpoint) {
+  send(res, 404, {
+    status_code: 40400,
+    status_message: `No fixture for ${endpoint}. Record one with: npm run mock:dataforseo -- --record`,
+    tasks: []
+  });
+}
+
+// Mock task ids carry the keyword so task_get can find the matching SERP fixture
+function encodeTaskId(task) {
+  return `mock-${Buffer.from(JSON.stringify({ keyword: task.keyword || '' })).toString('base64url')}`;
+}
+
+function decodeTaskId(id) {
+  try {
+    return JSON.parse(Buffer.from(id.replace(/^mock-/, ''), 'base64url').toString('utf8'));
+  } catch {
+    return {};
+  }
+}
+
+async function replay(req, res, endpoint, body) {
+  if (endpoint === TASK_POST_PATH) {
+    return send(res, 200, {
+      status_code: 20000,
+      status_message: 'Ok.',
+      tasks_count: body.length,
+      tasks: body.map(task => ({
+        id: encodeTaskId(task),
+        status_code: 20100,
+        status_message: 'Task Created.',
+        cost: 0,
+        data: task
+      }))
+    });
+  }
+
+  const taskGet = endpoint.match(TASK_GET_PATTERN);
+  const fixture = taskGet
+    ? await readFixture(SERP_LIVE_PATH, getFixtureKey(decodeTaskId(taskGet[1])))
+    : await readFixture(endpoint, getFixtureKey(body?.[0]));
+
+  if (!fixture) return notFound(res, endpoint);
+  send(res, 200, fixture);
+}
+
+async function record(req, res, endpoint, body) {
+  const response = await fetch(`${UPSTREAM_URL}/${endpoint}`, {
+    method: req.method,
+    headers: {
+      'Authorization': req.headers.authorization || '',
+      'Content-Type': 'application/json'
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const data = await response.json();
+  const task = data.tasks?.[0];
+
+  // Only successful results are worth replaying; task_post ids are meaningless offline
+  if (response.ok && task?.status_code === 20000 && endpoint !== TASK_POST_PATH) {
+    const taskGet = endpoint.match(TASK_GET_PATTERN);
+    const file = taskGet
+      ? await writeFixture(SERP_LIVE_PATH, getFixtureKey(task.data), data)
+      : await writeFixture(endpoint, getFixtureKey(body?.[0]), data);
+    console.log(`Recorded ${path.relative(FIXTURES_DIR, file)}`);
+  }
+
+  send(res, response.status, data);
+}
+
+const server = http.createServer(async (req, res) => {
+  const { pathname } = new URL(req.url, `http://localhost:${PORT}`);
+  const endpoint = pathname.replace(/^\/v3\//, '').replace(/^\/+|\/+$/g, '');
+
+  try {
+    const body = req.method === 'POST' ? await readBody(req) : null;
+    console.log(`${req.method} /v3/${endpoint}`);
+
+    if (RECORD) {
+      await record(req, res, endpoint, body);
+    } else {
+      await replay(req, res, endpoint, body);
+    }
+  } catch (error) {
+    console.error(`Mock error for ${endpoint}:`, error);
+    send(res, 500, { status_code: 50000, status_message: error.message, tasks: [] });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`DataForSEO mock (${RECORD ? `recording from ${UPSTREAM_URL}` : 'replaying fixtures'}) on http://localhost:${PORT}/v3`);
+});
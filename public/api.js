@@ -6,18 +6,25 @@
 // API base URL - works with Vercel serverless functions
 const API_BASE_URL = '/api';
 
-// Token storage
-let authToken = localStorage.getItem('searchshare_token');
+// Token storage: a short-lived access token and the refresh token that renews it
+const TOKEN_KEY = 'searchshare_token';
+const REFRESH_TOKEN_KEY = 'searchshare_refresh_token';
+
+let authToken = localStorage.getItem(TOKEN_KEY);
+let refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
 
 /**
- * Set the authentication token
+ * Set the session's access and refresh token (null signs out)
  */
-export function setAuthToken(token) {
+export function setAuthToken(token, newRefreshToken = null) {
   authToken = token;
+  refreshToken = token ? newRefreshToken : null;
   if (token) {
-    localStorage.setItem('searchshare_token', token);
+    localStorage.setItem(TOKEN_KEY, token);
+    localStorage.setItem(REFRESH_TOKEN_KEY, newRefreshToken);
   } else {
-    localStorage.removeItem('searchshare_token');
+    localStorage.removeItem(TOKEN_KEY);
+    localStorage.removeItem(REFRESH_TOKEN_KEY);
   }
 }
 
@@ -35,17 +42,71 @@ export function isAuthenticated() {
   return !!authToken;
 }
 
+// Project the current DataForSEO lookups are made for, so their cost is attributed to it
+let usageProjectId = null;
+
+/**
+ * Set (or clear with null) the project DataForSEO lookups are billed to
+ */
+export function setUsageProject(projectId) {
+  usageProjectId = projectId;
+}
+
+let refreshing = null;
+
+/**
+ * Swap the refresh token for new tokens; concurrent callers share one refresh
+ * Resolves to whether there is a usable access token afterwards
+ */
+function refreshAccessToken() {
+  refreshing = refreshing || (async () => {
+    // Another tab may have refreshed already and stored newer tokens
+    const storedToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+    if (!storedToken) return false;
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/auth/refresh`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken: storedToken })
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        setAuthToken(data.token, data.refreshToken);
+        return true;
+      }
+
+      // Refused because another tab rotated the token meanwhile: use its tokens
+      const latestToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+      if (latestToken && latestToken !== storedToken) {
+        setAuthToken(localStorage.getItem(TOKEN_KEY), latestToken);
+        return true;
+      }
+      return false;
+    } catch (error) {
+      return false;
+    } finally {
+      refreshing = null;
+    }
+  })();
+
+  return refreshing;
+}
+
 /**
  * Make an API request
+ * An expired access token is refreshed once and the request retried
  */
-async function request(endpoint, options = {}) {
+async function request(endpoint, options = {}, retried = false) {
   const headers = {
     'Content-Type': 'application/json',
     ...options.headers
   };
 
-  if (authToken) {
-    headers['Authorization'] = `Bearer ${authToken}`;
+  const sentToken = authToken;
+  if (sentToken) {
+    headers['Authorization'] = `Bearer ${sentToken}`;
   }
 
   const response = await fetch(`${API_BASE_URL}${endpoint}`, {
@@ -53,8 +114,13 @@ async function request(endpoint, options = {}) {
     headers
   });
 
-  // Handle unauthorized responses
-  if (response.status === 401) {
+  // Handle unauthorized responses (without a token it is a failed login, reported below)
+  if (response.status === 401 && sentToken) {
+    // A concurrent request may have refreshed the token already
+    if (!retried && (authToken !== sentToken || await refreshAccessToken())) {
+      return request(endpoint, options, true);
+    }
+
     setAuthToken(null);
     window.dispatchEvent(new CustomEvent('auth:logout'));
     throw new Error('Session expired. Please log in again.');
@@ -76,7 +142,11 @@ async function request(endpoint, options = {}) {
   }
 
   if (!response.ok) {
-    throw new Error(data.error || `Request failed: ${response.status}`);
+    const error = new Error(data.error || `Request failed: ${response.status}`);
+    // DataForSEO failures carry a type (auth, insufficient_funds, rate_limit, ...)
+    error.type = data.errorType;
+    error.code = data.code;
+    throw error;
   }
 
   return data;
@@ -92,7 +162,7 @@ export const auth = {
       method: 'POST',
       body: JSON.stringify({ email, password, name })
     });
-    setAuthToken(data.token);
+    setAuthToken(data.token, data.refreshToken);
     return data;
   },
 
@@ -101,12 +171,20 @@ export const auth = {
       method: 'POST',
       body: JSON.stringify({ email, password })
     });
-    setAuthToken(data.token);
+    setAuthToken(data.token, data.refreshToken);
     return data;
   },
 
+  // Ends the session on the server too, so its refresh token can't be used again
   logout() {
+    const token = refreshToken;
     setAuthToken(null);
+    if (token) {
+      request('/auth/logout', {
+        method: 'POST',
+        body: JSON.stringify({ refreshToken: token })
+      }).catch(error => console.error('Logout failed:', error));
+    }
     window.dispatchEvent(new CustomEvent('auth:logout'));
   },
 
@@ -121,11 +199,50 @@ export const auth = {
     });
   },
 
+  // A password change ends every session, so this device continues with the new one
   async changePassword(currentPassword, newPassword) {
-    return request('/auth/password', {
+    const data = await request('/auth/password', {
       method: 'PUT',
       body: JSON.stringify({ currentPassword, newPassword })
     });
+    setAuthToken(data.token, data.refreshToken);
+    return data;
+  },
+
+  async getSessions() {
+    const data = await request('/auth/sessions');
+    return data.sessions;
+  },
+
+  async revokeSession(sessionId) {
+    return request('/auth/sessions', {
+      method: 'DELETE',
+      body: JSON.stringify({ sessionId })
+    });
+  },
+
+  // Signs out every device, this one included
+  async revokeAllSessions() {
+    const data = await request('/auth/sessions', {
+      method: 'DELETE'
+    });
+    setAuthToken(null);
+    window.dispatchEvent(new CustomEvent('auth:logout'));
+    return data;
+  },
+
+  async requestPasswordReset(email) {
+    return request('/auth/password-reset', {
+      method: 'POST',
+      body: JSON.stringify({ email })
+    });
+  },
+
+  async resetPassword(token, newPassword) {
+    return request('/auth/password-reset', {
+      method: 'PUT',
+      body: JSON.stringify({ token, newPassword })
+    });
   },
 
   async updateApiCredentials(apiLogin, apiPassword) {
@@ -172,6 +289,13 @@ export const projects = {
     });
   },
 
+  async move(id, workspaceId) {
+    return request(`/projects/${id}/workspace`, {
+      method: 'PUT',
+      body: JSON.stringify({ workspaceId })
+    });
+  },
+
   async createSnapshot(id) {
     const data = await request(`/projects/${id}/snapshot`, {
       method: 'POST'
@@ -182,6 +306,165 @@ export const projects = {
   async getRecommendations(id) {
     const data = await request(`/projects/${id}/recommendations`);
     return data.recommendations;
+  },
+
+  async getSnapshotRuns(id) {
+    return request(`/projects/${id}/runs`);
+  },
+
+  async getRankChanges(id, { from, to, brand } = {}) {
+    const params = new URLSearchParams();
+    if (from) params.set('from', from);
+    if (to) params.set('to', to);
+    if (brand) params.set('brand', brand);
+    const query = params.toString();
+    return request(`/projects/${id}/snapshots/rank-changes${query ? `?${query}` : ''}`);
+  },
+
+  async compareSnapshots(id, from, to) {
+    const params = new URLSearchParams({ from, to });
+    return request(`/projects/${id}/snapshots/compare?${params}`);
+  },
+
+  async startSerpJob(id, keywords = null, marketId = null) {
+    const data = await request(`/projects/${id}/serp-jobs`, {
+      method: 'POST',
+      body: JSON.stringify({ keywords, marketId })
+    });
+    return data.job;
+  },
+
+  async getSerpJobs(id) {
+    const data = await request(`/projects/${id}/serp-jobs`);
+    return data.jobs;
+  },
+
+  async getSerpJob(id, jobId) {
+    const data = await request(`/projects/${id}/serp-jobs/${jobId}`);
+    return data.job;
+  },
+
+  async getPositionOverrides(id) {
+    return request(`/projects/${id}/position-overrides`);
+  },
+
+  async setPositionOverride(id, override) {
+    return request(`/projects/${id}/position-overrides`, {
+      method: 'PUT',
+      body: JSON.stringify(override)
+    });
+  },
+
+  async removePositionOverride(id, override) {
+    return request(`/projects/${id}/position-overrides`, {
+      method: 'DELETE',
+      body: JSON.stringify(override)
+    });
+  },
+
+  async recomputeSnapshots(id, ctrModel, ctrCurve = null, snapshotIds = null) {
+    return request(`/projects/${id}/snapshots/recompute`, {
+      method: 'POST',
+      body: JSON.stringify({ ctrModel, ctrCurve, snapshotIds })
+    });
+  }
+};
+
+// =============================================
+// WORKSPACES API
+// =============================================
+
+export const workspaces = {
+  async list() {
+    const data = await request('/workspaces');
+    return data.workspaces;
+  },
+
+  async create(name) {
+    const data = await request('/workspaces', {
+      method: 'POST',
+      body: JSON.stringify({ name })
+    });
+    return data.workspace;
+  },
+
+  // Members, and open invitations for owners
+  async get(id) {
+    const data = await request(`/workspaces/${id}`);
+    return data.workspace;
+  },
+
+  async rename(id, name) {
+    return request(`/workspaces/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify({ name })
+    });
+  },
+
+  async delete(id) {
+    return request(`/workspaces/${id}`, {
+      method: 'DELETE'
+    });
+  },
+
+  async updateMember(id, userId, role) {
+    return request(`/workspaces/${id}/members`, {
+      method: 'PUT',
+      body: JSON.stringify({ userId, role })
+    });
+  },
+
+  // Removing yourself leaves the workspace
+  async removeMember(id, userId) {
+    return request(`/workspaces/${id}/members`, {
+      method: 'DELETE',
+      body: JSON.stringify({ userId })
+    });
+  },
+
+  async invite(id, email, role) {
+    return request(`/workspaces/${id}/invitations`, {
+      method: 'POST',
+      body: JSON.stringify({ email, role })
+    });
+  },
+
+  async revokeInvitation(id, invitationId) {
+    return request(`/workspaces/${id}/invitations`, {
+      method: 'DELETE',
+      body: JSON.stringify({ invitationId })
+    });
+  }
+};
+
+export const invitations = {
+  async get(token) {
+    const data = await request(`/invitations/${encodeURIComponent(token)}`);
+    return data.invitation;
+  },
+
+  async accept(token) {
+    return request(`/invitations/${encodeURIComponent(token)}`, {
+      method: 'POST'
+    });
+  }
+};
+
+// =============================================
+// ADMIN API
+// =============================================
+
+export const admin = {
+  async getLoginThrottles() {
+    const data = await request('/admin/login-throttles');
+    return data.throttles;
+  },
+
+  async clearLoginThrottle(scope, key) {
+    return request('/admin/login-throttles', {
+      method: 'DELETE',
+      body: JSON.stringify({ scope, key })
+    });
   }
 };
 
@@ -199,6 +482,8 @@ export const dashboard = {
 // DATAFORSEO API
 // =============================================
 
+// Lookup options are { locationCode, languageCode } plus an optional projectId that
+// overrides the usage project
 export const dataForSeo = {
   async testConnection() {
     try {
@@ -209,79 +494,121 @@ export const dataForSeo = {
     }
   },
 
-  async fetchVolumes(keywords, locationCode = 2840) {
-    const data = await request('/dataforseo/volumes', {
+  // Returns { volumes, cache }
+  async fetchVolumes(keywords, options = {}) {
+    return request('/dataforseo/volumes', {
       method: 'POST',
-      body: JSON.stringify({ keywords, locationCode })
+      body: JSON.stringify({ keywords, projectId: usageProjectId, ...options })
     });
-    return data.volumes;
   },
 
-  async fetchKeywordSuggestions(seedKeyword, limit = 30, locationCode = 2840) {
+  async fetchKeywordSuggestions(seedKeyword, limit = 30, options = {}) {
     const data = await request('/dataforseo/keyword-suggestions', {
       method: 'POST',
-      body: JSON.stringify({ seedKeyword, limit, locationCode })
+      body: JSON.stringify({ seedKeyword, limit, projectId: usageProjectId, ...options })
     });
     return data.keywords;
   },
 
-  async fetchKeywordIdeas(seedKeyword, limit = 30, locationCode = 2840) {
+  async fetchKeywordIdeas(seedKeyword, limit = 30, options = {}) {
     const data = await request('/dataforseo/keyword-ideas', {
       method: 'POST',
-      body: JSON.stringify({ seedKeyword, limit, locationCode })
+      body: JSON.stringify({ seedKeyword, limit, projectId: usageProjectId, ...options })
     });
     return data.keywords;
   },
 
-  async fetchRelatedKeywords(seedKeyword, limit = 20, locationCode = 2840) {
+  async fetchRelatedKeywords(seedKeyword, limit = 20, options = {}) {
     const data = await request('/dataforseo/related-keywords', {
       method: 'POST',
-      body: JSON.stringify({ seedKeyword, limit, locationCode })
+      body: JSON.stringify({ seedKeyword, limit, projectId: usageProjectId, ...options })
     });
     return data.keywords;
   },
 
-  async fetchHistoricalVolumes(keywords, locationCode = 2840) {
-    const data = await request('/dataforseo/historical-volumes', {
+  // Returns { history, cache }
+  async fetchHistoricalVolumes(keywords, options = {}) {
+    return request('/dataforseo/historical-volumes', {
       method: 'POST',
-      body: JSON.stringify({ keywords, locationCode })
+      body: JSON.stringify({ keywords, projectId: usageProjectId, ...options })
     });
-    return data.history;
   },
 
-  async fetchSerpPositions(keywords, domains, locationCode = 2840) {
+  async fetchSerpPositions(keywords, domains, options = {}) {
     const data = await request('/dataforseo/serp-positions', {
       method: 'POST',
-      body: JSON.stringify({ keywords, domains, locationCode })
+      body: JSON.stringify({ keywords, domains, projectId: usageProjectId, ...options })
     });
     return data;
   },
 
   // Faster alternative: fetch rankings per domain instead of per keyword
-  async fetchRankedKeywords(keywords, domains, locationCode = 2840) {
+  async fetchRankedKeywords(keywords, domains, options = {}) {
     const data = await request('/dataforseo/ranked-keywords', {
       method: 'POST',
-      body: JSON.stringify({ keywords, domains, locationCode })
+      body: JSON.stringify({ keywords, domains, projectId: usageProjectId, ...options })
     });
     return data;
   },
 
-  async expandCategory(seedKeywords, limitPerSeed = 50, locationCode = 2840) {
+  // Competitor candidates from SERP overlap; returns { competitors, cache }
+  async fetchSerpCompetitors(keywords, exclude = [], options = {}) {
+    return request('/dataforseo/serp-competitors', {
+      method: 'POST',
+      body: JSON.stringify({ keywords, exclude, projectId: usageProjectId, ...options })
+    });
+  },
+
+  async expandCategory(seedKeywords, limitPerSeed = 50, options = {}) {
     const data = await request('/dataforseo/expand-category', {
       method: 'POST',
-      body: JSON.stringify({ seedKeywords, limitPerSeed, locationCode })
+      body: JSON.stringify({ seedKeywords, limitPerSeed, projectId: usageProjectId, ...options })
     });
     return data;
   }
 };
 
+// =============================================
+// LOCATIONS API
+// =============================================
+
+export const locations = {
+  // { locations, languages, defaults }
+  async list() {
+    return request('/locations');
+  }
+};
+
+// =============================================
+// USAGE API
+// =============================================
+
+export const usage = {
+  async get() {
+    return request('/usage');
+  },
+
+  async setBudget(monthlyBudget) {
+    return request('/usage', {
+      method: 'PUT',
+      body: JSON.stringify({ monthlyBudget })
+    });
+  }
+};
+
 // Export all APIs
 export default {
   auth,
   projects,
+  workspaces,
+  invitations,
+  admin,
   dashboard,
   dataForSeo,
+  locations,
+  usage,
   setAuthToken,
+  setUsageProject,
   getAuthToken,
   isAuthenticated
 };
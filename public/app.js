@@ -3,7 +3,7 @@
  * Frontend with API integration
  */
 
-import { auth, projects, dataForSeo, isAuthenticated, getAuthToken } from './api.js';
+import { auth, projects, workspaces, invitations, admin, dataForSeo, locations, usage, isAuthenticated, getAuthToken, setAuthToken, setUsageProject } from './api.js';
 
 // =============================================
 // APP STATE
@@ -13,6 +13,19 @@ let currentProjectId = null;
 let currentUser = null;
 let charts = {};
 let expandedCategoryData = null; // Stores expanded keywords for Total Market Volume
+let customCtrCurve = null; // Uploaded position → CTR curve for the "custom" CTR model
+let serpJobPoll = null; // Timer polling the project's background SERP job
+let serpFeatureData = null; // SERP features from the last positions fetch ({ features, matchTypes, serpFeatures } by keyword index)
+let marketOptions = null; // Locations and languages a project can be tracked in ({ locations, languages, defaults })
+let modalMarkets = []; // Markets edited in the project modal, primary first ({ id, locationCode, languageCode, brandVolumes, brandTerms, keywords, positions, serpFeatureData, expandedCategoryData })
+let activeMarketIdx = 0; // Market currently shown in the project modal form
+let brandTermsData = {}; // Term sets of the market shown in the modal ({ brandName: [{ term, rule, volume }] })
+let termsBrand = null; // Brand whose terms are shown in the modal
+let settingsWorkspaceId = null; // Workspace shown in the settings Workspaces card
+
+// Workspace roles, least to most privileged (viewers read, editors change project data, owners manage)
+const WORKSPACE_ROLES = ['viewer', 'editor', 'owner'];
+const INVITE_TOKEN_KEY = 'searchshare_invite';
 
 // =============================================
 // INITIALIZATION
@@ -24,6 +37,19 @@ document.addEventListener('DOMContentLoaded', async () => {
         showAuthView();
     });
 
+    // Invitation links are kept until someone is logged in to accept them
+    const inviteToken = new URLSearchParams(window.location.search).get('invite');
+    if (inviteToken) {
+        sessionStorage.setItem(INVITE_TOKEN_KEY, inviteToken);
+        window.history.replaceState(null, '', window.location.pathname);
+    }
+
+    // Emailed reset links open the reset form, even when someone is logged in
+    if (getResetToken()) {
+        showAuthView();
+        return;
+    }
+
     // Check if user is authenticated
     if (isAuthenticated()) {
         try {
@@ -42,6 +68,28 @@ document.addEventListener('DOMContentLoaded', async () => {
 // =============================================
 // AUTH VIEW
 // =============================================
+const AUTH_FORMS = ['login', 'signup', 'forgot', 'reset'];
+
+// Token of an emailed password reset link (/?reset=...)
+function getResetToken() {
+    return new URLSearchParams(window.location.search).get('reset');
+}
+
+function showAuthForm(name) {
+    AUTH_FORMS.forEach(form => {
+        document.getElementById(`${form}-form`).classList.toggle('hidden', form !== name);
+    });
+    document.querySelectorAll('.auth-tab').forEach(t => t.classList.toggle('active', t.dataset.tab === name));
+    document.querySelector('.auth-tabs').classList.toggle('hidden', name === 'forgot' || name === 'reset');
+    document.querySelectorAll('.auth-error, .auth-notice').forEach(el => el.classList.add('hidden'));
+}
+
+function setAuthButtonLoading(btn, loading) {
+    btn.disabled = loading;
+    btn.querySelector('.btn-text').classList.toggle('hidden', loading);
+    btn.querySelector('.btn-loading').classList.toggle('hidden', !loading);
+}
+
 function showAuthView() {
     document.querySelector('.top-nav').classList.add('hidden');
     const mainContent = document.getElementById('main-content');
@@ -51,16 +99,30 @@ function showAuthView() {
 
     // Tab switching
     document.querySelectorAll('.auth-tab').forEach(tab => {
-        tab.addEventListener('click', () => {
-            document.querySelectorAll('.auth-tab').forEach(t => t.classList.remove('active'));
-            tab.classList.add('active');
+        tab.addEventListener('click', () => showAuthForm(tab.dataset.tab));
+    });
+
+    document.getElementById('forgot-password-link').addEventListener('click', (e) => {
+        e.preventDefault();
+        document.getElementById('forgot-email').value = document.getElementById('login-email').value;
+        showAuthForm('forgot');
+    });
 
-            const isLogin = tab.dataset.tab === 'login';
-            document.getElementById('login-form').classList.toggle('hidden', !isLogin);
-            document.getElementById('signup-form').classList.toggle('hidden', isLogin);
+    document.querySelectorAll('.auth-back-link').forEach(link => {
+        link.addEventListener('click', (e) => {
+            e.preventDefault();
+            showAuthForm('login');
         });
     });
 
+    if (getResetToken()) {
+        showAuthForm('reset');
+    } else if (sessionStorage.getItem(INVITE_TOKEN_KEY)) {
+        const noticeEl = document.getElementById('login-notice');
+        noticeEl.textContent = 'Log in or sign up with the invited email address to join the workspace.';
+        noticeEl.classList.remove('hidden');
+    }
+
     // Login form
     document.getElementById('login-form').addEventListener('submit', async (e) => {
         e.preventDefault();
@@ -115,6 +177,57 @@ function showAuthView() {
             btn.querySelector('.btn-loading').classList.add('hidden');
         }
     });
+
+    // Forgot password form
+    document.getElementById('forgot-form').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const email = document.getElementById('forgot-email').value;
+        const noticeEl = document.getElementById('forgot-notice');
+        const errorEl = document.getElementById('forgot-error');
+        const btn = e.target.querySelector('button[type="submit"]');
+
+        try {
+            setAuthButtonLoading(btn, true);
+            errorEl.classList.add('hidden');
+
+            const data = await auth.requestPasswordReset(email);
+            noticeEl.textContent = data.message;
+            noticeEl.classList.remove('hidden');
+        } catch (error) {
+            errorEl.textContent = error.message;
+            errorEl.classList.remove('hidden');
+        } finally {
+            setAuthButtonLoading(btn, false);
+        }
+    });
+
+    // Reset password form
+    document.getElementById('reset-form').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const newPassword = document.getElementById('reset-password').value;
+        const errorEl = document.getElementById('reset-error');
+        const btn = e.target.querySelector('button[type="submit"]');
+
+        try {
+            setAuthButtonLoading(btn, true);
+            errorEl.classList.add('hidden');
+
+            const data = await auth.resetPassword(getResetToken(), newPassword);
+
+            // Every session ended with the reset, so log in again
+            window.history.replaceState(null, '', window.location.pathname);
+            setAuthToken(null);
+            showAuthForm('login');
+            const noticeEl = document.getElementById('login-notice');
+            noticeEl.textContent = data.message;
+            noticeEl.classList.remove('hidden');
+        } catch (error) {
+            errorEl.textContent = error.message;
+            errorEl.classList.remove('hidden');
+        } finally {
+            setAuthButtonLoading(btn, false);
+        }
+    });
 }
 
 // =============================================
@@ -126,6 +239,30 @@ function showApp() {
     initUserMenu();
     renderView('dashboard');
     updateApiStatus();
+    acceptPendingInvitation();
+}
+
+// Offer to join the workspace of an invitation link opened before logging in
+async function acceptPendingInvitation() {
+    const token = sessionStorage.getItem(INVITE_TOKEN_KEY);
+    if (!token) return;
+    sessionStorage.removeItem(INVITE_TOKEN_KEY);
+
+    try {
+        const invitation = await invitations.get(token);
+        if (!confirm(`${invitation.invitedByEmail} invited you to join "${invitation.workspace.name}" as ${invitation.role}. Join now?`)) return;
+
+        const data = await invitations.accept(token);
+        alert(data.message);
+        if (currentView === 'dashboard') renderView('dashboard');
+    } catch (error) {
+        alert('Could not accept the invitation: ' + error.message);
+    }
+}
+
+// Whether a workspace role grants at least `minimumRole`
+function hasWorkspaceRole(role, minimumRole) {
+    return WORKSPACE_ROLES.indexOf(role) >= WORKSPACE_ROLES.indexOf(minimumRole) && WORKSPACE_ROLES.includes(role);
 }
 
 function initNavigation() {
@@ -209,7 +346,7 @@ async function renderView(view, data = {}) {
                 break;
             case 'project':
                 currentProjectId = data.projectId;
-                await renderProject(mainContent, data.projectId);
+                await renderProject(mainContent, data.projectId, data.market);
                 break;
             case 'settings':
                 await renderSettings(mainContent);
@@ -264,6 +401,9 @@ function updateDashboardStats(projectsList) {
 
 function renderProjectCards(projectsList) {
     const grid = document.getElementById('projects-grid');
+    // Name the workspace on each card once projects come from more than one
+    const showWorkspace = new Set(projectsList.map(p => p.workspace?.id)).size > 1;
+
     grid.innerHTML = projectsList.map(project => {
         const statusClass = project.currentStatus || 'stable';
         const statusLabel = statusClass === 'growing' ? 'Growing' :
@@ -274,7 +414,7 @@ function renderProjectCards(projectsList) {
                 <div class="project-card-header">
                     <div>
                         <div class="project-name">${escapeHtml(project.name)}</div>
-                        <div class="project-client">${escapeHtml(project.client || project.brand?.name || '')}</div>
+                        <div class="project-client">${escapeHtml(project.client || project.brand?.name || '')}${project.marketCount > 1 ? ` · ${project.marketCount} markets` : ''}${showWorkspace && project.workspace ? ` · ${escapeHtml(project.workspace.name)}` : ''}</div>
                     </div>
                     <div class="project-status ${statusClass}">${statusLabel}</div>
                 </div>
@@ -308,20 +448,36 @@ function renderProjectCards(projectsList) {
 // =============================================
 // PROJECT VIEW
 // =============================================
-async function renderProject(container, projectId) {
-    const project = await projects.get(projectId);
+async function renderProject(container, projectId, marketKey = null) {
+    clearTimeout(serpJobPoll);
+    const fullProject = await projects.get(projectId);
 
-    if (!project) {
+    if (!fullProject) {
         renderView('dashboard');
         return;
     }
 
+    // Projects tracking several markets open on the rollup
+    marketKey = marketKey || (fullProject.rollup ? 'rollup' : 'primary');
+    const project = getMarketView(fullProject, marketKey);
+
     const template = document.getElementById('project-template');
     container.innerHTML = '';
     container.appendChild(template.content.cloneNode(true));
 
     document.getElementById('project-name').textContent = project.name;
     document.getElementById('project-client').textContent = project.client || project.brand?.name || '';
+    renderMarketStatus(fullProject, marketKey);
+    renderScheduleStatus(project);
+    renderWorkspaceStatus(fullProject);
+
+    // Viewers only read; deleting is left to owners
+    const canEdit = hasWorkspaceRole(fullProject.role, 'editor');
+    ['fetch-positions-job-btn', 'refresh-data-btn', 'edit-project-btn'].forEach(id => {
+        document.getElementById(id).classList.toggle('hidden', !canEdit);
+    });
+    document.getElementById('delete-project-btn').classList.toggle('hidden', fullProject.role !== 'owner');
+    initSerpJob(project);
 
     const metrics = project.currentMetrics || {};
     renderMetrics(metrics, project);
@@ -332,8 +488,13 @@ async function renderProject(container, projectId) {
     }, 100);
 
     renderBrandsTable(metrics);
-    renderKeywordsTable(project);
+    renderKeywordsTable(project, !canEdit);
+    if (canEdit) initPositionOverrides(project, marketKey);
+    renderSegmentsTable(metrics);
+    initSnapshotComparison(project);
+    initCtrSensitivity(project);
     renderVisibleVolumeBreakdown(project);
+    renderMarketsTable(fullProject);
 
     // Toggle for visible volume breakdown
     document.getElementById('toggle-visible-breakdown')?.addEventListener('click', () => {
@@ -375,7 +536,7 @@ async function renderProject(container, projectId) {
     });
 
     document.getElementById('edit-project-btn').addEventListener('click', () => {
-        openProjectModal(project);
+        openProjectModal(fullProject);
     });
 
     document.getElementById('delete-project-btn').addEventListener('click', async () => {
@@ -387,7 +548,7 @@ async function renderProject(container, projectId) {
 
     document.getElementById('refresh-data-btn').addEventListener('click', async () => {
         await projects.createSnapshot(projectId);
-        renderView('project', { projectId });
+        renderView('project', { projectId, market: marketKey });
     });
 
     document.getElementById('export-pdf-btn').addEventListener('click', () => {
@@ -417,6 +578,190 @@ async function renderProject(container, projectId) {
     });
 }
 
+function renderWorkspaceStatus(project) {
+    const workspaceEl = document.getElementById('project-workspace');
+    if (!workspaceEl || !project.workspace) return;
+
+    workspaceEl.textContent = `${project.workspace.name} · ${project.role}`;
+    workspaceEl.classList.remove('hidden');
+}
+
+async function renderMarketStatus(project, marketKey) {
+    const marketEl = document.getElementById('project-market');
+    const selectEl = document.getElementById('project-market-select');
+    if (!marketEl || !selectEl) return;
+
+    try {
+        await loadMarketOptions();
+    } catch (error) {
+        console.error('Failed to load locations:', error);
+    }
+
+    if (!project.markets?.length) {
+        marketEl.textContent = formatMarket(project.locationCode, project.languageCode);
+        marketEl.classList.remove('hidden');
+        return;
+    }
+
+    selectEl.innerHTML = [
+        `<option value="rollup">All markets (${project.markets.length + 1})</option>`,
+        `<option value="primary">${escapeHtml(formatMarket(project.locationCode, project.languageCode))}</option>`,
+        ...project.markets.map(m => `<option value="${m.id}">${escapeHtml(formatMarket(m.locationCode, m.languageCode))}</option>`)
+    ].join('');
+    selectEl.value = marketKey;
+    selectEl.classList.remove('hidden');
+    selectEl.addEventListener('change', () => {
+        renderView('project', { projectId: project.id, market: selectEl.value });
+    });
+}
+
+// The project as seen from one market: 'rollup', 'primary' or the id of an additional market
+function getMarketView(project, marketKey) {
+    if (marketKey === 'rollup' && project.rollup) {
+        return {
+            ...project,
+            ...project.rollup,
+            marketKeywords: [],
+            positions: {},
+            features: {},
+            positionOverrides: {},
+            isRollup: true
+        };
+    }
+
+    const market = project.markets?.find(m => m.id === marketKey);
+    if (!market) return withPositionOverrides(project);
+
+    const withVolume = (brand) => brand && { ...brand, volume: market.brandVolumes[brand.name] || 0 };
+    return withPositionOverrides({
+        ...project,
+        marketId: market.id,
+        locationCode: market.locationCode,
+        languageCode: market.languageCode,
+        brand: withVolume(project.brand),
+        competitors: (project.competitors || []).map(withVolume),
+        marketKeywords: market.marketKeywords,
+        positions: market.positions,
+        features: market.features,
+        matchTypes: market.matchTypes,
+        extraPositions: market.extraPositions,
+        positionOverrides: market.positionOverrides,
+        currentMetrics: market.currentMetrics,
+        snapshots: market.snapshots
+    });
+}
+
+// Locked manual positions win over fetched ones, as they do in snapshots
+function withPositionOverrides(view) {
+    const positions = Object.fromEntries(
+        Object.entries(view.positions || {}).map(([idx, brandPositions]) => [idx, { ...brandPositions }])
+    );
+    Object.entries(view.positionOverrides || {}).forEach(([idx, overrides]) => {
+        positions[idx] = positions[idx] || {};
+        Object.entries(overrides).forEach(([brandName, override]) => {
+            if (override.position) positions[idx][brandName] = override.position;
+            else delete positions[idx][brandName];
+        });
+    });
+    return { ...view, positions, fetchedPositions: view.positions || {} };
+}
+
+async function renderScheduleStatus(project) {
+    const scheduleEl = document.getElementById('project-schedule');
+    if (!scheduleEl || !project.snapshotSchedule) return;
+
+    const nextRun = project.nextSnapshotAt
+        ? new Date(project.nextSnapshotAt).toLocaleDateString()
+        : 'pending';
+    scheduleEl.textContent = `Automatic ${project.snapshotSchedule} snapshots · next run ${nextRun}`;
+    scheduleEl.classList.remove('hidden');
+
+    try {
+        const { runs } = await projects.getSnapshotRuns(project.id);
+        const lastRun = runs[0];
+        if (lastRun?.status === 'failed') {
+            scheduleEl.textContent += ` · last run failed: ${lastRun.error || 'unknown error'}`;
+            scheduleEl.classList.add('failed');
+        }
+    } catch (error) {
+        console.error('Failed to load snapshot runs:', error);
+    }
+}
+
+// Background SERP jobs: start a fetch for every keyword and poll until it finishes
+async function initSerpJob(project) {
+    const btn = document.getElementById('fetch-positions-job-btn');
+    if (!btn) return;
+
+    // Positions are fetched per market, the rollup has no keywords of its own
+    if (project.isRollup) {
+        btn.disabled = true;
+        btn.title = 'Pick a market to fetch its positions';
+    }
+
+    btn.addEventListener('click', async () => {
+        if (!currentUser?.hasApiCredentials) {
+            alert('API not configured. Go to Settings to add credentials.');
+            return;
+        }
+        try {
+            const job = await projects.startSerpJob(project.id, null, project.marketId);
+            trackSerpJob(project.id, job);
+        } catch (error) {
+            alert('Error starting position fetch: ' + error.message);
+        }
+    });
+
+    // Resume a job that is still running from an earlier visit
+    try {
+        const jobs = await projects.getSerpJobs(project.id);
+        const activeJob = jobs.find(j => j.status === 'queued' || j.status === 'running');
+        if (activeJob) trackSerpJob(project.id, activeJob);
+    } catch (error) {
+        console.error('Failed to load SERP jobs:', error);
+    }
+}
+
+function trackSerpJob(projectId, job) {
+    const statusEl = document.getElementById('project-serp-job');
+    const btn = document.getElementById('fetch-positions-job-btn');
+    if (!statusEl || currentProjectId !== projectId) return;
+
+    const { total, completed, failed, percent } = job.progress;
+    statusEl.classList.remove('hidden', 'failed');
+
+    if (job.status === 'queued' || job.status === 'running') {
+        btn.disabled = true;
+        statusEl.textContent = `Fetching positions · ${completed + failed}/${total} keywords (${percent}%)`;
+        serpJobPoll = setTimeout(async () => {
+            try {
+                trackSerpJob(projectId, await projects.getSerpJob(projectId, job.id));
+            } catch (error) {
+                statusEl.textContent = `Position fetch status unavailable: ${error.message}`;
+                statusEl.classList.add('failed');
+                btn.disabled = false;
+            }
+        }, 5000);
+        return;
+    }
+
+    btn.disabled = false;
+    if (job.status === 'failed') {
+        statusEl.textContent = `Position fetch failed: ${job.error || 'unknown error'}`;
+        statusEl.classList.add('failed');
+        return;
+    }
+
+    // New positions only show up in the metrics once a snapshot is taken
+    statusEl.textContent = `Positions fetched for ${completed}/${total} keywords${job.error ? ` · ${job.error}` : ''} · updating metrics...`;
+    projects.createSnapshot(projectId)
+        .then(() => renderView('project', { projectId, market: job.marketId || 'primary' }))
+        .catch(error => {
+            statusEl.textContent = `Positions fetched, but the snapshot failed: ${error.message}`;
+            statusEl.classList.add('failed');
+        });
+}
+
 function renderMetrics(metrics, project) {
     const sos = metrics.sos || 0;
     const sov = metrics.sov || 0;
@@ -479,6 +824,17 @@ function renderMetrics(metrics, project) {
         }
     }
 
+    // Share of the market volume SOV had rankings for, low coverage understates every brand's SOV
+    if (marketBreakdown && metrics.coverage !== undefined && totalMarketVolume > 0) {
+        marketBreakdown.insertAdjacentHTML('beforeend', `
+            <div class="market-breakdown-stats coverage-stats ${metrics.coverage < 50 ? 'low' : ''}"
+                 title="Market volume on keywords where at least one brand has a known position">
+                <span>Position coverage: <strong>${metrics.coverage.toFixed(0)}%</strong>
+                    of market volume (${formatNumber(metrics.coveredVolume || 0)} searches)</span>
+            </div>
+        `);
+    }
+
     // Gap Calculation Breakdown
     document.getElementById('gap-sov').textContent = sov.toFixed(1) + '%';
     document.getElementById('gap-sos').textContent = sos.toFixed(1) + '%';
@@ -735,6 +1091,8 @@ function renderBrandsTable(metrics) {
                 <td>${formatNumber(b.volume || 0)}</td>
                 <td class="sos-value">${b.sos.toFixed(1)}%</td>
                 <td class="sov-value">${b.sov.toFixed(1)}%</td>
+                <td>${(b.organicSov ?? b.sov).toFixed(1)}%</td>
+                <td>${(b.featureSov || 0).toFixed(1)}%</td>
                 <td class="gap-value ${gap >= 0 ? 'positive' : 'negative'}">${gap >= 0 ? '+' : ''}${gap.toFixed(1)}pp</td>
                 <td><span class="status-badge ${status}">${statusLabel}</span></td>
             </tr>
@@ -742,13 +1100,18 @@ function renderBrandsTable(metrics) {
     }).join('');
 }
 
-function renderKeywordsTable(project) {
+// Read-only tables (for viewers) don't offer to lock positions
+function renderKeywordsTable(project, readOnly = false) {
     const tbody = document.getElementById('keywords-table-body');
     const headerRow = document.getElementById('position-headers');
     if (!tbody || !headerRow) return;
 
     const keywords = project.marketKeywords || [];
     const positions = project.positions || {};
+    const features = project.features || {};
+    const matchTypes = project.matchTypes || {};
+    const extraPositions = project.extraPositions || {};
+    const overrides = project.positionOverrides || {};
     const allBrands = [project.brand?.name, ...(project.competitors?.map(c => c.name) || [])];
 
     headerRow.innerHTML = allBrands.map(name => `<th>${escapeHtml(name || '')}</th>`).join('');
@@ -757,12 +1120,23 @@ function renderKeywordsTable(project) {
         const positionCells = allBrands.map(brand => {
             const pos = positions[idx]?.[brand];
             const posClass = pos ? (pos <= 3 ? 'positive' : pos <= 10 ? '' : 'negative') : 'neutral';
-            return `<td class="${posClass}">${pos || '—'}</td>`;
+            const override = overrides[idx]?.[brand];
+            const badge = override
+                ? renderOverrideBadge(override, project.fetchedPositions?.[idx]?.[brand])
+                : renderMatchBadge(pos && matchTypes[idx]?.[brand]) + renderExtraPositionsBadge(extraPositions[idx]?.[brand]);
+            return `
+                <td class="${readOnly ? '' : 'override-cell '}${posClass}" data-keyword="${idx}" data-brand="${escapeHtml(brand || '')}"${readOnly ? '' : ' title="Click to lock a position"'}>
+                    ${pos || '—'} ${badge} ${renderFeatureBadges(features[idx]?.[brand])}
+                </td>
+            `;
         }).join('');
 
         return `
             <tr>
-                <td><strong>${escapeHtml(kw.keyword)}</strong></td>
+                <td>
+                    <strong>${escapeHtml(kw.keyword)}</strong>${renderFeatureBadges(kw.serpFeatures, true)}
+                    ${kw.segment ? `<span class="segment-tag">${escapeHtml(kw.segment)}</span>` : ''}
+                </td>
                 <td>${formatNumber(kw.volume)}</td>
                 ${positionCells}
             </tr>
@@ -770,18 +1144,363 @@ function renderKeywordsTable(project) {
     }).join('');
 }
 
-// CTR by position lookup
-const CTR_BY_POSITION = {
+// Clicking a position in the keywords table opens the editor to lock it or remove its lock
+function initPositionOverrides(project, marketKey) {
+    const editor = document.getElementById('override-editor');
+    const tbody = document.getElementById('keywords-table-body');
+    if (!editor || !tbody) return;
+
+    const statusEl = document.getElementById('override-status');
+    const positionInput = document.getElementById('override-position');
+    const reasonInput = document.getElementById('override-reason');
+    const removeBtn = document.getElementById('override-remove-btn');
+    let target = null;
+
+    tbody.addEventListener('click', (e) => {
+        const cell = e.target.closest('.override-cell');
+        if (!cell) return;
+
+        const keyword = project.marketKeywords[cell.dataset.keyword].keyword;
+        const override = project.positionOverrides?.[cell.dataset.keyword]?.[cell.dataset.brand];
+        target = { keyword, brandName: cell.dataset.brand, marketId: project.marketId || null };
+
+        document.getElementById('override-editor-title').textContent = `${cell.dataset.brand} · ${keyword}`;
+        positionInput.value = override ? override.position || '' : project.positions[cell.dataset.keyword]?.[cell.dataset.brand] || '';
+        reasonInput.value = override?.reason || '';
+        removeBtn.classList.toggle('hidden', !override);
+        editor.classList.remove('hidden');
+        reasonInput.focus();
+    });
+
+    const saveOverride = async (remove) => {
+        if (!remove && !reasonInput.value.trim()) {
+            showFetchStatus(statusEl, 'error', 'Please give a reason for the override');
+            return;
+        }
+
+        showFetchStatus(statusEl, 'loading', remove ? 'Removing lock...' : 'Locking position...');
+        try {
+            if (remove) {
+                await projects.removePositionOverride(project.id, { ...target, reason: reasonInput.value.trim() });
+            } else {
+                const position = parseInt(positionInput.value) || null;
+                await projects.setPositionOverride(project.id, { ...target, position, reason: reasonInput.value.trim() });
+            }
+            renderView('project', { projectId: project.id, market: marketKey });
+        } catch (error) {
+            showFetchStatus(statusEl, 'error', error.message);
+        }
+    };
+
+    document.getElementById('override-save-btn').addEventListener('click', () => saveOverride(false));
+    removeBtn.addEventListener('click', () => saveOverride(true));
+    document.getElementById('override-cancel-btn').addEventListener('click', () => {
+        editor.classList.add('hidden');
+        target = null;
+    });
+}
+
+// Segment matrix: every brand's SOV per keyword segment, the segment leader highlighted
+function renderSegmentsTable(metrics) {
+    const tbody = document.getElementById('segments-table-body');
+    const segments = metrics.segments || [];
+    if (!tbody || segments.length === 0) return;
+
+    document.getElementById('segments-tab-btn').classList.remove('hidden');
+
+    const brands = segments[0].brands;
+    document.getElementById('segments-table-head').innerHTML = `
+        <th>Segment</th>
+        <th>Keywords</th>
+        <th>Volume</th>
+        ${brands.map(b => `<th class="${b.isBrand ? 'is-you' : ''}">${escapeHtml(b.name)}</th>`).join('')}
+        <th>Leader</th>
+    `;
+
+    tbody.innerHTML = segments.map(segment => {
+        const brandCells = brands.map(({ name }) => {
+            const b = segment.brands.find(sb => sb.name === name);
+            const isLeader = name === segment.leader;
+            return `
+                <td class="sov-value ${isLeader ? 'segment-leader' : ''}" title="${formatNumber(b?.visibleVolume || 0)} visible searches">
+                    ${(b?.sov || 0).toFixed(1)}%
+                </td>
+            `;
+        }).join('');
+
+        return `
+            <tr>
+                <td class="brand-name">${escapeHtml(segment.name)}</td>
+                <td>${segment.keywordCount}</td>
+                <td>${formatNumber(segment.totalVolume)}</td>
+                ${brandCells}
+                <td>${segment.leader ? escapeHtml(segment.leader) : '—'}</td>
+            </tr>
+        `;
+    }).join('');
+}
+
+// Latest metrics of every market next to the rollup, for projects tracking several markets
+async function renderMarketsTable(project) {
+    const tbody = document.getElementById('markets-table-body');
+    if (!tbody || !project.markets?.length) return;
+
+    document.getElementById('markets-tab-btn').classList.remove('hidden');
+
+    try {
+        await loadMarketOptions();
+    } catch (error) {
+        console.error('Failed to load locations:', error);
+    }
+
+    const rows = [
+        {
+            name: `${formatMarket(project.locationCode, project.languageCode)} (primary)`,
+            metrics: project.currentMetrics,
+            snapshot: project.snapshots?.[0]
+        },
+        ...project.markets.map(m => ({
+            name: formatMarket(m.locationCode, m.languageCode),
+            metrics: m.currentMetrics,
+            snapshot: m.snapshots[0]
+        })),
+        { name: 'All markets', metrics: project.rollup?.currentMetrics, snapshot: project.rollup?.snapshots[0], isRollup: true }
+    ];
+
+    tbody.innerHTML = rows.map(({ name, metrics, snapshot, isRollup }) => {
+        if (!metrics) {
+            return `
+                <tr>
+                    <td class="brand-name">${escapeHtml(name)}</td>
+                    <td colspan="6" class="neutral">No snapshot yet - click Refresh</td>
+                </tr>
+            `;
+        }
+
+        return `
+            <tr>
+                <td class="brand-name ${isRollup ? 'is-you' : ''}">${escapeHtml(name)}</td>
+                <td>${formatNumber(metrics.brandVolume || 0)}</td>
+                <td>${formatNumber(metrics.totalMarketVolume || 0)}</td>
+                <td class="sos-value">${metrics.sos.toFixed(1)}%</td>
+                <td class="sov-value">${metrics.sov.toFixed(1)}%</td>
+                <td class="gap-value ${metrics.gap >= 0 ? 'positive' : 'negative'}">${metrics.gap >= 0 ? '+' : ''}${metrics.gap.toFixed(1)}pp</td>
+                <td>${snapshot ? new Date(snapshot.timestamp).toLocaleDateString() : '—'}</td>
+            </tr>
+        `;
+    }).join('');
+}
+
+// =============================================
+// SNAPSHOT COMPARISON
+// =============================================
+function initSnapshotComparison(project) {
+    const fromSelect = document.getElementById('compare-from');
+    const toSelect = document.getElementById('compare-to');
+    const statusEl = document.getElementById('compare-status');
+    if (!fromSelect || !toSelect) return;
+
+    const snapshots = project.snapshots || [];
+    if (snapshots.length < 2) {
+        showFetchStatus(statusEl, 'warning', 'At least two snapshots are needed for a comparison');
+        document.getElementById('compare-snapshots-btn').disabled = true;
+        return;
+    }
+
+    const options = snapshots.map(s => `
+        <option value="${s.id}">${escapeHtml(s.date)} · ${new Date(s.timestamp).toLocaleDateString()}</option>
+    `).join('');
+    fromSelect.innerHTML = options;
+    toSelect.innerHTML = options;
+    fromSelect.value = snapshots[1].id;
+    toSelect.value = snapshots[0].id;
+
+    document.getElementById('compare-snapshots-btn').addEventListener('click', async () => {
+        if (fromSelect.value === toSelect.value) {
+            showFetchStatus(statusEl, 'error', 'Pick two different snapshots');
+            return;
+        }
+
+        showFetchStatus(statusEl, 'loading', 'Comparing snapshots...');
+
+        try {
+            const result = await projects.compareSnapshots(project.id, fromSelect.value, toSelect.value);
+            renderSnapshotComparison(result.comparison);
+
+            const { from, to } = result;
+            if (from.locationCode && to.locationCode &&
+                (from.locationCode !== to.locationCode || from.languageCode !== to.languageCode)) {
+                showFetchStatus(statusEl, 'warning', `Markets differ: ${formatMarket(from.locationCode, from.languageCode)} → ${formatMarket(to.locationCode, to.languageCode)}`);
+            } else {
+                statusEl.className = 'fetch-status';
+                statusEl.innerHTML = '';
+            }
+        } catch (error) {
+            showFetchStatus(statusEl, 'error', error.message);
+        }
+    });
+}
+
+function initCtrSensitivity(project) {
+    const modelSelect = document.getElementById('sensitivity-model');
+    const statusEl = document.getElementById('sensitivity-status');
+    if (!modelSelect) return;
+
+    // Offer every model except the one the project already uses
+    modelSelect.querySelectorAll('option').forEach(option => {
+        option.disabled = option.value === project.ctrModel;
+    });
+    modelSelect.value = [...modelSelect.options].find(o => !o.disabled)?.value;
+
+    document.getElementById('run-sensitivity-btn').addEventListener('click', async () => {
+        showFetchStatus(statusEl, 'loading', 'Recalculating snapshots...');
+
+        try {
+            const result = await projects.recomputeSnapshots(
+                project.id, modelSelect.value, null, (project.snapshots || []).map(s => s.id)
+            );
+            const rows = result.snapshots.filter(s => s.available);
+
+            if (rows.length === 0) {
+                showFetchStatus(statusEl, 'warning', 'No snapshots with stored positions to recalculate');
+                return;
+            }
+
+            document.getElementById('sensitivity-body').innerHTML = rows.map(s => `
+                <tr>
+                    <td>${escapeHtml(s.date)} · ${new Date(s.timestamp).toLocaleDateString()}</td>
+                    <td class="sov-value">${s.original.sov.toFixed(1)}%</td>
+                    <td class="sov-value">${s.recomputed.sov.toFixed(1)}%</td>
+                    <td>${formatChange(s.recomputed.sov - s.original.sov)}</td>
+                    <td class="gap-value ${s.recomputed.gap >= 0 ? 'positive' : 'negative'}">${s.recomputed.gap >= 0 ? '+' : ''}${s.recomputed.gap.toFixed(1)}pp</td>
+                </tr>
+            `).join('');
+
+            document.getElementById('sensitivity-table').classList.remove('hidden');
+            showFetchStatus(statusEl, 'success', `Recalculated ${rows.length} snapshots with the ${modelSelect.selectedOptions[0].textContent} curve`);
+        } catch (error) {
+            showFetchStatus(statusEl, 'error', error.message);
+        }
+    });
+}
+
+function formatChange(value, isVolume = false) {
+    const sign = value > 0 ? '+' : value < 0 ? '-' : '';
+    const text = isVolume ? formatNumber(Math.abs(value)) : `${Math.abs(value).toFixed(1)}pp`;
+    return `<span class="change-cell ${value > 0 ? 'positive' : value < 0 ? 'negative' : ''}">${sign}${text}</span>`;
+}
+
+function renderSnapshotComparison(comparison) {
+    const { metrics, brands, keywords, keywordsGained, keywordsLost, keywordsAdded, keywordsRemoved } = comparison;
+
+    document.getElementById('compare-summary').innerHTML = `
+        <span>SOS ${metrics.sos.from.toFixed(1)}% → ${metrics.sos.to.toFixed(1)}% (${formatChange(metrics.sos.change)})</span>
+        <span>SOV ${metrics.sov.from.toFixed(1)}% → ${metrics.sov.to.toFixed(1)}% (${formatChange(metrics.sov.change)})</span>
+        <span>Rankings gained: <strong>${keywordsGained.length}</strong></span>
+        <span>Rankings lost: <strong>${keywordsLost.length}</strong></span>
+        <span>Keywords added/removed: <strong>${keywordsAdded.length}</strong> / <strong>${keywordsRemoved.length}</strong></span>
+    `;
+
+    document.getElementById('compare-brands-body').innerHTML = brands.map(b => `
+        <tr>
+            <td class="brand-name ${b.isBrand ? 'is-you' : ''}">${escapeHtml(b.name)} ${b.isBrand ? '(You)' : ''}</td>
+            <td class="sos-value">${b.sos.to.toFixed(1)}%</td>
+            <td>${formatChange(b.sos.change)}</td>
+            <td class="sov-value">${b.sov.to.toFixed(1)}%</td>
+            <td>${formatChange(b.sov.change)}</td>
+        </tr>
+    `).join('');
+
+    const brandName = comparison.brand;
+    const movers = keywords.filter(kw => kw.visibleVolume.change !== 0 || kw.status !== 'tracked');
+
+    document.getElementById('compare-keywords-body').innerHTML = movers.length > 0
+        ? movers.map(kw => {
+            const pos = kw.brands[brandName] || {};
+            const label = kw.status === 'added' ? ' <small>(new keyword)</small>'
+                : kw.status === 'removed' ? ' <small>(removed)</small>' : '';
+            return `
+                <tr>
+                    <td><strong>${escapeHtml(kw.keyword)}</strong>${label}</td>
+                    <td>${pos.from ? `#${pos.from}` : '—'} → ${pos.to ? `#${pos.to}` : '—'}</td>
+                    <td>${formatNumber(kw.visibleVolume.from)} → ${formatNumber(kw.visibleVolume.to)}</td>
+                    <td>${formatChange(kw.visibleVolume.change, true)}</td>
+                </tr>
+            `;
+        }).join('')
+        : '<tr><td colspan="4">No keyword-level changes for your brand between these snapshots.</td></tr>';
+
+    document.getElementById('compare-results').classList.remove('hidden');
+}
+
+// Industry default CTR curve (mirrors lib/calculations.js) - projects send their own curve
+// Keys are upper position bounds: position 10 gets 2.3%, positions 11-20 get 1%
+const DEFAULT_CTR_CURVE = {
     1: 0.316, 2: 0.158, 3: 0.110, 4: 0.077, 5: 0.053,
-    6: 0.043, 7: 0.035, 8: 0.030, 9: 0.026, 10: 0.023
+    6: 0.043, 7: 0.035, 8: 0.030, 9: 0.026, 10: 0.023,
+    20: 0.01, 50: 0.005, 100: 0.001
 };
 
-function getCTR(position) {
+function getCTR(position, curve = DEFAULT_CTR_CURVE) {
     if (!position || position < 1) return 0;
-    if (position <= 10) return CTR_BY_POSITION[position] || 0.023;
-    if (position <= 20) return 0.01;
-    if (position <= 50) return 0.005;
-    return 0.001;
+    const bound = Object.keys(curve).map(Number).sort((a, b) => a - b).find(b => position <= b);
+    return bound ? curve[bound] : 0;
+}
+
+// SERP feature click model (mirrors SERP_FEATURES in lib/calculations.js)
+const SERP_FEATURES = {
+    featured_snippet: { label: 'Featured snippet', short: 'FS', ctr: 0.08, organicShare: 0.9 },
+    local_pack: { label: 'Local pack', short: 'Local', ctr: 0.15, organicShare: 0.8 },
+    shopping: { label: 'Shopping', short: 'Shop', ctr: 0.06, organicShare: 0.9 },
+    people_also_ask: { label: 'People also ask', short: 'PAA', ctr: 0.03, organicShare: 0.95 }
+};
+
+// `extraPositions` are the brand's other domains, counted when the project sums them
+function getKeywordVisibility(volume, position, features = [], serpFeatures = [], curve = DEFAULT_CTR_CURVE, extraPositions = []) {
+    features = features || [];
+    const present = new Set([...(serpFeatures || []), ...features].filter(f => SERP_FEATURES[f]));
+    const organicShare = [...present].reduce((share, f) => share * SERP_FEATURES[f].organicShare, 1);
+    const featureCtr = [...new Set(features)]
+        .filter(f => SERP_FEATURES[f])
+        .reduce((sum, f) => sum + SERP_FEATURES[f].ctr, 0);
+
+    const organicCtr = [position, ...(extraPositions || [])]
+        .reduce((ctr, p) => ctr + getCTR(p, curve), 0) * organicShare;
+
+    return { organicCtr, organic: volume * organicCtr, feature: volume * featureCtr };
+}
+
+// Small badges for SERP features; `muted` marks features on the SERP rather than owned ones
+function renderFeatureBadges(features = [], muted = false) {
+    return (features || [])
+        .filter(f => SERP_FEATURES[f])
+        .map(f => `<span class="serp-feature-badge ${muted ? 'muted' : ''}" title="${SERP_FEATURES[f].label}">${SERP_FEATURES[f].short}</span>`)
+        .join('');
+}
+
+// How a position was matched from the domain's ranked keywords (see lib/keyword-matching.js)
+const MATCH_TYPES = {
+    normalized: { label: 'Matched after normalizing case, accents and plurals', short: '≈' },
+    contains: { label: 'Matched a keyword containing this one (or contained in it)', short: '⊃' },
+    fuzzy: { label: 'Matched on shared words', short: '~' }
+};
+
+// Exact matches need no badge
+function renderMatchBadge(matchType) {
+    const type = MATCH_TYPES[matchType];
+    return type ? `<span class="match-badge ${matchType}" title="${type.label}">${type.short}</span>` : '';
+}
+
+// Positions of the brand's other domains on the same SERP
+function renderExtraPositionsBadge(extraPositions = []) {
+    if (!extraPositions?.length) return '';
+    const title = `Also ranks at ${extraPositions.map(p => `#${p}`).join(', ')} with other domains`;
+    return `<span class="extra-positions-badge" title="${title}">+${extraPositions.length}</span>`;
+}
+
+function renderOverrideBadge(override, fetchedPosition) {
+    const title = `Locked by ${override.setByEmail}: ${override.reason} (fetched: ${fetchedPosition || 'not ranking'})`;
+    return `<span class="override-badge" title="${escapeHtml(title)}">🔒</span>`;
 }
 
 function renderVisibleVolumeBreakdown(project) {
@@ -793,12 +1512,14 @@ function renderVisibleVolumeBreakdown(project) {
 
     const keywords = project.marketKeywords || [];
     const positions = project.positions || {};
+    const features = project.features || {};
+    const extraPositions = project.extraPositions || {};
     const brandName = project.brand?.name;
 
     if (keywords.length === 0) {
         tbody.innerHTML = `
             <tr>
-                <td colspan="5" style="text-align: center; color: var(--gray-400); padding: 20px;">
+                <td colspan="6" style="text-align: center; color: var(--gray-400); padding: 20px;">
                     No market keywords defined. Add keywords to calculate Visible Volume.
                 </td>
             </tr>
@@ -812,11 +1533,16 @@ function renderVisibleVolumeBreakdown(project) {
 
     const rows = keywords.map((kw, idx) => {
         const pos = positions[idx]?.[brandName];
-        const ctr = getCTR(pos);
-        const visibleVol = Math.round((kw.volume || 0) * ctr);
+        const ownedFeatures = features[idx]?.[brandName] || [];
+        const extras = project.domainAggregation === 'sum' ? extraPositions[idx]?.[brandName] : [];
+        const visibility = getKeywordVisibility(
+            kw.volume || 0, pos, ownedFeatures, kw.serpFeatures, project.ctrCurve || DEFAULT_CTR_CURVE, extras
+        );
+        const ctr = visibility.organicCtr;
+        const visibleVol = Math.round(visibility.organic + visibility.feature);
         totalVisibleVolume += visibleVol;
 
-        if (pos) hasAnyPosition = true;
+        if (pos || ownedFeatures.length > 0) hasAnyPosition = true;
 
         // Position class for styling
         let posClass = 'none';
@@ -834,6 +1560,7 @@ function renderVisibleVolumeBreakdown(project) {
                 <td class="volume-cell">${formatNumber(kw.volume)}</td>
                 <td class="position-cell ${posClass}">${posDisplay}</td>
                 <td class="ctr-cell">${(ctr * 100).toFixed(1)}%</td>
+                <td>${renderFeatureBadges(ownedFeatures)}${renderFeatureBadges((kw.serpFeatures || []).filter(f => !ownedFeatures.includes(f)), true)}</td>
                 <td class="visible-cell ${visibleVol === 0 ? 'zero' : ''}">${formatNumber(visibleVol)}</td>
             </tr>
         `;
@@ -872,8 +1599,8 @@ function renderRecommendations(recommendations) {
         <div class="recommendation-item ${rec.priority}">
             <div class="rec-icon">${rec.icon}</div>
             <div class="rec-content">
-                <h4>${rec.title}</h4>
-                <p>${rec.message}</p>
+                <h4>${escapeHtml(rec.title)}</h4>
+                <p>${escapeHtml(rec.message)}</p>
             </div>
         </div>
     `).join('');
@@ -892,50 +1619,94 @@ function openProjectModal(existingProject = null) {
     document.getElementById('modal-title').textContent = existingProject ? 'Edit Project' : 'New Project';
     document.getElementById('submit-text').textContent = existingProject ? 'Save Changes' : 'Create Project';
 
+    // DataForSEO lookups made from the modal are billed to the project being edited
+    setUsageProject(existingProject?.id || null);
+
     // Reset expanded category data
     expandedCategoryData = null;
+    customCtrCurve = null;
+    serpFeatureData = null;
+    brandTermsData = existingProject?.brandTerms || {};
+    termsBrand = null;
 
     // Show API status
     updateModalApiStatus();
+    initMarketTabs(existingProject);
+    initMarketFields(existingProject).then(renderMarketTabs);
+    initWorkspaceField(existingProject);
 
     if (existingProject) {
         document.getElementById('form-project-name').value = existingProject.name || '';
         document.getElementById('form-client-name').value = existingProject.client || '';
+        document.getElementById('form-snapshot-schedule').value = existingProject.snapshotSchedule || '';
+        document.getElementById('form-ctr-model').value = existingProject.ctrModel || 'industry';
+        if (existingProject.ctrModel === 'custom') {
+            customCtrCurve = existingProject.ctrCurve;
+            document.getElementById('form-ctr-file').classList.remove('hidden');
+        }
+        document.getElementById('form-match-mode').value = existingProject.keywordMatchMode || 'fuzzy';
+        document.getElementById('form-match-threshold').value = existingProject.keywordMatchThreshold ?? 0.6;
+        // Keep stored SERP features and match types until positions are fetched again
+        serpFeatureData = {
+            features: existingProject.features || {},
+            matchTypes: existingProject.matchTypes || {},
+            extraPositions: existingProject.extraPositions || {},
+            serpFeatures: Object.fromEntries(
+                (existingProject.marketKeywords || []).map((k, idx) => [idx, k.serpFeatures || []])
+            )
+        };
         document.getElementById('form-brand-name').value = existingProject.brand?.name || '';
-        document.getElementById('form-brand-domain').value = existingProject.brand?.domain || '';
+        document.getElementById('form-brand-domain').value = formatDomainList(existingProject.brand);
+        document.getElementById('form-domain-aggregation').value = existingProject.domainAggregation || 'best';
         document.getElementById('form-brand-volume').value = existingProject.brand?.volume || '';
 
-        (existingProject.competitors || []).forEach(c => addCompetitorRow(c.name, c.domain, c.volume));
-        (existingProject.marketKeywords || []).forEach(k => addKeywordRow(k.keyword, k.volume));
-
-        // Restore expanded keywords data if available
-        if (existingProject.expandedKeywords && existingProject.expandedTotalMarketVolume) {
-            expandedCategoryData = {
-                expandedKeywords: existingProject.expandedKeywords,
-                totalMarketVolume: existingProject.expandedTotalMarketVolume,
-                stats: existingProject.expansionStats,
-                success: true
-            };
-            // Show the expanded summary
-            restoreExpandedSummary(expandedCategoryData);
-        }
+        (existingProject.competitors || []).forEach(c => addCompetitorRow(c.name, formatDomainList(c), c.volume));
+        (existingProject.marketKeywords || []).forEach(k => addKeywordRow(k.keyword, k.volume, k.segment));
+        restorePositionsMatrix(existingProject.positions);
+
+        // Restore the stored category universe if available
+        expandedCategoryData = toExpandedCategoryData(existingProject);
+        restoreExpandedSummary(expandedCategoryData);
     } else {
         addCompetitorRow();
         addCompetitorRow();
     }
+    renderTermBrandOptions();
 
     // Basic event listeners
     document.getElementById('modal-close').addEventListener('click', closeModal);
     document.getElementById('add-competitor-btn').addEventListener('click', () => addCompetitorRow());
+    document.getElementById('add-term-btn').addEventListener('click', () => addTermRow());
+    document.getElementById('form-term-brand').addEventListener('change', (e) => {
+        updateBrandTerms();
+        termsBrand = e.target.value;
+        document.getElementById('term-suggestions').classList.add('hidden');
+        renderTermRows();
+    });
+    // Keep the term brand picker in step with the brand and competitor names
+    document.getElementById('form-brand-name').addEventListener('change', renderTermBrandOptions);
+    document.getElementById('competitors-container').addEventListener('change', renderTermBrandOptions);
+    document.getElementById('competitors-container').addEventListener('click', (e) => {
+        if (e.target.closest('.btn-remove-row')) renderTermBrandOptions();
+    });
     document.getElementById('add-keyword-btn').addEventListener('click', () => addKeywordRow());
     document.getElementById('generate-positions-btn').addEventListener('click', generatePositionsMatrix);
 
     // API fetch buttons
     document.getElementById('fetch-brand-volume-btn')?.addEventListener('click', fetchBrandVolume);
     document.getElementById('fetch-all-volumes-btn')?.addEventListener('click', fetchAllVolumes);
+    document.getElementById('discover-competitors-btn')?.addEventListener('click', discoverCompetitors);
     document.getElementById('suggest-keywords-btn')?.addEventListener('click', fetchKeywordSuggestions);
+    document.getElementById('fetch-term-volumes-btn')?.addEventListener('click', fetchTermVolumes);
+    document.getElementById('suggest-terms-btn')?.addEventListener('click', suggestTermVariants);
     document.getElementById('fetch-positions-btn')?.addEventListener('click', fetchSerpPositions);
     document.getElementById('expand-category-btn')?.addEventListener('click', expandCategoryKeywords);
+    document.getElementById('form-ctr-model').addEventListener('change', (e) => {
+        document.getElementById('form-ctr-file').classList.toggle('hidden', e.target.value !== 'custom');
+    });
+    document.getElementById('form-ctr-file').addEventListener('change', loadCustomCtrCurve);
+    document.getElementById('form-match-mode').addEventListener('change', toggleMatchThreshold);
+    toggleMatchThreshold();
     document.getElementById('toggle-expanded-keywords')?.addEventListener('click', toggleExpandedKeywordsList);
 
     // Settings link
@@ -993,17 +1764,17 @@ async function fetchBrandVolume() {
     showFetchStatus(statusEl, 'loading', 'Fetching volume...');
 
     try {
-        const volumes = await dataForSeo.fetchVolumes([brandName]);
+        const { volumes, cache } = await dataForSeo.fetchVolumes([brandName], getFormMarket());
         const volume = volumes[brandName.toLowerCase()];
 
         if (volume) {
             document.getElementById('form-brand-volume').value = volume;
-            showFetchStatus(statusEl, 'success', `Found: ${formatNumber(volume)} monthly searches`);
+            showFetchStatus(statusEl, 'success', `Found: ${formatNumber(volume)} monthly searches${formatCacheNote(cache)}`);
         } else {
             showFetchStatus(statusEl, 'warning', 'No volume data found for this brand');
         }
     } catch (error) {
-        showFetchStatus(statusEl, 'error', error.message);
+        showApiError(statusEl, error);
     }
 }
 
@@ -1027,7 +1798,7 @@ async function fetchAllVolumes() {
     showFetchStatus(statusEl, 'loading', `Fetching volumes for ${allBrandNames.length} brands...`);
 
     try {
-        const volumes = await dataForSeo.fetchVolumes(allBrandNames);
+        const { volumes, cache } = await dataForSeo.fetchVolumes(allBrandNames, getFormMarket());
 
         // Update brand volume
         const brandVolume = volumes[brandName.toLowerCase()];
@@ -1048,22 +1819,91 @@ async function fetchAllVolumes() {
         });
 
         const foundCount = Object.keys(volumes).length;
-        showFetchStatus(statusEl, 'success', `Updated ${foundCount} of ${allBrandNames.length} brands`);
+        showFetchStatus(statusEl, 'success', `Updated ${foundCount} of ${allBrandNames.length} brands${formatCacheNote(cache)}`);
     } catch (error) {
-        showFetchStatus(statusEl, 'error', error.message);
+        showApiError(statusEl, error);
     }
 }
 
-async function fetchKeywordSuggestions() {
-    const brandName = document.getElementById('form-brand-name').value.trim();
-    const categorySeed = document.getElementById('form-category-seed').value.trim();
-    const statusEl = document.getElementById('keywords-fetch-status');
-    const suggestionsContainer = document.getElementById('keyword-suggestions');
-    const suggestionsList = document.getElementById('suggestions-list');
-
-    const searchTerm = categorySeed || brandName;
+// Candidates come from the domains that share the most SERPs with the market keywords
+async function discoverCompetitors() {
+    const keywords = getFormKeywords();
+    const statusEl = document.getElementById('competitors-fetch-status');
+    const suggestionsContainer = document.getElementById('competitor-suggestions');
+    const suggestionsList = document.getElementById('competitor-suggestions-list');
 
-    if (!searchTerm) {
+    if (keywords.length === 0) {
+        showFetchStatus(statusEl, 'error', 'Please add keywords first');
+        return;
+    }
+
+    if (!currentUser?.hasApiCredentials) {
+        showFetchStatus(statusEl, 'error', 'API not configured. Go to Settings to add credentials.');
+        return;
+    }
+
+    // Domains already in the project are left out
+    const brandName = document.getElementById('form-brand-name').value.trim();
+    const exclude = [
+        ...parseDomainList(document.getElementById('form-brand-domain').value),
+        ...getFormCompetitors().flatMap(c => c.domains)
+    ];
+    const takenNames = new Set([brandName, ...getFormCompetitors().map(c => c.name)].map(n => n.toLowerCase()));
+
+    showFetchStatus(statusEl, 'loading', `Finding competitors for ${keywords.length} keywords...`);
+
+    try {
+        const { competitors, cache } = await dataForSeo.fetchSerpCompetitors(
+            keywords.map(k => k.keyword), exclude, getFormMarket()
+        );
+        const candidates = competitors.filter(c => !takenNames.has(c.name.toLowerCase()));
+
+        if (candidates.length === 0) {
+            suggestionsContainer.classList.add('hidden');
+            showFetchStatus(statusEl, 'warning', 'No new competitors found for these keywords');
+            return;
+        }
+
+        suggestionsList.innerHTML = candidates.map((c, idx) => `
+            <div class="suggestion-item competitor-candidate">
+                <span class="suggestion-keyword" title="${escapeHtml(c.domain)}">
+                    <strong>${escapeHtml(c.name)}</strong><small>${escapeHtml(c.domain)}</small>
+                </span>
+                <span class="suggestion-volume" title="Keywords ranked for and average position">
+                    ${c.intersections}/${keywords.length} kw${c.avgPosition ? ` · #${c.avgPosition}` : ''}
+                </span>
+                <span class="suggestion-volume" title="Estimated brand volume">${formatNumber(c.volume)}</span>
+                <button type="button" class="btn-add" data-candidate="${idx}">Add</button>
+            </div>
+        `).join('');
+
+        suggestionsList.querySelectorAll('[data-candidate]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const c = candidates[btn.dataset.candidate];
+                addCompetitorRow(c.name, c.domain, c.volume || '');
+                renderTermBrandOptions();
+                btn.closest('.competitor-candidate').remove();
+                if (!suggestionsList.children.length) suggestionsContainer.classList.add('hidden');
+            });
+        });
+
+        suggestionsContainer.classList.remove('hidden');
+        showFetchStatus(statusEl, 'success', `Found ${candidates.length} competitor domains${formatCacheNote(cache)}`);
+    } catch (error) {
+        showApiError(statusEl, error);
+    }
+}
+
+async function fetchKeywordSuggestions() {
+    const brandName = document.getElementById('form-brand-name').value.trim();
+    const categorySeed = document.getElementById('form-category-seed').value.trim();
+    const statusEl = document.getElementById('keywords-fetch-status');
+    const suggestionsContainer = document.getElementById('keyword-suggestions');
+    const suggestionsList = document.getElementById('suggestions-list');
+
+    const searchTerm = categorySeed || brandName;
+
+    if (!searchTerm) {
         showFetchStatus(statusEl, 'error', 'Please enter an industry/category or brand name');
         return;
     }
@@ -1079,8 +1919,8 @@ async function fetchKeywordSuggestions() {
         const seedWords = searchTerm.toLowerCase().split(/\s+/).filter(w => w.length > 2);
 
         const [keywordIdeas, relatedKeywords] = await Promise.all([
-            dataForSeo.fetchKeywordSuggestions(searchTerm, 30).catch(() => []),
-            dataForSeo.fetchRelatedKeywords(searchTerm, 30).catch(() => [])
+            dataForSeo.fetchKeywordSuggestions(searchTerm, 30, getFormMarket()).catch(() => []),
+            dataForSeo.fetchRelatedKeywords(searchTerm, 30, getFormMarket()).catch(() => [])
         ]);
 
         // Combine and deduplicate
@@ -1137,12 +1977,112 @@ async function fetchKeywordSuggestions() {
             });
         });
     } catch (error) {
-        showFetchStatus(statusEl, 'error', error.message);
+        showApiError(statusEl, error);
+    }
+}
+
+async function fetchTermVolumes() {
+    const statusEl = document.getElementById('terms-fetch-status');
+    updateBrandTerms();
+
+    const allTerms = Object.values(brandTermsData).flat().map(t => t.term);
+    if (allTerms.length === 0) {
+        showFetchStatus(statusEl, 'error', 'Please add brand terms first');
+        return;
+    }
+
+    if (!currentUser?.hasApiCredentials) {
+        showFetchStatus(statusEl, 'error', 'API not configured. Go to Settings to add credentials.');
+        return;
+    }
+
+    showFetchStatus(statusEl, 'loading', `Fetching volumes for ${allTerms.length} terms...`);
+
+    try {
+        const { volumes, cache } = await dataForSeo.fetchVolumes(allTerms, getFormMarket());
+
+        Object.entries(brandTermsData).forEach(([brandName, terms]) => {
+            terms.forEach(t => {
+                if (volumes[t.term.toLowerCase()]) t.volume = volumes[t.term.toLowerCase()];
+            });
+            setFormBrandVolume(brandName, getTermSetVolume(terms));
+        });
+        renderTermRows();
+
+        const foundCount = allTerms.filter(term => volumes[term.toLowerCase()]).length;
+        showFetchStatus(statusEl, 'success', `Updated ${foundCount} of ${allTerms.length} terms${formatCacheNote(cache)}`);
+    } catch (error) {
+        showApiError(statusEl, error);
+    }
+}
+
+async function suggestTermVariants() {
+    const statusEl = document.getElementById('terms-fetch-status');
+    const suggestionsContainer = document.getElementById('term-suggestions');
+    const suggestionsList = document.getElementById('term-suggestions-list');
+
+    if (!termsBrand) {
+        showFetchStatus(statusEl, 'error', 'Please enter a brand name first');
+        return;
+    }
+
+    if (!currentUser?.hasApiCredentials) {
+        showFetchStatus(statusEl, 'error', 'API not configured. Go to Settings to add credentials.');
+        return;
+    }
+
+    showFetchStatus(statusEl, 'loading', `Finding variants of "${termsBrand}"...`);
+
+    try {
+        updateBrandTerms();
+        const terms = brandTermsData[termsBrand] || [];
+        const knownTerms = new Set(terms.map(t => t.term.toLowerCase()));
+
+        // Skip terms already in the set and anything an exclude term rules out
+        const suggestions = await dataForSeo.fetchKeywordSuggestions(termsBrand, 50, getFormMarket());
+        const variants = suggestions
+            .filter(kw => kw.keyword && !knownTerms.has(kw.keyword.toLowerCase()) && !isExcludedTerm(kw.keyword, terms))
+            .sort((a, b) => b.volume - a.volume)
+            .slice(0, 20);
+
+        if (variants.length === 0) {
+            showFetchStatus(statusEl, 'warning', 'No new variants found for this brand');
+            return;
+        }
+
+        suggestionsList.innerHTML = variants.map((kw) => `
+            <label class="suggestion-item">
+                <input type="checkbox" class="suggestion-checkbox"
+                       data-keyword="${escapeHtml(kw.keyword)}"
+                       data-volume="${kw.volume}">
+                <span class="suggestion-keyword">${escapeHtml(kw.keyword)}</span>
+                <span class="suggestion-volume">${formatNumber(kw.volume)}</span>
+            </label>
+        `).join('');
+
+        suggestionsContainer.classList.remove('hidden');
+        showFetchStatus(statusEl, 'success', `Found ${variants.length} variants`);
+
+        suggestionsList.querySelectorAll('.suggestion-checkbox').forEach(cb => {
+            cb.addEventListener('change', (e) => {
+                if (e.target.checked) {
+                    addTermRow(e.target.dataset.keyword, 'include', e.target.dataset.volume);
+                } else {
+                    document.querySelectorAll('.term-row').forEach(row => {
+                        if (row.querySelector('.term-text').value === e.target.dataset.keyword) {
+                            row.remove();
+                        }
+                    });
+                }
+                updateBrandTerms();
+            });
+        });
+    } catch (error) {
+        showApiError(statusEl, error);
     }
 }
 
 async function fetchSerpPositions() {
-    const brandDomain = document.getElementById('form-brand-domain').value.trim();
     const brandName = document.getElementById('form-brand-name').value.trim();
     const competitors = getFormCompetitors();
     const keywords = getFormKeywords();
@@ -1158,21 +2098,34 @@ async function fetchSerpPositions() {
         return;
     }
 
-    const allDomains = [
-        brandDomain || brandName,
-        ...competitors.map(c => c.domain || c.name)
-    ].filter(d => d);
+    // Each brand is looked up with all of its domain targets, results come back keyed by the first one
+    const allBrands = [brandName, ...competitors.map(c => c.name)];
+    const brandTargets = [
+        { name: brandName, domains: parseDomainList(document.getElementById('form-brand-domain').value) },
+        ...competitors
+    ].map(b => (b.domains.length > 0 ? b.domains : [b.name]).filter(Boolean));
+    const brandDomains = brandTargets.map(targets => targets[0]);
+    const allDomains = brandTargets.filter(targets => targets.length > 0);
+    const domainCount = allDomains.flat().length;
+
+    showFetchStatus(statusEl, 'loading', `Fetching rankings for ${domainCount} domains...`);
 
-    showFetchStatus(statusEl, 'loading', `Fetching rankings for ${allDomains.length} domains...`);
+    // Expanded category keywords are matched against the same ranked keyword lists
+    const expanded = (expandedCategoryData?.expandedKeywords || []).filter(kw => !kw.excluded);
 
     try {
         // Use Ranked Keywords API - fetches all rankings per domain (faster, no timeout)
         const result = await dataForSeo.fetchRankedKeywords(
-            keywords.map(k => k.keyword),
-            allDomains
+            [...keywords.map(k => k.keyword), ...expanded.map(kw => kw.keyword)],
+            allDomains,
+            { ...getFormMarket(), ...getFormMatchSettings() }
         );
 
-        const { positions, errors, debug } = result;
+        const { features = {}, matchTypes = {}, extraPositions = {}, errors, debug } = result;
+        // Tracked keywords come first, the expanded keywords after them
+        const isTracked = ([kwIdx]) => Number(kwIdx) < keywords.length;
+        const positions = Object.fromEntries(Object.entries(result.positions).filter(isTracked));
+        const serpFeatures = Object.fromEntries(Object.entries(result.serpFeatures || {}).filter(isTracked));
 
         // Log debug info to console
         console.log('Ranked Keywords Debug:', debug);
@@ -1187,39 +2140,73 @@ async function fetchSerpPositions() {
         Object.entries(positions).forEach(([kwIdx, brandPositions]) => {
             Object.entries(brandPositions).forEach(([domain, position]) => {
                 positionsFound++;
-                const input = document.querySelector(
-                    `#positions-matrix input[data-keyword="${kwIdx}"][data-brand="${domain}"]`
+                const name = allBrands[brandDomains.indexOf(domain)];
+                const input = name && document.querySelector(
+                    `#positions-matrix input[data-keyword="${kwIdx}"][data-brand="${name}"]`
                 );
-                if (input) {
-                    input.value = position;
-                }
-
-                const allBrands = [brandName, ...competitors.map(c => c.name)];
-                allBrands.forEach((name, idx) => {
-                    const brandDom = idx === 0 ? brandDomain : competitors[idx - 1]?.domain;
-                    if (domain === brandDom || domain === name) {
-                        const inp = document.querySelector(
-                            `#positions-matrix input[data-keyword="${kwIdx}"][data-brand="${name}"]`
-                        );
-                        if (inp) inp.value = position;
-                    }
-                });
+                if (input) input.value = position;
             });
         });
 
+        // Re-key owned SERP features, match types and other domains' positions from domains to brand names
+        const byBrandName = (matrix) => Object.fromEntries(
+            Object.entries(matrix).filter(isTracked).map(([kwIdx, byDomain]) => [
+                kwIdx,
+                Object.fromEntries(Object.entries(byDomain)
+                    .map(([domain, value]) => [allBrands[brandDomains.indexOf(domain)], value])
+                    .filter(([name]) => name))
+            ])
+        );
+        serpFeatureData = {
+            features: byBrandName(features),
+            matchTypes: byBrandName(matchTypes),
+            extraPositions: byBrandName(extraPositions),
+            serpFeatures
+        };
+
+        const expandedRanked = applyExpandedRankings(expanded, keywords.length, result, allBrands, brandDomains);
+        restoreExpandedSummary(expandedCategoryData);
+        const expandedNote = expanded.length > 0 ? ` and ${expandedRanked} of ${expanded.length} expanded keywords` : '';
+
         if (errors?.length > 0) {
             const errorMsg = errors.map(e => `${e.domain}: ${e.error}`).join('; ');
             showFetchStatus(statusEl, 'error', `API errors: ${errorMsg}`);
-        } else if (positionsFound === 0) {
+        } else if (positionsFound === 0 && expandedRanked === 0) {
             showFetchStatus(statusEl, 'warning', 'No rankings found for these keywords. Domains may not rank in top 1000.');
         } else {
-            showFetchStatus(statusEl, 'success', `Found ${positionsFound} rankings`);
+            showFetchStatus(statusEl, 'success', `Found ${positionsFound} rankings${expandedNote}${formatCacheNote(result.cache)}`);
         }
     } catch (error) {
-        showFetchStatus(statusEl, 'error', error.message);
+        showApiError(statusEl, error);
     }
 }
 
+// Store the rankings matched for expanded keywords by brand name, returns how many got one
+function applyExpandedRankings(expanded, offset, { positions, extraPositions = {}, features = {}, serpFeatures = {} }, brandNames, brandDomains) {
+    const rankedAt = new Date().toISOString();
+
+    expanded.forEach((kw, idx) => {
+        const rankIdx = offset + idx;
+        kw.positions = {};
+        kw.extraPositions = {};
+        kw.features = {};
+        brandNames.forEach((name, brandIdx) => {
+            const domain = brandDomains[brandIdx];
+            if (positions[rankIdx]?.[domain]) kw.positions[name] = positions[rankIdx][domain];
+            if (extraPositions[rankIdx]?.[domain]) kw.extraPositions[name] = extraPositions[rankIdx][domain];
+            if (features[rankIdx]?.[domain]) kw.features[name] = features[rankIdx][domain];
+        });
+        kw.serpFeatures = serpFeatures[rankIdx] || [];
+        kw.rankedAt = rankedAt;
+    });
+
+    return expanded.filter(isRankedKeyword).length;
+}
+
+function isRankedKeyword(kw) {
+    return Object.values(kw.positions || {}).some(Boolean) || Object.values(kw.features || {}).some(f => f?.length > 0);
+}
+
 async function fetchSOSTrends(project) {
     const statusEl = document.getElementById('trends-fetch-status');
     const summaryEl = document.getElementById('trend-summary');
@@ -1242,7 +2229,11 @@ async function fetchSOSTrends(project) {
     showFetchStatus(statusEl, 'loading', `Fetching historical data for ${allBrands.length} brands...`);
 
     try {
-        const historicalData = await dataForSeo.fetchHistoricalVolumes(allBrands);
+        const { history: historicalData, cache } = await dataForSeo.fetchHistoricalVolumes(allBrands, {
+            locationCode: project.locationCode,
+            languageCode: project.languageCode,
+            projectId: project.id
+        });
 
         if (Object.keys(historicalData).length === 0) {
             showFetchStatus(statusEl, 'warning', 'No historical data available');
@@ -1387,28 +2378,51 @@ async function fetchSOSTrends(project) {
             });
         }
 
-        showFetchStatus(statusEl, 'success', `Loaded ${sosHistory.length} months of trend data`);
+        showFetchStatus(statusEl, 'success', `Loaded ${sosHistory.length} months of trend data${formatCacheNote(cache)}`);
     } catch (error) {
-        showFetchStatus(statusEl, 'error', error.message);
+        showApiError(statusEl, error);
     }
 }
 
 function showFetchStatus(element, type, message) {
     if (!element) return;
 
+    // Messages carry brand, competitor and keyword names, so they are set as text
     element.className = `fetch-status ${type}`;
-    element.innerHTML = type === 'loading'
-        ? `<span class="loading-spinner"></span> ${message}`
-        : message;
+    element.textContent = type === 'loading' ? ` ${message}` : message;
+
+    if (type === 'loading') {
+        const spinner = document.createElement('span');
+        spinner.className = 'loading-spinner';
+        element.prepend(spinner);
+    }
 
     if (type === 'success' || type === 'warning') {
         setTimeout(() => {
             element.className = 'fetch-status';
-            element.innerHTML = '';
+            element.textContent = '';
         }, 5000);
     }
 }
 
+// " (cached 3h ago)" when some of the data came from the DataForSEO response cache
+function formatCacheNote(cache) {
+    if (!cache?.hits) return '';
+
+    const age = cache.ageSeconds < 3600
+        ? `${Math.max(1, Math.round(cache.ageSeconds / 60))}m`
+        : cache.ageSeconds < 86400
+            ? `${Math.round(cache.ageSeconds / 3600)}h`
+            : `${Math.round(cache.ageSeconds / 86400)}d`;
+    const what = cache.misses > 0 ? `${cache.hits} of ${cache.hits + cache.misses} cached` : 'cached';
+    return ` (${what}, ${age} ago)`;
+}
+
+// Rate limits clear up on their own, so they are shown as a warning rather than an error
+function showApiError(element, error) {
+    showFetchStatus(element, error.type === 'rate_limit' ? 'warning' : 'error', error.message);
+}
+
 // =============================================
 // CATEGORY EXPANSION
 // =============================================
@@ -1416,7 +2430,6 @@ function showFetchStatus(element, type, message) {
 async function expandCategoryKeywords() {
     const keywords = getFormKeywords();
     const statusEl = document.getElementById('expansion-fetch-status');
-    const summaryEl = document.getElementById('expanded-summary');
     const expandBtn = document.getElementById('expand-category-btn');
 
     if (keywords.length === 0) {
@@ -1434,60 +2447,26 @@ async function expandCategoryKeywords() {
     showFetchStatus(statusEl, 'loading', `Expanding ${keywords.length} seed keywords to discover full category...`);
 
     try {
-        const result = await dataForSeo.expandCategory(keywords, 50);
+        const result = await dataForSeo.expandCategory(keywords, 50, getFormMarket());
 
         if (!result.success) {
             throw new Error(result.error || 'Failed to expand category');
         }
 
-        // Store the expanded data
-        expandedCategoryData = result;
-
-        // Update the UI
-        document.getElementById('seed-count').textContent = result.stats.seedCount;
-        document.getElementById('expanded-count').textContent = result.stats.totalKeywords;
-        document.getElementById('total-market-volume').textContent = formatNumber(result.totalMarketVolume);
-
-        // Render preview of top keywords
-        const previewEl = document.getElementById('expanded-keywords-preview');
-        const topKeywords = result.expandedKeywords.slice(0, 10);
-        previewEl.innerHTML = topKeywords.map(kw => `
-            <span class="expanded-keyword-tag ${kw.isSeed ? 'seed' : ''}">
-                ${escapeHtml(kw.keyword)}
-                <span class="kw-volume">${formatNumber(kw.volume)}</span>
-            </span>
-        `).join('') + (result.expandedKeywords.length > 10 ? `
-            <span class="expanded-keyword-tag">+${result.expandedKeywords.length - 10} more</span>
-        ` : '');
-
-        // Render full table
-        const fullEl = document.getElementById('expanded-keywords-full');
-        fullEl.innerHTML = `
-            <table class="expanded-keywords-table">
-                <thead>
-                    <tr>
-                        <th>Keyword</th>
-                        <th>Volume</th>
-                        <th>Type</th>
-                    </tr>
-                </thead>
-                <tbody>
-                    ${result.expandedKeywords.map(kw => `
-                        <tr>
-                            <td class="kw-keyword">${escapeHtml(kw.keyword)}</td>
-                            <td class="kw-volume">${formatNumber(kw.volume)}</td>
-                            <td class="kw-source">${kw.isSeed ? 'Seed' : (kw.source || 'Expanded')}</td>
-                        </tr>
-                    `).join('')}
-                </tbody>
-            </table>
-        `;
+        // Keep keywords curated out of an earlier expansion excluded
+        const excluded = new Set(
+            (expandedCategoryData?.expandedKeywords || []).filter(kw => kw.excluded).map(kw => kw.keyword)
+        );
+        result.expandedKeywords.forEach(kw => {
+            kw.excluded = excluded.has(kw.keyword);
+        });
 
-        summaryEl.classList.remove('hidden');
-        showFetchStatus(statusEl, 'success', `Found ${result.stats.totalKeywords} keywords with total volume of ${formatNumber(result.totalMarketVolume)}`);
+        expandedCategoryData = result;
+        restoreExpandedSummary(result);
+        showFetchStatus(statusEl, 'success', `Found ${result.stats.totalKeywords} keywords with total volume of ${formatNumber(result.totalMarketVolume)}${formatCacheNote(result.cache)}`);
 
     } catch (error) {
-        showFetchStatus(statusEl, 'error', error.message);
+        showApiError(statusEl, error);
         expandedCategoryData = null;
     } finally {
         expandBtn.disabled = false;
@@ -1511,37 +2490,24 @@ function restoreExpandedSummary(result) {
     const summaryEl = document.getElementById('expanded-summary');
     if (!summaryEl || !result) return;
 
-    // Update stats
-    document.getElementById('seed-count').textContent = result.stats?.seedCount || 0;
-    document.getElementById('expanded-count').textContent = result.stats?.totalKeywords || result.expandedKeywords?.length || 0;
-    document.getElementById('total-market-volume').textContent = formatNumber(result.totalMarketVolume);
-
-    // Render preview of top keywords
-    const previewEl = document.getElementById('expanded-keywords-preview');
-    const topKeywords = (result.expandedKeywords || []).slice(0, 10);
-    previewEl.innerHTML = topKeywords.map(kw => `
-        <span class="expanded-keyword-tag ${kw.isSeed ? 'seed' : ''}">
-            ${escapeHtml(kw.keyword)}
-            <span class="kw-volume">${formatNumber(kw.volume)}</span>
-        </span>
-    `).join('') + ((result.expandedKeywords?.length || 0) > 10 ? `
-        <span class="expanded-keyword-tag">+${result.expandedKeywords.length - 10} more</span>
-    ` : '');
+    updateExpandedTotals(result);
 
-    // Render full table
+    // Render full table, unchecking a keyword curates it out of the Total Market Volume
     const fullEl = document.getElementById('expanded-keywords-full');
     fullEl.innerHTML = `
         <table class="expanded-keywords-table">
             <thead>
                 <tr>
+                    <th title="Count towards Total Market Volume">Count</th>
                     <th>Keyword</th>
                     <th>Volume</th>
                     <th>Type</th>
                 </tr>
             </thead>
             <tbody>
-                ${(result.expandedKeywords || []).map(kw => `
-                    <tr>
+                ${(result.expandedKeywords || []).map((kw, idx) => `
+                    <tr class="${kw.excluded ? 'excluded' : ''}">
+                        <td><input type="checkbox" class="expanded-include" data-idx="${idx}" ${kw.excluded ? '' : 'checked'}></td>
                         <td class="kw-keyword">${escapeHtml(kw.keyword)}</td>
                         <td class="kw-volume">${formatNumber(kw.volume)}</td>
                         <td class="kw-source">${kw.isSeed ? 'Seed' : (kw.source || 'Expanded')}</td>
@@ -1551,12 +2517,444 @@ function restoreExpandedSummary(result) {
         </table>
     `;
 
+    fullEl.querySelectorAll('.expanded-include').forEach(cb => {
+        cb.addEventListener('change', (e) => {
+            result.expandedKeywords[e.target.dataset.idx].excluded = !e.target.checked;
+            e.target.closest('tr').classList.toggle('excluded', !e.target.checked);
+            updateExpandedTotals(result);
+        });
+    });
+
     summaryEl.classList.remove('hidden');
 }
 
+// Stats and top keywords of the curated universe
+function updateExpandedTotals(result) {
+    const included = (result.expandedKeywords || []).filter(kw => !kw.excluded);
+    result.totalMarketVolume = included.reduce((sum, kw) => sum + (kw.volume || 0), 0);
+
+    document.getElementById('seed-count').textContent = included.filter(kw => kw.isSeed).length;
+    document.getElementById('expanded-count').textContent = included.length;
+    document.getElementById('total-market-volume').textContent = formatNumber(result.totalMarketVolume);
+
+    // Position coverage once rankings were fetched for the universe
+    const coverageEl = document.getElementById('expanded-coverage');
+    const coveredVolume = included.filter(isRankedKeyword).reduce((sum, kw) => sum + (kw.volume || 0), 0);
+    coverageEl.textContent = included.some(kw => kw.rankedAt) && result.totalMarketVolume > 0
+        ? `Rankings cover ${Math.round(coveredVolume / result.totalMarketVolume * 100)}% of the market volume`
+        : 'Fetch positions to measure SOV across all of these keywords';
+
+    const previewEl = document.getElementById('expanded-keywords-preview');
+    previewEl.innerHTML = included.slice(0, 10).map(kw => `
+        <span class="expanded-keyword-tag ${kw.isSeed ? 'seed' : ''}">
+            ${escapeHtml(kw.keyword)}
+            <span class="kw-volume">${formatNumber(kw.volume)}</span>
+        </span>
+    `).join('') + (included.length > 10 ? `
+        <span class="expanded-keyword-tag">+${included.length - 10} more</span>
+    ` : '');
+}
+
+// Expanded keywords returned for a project or market, null when it has none
+function toExpandedCategoryData(source) {
+    return source?.expandedKeywords?.length ? {
+        expandedKeywords: source.expandedKeywords,
+        totalMarketVolume: source.expandedTotalMarketVolume,
+        stats: source.expansionStats,
+        success: true
+    } : null;
+}
+
+/**
+ * Parse an uploaded CTR curve
+ * Accepts JSON ({ "1": 0.3, "2": 0.15 }) or CSV lines of "position,ctr" (CTR as 0.3 or 30%)
+ */
+async function loadCustomCtrCurve(e) {
+    const statusEl = document.getElementById('ctr-curve-status');
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    try {
+        const text = await file.text();
+        let curve = {};
+
+        if (file.name.endsWith('.json')) {
+            curve = JSON.parse(text);
+        } else {
+            text.split(/\r?\n/).forEach(line => {
+                const [position, ctr] = line.split(/[,;\t]/).map(v => v?.trim());
+                const pos = parseInt(position);
+                if (!pos || !ctr) return; // skips header and empty lines
+                const value = ctr.endsWith('%') ? parseFloat(ctr) / 100 : parseFloat(ctr);
+                if (!isNaN(value)) curve[pos] = value;
+            });
+        }
+
+        if (Object.keys(curve).length === 0) {
+            throw new Error('No positions found in the uploaded curve');
+        }
+
+        customCtrCurve = curve;
+        showFetchStatus(statusEl, 'success', `Loaded CTR curve with ${Object.keys(curve).length} positions`);
+    } catch (error) {
+        customCtrCurve = null;
+        showFetchStatus(statusEl, 'error', `Invalid CTR curve: ${error.message}`);
+    }
+}
+
+// =============================================
+// MARKET (LOCATION & LANGUAGE)
+// =============================================
+
+async function loadMarketOptions() {
+    if (!marketOptions) {
+        marketOptions = await locations.list();
+    }
+    return marketOptions;
+}
+
+function getLocationLabel(location) {
+    return `${location.name} (${location.code})`;
+}
+
+function formatMarket(locationCode, languageCode) {
+    const location = marketOptions?.locations.find(l => l.code === locationCode);
+    const language = marketOptions?.languages.find(l => l.code === languageCode);
+    return `${location?.name || `Location ${locationCode}`} · ${language?.name || languageCode}`;
+}
+
+async function initMarketFields(existingProject) {
+    let options;
+    try {
+        options = await loadMarketOptions();
+    } catch (error) {
+        console.error('Failed to load locations:', error);
+        return;
+    }
+
+    const locationInput = document.getElementById('form-location');
+    const languageSelect = document.getElementById('form-language');
+    if (!locationInput || !languageSelect) return;
+
+    document.getElementById('form-location-list').innerHTML = options.locations
+        .map(l => `<option value="${escapeHtml(getLocationLabel(l))}"></option>`)
+        .join('');
+    languageSelect.innerHTML = options.languages
+        .map(l => `<option value="${l.code}">${escapeHtml(l.name)}</option>`)
+        .join('');
+
+    const location = options.locations.find(l => l.code === (existingProject?.locationCode || options.defaults.locationCode));
+    locationInput.value = location ? getLocationLabel(location) : '';
+    languageSelect.value = existingProject?.languageCode || location?.language || options.defaults.languageCode;
+
+    // Picking another location switches to the language usually searched in there
+    locationInput.addEventListener('change', () => {
+        const picked = findFormLocation();
+        if (picked) languageSelect.value = picked.language;
+        renderMarketTabs();
+    });
+    languageSelect.addEventListener('change', renderMarketTabs);
+}
+
+// Matches "Germany (2276)" from the list as well as a typed "germany"
+function findFormLocation() {
+    const value = document.getElementById('form-location')?.value.trim().toLowerCase();
+    if (!value || !marketOptions) return null;
+
+    return marketOptions.locations.find(l =>
+        getLocationLabel(l).toLowerCase() === value || l.name.toLowerCase() === value
+    ) || null;
+}
+
+// Location and language the modal's DataForSEO lookups are made in (unset = server default)
+// Matching mode in the shape the project API takes; the threshold only applies to fuzzy matching
+function getFormMatchSettings() {
+    const keywordMatchMode = document.getElementById('form-match-mode').value;
+    return {
+        keywordMatchMode,
+        keywordMatchThreshold: parseFloat(document.getElementById('form-match-threshold').value) || 0.6
+    };
+}
+
+function toggleMatchThreshold() {
+    document.getElementById('form-match-threshold')
+        .classList.toggle('hidden', document.getElementById('form-match-mode').value !== 'fuzzy');
+}
+
+function getFormMarket() {
+    return {
+        locationCode: findFormLocation()?.code,
+        languageCode: document.getElementById('form-language')?.value || undefined
+    };
+}
+
+// =============================================
+// PROJECT MARKETS (MODAL)
+// =============================================
+
+// The modal form shows one market at a time, the others wait in modalMarkets until the project is saved
+function initMarketTabs(existingProject) {
+    modalMarkets = [
+        { id: null },
+        ...(existingProject?.markets || []).map(m => ({
+            id: m.id,
+            locationCode: m.locationCode,
+            languageCode: m.languageCode,
+            brandVolumes: m.brandVolumes || {},
+            brandTerms: m.brandTerms || {},
+            expandedCategoryData: toExpandedCategoryData(m),
+            keywords: m.marketKeywords.map(k => ({ keyword: k.keyword, volume: k.volume, segment: k.segment })),
+            positions: m.positions || {},
+            serpFeatureData: {
+                features: m.features || {},
+                matchTypes: m.matchTypes || {},
+                extraPositions: m.extraPositions || {},
+                serpFeatures: Object.fromEntries(m.marketKeywords.map((k, idx) => [idx, k.serpFeatures || []]))
+            }
+        }))
+    ];
+    activeMarketIdx = 0;
+
+    const container = document.getElementById('form-market-tabs');
+    container.addEventListener('click', (e) => {
+        const removeBtn = e.target.closest('.market-tab-remove');
+        const tab = e.target.closest('.market-tab');
+        if (removeBtn) {
+            removeMarket(Number(removeBtn.dataset.remove));
+        } else if (tab?.id === 'add-market-btn') {
+            addMarket();
+        } else if (tab) {
+            switchMarket(Number(tab.dataset.market));
+        }
+    });
+}
+
+function renderMarketTabs() {
+    const container = document.getElementById('form-market-tabs');
+    if (!container) return;
+
+    container.innerHTML = modalMarkets.map((market, idx) => {
+        // The active market's location is whatever is in the form right now
+        const { locationCode, languageCode } = idx === activeMarketIdx ? getFormMarket() : market;
+        const label = locationCode ? formatMarket(locationCode, languageCode) : 'New market';
+
+        return `
+            <button type="button" class="market-tab ${idx === activeMarketIdx ? 'active' : ''}" data-market="${idx}">
+                ${escapeHtml(label)}${idx === 0 ? ' · primary' : ''}
+                ${idx > 0 ? `<span class="market-tab-remove" data-remove="${idx}" title="Remove market">×</span>` : ''}
+            </button>
+        `;
+    }).join('') + '<button type="button" class="market-tab" id="add-market-btn">+ Add market</button>';
+}
+
+// Store the form's market-specific fields in the active market, false when its location is invalid
+function captureMarketForm() {
+    if (document.getElementById('form-location').value.trim() && !findFormLocation()) {
+        alert('Please pick a location from the list');
+        return false;
+    }
+
+    updateBrandTerms();
+    const brandName = document.getElementById('form-brand-name').value.trim();
+    const brandVolumes = {};
+    if (brandName) {
+        brandVolumes[brandName] = parseInt(document.getElementById('form-brand-volume').value) || 0;
+    }
+    getFormCompetitors().forEach(c => {
+        brandVolumes[c.name] = c.volume;
+    });
+
+    Object.assign(modalMarkets[activeMarketIdx], {
+        ...getFormMarket(),
+        brandVolumes,
+        brandTerms: brandTermsData,
+        // Every row, including ones still waiting for a volume
+        keywords: [...document.querySelectorAll('.keyword-row')].map(row => ({
+            keyword: row.querySelector('.keyword-text').value.trim(),
+            volume: row.querySelector('.keyword-volume').value,
+            segment: row.querySelector('.keyword-segment').value.trim()
+        })),
+        positions: getFormPositions(),
+        serpFeatureData,
+        expandedCategoryData
+    });
+    return true;
+}
+
+function loadMarketForm(market) {
+    const location = marketOptions?.locations.find(l => l.code === market.locationCode);
+    document.getElementById('form-location').value = location ? getLocationLabel(location) : '';
+    document.getElementById('form-language').value = market.languageCode || location?.language
+        || marketOptions?.defaults.languageCode || 'en';
+
+    const volumes = market.brandVolumes || {};
+    const brandName = document.getElementById('form-brand-name').value.trim();
+    document.getElementById('form-brand-volume').value = volumes[brandName] || '';
+    document.querySelectorAll('.competitor-row').forEach(row => {
+        const name = row.querySelector('.competitor-name').value.trim();
+        row.querySelector('.competitor-volume').value = volumes[name] || '';
+    });
+
+    brandTermsData = market.brandTerms || {};
+    document.getElementById('term-suggestions').classList.add('hidden');
+    renderTermRows();
+
+    document.getElementById('keywords-container').innerHTML = '';
+    (market.keywords || []).forEach(k => addKeywordRow(k.keyword, k.volume, k.segment));
+
+    serpFeatureData = market.serpFeatureData || null;
+    restorePositionsMatrix(market.positions);
+
+    expandedCategoryData = market.expandedCategoryData || null;
+    document.getElementById('expanded-summary').classList.add('hidden');
+    restoreExpandedSummary(expandedCategoryData);
+}
+
+function switchMarket(idx) {
+    if (idx === activeMarketIdx || !captureMarketForm()) return;
+
+    activeMarketIdx = idx;
+    loadMarketForm(modalMarkets[idx]);
+    renderMarketTabs();
+}
+
+function addMarket() {
+    if (!captureMarketForm()) return;
+
+    modalMarkets.push({
+        id: null, brandVolumes: {}, brandTerms: {}, keywords: [], positions: {}, serpFeatureData: null, expandedCategoryData: null
+    });
+    activeMarketIdx = modalMarkets.length - 1;
+    loadMarketForm(modalMarkets[activeMarketIdx]);
+    renderMarketTabs();
+}
+
+function removeMarket(idx) {
+    if (!confirm('Remove this market? Its keywords, positions and snapshot history are deleted when you save.')) return;
+
+    if (idx === activeMarketIdx) {
+        modalMarkets.splice(idx, 1);
+        activeMarketIdx = 0;
+        loadMarketForm(modalMarkets[0]);
+    } else {
+        if (!captureMarketForm()) return;
+        modalMarkets.splice(idx, 1);
+        if (idx < activeMarketIdx) activeMarketIdx--;
+    }
+    renderMarketTabs();
+}
+
+// Rebuild the positions matrix with stored rankings, hidden when there are none
+function restorePositionsMatrix(positions = {}) {
+    document.getElementById('positions-matrix').innerHTML = '';
+    document.getElementById('positions-section').style.display = 'none';
+
+    const hasPositions = Object.values(positions).some(p => Object.keys(p).length > 0);
+    if (!hasPositions || !document.getElementById('form-brand-name').value.trim() || getFormKeywords().length === 0) {
+        return;
+    }
+
+    generatePositionsMatrix();
+    document.querySelectorAll('#positions-matrix input').forEach(input => {
+        input.value = positions[input.dataset.keyword]?.[input.dataset.brand] || '';
+    });
+}
+
+// Keywords with a volume, with the rankings and SERP features entered for them, the term sets
+// of brands still in the form and the expanded category universe
+function getMarketPayload(market) {
+    const marketKeywords = (market.keywords || [])
+        .map(k => ({ keyword: k.keyword, volume: parseInt(k.volume) || 0, segment: k.segment || null }))
+        .filter(k => k.keyword && k.volume > 0)
+        .map((kw, idx) => ({ ...kw, serpFeatures: market.serpFeatureData?.serpFeatures[idx] || [] }));
+
+    const brandNames = getFormBrandNames();
+    const brandTerms = Object.entries(market.brandTerms || {})
+        .filter(([brandName]) => brandNames.includes(brandName))
+        .flatMap(([brandName, terms]) => terms.map(t => ({ brandName, ...t })));
+
+    return {
+        marketKeywords,
+        positions: market.positions || {},
+        features: market.serpFeatureData?.features || {},
+        matchTypes: market.serpFeatureData?.matchTypes || {},
+        extraPositions: market.serpFeatureData?.extraPositions || {},
+        brandTerms,
+        ...(market.expandedCategoryData && { expandedKeywords: market.expandedCategoryData.expandedKeywords })
+    };
+}
+
+// =============================================
+// BRAND TERMS (MODAL)
+// =============================================
+
+// Same rules as lib/brand-terms.js: exclude terms match whole words and rule out include terms
+function isExcludedTerm(term, terms = []) {
+    const text = ` ${term.toLowerCase().trim()} `;
+    return terms.some(t => t.rule === 'exclude' && text.includes(` ${t.term.toLowerCase().trim()} `));
+}
+
+// Summed volume of a term set, null when it has no include terms and the brand keeps its own volume
+function getTermSetVolume(terms = []) {
+    const included = terms.filter(t => t.rule !== 'exclude');
+    if (included.length === 0) return null;
+
+    return included
+        .filter(t => !isExcludedTerm(t.term, terms))
+        .reduce((sum, t) => sum + (parseInt(t.volume) || 0), 0);
+}
+
+function setFormBrandVolume(brandName, volume) {
+    if (volume === null) return;
+
+    if (brandName === document.getElementById('form-brand-name').value.trim()) {
+        document.getElementById('form-brand-volume').value = volume;
+    }
+    document.querySelectorAll('.competitor-row').forEach(row => {
+        if (row.querySelector('.competitor-name').value.trim() === brandName) {
+            row.querySelector('.competitor-volume').value = volume;
+        }
+    });
+}
+
+function renderTermBrandOptions() {
+    const select = document.getElementById('form-term-brand');
+    if (!select) return;
+
+    const brandNames = getFormBrandNames();
+    if (!brandNames.includes(termsBrand)) {
+        termsBrand = brandNames[0] || null;
+        renderTermRows();
+    }
+
+    select.innerHTML = brandNames.length > 0
+        ? brandNames.map(name => `<option value="${escapeHtml(name)}" ${name === termsBrand ? 'selected' : ''}>${escapeHtml(name)}</option>`).join('')
+        : '<option value="">Enter a brand name first</option>';
+}
+
+function renderTermRows() {
+    document.getElementById('brand-terms-container').innerHTML = '';
+    (brandTermsData[termsBrand] || []).forEach(t => addTermRow(t.term, t.rule, t.volume));
+}
+
+// Store the shown term rows for the selected brand and use the set's volume as the brand's volume
+function updateBrandTerms() {
+    if (!termsBrand) return;
+
+    brandTermsData[termsBrand] = [...document.querySelectorAll('.term-row')]
+        .map(row => ({
+            term: row.querySelector('.term-text').value.trim(),
+            rule: row.querySelector('.term-rule').value,
+            volume: parseInt(row.querySelector('.term-volume').value) || 0
+        }))
+        .filter(t => t.term);
+    setFormBrandVolume(termsBrand, getTermSetVolume(brandTermsData[termsBrand]));
+}
+
 function closeModal() {
     const modal = document.getElementById('modal-overlay');
     if (modal) modal.remove();
+    setUsageProject(null);
 }
 
 function addCompetitorRow(name = '', domain = '', volume = '') {
@@ -1565,7 +2963,7 @@ function addCompetitorRow(name = '', domain = '', volume = '') {
     row.className = 'competitor-row';
     row.innerHTML = `
         <input type="text" class="input competitor-name" placeholder="Competitor name" value="${escapeHtml(name)}">
-        <input type="text" class="input competitor-domain" placeholder="domain.com" value="${escapeHtml(domain)}">
+        <input type="text" class="input competitor-domain" placeholder="domain.com, domain.de" value="${escapeHtml(domain)}">
         <input type="number" class="input competitor-volume" placeholder="Volume" min="0" value="${volume}">
         <button type="button" class="btn-remove-row">
             <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
@@ -1579,12 +2977,40 @@ function addCompetitorRow(name = '', domain = '', volume = '') {
     container.appendChild(row);
 }
 
-function addKeywordRow(keyword = '', volume = '') {
+function addTermRow(term = '', rule = 'include', volume = '') {
+    const container = document.getElementById('brand-terms-container');
+    const row = document.createElement('div');
+    row.className = 'term-row';
+    row.innerHTML = `
+        <input type="text" class="input term-text" placeholder="e.g., ${escapeHtml(termsBrand || 'brand')} shoes" value="${escapeHtml(term)}">
+        <select class="input term-rule">
+            <option value="include" ${rule === 'include' ? 'selected' : ''}>Include</option>
+            <option value="exclude" ${rule === 'exclude' ? 'selected' : ''}>Exclude</option>
+        </select>
+        <input type="number" class="input term-volume" placeholder="Volume" min="0" value="${volume}">
+        <button type="button" class="btn-remove-row">
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <line x1="18" y1="6" x2="6" y2="18"/>
+                <line x1="6" y1="6" x2="18" y2="18"/>
+            </svg>
+        </button>
+    `;
+
+    row.addEventListener('change', updateBrandTerms);
+    row.querySelector('.btn-remove-row').addEventListener('click', () => {
+        row.remove();
+        updateBrandTerms();
+    });
+    container.appendChild(row);
+}
+
+function addKeywordRow(keyword = '', volume = '', segment = '') {
     const container = document.getElementById('keywords-container');
     const row = document.createElement('div');
     row.className = 'keyword-row';
     row.innerHTML = `
         <input type="text" class="input keyword-text" placeholder="e.g., running shoes" value="${escapeHtml(keyword)}">
+        <input type="text" class="input keyword-segment" placeholder="Segment" list="segment-options" value="${escapeHtml(segment || '')}">
         <input type="number" class="input keyword-volume" placeholder="Volume" min="0" value="${volume}">
         <button type="button" class="btn-remove-row">
             <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
@@ -1595,7 +3021,19 @@ function addKeywordRow(keyword = '', volume = '') {
     `;
 
     row.querySelector('.btn-remove-row').addEventListener('click', () => row.remove());
+    row.querySelector('.keyword-segment').addEventListener('change', renderSegmentOptions);
     container.appendChild(row);
+    renderSegmentOptions();
+}
+
+// Offer the segments already used in the form when tagging keywords
+function renderSegmentOptions() {
+    const segments = new Set(
+        [...document.querySelectorAll('.keyword-segment')].map(input => input.value.trim()).filter(Boolean)
+    );
+    document.getElementById('segment-options').innerHTML = [...segments]
+        .map(segment => `<option value="${escapeHtml(segment)}"></option>`)
+        .join('');
 }
 
 function generatePositionsMatrix() {
@@ -1651,17 +3089,31 @@ function getFormCompetitors() {
 
     rows.forEach(row => {
         const name = row.querySelector('.competitor-name').value.trim();
-        const domain = row.querySelector('.competitor-domain').value.trim();
+        const domains = parseDomainList(row.querySelector('.competitor-domain').value);
         const volume = parseInt(row.querySelector('.competitor-volume').value) || 0;
 
         if (name) {
-            competitors.push({ name, domain, volume });
+            competitors.push({ name, domain: domains[0] || '', domains, volume });
         }
     });
 
     return competitors;
 }
 
+// Domain fields take several domain targets separated by commas (brand.de, brand.at, amazon.de/stores/brand)
+function parseDomainList(value) {
+    return value.split(',').map(d => d.trim()).filter(Boolean);
+}
+
+function formatDomainList(brand) {
+    return (brand?.domains?.length ? brand.domains : [brand?.domain]).filter(Boolean).join(', ');
+}
+
+function getFormBrandNames() {
+    const brandName = document.getElementById('form-brand-name').value.trim();
+    return [brandName, ...getFormCompetitors().map(c => c.name)].filter(n => n);
+}
+
 function getFormKeywords() {
     const rows = document.querySelectorAll('.keyword-row');
     const keywords = [];
@@ -1694,22 +3146,58 @@ function getFormPositions() {
     return positions;
 }
 
+// Workspaces a project can be created in or moved to: those the user can edit in
+// Only owners move an existing project, so everyone else sees its workspace disabled
+async function initWorkspaceField(existingProject) {
+    const select = document.getElementById('form-workspace');
+    const current = existingProject?.workspace;
+    select.dataset.current = current?.id || '';
+
+    if (current && existingProject.role !== 'owner') {
+        select.innerHTML = `<option value="${current.id}">${escapeHtml(current.name)}</option>`;
+        select.disabled = true;
+        return;
+    }
+
+    try {
+        const list = (await workspaces.list()).filter(w => hasWorkspaceRole(w.role, 'editor'));
+        select.innerHTML = list.map(w => `<option value="${w.id}">${escapeHtml(w.name)}</option>`).join('');
+        if (current) select.value = current.id;
+    } catch (error) {
+        console.error('Failed to load workspaces:', error);
+    }
+}
+
 async function saveProject(existingId = null) {
+    if (!captureMarketForm()) return;
+
+    const [primary, ...otherMarkets] = modalMarkets;
+    const brandName = document.getElementById('form-brand-name').value.trim();
+
     const projectData = {
         name: document.getElementById('form-project-name').value.trim(),
         client: document.getElementById('form-client-name').value.trim(),
+        snapshotSchedule: document.getElementById('form-snapshot-schedule').value || null,
+        ctrModel: document.getElementById('form-ctr-model').value,
+        ctrCurve: document.getElementById('form-ctr-model').value === 'custom' ? customCtrCurve : null,
+        ...getFormMatchSettings(),
+        domainAggregation: document.getElementById('form-domain-aggregation').value,
+        locationCode: primary.locationCode,
+        languageCode: primary.languageCode,
         brand: {
-            name: document.getElementById('form-brand-name').value.trim(),
-            domain: document.getElementById('form-brand-domain').value.trim(),
-            volume: parseInt(document.getElementById('form-brand-volume').value) || 0
+            name: brandName,
+            domains: parseDomainList(document.getElementById('form-brand-domain').value),
+            volume: primary.brandVolumes[brandName] || 0
         },
-        competitors: getFormCompetitors(),
-        marketKeywords: getFormKeywords(),
-        positions: getFormPositions(),
-        // Include expanded category data if available
-        expandedKeywords: expandedCategoryData?.expandedKeywords || null,
-        expandedTotalMarketVolume: expandedCategoryData?.totalMarketVolume || null,
-        expansionStats: expandedCategoryData?.stats || null
+        competitors: getFormCompetitors().map(c => ({ ...c, volume: primary.brandVolumes[c.name] || 0 })),
+        ...getMarketPayload(primary),
+        markets: otherMarkets.map(m => ({
+            id: m.id,
+            locationCode: m.locationCode,
+            languageCode: m.languageCode,
+            brandVolumes: m.brandVolumes,
+            ...getMarketPayload(m)
+        }))
     };
 
     if (!projectData.name || !projectData.brand.name || projectData.brand.volume <= 0) {
@@ -1717,13 +3205,29 @@ async function saveProject(existingId = null) {
         return;
     }
 
+    if (otherMarkets.some(m => !m.locationCode)) {
+        alert('Please pick a location for every market');
+        return;
+    }
+
+    if (projectData.ctrModel === 'custom' && !projectData.ctrCurve) {
+        alert('Please upload a CTR curve for the custom CTR model');
+        return;
+    }
+
+    const workspaceSelect = document.getElementById('form-workspace');
+    const workspaceId = workspaceSelect.value || null;
+
     try {
         let project;
         if (existingId) {
             await projects.update(existingId, projectData);
+            if (workspaceId && workspaceId !== workspaceSelect.dataset.current) {
+                await projects.move(existingId, workspaceId);
+            }
             project = { id: existingId };
         } else {
-            const result = await projects.create(projectData);
+            const result = await projects.create({ ...projectData, workspaceId });
             project = result.project;
         }
 
@@ -1746,6 +3250,11 @@ async function renderSettings(container) {
     const profile = await auth.getProfile();
     currentUser = profile.user;
 
+    initAccountSettings();
+    initSessionSettings();
+    initWorkspaceSettings();
+    if (currentUser.isAdmin) initLoginThrottleSettings();
+
     document.getElementById('api-login').value = '';
     document.getElementById('api-password').value = '';
     document.getElementById('stored-projects').textContent = '--';
@@ -1797,11 +3306,28 @@ async function renderSettings(container) {
         }
     });
 
+    document.getElementById('save-budget-btn').addEventListener('click', async () => {
+        const result = document.getElementById('budget-result');
+        const value = document.getElementById('usage-budget').value.trim();
+
+        try {
+            await usage.setBudget(value === '' ? null : parseFloat(value));
+            result.textContent = value === '' ? 'Budget removed' : 'Budget saved';
+            result.className = 'api-result success';
+            loadUsage();
+        } catch (error) {
+            result.textContent = error.message;
+            result.className = 'api-result error';
+        }
+    });
+
+    loadUsage();
+
     document.getElementById('clear-data-btn').addEventListener('click', async () => {
-        if (confirm('This will delete ALL your projects. Are you sure?')) {
-            // Delete all projects one by one
+        if (confirm('This will delete ALL projects you own. Are you sure?')) {
+            // Delete all projects one by one; shared projects owned by others stay
             const projectsList = await projects.list();
-            for (const project of projectsList) {
+            for (const project of projectsList.filter(p => p.role === 'owner')) {
                 await projects.delete(project.id);
             }
             renderView('dashboard');
@@ -1809,6 +3335,328 @@ async function renderSettings(container) {
     });
 }
 
+function showSettingsResult(el, message, ok) {
+    el.textContent = message;
+    el.className = `api-result ${ok ? 'success' : 'error'}`;
+}
+
+function initAccountSettings() {
+    const currentPasswordInput = document.getElementById('current-password');
+    document.getElementById('profile-name').value = currentUser.name || '';
+    document.getElementById('profile-email').value = currentUser.email;
+
+    document.getElementById('save-profile-btn').addEventListener('click', async () => {
+        const result = document.getElementById('profile-result');
+
+        try {
+            const data = await auth.updateProfile({
+                name: document.getElementById('profile-name').value.trim(),
+                email: document.getElementById('profile-email').value.trim(),
+                currentPassword: currentPasswordInput.value
+            });
+            currentUser = { ...currentUser, ...data.user };
+            document.querySelector('.user-email').textContent = currentUser.email;
+            showSettingsResult(result, data.message, true);
+        } catch (error) {
+            showSettingsResult(result, error.message, false);
+        }
+    });
+
+    document.getElementById('change-password-btn').addEventListener('click', async () => {
+        const result = document.getElementById('password-result');
+        const newPasswordInput = document.getElementById('new-password');
+
+        try {
+            const data = await auth.changePassword(currentPasswordInput.value, newPasswordInput.value);
+            currentPasswordInput.value = '';
+            newPasswordInput.value = '';
+            showSettingsResult(result, data.message, true);
+            loadSessions();
+        } catch (error) {
+            showSettingsResult(result, error.message, false);
+        }
+    });
+}
+
+// Short device name from a user agent ("Chrome on macOS")
+function describeUserAgent(userAgent) {
+    if (!userAgent) return 'Unknown device';
+
+    const browser = /Edg\//.test(userAgent) ? 'Edge'
+        : /Firefox\//.test(userAgent) ? 'Firefox'
+        : /Chrome\//.test(userAgent) ? 'Chrome'
+        : /Safari\//.test(userAgent) ? 'Safari'
+        : 'Browser';
+    const os = /iPhone|iPad/.test(userAgent) ? 'iOS'
+        : /Android/.test(userAgent) ? 'Android'
+        : /Windows/.test(userAgent) ? 'Windows'
+        : /Mac OS X/.test(userAgent) ? 'macOS'
+        : /Linux/.test(userAgent) ? 'Linux'
+        : null;
+
+    return os ? `${browser} on ${os}` : browser;
+}
+
+function initSessionSettings() {
+    const result = document.getElementById('sessions-result');
+
+    document.getElementById('sessions-body').addEventListener('click', async (e) => {
+        const btn = e.target.closest('.revoke-session-btn');
+        if (!btn) return;
+
+        try {
+            const data = await auth.revokeSession(btn.dataset.sessionId);
+            showSettingsResult(result, data.message, true);
+            loadSessions();
+        } catch (error) {
+            showSettingsResult(result, error.message, false);
+        }
+    });
+
+    document.getElementById('revoke-all-sessions-btn').addEventListener('click', async () => {
+        if (!confirm('Sign out every device, including this one?')) return;
+
+        try {
+            await auth.revokeAllSessions();
+        } catch (error) {
+            showSettingsResult(result, error.message, false);
+        }
+    });
+
+    loadSessions();
+}
+
+async function loadSessions() {
+    try {
+        const sessions = await auth.getSessions();
+
+        document.getElementById('sessions-body').innerHTML = sessions.map(s => `
+            <tr>
+                <td>
+                    ${escapeHtml(describeUserAgent(s.userAgent))}
+                    <span class="session-meta">${escapeHtml(s.ipAddress || '')}${s.current ? ' · This device' : ''}</span>
+                </td>
+                <td>${new Date(s.lastUsedAt).toLocaleString()}</td>
+                <td>${s.current ? '' : `<button type="button" class="btn-link revoke-session-btn" data-session-id="${s.id}">Sign out</button>`}</td>
+            </tr>
+        `).join('');
+    } catch (error) {
+        console.error('Failed to load sessions:', error);
+    }
+}
+
+const THROTTLE_SCOPE_LABELS = {
+    account: 'Account',
+    ip: 'IP (logins)',
+    signup: 'IP (signups)',
+    reset: 'Email (password resets)',
+    'reset-ip': 'IP (password resets)'
+};
+
+function initLoginThrottleSettings() {
+    document.getElementById('login-throttles-card').classList.remove('hidden');
+
+    document.getElementById('login-throttles-body').addEventListener('click', async (e) => {
+        const btn = e.target.closest('.unlock-throttle-btn');
+        if (!btn) return;
+        const result = document.getElementById('login-throttles-result');
+
+        try {
+            const data = await admin.clearLoginThrottle(btn.dataset.scope, btn.dataset.key);
+            showSettingsResult(result, data.message, true);
+            loadLoginThrottles();
+        } catch (error) {
+            showSettingsResult(result, error.message, false);
+        }
+    });
+
+    loadLoginThrottles();
+}
+
+async function loadLoginThrottles() {
+    try {
+        const throttles = await admin.getLoginThrottles();
+
+        document.getElementById('login-throttles-body').innerHTML = throttles.map(t => `
+            <tr>
+                <td>
+                    ${escapeHtml(t.key)}
+                    <span class="session-meta">${THROTTLE_SCOPE_LABELS[t.scope] || escapeHtml(t.scope)}</span>
+                </td>
+                <td>${t.failures}</td>
+                <td>${t.lockedUntil ? new Date(t.lockedUntil).toLocaleString() : '—'}</td>
+                <td><button type="button" class="btn-link unlock-throttle-btn" data-scope="${escapeHtml(t.scope)}" data-key="${escapeHtml(t.key)}">Unlock</button></td>
+            </tr>
+        `).join('') || '<tr><td colspan="4">No recent failed logins</td></tr>';
+    } catch (error) {
+        console.error('Failed to load login lockouts:', error);
+    }
+}
+
+function initWorkspaceSettings() {
+    const select = document.getElementById('workspace-select');
+    const result = document.getElementById('workspace-result');
+
+    // Runs an action on the shown workspace, then reloads the card
+    const run = async (action, resultEl = result) => {
+        try {
+            const data = await action();
+            await loadWorkspaceSettings();
+            showSettingsResult(resultEl, data.message, true);
+        } catch (error) {
+            showSettingsResult(resultEl, error.message, false);
+        }
+    };
+
+    select.addEventListener('change', () => {
+        settingsWorkspaceId = select.value;
+        result.textContent = '';
+        loadWorkspaceSettings();
+    });
+
+    document.getElementById('rename-workspace-btn').addEventListener('click', () => {
+        const name = prompt('Workspace name', select.selectedOptions[0]?.dataset.name || '');
+        if (name?.trim()) run(() => workspaces.rename(settingsWorkspaceId, name.trim()));
+    });
+
+    document.getElementById('leave-workspace-btn').addEventListener('click', () => {
+        if (!confirm('Leave this workspace? You lose access to its projects.')) return;
+        run(async () => {
+            const data = await workspaces.removeMember(settingsWorkspaceId, currentUser.id);
+            settingsWorkspaceId = null;
+            return data;
+        });
+    });
+
+    document.getElementById('delete-workspace-btn').addEventListener('click', () => {
+        if (!confirm('Delete this workspace? Its members lose access to it.')) return;
+        run(async () => {
+            const data = await workspaces.delete(settingsWorkspaceId);
+            settingsWorkspaceId = null;
+            return data;
+        });
+    });
+
+    document.getElementById('workspace-members-body').addEventListener('change', (e) => {
+        if (!e.target.matches('.member-role-select')) return;
+        run(() => workspaces.updateMember(settingsWorkspaceId, e.target.dataset.userId, e.target.value));
+    });
+
+    document.getElementById('workspace-members-body').addEventListener('click', (e) => {
+        const btn = e.target.closest('.remove-member-btn');
+        if (!btn || !confirm('Remove this member from the workspace?')) return;
+        run(() => workspaces.removeMember(settingsWorkspaceId, btn.dataset.userId));
+    });
+
+    document.getElementById('invite-btn').addEventListener('click', () => {
+        const emailInput = document.getElementById('invite-email');
+        run(async () => {
+            const data = await workspaces.invite(settingsWorkspaceId, emailInput.value.trim(), document.getElementById('invite-role').value);
+            emailInput.value = '';
+            return data;
+        }, document.getElementById('invite-result'));
+    });
+
+    document.getElementById('workspace-invitations-body').addEventListener('click', (e) => {
+        const btn = e.target.closest('.revoke-invitation-btn');
+        if (btn) run(() => workspaces.revokeInvitation(settingsWorkspaceId, btn.dataset.invitationId), document.getElementById('invite-result'));
+    });
+
+    document.getElementById('create-workspace-btn').addEventListener('click', () => {
+        const nameInput = document.getElementById('new-workspace-name');
+        run(async () => {
+            const workspace = await workspaces.create(nameInput.value.trim());
+            nameInput.value = '';
+            settingsWorkspaceId = workspace.id;
+            return { message: `Created ${workspace.name}` };
+        });
+    });
+
+    loadWorkspaceSettings();
+}
+
+async function loadWorkspaceSettings() {
+    const select = document.getElementById('workspace-select');
+    if (!select) return;
+
+    try {
+        const list = await workspaces.list();
+        if (!list.some(w => w.id === settingsWorkspaceId)) settingsWorkspaceId = list[0]?.id || null;
+
+        select.innerHTML = list.map(w => `
+            <option value="${w.id}" data-name="${escapeHtml(w.name)}">${escapeHtml(w.name)} (${w.role} · ${w.projectCount} projects)</option>
+        `).join('');
+        select.value = settingsWorkspaceId;
+        if (!settingsWorkspaceId) return;
+
+        const workspace = await workspaces.get(settingsWorkspaceId);
+        const isOwner = workspace.role === 'owner';
+
+        document.getElementById('rename-workspace-btn').classList.toggle('hidden', !isOwner);
+        document.getElementById('delete-workspace-btn').classList.toggle('hidden', !isOwner);
+        document.getElementById('workspace-invite').classList.toggle('hidden', !isOwner);
+
+        document.getElementById('workspace-members-body').innerHTML = workspace.members.map(m => {
+            const label = m.name ? `${escapeHtml(m.name)} &lt;${escapeHtml(m.email)}&gt;` : escapeHtml(m.email);
+            const role = isOwner
+                ? `<select class="input member-role-select" data-user-id="${m.userId}">
+                        ${WORKSPACE_ROLES.map(r => `<option value="${r}"${r === m.role ? ' selected' : ''}>${r}</option>`).join('')}
+                   </select>`
+                : m.role;
+            const remove = isOwner && m.userId !== currentUser.id
+                ? `<button type="button" class="btn-link remove-member-btn" data-user-id="${m.userId}">Remove</button>`
+                : '';
+            return `<tr><td>${label}</td><td>${role}</td><td>${remove}</td></tr>`;
+        }).join('');
+
+        document.getElementById('workspace-invitations-body').innerHTML = workspace.invitations.map(i => `
+            <tr>
+                <td>${escapeHtml(i.email)}</td>
+                <td>${i.role}</td>
+                <td><button type="button" class="btn-link revoke-invitation-btn" data-invitation-id="${i.id}">Revoke</button></td>
+            </tr>
+        `).join('') || '<tr><td colspan="3">No pending invitations</td></tr>';
+    } catch (error) {
+        console.error('Failed to load workspaces:', error);
+    }
+}
+
+function formatCost(value) {
+    return value == null ? '--' : `$${value.toFixed(2)}`;
+}
+
+async function loadUsage() {
+    try {
+        const data = await usage.get();
+        const { month } = data;
+
+        document.getElementById('usage-balance').textContent = formatCost(data.balance);
+        document.getElementById('usage-spent').textContent = formatCost(month.spent);
+        document.getElementById('usage-remaining').textContent = month.budget == null ? 'No limit' : formatCost(month.remaining);
+        document.getElementById('usage-budget').value = month.budget ?? '';
+
+        const emptyRow = '<tr><td colspan="3">No DataForSEO spend recorded yet</td></tr>';
+
+        document.getElementById('usage-projects-body').innerHTML = data.projects.map(p => `
+            <tr>
+                <td>${p.name ? escapeHtml(p.name) : '<em>No project</em>'}</td>
+                <td>${formatNumber(p.calls)}</td>
+                <td>${formatCost(p.cost)}</td>
+            </tr>
+        `).join('') || emptyRow;
+
+        document.getElementById('usage-monthly-body').innerHTML = [...data.monthly].reverse().map(m => `
+            <tr>
+                <td>${m.month}</td>
+                <td>${formatNumber(m.calls)}</td>
+                <td>${formatCost(m.cost)}</td>
+            </tr>
+        `).join('') || emptyRow;
+    } catch (error) {
+        console.error('Failed to load usage:', error);
+    }
+}
+
 // =============================================
 // PDF EXPORT
 // =============================================
@@ -0,0 +1,21 @@
+/**
+ * Credential Key Rotation
+ * Encrypts DataForSEO passwords still stored as plain text and re-wraps the ones encrypted
+ * with an older key, so every stored secret uses the first key of CREDENTIALS_ENCRYPTION_KEYS.
+ *
+ *   npm run credentials:rotate
+ *
+ * To rotate: put the new key first in CREDENTIALS_ENCRYPTION_KEYS (keeping the old ones),
+ * deploy, run this, then remove the old keys once it reports no failures.
+ */
+
+import { rotateStoredCredentials } from '../lib/dataforseo.js';
+import prisma from '../lib/prisma.js';
+
+try {
+  const { encrypted, rewrapped, failed } = await rotateStoredCredentials();
+  console.log(`Encrypted ${encrypted} plain-text password(s), re-wrapped ${rewrapped}, ${failed} failed`);
+  process.exitCode = failed > 0 ? 1 : 0;
+} finally {
+  await prisma.$disconnect();
+}
@@ -0,0 +1,54 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseDomainTarget, createDomainMatcher, getBrandTargets, suggestBrandName, validateBrandDomains, toBrandDomainData
+} from '../lib/brand-domains.js';
+
+describe('createDomainMatcher', () => {
+  it('matches plain domains with or without www only', () => {
+    const matches = createDomainMatcher(['brand.com']);
+    assert.equal(matches('www.brand.com'), true);
+    assert.equal(matches('shop.brand.com'), false);
+    assert.equal(matches('notbrand.com'), false);
+  });
+
+  it('matches subdomains of wildcard targets', () => {
+    const matches = createDomainMatcher(['*.brand.com']);
+    assert.equal(matches('brand.com'), true);
+    assert.equal(matches('shop.brand.com'), true);
+  });
+
+  it('matches path targets by URL path', () => {
+    const matches = createDomainMatcher(['amazon.de/stores/brand']);
+    assert.equal(matches('amazon.de', 'https://www.amazon.de/stores/brand/page/1'), true);
+    assert.equal(matches('amazon.de', 'https://www.amazon.de/stores/brandx'), false);
+    assert.equal(matches('amazon.de', 'https://www.amazon.de/dp/123'), false);
+  });
+
+  it('matches bare names against any host label', () => {
+    const matches = createDomainMatcher(['brand']);
+    assert.equal(matches('shop.brand.de'), true);
+    assert.equal(matches('brandshop.de'), false);
+  });
+});
+
+describe('brand domain data', () => {
+  it('parses targets and keeps the first domain as the brand\'s domain', () => {
+    assert.deepEqual(parseDomainTarget('https://*.Brand.com/'), { host: 'brand.com', path: '', wildcard: true, bare: false });
+    assert.deepEqual(toBrandDomainData({ domains: [' brand.de ', 'brand.at', 'brand.de'] }), { domain: 'brand.de', domains: ['brand.de', 'brand.at'] });
+    assert.deepEqual(getBrandTargets({ name: 'Brand', domain: 'brand.com' }), ['brand.com']);
+    assert.deepEqual(getBrandTargets({ name: 'Brand' }), ['Brand']);
+  });
+
+  it('rejects domains with spaces', () => {
+    assert.match(validateBrandDomains(['brand .com']), /Invalid domain/);
+    assert.equal(validateBrandDomains(['brand.com', '*.brand.de']), null);
+  });
+});
+
+describe('suggestBrandName', () => {
+  it('names a discovered competitor after its registrable label', () => {
+    assert.equal(suggestBrandName('shop.nike.co.uk'), 'Nike');
+    assert.equal(suggestBrandName('www.the-north-face.com'), 'The North Face');
+  });
+});
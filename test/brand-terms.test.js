@@ -0,0 +1,52 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getBrandTermVolume, isExcludedTerm, validateBrandTerms, groupBrandTerms, replaceBrandTerms } from '../lib/brand-terms.js';
+import { createFakePrisma } from './helpers/fake-prisma.js';
+
+describe('getBrandTermVolume', () => {
+  const terms = [
+    { term: 'nike', rule: 'include', volume: 1000 },
+    { term: 'nikey', rule: 'include', volume: 50 },
+    { term: 'nike air max', rule: 'include', volume: 300 },
+    { term: 'air', rule: 'exclude', volume: 0 }
+  ];
+
+  it('sums include terms that no exclude term rules out', () => {
+    assert.equal(getBrandTermVolume({ volume: 900 }, terms), 1050);
+  });
+
+  it('keeps the name\'s volume for brands without include terms', () => {
+    assert.equal(getBrandTermVolume({ volume: 900 }, []), 900);
+  });
+
+  it('excludes whole words only', () => {
+    assert.equal(isExcludedTerm('nike air max', terms), true);
+    assert.equal(isExcludedTerm('nike airline', terms), false);
+  });
+});
+
+describe('brand term sets', () => {
+  it('validates terms and groups them by brand', () => {
+    assert.match(validateBrandTerms([{ brandName: 'Nike', term: ' ' }]), /needs a brand and a term/);
+    assert.match(validateBrandTerms([{ brandName: 'Nike', term: 'nike', rule: 'maybe' }]), /Term rule/);
+    assert.deepEqual(groupBrandTerms([{ brandName: 'Nike', term: 'nike', rule: 'include', volume: 1 }]), {
+      Nike: [{ term: 'nike', rule: 'include', volume: 1 }]
+    });
+  });
+
+  it('replaces a market\'s terms, keeping the first of case-insensitive duplicates', async () => {
+    const tx = createFakePrisma();
+    tx.seed('brandTerm', { projectId: 'p1', marketId: null, brandName: 'Nike', term: 'old', rule: 'include', volume: 5 });
+
+    await replaceBrandTerms(tx, 'p1', null, [
+      { brandName: 'Nike', term: 'Nike Shoes', volume: '200' },
+      { brandName: 'Nike', term: 'nike shoes ', volume: 900 },
+      { brandName: 'Nike', term: 'outlet', rule: 'exclude' }
+    ]);
+
+    assert.deepEqual(tx.tables.brandTerm.map(t => [t.term, t.rule, t.volume, t.sortOrder]), [
+      ['nike shoes', 'include', 200, 0],
+      ['outlet', 'exclude', 0, 1]
+    ]);
+  });
+});
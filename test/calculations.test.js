@@ -0,0 +1,140 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  CTR_MODELS, validateCtrCurve, resolveCtrCurve, getCTR, getKeywordVisibility, calculateSnapshot
+} from '../lib/calculations.js';
+
+const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+
+function project(overrides = {}) {
+  return {
+    brand: { name: 'Acme', volume: 500 },
+    competitors: [{ name: 'Rival', volume: 500 }],
+    marketKeywords: [{ keyword: 'running shoes', volume: 1000 }],
+    positions: { 0: { Acme: 1, Rival: 2 } },
+    ...overrides
+  };
+}
+
+describe('CTR curves', () => {
+  it('reads a position from the first bound at or above it', () => {
+    const curve = { 1: 0.4, 10: 0.02, 20: 0.01 };
+    assert.equal(getCTR(1, curve), 0.4);
+    assert.equal(getCTR(7, curve), 0.02);
+    assert.equal(getCTR(15, curve), 0.01);
+    assert.equal(getCTR(21, curve), 0);
+    assert.equal(getCTR(null, curve), 0);
+  });
+
+  it('validates uploaded curves and falls back to the industry curve', () => {
+    assert.equal(validateCtrCurve({ 1: 0.3, 2: 0.2 }), null);
+    assert.match(validateCtrCurve({ 0: 0.3 }), /Invalid position/);
+    assert.match(validateCtrCurve({ 1: 1.5 }), /Invalid CTR/);
+
+    assert.deepEqual(resolveCtrCurve('custom', { 1: 0.9 }), { 1: 0.9 });
+    assert.equal(resolveCtrCurve('custom', { 1: 2 }), CTR_MODELS.industry.curve);
+    assert.equal(resolveCtrCurve('unknown'), CTR_MODELS.industry.curve);
+  });
+
+  it('calculates SOV with the project\'s curve and records it on the snapshot', () => {
+    const snapshot = calculateSnapshot(project({ ctrModel: 'branded' }));
+
+    assert.equal(snapshot.ctrModel, 'branded');
+    assert.equal(snapshot.visibleVolume, 500);
+    near(snapshot.sov, 50);
+  });
+});
+
+describe('SERP features', () => {
+  it('shrinks organic clicks for features on the SERP and credits the feature owner', () => {
+    const { organic, feature } = getKeywordVisibility({
+      volume: 1000,
+      position: 1,
+      features: ['featured_snippet'],
+      serpFeatures: ['featured_snippet', 'people_also_ask']
+    }, CTR_MODELS.industry.curve);
+
+    near(organic, 1000 * 0.316 * 0.9 * 0.95);
+    near(feature, 1000 * 0.08);
+  });
+
+  it('splits a brand\'s visible volume into organic and feature volume', () => {
+    const snapshot = calculateSnapshot(project({
+      marketKeywords: [{ keyword: 'shoe shop', volume: 1000, serpFeatures: ['local_pack'] }],
+      positions: { 0: { Rival: 1 } },
+      features: { 0: { Acme: ['local_pack'] } }
+    }));
+    const [acme, rival] = snapshot.allBrands;
+
+    assert.equal(acme.organicVisibleVolume, 0);
+    assert.equal(acme.featureVisibleVolume, 150);
+    assert.equal(rival.organicVisibleVolume, Math.round(1000 * 0.316 * 0.8));
+  });
+});
+
+describe('keyword segments', () => {
+  it('calculates SOV and the leader per segment', () => {
+    const snapshot = calculateSnapshot(project({
+      marketKeywords: [
+        { keyword: 'running shoes', volume: 1000, segment: 'Running' },
+        { keyword: 'trail shoes', volume: 1000, segment: 'Running' },
+        { keyword: 'hiking boots', volume: 1000, segment: 'Hiking' },
+        { keyword: 'shoes', volume: 1000 }
+      ],
+      positions: { 0: { Acme: 1 }, 1: { Acme: 2 }, 2: { Rival: 1 } }
+    }));
+
+    assert.deepEqual(snapshot.segments.map(s => [s.name, s.keywordCount, s.totalVolume, s.leader]), [
+      ['Running', 2, 2000, 'Acme'],
+      ['Hiking', 1, 1000, 'Rival']
+    ]);
+    near(snapshot.segments[0].sov, ((316 + 158) / 2000) * 100);
+    assert.equal(snapshot.segments[1].sov, 0);
+  });
+});
+
+describe('expanded keyword universe', () => {
+  it('measures visibility over the expanded keywords the market volume is summed from', () => {
+    const snapshot = calculateSnapshot(project({
+      expandedKeywords: [
+        { keyword: 'running shoes', volume: 1000, positions: {} },
+        { keyword: 'cheap running shoes', volume: 3000, positions: { Acme: 1 } }
+      ],
+      expandedTotalMarketVolume: 4000,
+      expansionStats: { totalKeywords: 2 }
+    }));
+
+    // The seed keeps its tracked position (Acme 1); the expanded keyword adds its own ranking
+    assert.equal(snapshot.hasExpandedData, true);
+    assert.equal(snapshot.totalMarketVolume, 4000);
+    assert.equal(snapshot.visibleVolume, 316 + 948);
+    assert.equal(snapshot.universeKeywordCount, 2);
+  });
+
+  it('keeps tracked keywords the expansion did not find in the universe and the market volume', () => {
+    const input = project({
+      marketKeywords: [{ keyword: 'running shoes', volume: 1000 }, { keyword: 'acme sneakers', volume: 500 }],
+      positions: { 0: { Acme: 1 }, 1: { Acme: 1 } },
+      expandedKeywords: [
+        { keyword: 'running shoes', volume: 1000, positions: {} },
+        { keyword: 'cheap running shoes', volume: 3000, positions: { Acme: 1 } }
+      ],
+      expandedTotalMarketVolume: 4000
+    });
+
+    const snapshot = calculateSnapshot(input);
+
+    assert.equal(snapshot.totalMarketVolume, 4500);
+    assert.equal(snapshot.universeKeywordCount, 3);
+    assert.equal(snapshot.visibleVolume, 316 + 158 + 948);
+  });
+});
+
+describe('domain aggregation', () => {
+  it('counts only the best domain unless the project sums them', () => {
+    const input = project({ extraPositions: { 0: { Acme: [3] } } });
+
+    assert.equal(calculateSnapshot(input).visibleVolume, 316);
+    assert.equal(calculateSnapshot({ ...input, domainAggregation: 'sum' }).visibleVolume, 316 + 110);
+  });
+});
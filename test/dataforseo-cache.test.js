@@ -0,0 +1,57 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakePrisma } from './helpers/fake-prisma.js';
+
+const db = installFakePrisma();
+const { getCacheKey, readCache, writeCache, summarizeCache, purgeExpiredCache } = await import('../lib/dataforseo-cache.js');
+
+const ENDPOINT = '/dataforseo_labs/google/ranked_keywords/live';
+const task = { target: 'acme.com', location_code: 2840, language_code: 'en' };
+
+describe('getCacheKey', () => {
+  it('ignores parameter order but not parameter values', () => {
+    const reordered = { language_code: 'en', target: 'acme.com', location_code: 2840 };
+    assert.equal(getCacheKey(ENDPOINT, task), getCacheKey(ENDPOINT, reordered));
+    assert.notEqual(getCacheKey(ENDPOINT, task), getCacheKey(ENDPOINT, { ...task, location_code: 2276 }));
+    assert.notEqual(getCacheKey(ENDPOINT, task), getCacheKey('/other', task));
+  });
+});
+
+describe('readCache and writeCache', () => {
+  beforeEach(() => db.reset());
+  afterEach(() => delete process.env.DATAFORSEO_CACHE_TTL_HOURS);
+
+  it('answers from fresh entries and refreshes an entry when written again', async () => {
+    await writeCache(ENDPOINT, [{ task, result: [{ items: [1] }] }]);
+    await writeCache(ENDPOINT, [{ task, result: [{ items: [2] }] }]);
+
+    const cached = await readCache(ENDPOINT, [task]);
+
+    assert.equal(db.tables.dataForSeoCache.length, 1);
+    assert.equal(db.tables.dataForSeoCache[0].subject, 'acme.com');
+    assert.deepEqual(cached.get(getCacheKey(ENDPOINT, task)).result, [{ items: [2] }]);
+  });
+
+  it('misses expired entries and purges them', async () => {
+    await writeCache(ENDPOINT, [{ task, result: [] }]);
+    db.tables.dataForSeoCache[0].expiresAt = new Date(Date.now() - 1000);
+
+    assert.equal((await readCache(ENDPOINT, [task])).size, 0);
+    assert.equal(await purgeExpiredCache(), 1);
+  });
+
+  it('is turned off with a TTL of 0', async () => {
+    process.env.DATAFORSEO_CACHE_TTL_HOURS = '0';
+    await writeCache(ENDPOINT, [{ task, result: [] }]);
+    assert.equal(db.tables.dataForSeoCache, undefined);
+  });
+});
+
+describe('summarizeCache', () => {
+  it('counts hits and misses and reports the oldest cached result', () => {
+    const now = new Date('2026-03-10T12:00:00Z');
+    const summary = summarizeCache([new Date('2026-03-10T11:00:00Z'), null, new Date('2026-03-10T11:30:00Z')], now);
+
+    assert.deepEqual(summary, { hits: 2, misses: 1, cachedAt: '2026-03-10T11:00:00.000Z', ageSeconds: 3600 });
+  });
+});
@@ -0,0 +1,218 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import { installFakePrisma } from './helpers/fake-prisma.js';
+import { startMockDataForSeo, jsonResponse as respond, taskEnvelope as envelope } from './helpers/dataforseo.js';
+import { callRoute, signIn } from './helpers/http.js';
+
+const db = installFakePrisma();
+const {
+  dataForSeoRequest, createDataForSeoError, cachedKeywordsTask, fetchRankedPositions, fetchSearchVolumes, matchRankedKeywords,
+  fetchSerpCompetitors, saveUserCredentials, rotateStoredCredentials
+} = await import('../lib/dataforseo.js');
+const { default: expandCategoryRoute } = await import('../api/dataforseo/expand-category.js');
+
+const ENDPOINT = '/keywords_data/google/search_volume/live';
+
+beforeEach(() => {
+  db.reset();
+  process.env.DATAFORSEO_LOGIN = 'env-login';
+  process.env.DATAFORSEO_PASSWORD = 'env-password';
+  delete process.env.DATAFORSEO_BASE_URL;
+});
+
+describe('DataForSEO errors', () => {
+  it('types errors by HTTP status and status_code', () => {
+    assert.equal(createDataForSeoError(401).type, 'auth');
+    assert.equal(createDataForSeoError(200, 40200).type, 'insufficient_funds');
+    assert.equal(createDataForSeoError(429).retryable, true);
+    assert.equal(createDataForSeoError(200, 40501).type, 'invalid_request');
+    assert.equal(createDataForSeoError(200, 40501).retryable, false);
+  });
+});
+
+describe('dataForSeoRequest', () => {
+  it('retries server errors and records what the successful call cost', async (t) => {
+    const fetch = t.mock.method(globalThis, 'fetch', async () => fetch.mock.callCount() === 0
+      ? respond(500, { status_code: 50000, status_message: 'Internal error' })
+      : respond(200, envelope([{ keyword: 'shoes', search_volume: 100 }])));
+
+    const data = await dataForSeoRequest(ENDPOINT, [{ keywords: ['shoes'] }], { id: 'u1' }, { projectId: 'p1' });
+
+    assert.equal(fetch.mock.callCount(), 2);
+    assert.equal(data.tasks[0].result[0].search_volume, 100);
+    assert.deepEqual(db.tables.apiUsage.map(u => [u.userId, u.projectId, u.endpoint, u.cost]), [['u1', 'p1', ENDPOINT, 0.05]]);
+  });
+
+  it('does not retry rejected credentials', async (t) => {
+    const fetch = t.mock.method(globalThis, 'fetch', async () => respond(401, { status_code: 40100, status_message: 'Unauthorized' }));
+
+    await assert.rejects(dataForSeoRequest(ENDPOINT, [{}], { id: 'u1' }), { type: 'auth' });
+    assert.equal(fetch.mock.callCount(), 1);
+  });
+
+  it('refuses requests once the user\'s monthly budget is spent', async (t) => {
+    const fetch = t.mock.method(globalThis, 'fetch', async () => respond(200, envelope([])));
+    db.seed('user', { id: 'u1', email: 'a@example.com', monthlyBudget: 1 });
+    db.seed('apiUsage', { userId: 'u1', endpoint: ENDPOINT, cost: 1, createdAt: new Date() });
+
+    await assert.rejects(dataForSeoRequest(ENDPOINT, [{}], { id: 'u1' }), { type: 'budget' });
+    assert.equal(fetch.mock.callCount(), 0);
+  });
+
+  it('holds parallel requests to the budget and settles each to its real cost', async (t) => {
+    const fetch = t.mock.method(globalThis, 'fetch', async () => respond(200, envelope([])));
+    db.seed('user', { id: 'u1', email: 'a@example.com', monthlyBudget: 0.2 });
+
+    // Estimated at $0.075 each, billed at $0.05
+    const results = await Promise.allSettled(
+      Array.from({ length: 5 }, () => dataForSeoRequest(ENDPOINT, [{ keywords: ['shoes'] }], { id: 'u1' }))
+    );
+
+    assert.equal(fetch.mock.callCount(), 2);
+    assert.deepEqual(results.map(r => r.status === 'fulfilled' || r.reason.type), [true, true, 'budget', 'budget', 'budget']);
+    assert.equal(db.tables.user[0].budgetCommitted, 0.1);
+  });
+
+  it('releases the reservation when the request fails', async (t) => {
+    t.mock.method(globalThis, 'fetch', async () => respond(401, { status_code: 40100, status_message: 'Unauthorized' }));
+    db.seed('user', { id: 'u1', email: 'a@example.com', monthlyBudget: 1 });
+
+    await assert.rejects(dataForSeoRequest(ENDPOINT, [{ keywords: ['shoes'] }], { id: 'u1' }), { type: 'auth' });
+    assert.equal(db.tables.user[0].budgetCommitted, 0);
+  });
+});
+
+describe('stored credentials', () => {
+  before(() => {
+    process.env.CREDENTIALS_ENCRYPTION_KEYS = `new:${crypto.randomBytes(32).toString('base64')}`;
+  });
+
+  it('encrypts the password at rest and decrypts it for the call', async (t) => {
+    delete process.env.DATAFORSEO_LOGIN;
+    delete process.env.DATAFORSEO_PASSWORD;
+    const fetch = t.mock.method(globalThis, 'fetch', async () => respond(200, envelope([])));
+    db.seed('user', { id: 'u1', email: 'a@example.com' });
+
+    await saveUserCredentials('u1', 'login@example.com', 's3cret');
+    await dataForSeoRequest(ENDPOINT, [{}], { id: 'u1', dataForSeoLogin: 'login@example.com' });
+
+    assert.doesNotMatch(db.tables.user[0].dataForSeoPasswordEncrypted, /s3cret/);
+    const [, request] = fetch.mock.calls[0].arguments;
+    assert.equal(request.headers.Authorization, `Basic ${Buffer.from('login@example.com:s3cret').toString('base64')}`);
+  });
+
+  it('encrypts plain-text passwords left from before encryption when rotating', async () => {
+    db.seed('user', { id: 'u2', email: 'b@example.com', dataForSeoLogin: 'old', dataForSeoPasswordEncrypted: 'plain' });
+
+    assert.deepEqual(await rotateStoredCredentials(), { encrypted: 1, rewrapped: 0, failed: 0 });
+    assert.match(db.tables.user[0].dataForSeoPasswordEncrypted, /^v1\.new\./);
+  });
+});
+
+describe('cachedKeywordsTask', () => {
+  it('only pays for keywords that are not cached yet', async (t) => {
+    const fetch = t.mock.method(globalThis, 'fetch', async (url, request) => {
+      const [task] = JSON.parse(request.body);
+      return respond(200, envelope(task.keywords.map(keyword => ({ keyword, search_volume: 10 }))));
+    });
+    const getItems = result => result;
+
+    await cachedKeywordsTask(ENDPOINT, ['shoes', 'boots'], { location_code: 2840 }, { id: 'u1' }, getItems);
+    const { items, cache } = await cachedKeywordsTask(ENDPOINT, ['Shoes', 'socks'], { location_code: 2840 }, { id: 'u1' }, getItems);
+
+    assert.equal(fetch.mock.callCount(), 2);
+    assert.deepEqual(JSON.parse(fetch.mock.calls[1].arguments[1].body)[0].keywords, ['socks']);
+    assert.deepEqual(items.map(item => item.keyword), ['shoes', 'socks']);
+    assert.equal(cache.hits, 1);
+    assert.equal(cache.misses, 1);
+  });
+});
+
+describe('POST /api/dataforseo/expand-category', () => {
+  it('keeps a seed that another seed turns up with a higher volume', async (t) => {
+    t.mock.method(globalThis, 'fetch', async (url, request) => {
+      const [task] = JSON.parse(request.body);
+      const items = task.keyword === 'trail shoes' && url.includes('keyword_suggestions')
+        ? [{ keyword: 'Running Shoes', keyword_info: { search_volume: 1500 } }, { keyword: 'trail shoes sale', keyword_info: { search_volume: 80 } }]
+        : [];
+      return respond(200, envelope([{ items }]));
+    });
+    const { token } = await signIn(db, { email: 'a@example.com' });
+
+    const { body } = await callRoute(expandCategoryRoute, {
+      method: 'POST',
+      token,
+      body: { seedKeywords: [{ keyword: 'running shoes', volume: 1000 }, { keyword: 'trail shoes', volume: 500 }] }
+    });
+
+    assert.deepEqual(body.expandedKeywords.map(kw => [kw.keyword, kw.volume, kw.isSeed, kw.seedKeyword]), [
+      ['running shoes', 1500, true, undefined],
+      ['trail shoes', 500, true, undefined],
+      ['trail shoes sale', 80, false, 'trail shoes']
+    ]);
+    assert.deepEqual(body.stats, { seedCount: 2, expandedCount: 1, totalKeywords: 3, avgVolumePerKeyword: 693 });
+  });
+});
+
+describe('matchRankedKeywords', () => {
+  it('prefers a stricter match over an earlier looser one', () => {
+    const ranked = (keyword, position) => ({
+      keyword_data: { keyword, keyword_info: { search_volume: 100 } },
+      ranked_serp_element: { serp_item: { type: 'organic', rank_group: position } }
+    });
+
+    const { rankings } = matchRankedKeywords([ranked('best running shoes', 2), ranked('running shoes', 9)], ['Running Shoes'], { mode: 'contains' });
+
+    assert.deepEqual({ position: rankings['running shoes'].position, matchType: rankings['running shoes'].matchType }, { position: 9, matchType: 'exact' });
+  });
+});
+
+describe('fetchSerpCompetitors', () => {
+  it('leaves out every domain of the project\'s own brands', async (t) => {
+    t.mock.method(globalThis, 'fetch', async () => respond(200, envelope([{
+      items: [
+        { domain: 'www.acme.com', keywords_count: 9, avg_position: 2 },
+        { domain: 'acme.de', keywords_count: 8, avg_position: 3 },
+        { domain: 'rival.com', keywords_count: 5, avg_position: 4.26 },
+        { domain: 'shoeblog.net', keywords_count: 7, avg_position: 11 }
+      ]
+    }])));
+
+    const { competitors } = await fetchSerpCompetitors(['running shoes'], { id: 'u1' }, { exclude: ['acme.com', 'acme.de'] });
+
+    assert.deepEqual(competitors.map(c => [c.domain, c.intersections, c.avgPosition]), [
+      ['shoeblog.net', 7, 11],
+      ['rival.com', 5, 4.3]
+    ]);
+  });
+});
+
+describe('against the mock server', () => {
+  let mock;
+
+  before(async () => {
+    mock = await startMockDataForSeo();
+  });
+
+  after(() => mock.stop());
+
+  it('replays recorded fixtures through the same client', async () => {
+    process.env.DATAFORSEO_BASE_URL = mock.baseUrl;
+
+    const { positions, features, errors } = await fetchRankedPositions(
+      ['CRM software', 'free crm'], ['hubspot.com'], { id: 'u1' }
+    );
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(positions, { 0: { 'hubspot.com': 2 }, 1: { 'hubspot.com': 1 } });
+    assert.deepEqual(features[0], { 'hubspot.com': ['featured_snippet'] });
+  });
+
+  it('serves search volumes for the demo market', async () => {
+    process.env.DATAFORSEO_BASE_URL = mock.baseUrl;
+
+    const { volumes } = await fetchSearchVolumes(['crm software', 'hubspot'], { id: 'u1' });
+    assert.deepEqual(volumes, { 'crm software': 49500, hubspot: 450000 });
+  });
+});
@@ -0,0 +1,115 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import net from 'node:net';
+import os from 'node:os';
+import path from 'node:path';
+import { sendEmail, getEmailTransport, registerEmailTransport } from '../lib/email.js';
+import { validateEmail } from '../lib/auth.js';
+
+const sent = [];
+registerEmailTransport('memory', async email => sent.push(email));
+
+const environment = { ...process.env };
+
+beforeEach(() => {
+  sent.length = 0;
+  process.env.EMAIL_TRANSPORT = 'memory';
+});
+
+afterEach(() => {
+  process.env = { ...environment };
+});
+
+describe('sendEmail', () => {
+  it('sends through the configured transport', async () => {
+    await sendEmail({ to: 'analyst@example.com', subject: 'Hello', text: 'Hi' });
+
+    assert.deepEqual(sent.map(email => [email.to, email.subject]), [['analyst@example.com', 'Hello']]);
+  });
+
+  it('refuses line breaks in headers', async () => {
+    await assert.rejects(
+      sendEmail({ to: 'analyst@example.com\r\nBcc: everyone@example.com', subject: 'Hello', text: 'Hi' }),
+      /to can't contain line breaks/
+    );
+    await assert.rejects(sendEmail({ to: 'analyst@example.com', subject: 'Hello\nRCPT TO:<x@example.com>', text: 'Hi' }), /subject/);
+    assert.equal(sent.length, 0);
+  });
+
+  it('writes .eml files outside production when no transport is set', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'searchshare-outbox-test-'));
+    delete process.env.EMAIL_TRANSPORT;
+    process.env.EMAIL_OUTBOX_DIR = dir;
+
+    try {
+      await sendEmail({ to: 'analyst@example.com', subject: 'Hello', text: 'Hi' });
+
+      const [file] = await fs.readdir(dir);
+      assert.match(await fs.readFile(path.join(dir, file), 'utf8'), /^From: .*\r\nTo: analyst@example.com\r\n/);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('smtp transport', () => {
+  // An SMTP server that answers `replies` in turn, one per line received, then hangs up
+  async function startSmtpServer(t, replies) {
+    const server = net.createServer(socket => {
+      const queue = [...replies];
+      socket.write('220 localhost ready\r\n');
+      socket.on('data', () => {
+        const reply = queue.shift();
+        if (reply) socket.write(`${reply}\r\n`);
+        else socket.end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+
+    process.env.EMAIL_TRANSPORT = 'smtp';
+    process.env.SMTP_HOST = '127.0.0.1';
+    process.env.SMTP_PORT = String(server.address().port);
+  }
+
+  it('delivers the message and quits', async (t) => {
+    await startSmtpServer(t, ['250 localhost', '250 OK', '250 OK', '354 Go ahead', '250 Queued', '221 Bye']);
+
+    await sendEmail({ to: 'analyst@example.com', subject: 'Hello', text: 'Hi' });
+  });
+
+  it('fails instead of hanging when the server hangs up early', async (t) => {
+    await startSmtpServer(t, ['250 localhost']);
+
+    await assert.rejects(
+      sendEmail({ to: 'analyst@example.com', subject: 'Hello', text: 'Hi' }),
+      /closed the connection before the message was sent/
+    );
+  });
+});
+
+describe('getEmailTransport', () => {
+  it('requires EMAIL_TRANSPORT in production', () => {
+    delete process.env.EMAIL_TRANSPORT;
+    process.env.NODE_ENV = 'production';
+
+    assert.throws(() => getEmailTransport(), /EMAIL_TRANSPORT is not set/);
+  });
+
+  it('rejects unknown transports', () => {
+    process.env.EMAIL_TRANSPORT = 'carrier-pigeon';
+
+    assert.throws(() => getEmailTransport(), /Unknown EMAIL_TRANSPORT/);
+  });
+});
+
+describe('validateEmail', () => {
+  it('accepts addresses and rejects anything else', () => {
+    assert.equal(validateEmail(' analyst@example.com '), null);
+    assert.equal(validateEmail('analyst@example'), 'Invalid email address');
+    assert.equal(validateEmail('analyst@example.com\r\nBcc: x@example.com'), 'Invalid email address');
+    assert.equal(validateEmail(undefined), 'Invalid email address');
+  });
+});
@@ -0,0 +1,43 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import { encryptSecret, decryptSecret, isEncryptedSecret, needsRewrap, rewrapSecret } from '../lib/encryption.js';
+
+const key = () => crypto.randomBytes(32).toString('base64');
+const OLD_KEY = `old:${key()}`;
+const NEW_KEY = `new:${key()}`;
+
+beforeEach(() => {
+  process.env.CREDENTIALS_ENCRYPTION_KEYS = OLD_KEY;
+});
+
+describe('secret encryption', () => {
+  it('decrypts only with the context it was encrypted for', () => {
+    const envelope = encryptSecret('s3cret', 'user-1');
+
+    assert.equal(isEncryptedSecret(envelope), true);
+    assert.doesNotMatch(envelope, /s3cret/);
+    assert.equal(decryptSecret(envelope, 'user-1'), 's3cret');
+    assert.throws(() => decryptSecret(envelope, 'user-2'));
+  });
+
+  it('re-wraps the data key under a new master key without touching the ciphertext', () => {
+    const envelope = encryptSecret('s3cret', 'user-1');
+    process.env.CREDENTIALS_ENCRYPTION_KEYS = `${NEW_KEY},${OLD_KEY}`;
+
+    assert.equal(needsRewrap(envelope), true);
+    const rewrapped = rewrapSecret(envelope, 'user-1');
+
+    assert.equal(needsRewrap(rewrapped), false);
+    assert.equal(rewrapped.split('.')[3], envelope.split('.')[3]);
+
+    process.env.CREDENTIALS_ENCRYPTION_KEYS = NEW_KEY;
+    assert.equal(decryptSecret(rewrapped, 'user-1'), 's3cret');
+    assert.throws(() => decryptSecret(envelope, 'user-1'), /not in CREDENTIALS_ENCRYPTION_KEYS/);
+  });
+
+  it('rejects malformed keys', () => {
+    process.env.CREDENTIALS_ENCRYPTION_KEYS = 'short:abc';
+    assert.throws(() => encryptSecret('s3cret', 'user-1'), /32-byte key/);
+  });
+});
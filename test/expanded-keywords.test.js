@@ -0,0 +1,53 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateExpandedKeywords, replaceExpandedKeywords, getExpandedUniverse, getExpandedKeywordData } from '../lib/expanded-keywords.js';
+import { createFakePrisma } from './helpers/fake-prisma.js';
+
+const rows = [
+  { keyword: 'running shoes', volume: 1000, isSeed: true, seedKeyword: 'running shoes', excluded: false },
+  { keyword: 'cheap running shoes', volume: 400, isSeed: false, seedKeyword: 'running shoes', excluded: false },
+  { keyword: 'running shoes repair', volume: 100, isSeed: false, seedKeyword: 'running shoes', excluded: true },
+  { keyword: 'hiking boots sale', volume: 700, isSeed: false, seedKeyword: 'hiking boots', excluded: false }
+];
+
+describe('getExpandedUniverse', () => {
+  it('sums the market volume over curated keywords of seeds the market still tracks', () => {
+    const universe = getExpandedUniverse(rows, [{ keyword: 'Running Shoes' }]);
+
+    assert.deepEqual(universe.expandedKeywords.map(kw => kw.keyword), ['running shoes', 'cheap running shoes']);
+    assert.equal(universe.expandedTotalMarketVolume, 1400);
+    assert.deepEqual(universe.expansionStats, { seedCount: 1, expandedCount: 1, totalKeywords: 2, excludedCount: 2 });
+  });
+
+  it('is empty when nothing was expanded', () => {
+    assert.deepEqual(getExpandedUniverse([], [{ keyword: 'shoes' }]), {});
+  });
+
+  it('returns every stored keyword to the client, excluded ones included', () => {
+    const data = getExpandedKeywordData(rows, [{ keyword: 'running shoes' }]);
+    assert.equal(data.expandedKeywords.length, 4);
+    assert.equal(data.expandedTotalMarketVolume, 1400);
+  });
+});
+
+describe('replaceExpandedKeywords', () => {
+  it('stores one row per keyword, the highest volume winning, with seeds linked to themselves', async () => {
+    const tx = createFakePrisma();
+
+    await replaceExpandedKeywords(tx, 'p1', null, [
+      { keyword: 'Running Shoes', volume: 1000, isSeed: true, source: 'related' },
+      { keyword: 'cheap running shoes', volume: 300, seedKeyword: 'Running Shoes', source: 'suggestions' },
+      { keyword: 'Cheap Running Shoes ', volume: 400, seedKeyword: 'running shoes', source: 'related' }
+    ]);
+
+    assert.deepEqual(tx.tables.expandedKeyword.map(kw => [kw.keyword, kw.volume, kw.source, kw.seedKeyword]), [
+      ['running shoes', 1000, null, 'running shoes'],
+      ['cheap running shoes', 400, 'related', 'running shoes']
+    ]);
+  });
+
+  it('requires a keyword on every row', () => {
+    assert.match(validateExpandedKeywords([{ keyword: ' ' }]), /needs a keyword/);
+    assert.equal(validateExpandedKeywords([{ keyword: 'shoes' }]), null);
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * DataForSEO in tests: the bundled mock server (mock/dataforseo/server.js) for a test file,
+ * and responses for a stubbed fetch
+ */
+
+import { spawn } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+const SERVER = fileURLToPath(new URL('../../mock/dataforseo/server.js', import.meta.url));
+const START_TIMEOUT_MS = 10000;
+
+/**
+ * Start the mock replaying its fixtures, returns { baseUrl, stop }
+ */
+export function startMockDataForSeo() {
+  const port = 40000 + (process.pid % 20000);
+  const child = spawn(process.execPath, [SERVER], {
+    env: { ...process.env, DATAFORSEO_MOCK_PORT: String(port), DATAFORSEO_MOCK_MODE: 'replay' },
+    stdio: ['ignore', 'pipe', 'inherit']
+  });
+
+  const stop = () => new Promise(resolve => {
+    if (child.exitCode !== null) return resolve();
+    child.once('exit', resolve);
+    child.kill();
+  });
+
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      stop();
+      reject(new Error('DataForSEO mock did not start'));
+    }, START_TIMEOUT_MS);
+
+    child.stdout.setEncoding('utf8');
+    child.stdout.on('data', chunk => {
+      if (chunk.includes('DataForSEO mock')) {
+        clearTimeout(timeout);
+        resolve({ baseUrl: `http://localhost:${port}/v3`, stop });
+      }
+    });
+    child.once('exit', code => {
+      clearTimeout(timeout);
+      reject(new Error(`DataForSEO mock exited with code ${code}`));
+    });
+  });
+}
+
+/**
+ * A JSON response for a stubbed fetch
+ */
+export function jsonResponse(status, body, headers = {}) {
+  return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json', ...headers } });
+}
+
+/**
+ * A successful DataForSEO envelope with one task holding `result`
+ */
+export function taskEnvelope(result, { cost = 0.05 } = {}) {
+  return { status_code: 20000, tasks_count: 1, tasks: [{ status_code: 20000, cost, result }] };
+}
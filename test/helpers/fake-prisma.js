@@ -0,0 +1,378 @@
+/**
+ * In-memory Prisma Client
+ * Stands in for the database in tests: rows live in plain arrays per model, and the subset
+ * of queries lib/ makes (where filters, compound unique keys, include/select of the
+ * relations below and their _count, atomic number updates, transactions) behaves like Prisma's. Every query
+ * waits a tick before it runs, so parallel calls interleave as they would against Postgres.
+ *
+ * lib/prisma.js reuses `globalThis.prisma`, so install the fake before importing lib/:
+ *
+ *   const db = installFakePrisma();
+ *   const { findDueProjects } = await import('../lib/scheduler.js');
+ */
+
+// name -> [related model, key on this row, key on the related row, to-many]
+const RELATIONS = {
+  project: {
+    user: ['user', 'userId', 'id'],
+    workspace: ['workspace', 'workspaceId', 'id'],
+    brand: ['brand', 'id', 'projectId'],
+    competitors: ['competitor', 'id', 'projectId', true],
+    keywords: ['marketKeyword', 'id', 'projectId', true],
+    brandTerms: ['brandTerm', 'id', 'projectId', true],
+    expandedKeywords: ['expandedKeyword', 'id', 'projectId', true],
+    positionOverrides: ['positionOverride', 'id', 'projectId', true],
+    markets: ['projectMarket', 'id', 'projectId', true],
+    snapshots: ['snapshot', 'id', 'projectId', true]
+  },
+  projectMarket: {
+    keywords: ['marketKeyword', 'id', 'marketId', true],
+    brandTerms: ['brandTerm', 'id', 'marketId', true],
+    expandedKeywords: ['expandedKeyword', 'id', 'marketId', true],
+    positionOverrides: ['positionOverride', 'id', 'marketId', true]
+  },
+  workspace: { members: ['workspaceMember', 'id', 'workspaceId', true] },
+  workspaceInvitation: { workspace: ['workspace', 'workspaceId', 'id'] },
+  apiUsage: { project: ['project', 'projectId', 'id'] },
+  session: { user: ['user', 'userId', 'id'] },
+  serpJob: {
+    project: ['project', 'projectId', 'id'],
+    tasks: ['serpTask', 'id', 'jobId', true]
+  },
+  snapshot: { positions: ['snapshotPosition', 'id', 'snapshotId', true] },
+  marketKeyword: { positions: ['position', 'id', 'keywordId', true] }
+};
+
+// Non-null column defaults of the schema that lib/ relies on (functions run per row)
+const DEFAULTS = {
+  user: { budgetCommitted: 0 },
+  loginThrottle: { failures: 0 },
+  snapshotRun: { trigger: 'scheduled', status: 'running', startedAt: () => new Date() },
+  serpJob: { status: 'queued', locationCode: 2840 },
+  serpTask: { status: 'pending' },
+  positionOverride: { marketKey: 'primary' },
+  session: { lastUsedAt: () => new Date() },
+  workspaceMember: { role: 'viewer' }
+};
+
+// Unique keys besides id; a write that breaks one fails with P2002 like Postgres would
+const UNIQUE_KEYS = {
+  user: [['email']],
+  workspace: [['defaultForUserId']],
+  loginThrottle: [['scope', 'key']],
+  session: [['refreshTokenHash'], ['previousTokenHash']],
+  workspaceMember: [['workspaceId', 'userId']],
+  workspaceInvitation: [['tokenHash']],
+  passwordResetToken: [['tokenHash']],
+  positionOverride: [['projectId', 'marketKey', 'keyword', 'brandName']],
+  position: [['keywordId', 'brandName']],
+  dataForSeoCache: [['key']]
+};
+
+const OPERATORS = ['equals', 'in', 'notIn', 'lt', 'lte', 'gt', 'gte', 'not', 'contains', 'startsWith', 'mode'];
+
+class FakePrismaError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'PrismaClientKnownRequestError';
+    this.code = code;
+  }
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+
+// Missing nullable columns read as null, dates compare by time
+function toComparable(value) {
+  if (value === undefined) return null;
+  return value instanceof Date ? value.getTime() : value;
+}
+
+function equals(a, b) {
+  return toComparable(a) === toComparable(b);
+}
+
+function matchesOperators(value, filter) {
+  const actual = toComparable(value);
+  const insensitive = filter.mode === 'insensitive';
+  const text = (v) => insensitive ? String(v).toLowerCase() : String(v);
+
+  return Object.entries(filter).every(([op, expected]) => {
+    const target = toComparable(expected);
+    switch (op) {
+      case 'equals': return actual === target;
+      case 'in': return expected.some(e => equals(value, e));
+      case 'notIn': return !expected.some(e => equals(value, e));
+      case 'lt': return actual !== null && actual < target;
+      case 'lte': return actual !== null && actual <= target;
+      case 'gt': return actual !== null && actual > target;
+      case 'gte': return actual !== null && actual >= target;
+      case 'not': return isPlainObject(expected) ? !matchesOperators(value, expected) : actual !== target;
+      case 'contains': return actual !== null && text(actual).includes(text(expected));
+      case 'startsWith': return actual !== null && text(actual).startsWith(text(expected));
+      default: return true;
+    }
+  });
+}
+
+export function createFakePrisma() {
+  const tables = {};
+  let nextId = 0;
+
+  const table = (model) => {
+    tables[model] = tables[model] || [];
+    return tables[model];
+  };
+
+  function related(model, row, name) {
+    const [target, ownKey, targetKey, many] = RELATIONS[model]?.[name] || [];
+    if (!target) throw new Error(`Fake Prisma has no relation ${model}.${name}`);
+
+    const rows = table(target).filter(r => row[ownKey] != null && equals(r[targetKey], row[ownKey]));
+    return { target, rows: many ? rows : rows.slice(0, 1), many };
+  }
+
+  function matches(model, row, where = {}) {
+    return Object.entries(where).every(([key, filter]) => {
+      if (filter === undefined) return true;
+      if (key === 'AND') return [].concat(filter).every(w => matches(model, row, w));
+      if (key === 'OR') return filter.some(w => matches(model, row, w));
+      if (key === 'NOT') return ![].concat(filter).some(w => matches(model, row, w));
+
+      if (RELATIONS[model]?.[key]) {
+        const { target, rows, many } = related(model, row, key);
+        if (!many) return filter === null ? rows.length === 0 : rows.length > 0 && matches(target, rows[0], filter);
+        if (filter.some) return rows.some(r => matches(target, r, filter.some));
+        if (filter.every) return rows.every(r => matches(target, r, filter.every));
+        if (filter.none) return !rows.some(r => matches(target, r, filter.none));
+        return true;
+      }
+
+      // Compound unique keys: { scope_key: { scope, key } }
+      if (isPlainObject(filter) && key.includes('_') && Object.keys(filter).every(k => key.split('_').includes(k))) {
+        return matches(model, row, filter);
+      }
+
+      if (isPlainObject(filter) && Object.keys(filter).every(k => OPERATORS.includes(k))) {
+        return matchesOperators(row[key], filter);
+      }
+      return equals(row[key], filter);
+    });
+  }
+
+  function compare(orderBy = []) {
+    const orders = [].concat(orderBy).flatMap(o => Object.entries(o));
+    return (a, b) => {
+      for (const [key, order] of orders) {
+        const { sort, nulls } = isPlainObject(order) ? order : { sort: order };
+        const x = toComparable(a[key]);
+        const y = toComparable(b[key]);
+        if (x === y) continue;
+        if (x === null || y === null) return (x === null) === (nulls === 'last') ? 1 : -1;
+        return (x < y ? -1 : 1) * (sort === 'desc' ? -1 : 1);
+      }
+      return 0;
+    };
+  }
+
+  // A row in the shape a query asked for, detached from the table
+  function shape(model, row, { select, include } = {}) {
+    const result = select
+      ? Object.fromEntries(Object.keys(select).filter(k => select[k] && !RELATIONS[model]?.[k]).map(k => [k, row[k] ?? null]))
+      : structuredClone(row);
+
+    Object.entries({ ...include, ...select }).forEach(([name, args]) => {
+      if (!args || !RELATIONS[model]?.[name]) return;
+      const { target, rows, many } = related(model, row, name);
+      const nested = isPlainObject(args) ? args : {};
+      const found = rows
+        .filter(r => matches(target, r, nested.where))
+        .sort(compare(nested.orderBy))
+        .map(r => shape(target, r, nested));
+      result[name] = many ? found : found[0] || null;
+    });
+
+    const count = include?._count?.select || select?._count?.select;
+    if (count) {
+      result._count = Object.fromEntries(Object.entries(count).map(([name, args]) => {
+        const { target, rows } = related(model, row, name);
+        return [name, rows.filter(r => matches(target, r, args?.where)).length];
+      }));
+    }
+    return result;
+  }
+
+  function checkUnique(model, row) {
+    const clash = (UNIQUE_KEYS[model] || []).find(fields =>
+      fields.every(f => row[f] != null) &&
+      table(model).some(other => other !== row && other.id !== row.id && fields.every(f => equals(other[f], row[f])))
+    );
+    if (clash) {
+      throw new FakePrismaError('P2002', `Unique constraint failed on the fields: (${clash.join(', ')})`);
+    }
+  }
+
+  function applyData(row, data) {
+    Object.entries(data).forEach(([key, value]) => {
+      if (value === undefined) return;
+      if (isPlainObject(value) && 'increment' in value) row[key] = (row[key] || 0) + value.increment;
+      else if (isPlainObject(value) && 'decrement' in value) row[key] = (row[key] || 0) - value.decrement;
+      else if (isPlainObject(value) && 'set' in value) row[key] = value.set;
+      else row[key] = value instanceof Date ? new Date(value) : structuredClone(value);
+    });
+    row.updatedAt = new Date();
+  }
+
+  function insert(model, data) {
+    const now = new Date();
+    const row = { id: `${model}-${++nextId}`, createdAt: now, updatedAt: now };
+    Object.entries(DEFAULTS[model] || {}).forEach(([key, value]) => {
+      row[key] = typeof value === 'function' ? value() : structuredClone(value);
+    });
+
+    // Nested writes: { members: { create: ... } } and { positions: { createMany: { data } } }
+    const nested = [];
+    const columns = {};
+    Object.entries(data).forEach(([key, value]) => {
+      if (RELATIONS[model]?.[key] && isPlainObject(value)) nested.push([key, value]);
+      else columns[key] = value;
+    });
+
+    applyData(row, columns);
+    row.updatedAt = now;
+    checkUnique(model, row);
+    table(model).push(row);
+
+    nested.forEach(([name, write]) => {
+      const [target, ownKey, targetKey] = RELATIONS[model][name];
+      const children = [].concat(write.create || [], write.createMany?.data || []);
+      children.forEach(child => insert(target, { ...child, [targetKey]: row[ownKey] }));
+    });
+    return row;
+  }
+
+  function findRequired(model, where) {
+    const row = table(model).find(r => matches(model, r, where));
+    if (!row) throw new FakePrismaError('P2025', `No ${model} record found for the update`);
+    return row;
+  }
+
+  function update(model, row, data) {
+    const before = { ...row };
+    applyData(row, data);
+    try {
+      checkUnique(model, row);
+    } catch (error) {
+      Object.keys(row).forEach(key => delete row[key]);
+      Object.assign(row, before);
+      throw error;
+    }
+    return row;
+  }
+
+  function remove(model, rows) {
+    const doomed = new Set(rows);
+    tables[model] = table(model).filter(r => !doomed.has(r));
+    return rows.length;
+  }
+
+  function delegate(model) {
+    const find = ({ where, orderBy, skip = 0, take } = {}) => {
+      const rows = table(model).filter(r => matches(model, r, where)).sort(compare(orderBy));
+      return rows.slice(skip, take === undefined ? undefined : skip + take);
+    };
+
+    const query = (run) => async (args = {}) => {
+      await tick();
+      return run(args);
+    };
+
+    return {
+      findUnique: query(args => {
+        const [row] = find({ where: args.where });
+        return row ? shape(model, row, args) : null;
+      }),
+      findFirst: query(args => {
+        const [row] = find(args);
+        return row ? shape(model, row, args) : null;
+      }),
+      findMany: query(args => find(args).map(row => shape(model, row, args))),
+      count: query(({ where }) => find({ where }).length),
+      create: query(args => shape(model, insert(model, args.data), args)),
+      createMany: query(({ data }) => ({ count: data.map(row => insert(model, row)).length })),
+      update: query(args => shape(model, update(model, findRequired(model, args.where), args.data), args)),
+      updateMany: query(({ where, data }) => ({ count: find({ where }).map(row => update(model, row, data)).length })),
+      upsert: query(args => {
+        const [row] = find({ where: args.where });
+        return shape(model, row ? update(model, row, args.update) : insert(model, args.create), args);
+      }),
+      delete: query(args => {
+        const row = findRequired(model, args.where);
+        remove(model, [row]);
+        return shape(model, row, args);
+      }),
+      deleteMany: query(({ where } = {}) => ({ count: remove(model, find({ where })) })),
+      aggregate: query(({ where, _sum = {} }) => {
+        const rows = find({ where });
+        const sums = Object.fromEntries(Object.keys(_sum).map(key => [
+          key,
+          rows.length > 0 ? rows.reduce((total, row) => total + (row[key] || 0), 0) : null
+        ]));
+        return { _sum: sums };
+      }),
+      groupBy: query(({ by, where }) => {
+        const groups = new Map();
+        find({ where }).forEach(row => {
+          const key = JSON.stringify(by.map(field => row[field]));
+          const group = groups.get(key) || { ...Object.fromEntries(by.map(field => [field, row[field]])), _count: 0 };
+          group._count++;
+          groups.set(key, group);
+        });
+        return [...groups.values()];
+      })
+    };
+  }
+
+  const delegates = {};
+  const client = {
+    tables,
+
+    // Insert rows directly (defaults and unique keys apply), returns the stored rows
+    seed(model, ...rows) {
+      return rows.map(row => insert(model, row));
+    },
+
+    reset() {
+      Object.keys(tables).forEach(model => delete tables[model]);
+    },
+
+    // Interactive transactions share the client; batches run in order
+    async $transaction(work) {
+      if (typeof work === 'function') return work(proxy);
+      const results = [];
+      for (const pending of work) results.push(await pending);
+      return results;
+    },
+
+    async $disconnect() {}
+  };
+
+  const proxy = new Proxy(client, {
+    get(target, name) {
+      // `then` stays undefined so the client isn't mistaken for a promise
+      if (name in target || typeof name !== 'string' || name === 'then') return target[name];
+      delegates[name] = delegates[name] || delegate(name);
+      return delegates[name];
+    }
+  });
+  return proxy;
+}
+
+/**
+ * Create a fake client and make it the one lib/prisma.js exports
+ */
+export function installFakePrisma() {
+  globalThis.prisma = createFakePrisma();
+  return globalThis.prisma;
+}
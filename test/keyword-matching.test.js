@@ -0,0 +1,55 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeKeyword, createKeywordMatcher, validateMatchSettings, isStricterMatch } from '../lib/keyword-matching.js';
+
+function matchType(keyword, ranked, options) {
+  const matcher = createKeywordMatcher([keyword], options);
+  return matcher.match(matcher.prepare(ranked), 0)?.type || null;
+}
+
+describe('normalizeKeyword', () => {
+  it('folds case, punctuation and plurals for the language', () => {
+    assert.equal(normalizeKeyword('Running-Shoes!'), 'running shoe');
+    assert.equal(normalizeKeyword('boxes'), 'box');
+    assert.equal(normalizeKeyword('glass'), 'glass');
+  });
+
+  it('spells out German umlauts and drops other accents', () => {
+    assert.equal(normalizeKeyword('Schuhgröße', 'de'), 'schuhgroess');
+    assert.equal(normalizeKeyword('Müller Laufschuhe', 'de'), normalizeKeyword('mueller laufschuh', 'de'));
+    assert.equal(normalizeKeyword('café', 'fr'), 'cafe');
+  });
+});
+
+describe('createKeywordMatcher', () => {
+  it('accepts only the modes up to the project\'s and reports which one matched', () => {
+    assert.equal(matchType('running shoes', 'Running Shoes', { mode: 'exact' }), 'exact');
+    assert.equal(matchType('running shoes', 'running shoe', { mode: 'exact' }), null);
+    assert.equal(matchType('running shoes', 'running shoe', { mode: 'normalized' }), 'normalized');
+    assert.equal(matchType('running shoes', 'best running shoes', { mode: 'normalized' }), null);
+    assert.equal(matchType('running shoes', 'best running shoes', { mode: 'contains' }), 'contains');
+  });
+
+  it('matches whole words only', () => {
+    assert.equal(matchType('shoes', 'snowshoes', { mode: 'contains' }), null);
+  });
+
+  it('needs two common words and the threshold share for fuzzy matches', () => {
+    assert.equal(matchType('mens trail running shoes', 'trail running shoes for women', { mode: 'fuzzy', threshold: 0.6 }), 'fuzzy');
+    assert.equal(matchType('mens trail running shoes', 'trail running shoes for women', { mode: 'fuzzy', threshold: 0.9 }), null);
+    assert.equal(matchType('running shoes', 'running socks', { mode: 'fuzzy', threshold: 0.1 }), null);
+  });
+
+  it('orders match types from strict to loose', () => {
+    assert.equal(isStricterMatch('exact', 'fuzzy'), true);
+    assert.equal(isStricterMatch('contains', 'normalized'), false);
+  });
+});
+
+describe('validateMatchSettings', () => {
+  it('rejects unknown modes and thresholds outside (0, 1]', () => {
+    assert.match(validateMatchSettings({ keywordMatchMode: 'loose' }), /match mode/);
+    assert.match(validateMatchSettings({ keywordMatchThreshold: 0 }), /threshold/);
+    assert.equal(validateMatchSettings({ keywordMatchMode: 'contains', keywordMatchThreshold: 1 }), null);
+  });
+});
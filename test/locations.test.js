@@ -0,0 +1,16 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getMarket, validateMarket, DEFAULT_LOCATION_CODE, DEFAULT_LANGUAGE_CODE } from '../lib/locations.js';
+
+describe('project markets', () => {
+  it('falls back to the default location and language', () => {
+    assert.deepEqual(getMarket({}), { locationCode: DEFAULT_LOCATION_CODE, languageCode: DEFAULT_LANGUAGE_CODE });
+    assert.deepEqual(getMarket({ locationCode: '2276', languageCode: 'de' }), { locationCode: 2276, languageCode: 'de' });
+  });
+
+  it('accepts supported pairs only', () => {
+    assert.equal(validateMarket({ locationCode: 2276, languageCode: 'de' }), null);
+    assert.match(validateMarket({ locationCode: 99999 }), /Unsupported location code/);
+    assert.match(validateMarket({ languageCode: 'xx' }), /Unsupported language code/);
+  });
+});
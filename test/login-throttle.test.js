@@ -0,0 +1,129 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import bcrypt from 'bcryptjs';
+import { installFakePrisma } from './helpers/fake-prisma.js';
+import { callRoute, signIn } from './helpers/http.js';
+
+const db = installFakePrisma();
+const {
+  startLoginAttempt, recordLoginFailure, recordLoginSuccess, recordSignup, clearThrottle
+} = await import('../lib/login-throttle.js');
+const { getClientIp } = await import('../lib/auth.js');
+const { default: passwordRoute } = await import('../api/auth/password.js');
+const { default: meRoute } = await import('../api/auth/me.js');
+const { default: loginRoute } = await import('../api/auth/login.js');
+
+const EMAIL = 'analyst@example.com';
+const IP = '203.0.113.7';
+
+beforeEach(() => db.reset());
+
+async function failLogin(email = EMAIL) {
+  const { block, attempt } = await startLoginAttempt(email, IP);
+  return block || recordLoginFailure(attempt);
+}
+
+const accountRow = () => db.tables.loginThrottle.find(row => row.scope === 'account');
+
+describe('startLoginAttempt', () => {
+  it('lets one of several simultaneous attempts check its password', async () => {
+    const results = await Promise.all([1, 2, 3].map(() => startLoginAttempt(EMAIL, IP)));
+
+    assert.equal(results.filter(result => result.attempt).length, 1);
+    assert.deepEqual(results.filter(result => result.block).map(result => result.block.status), [429, 429]);
+  });
+
+  it('makes attempts wait after three failures', async () => {
+    for (let i = 0; i < 3; i++) await failLogin();
+
+    const { block } = await startLoginAttempt(EMAIL, IP);
+
+    assert.equal(block.status, 429);
+    assert.equal(block.retryAfter, 1);
+  });
+
+  it('locks the account at the threshold, whatever the address', async () => {
+    db.seed('loginThrottle', { scope: 'account', key: EMAIL, failures: 9, lastFailureAt: new Date(Date.now() - 10 * 60 * 1000) });
+
+    const block = await failLogin('Analyst@Example.com');
+
+    assert.equal(block.status, 423);
+    assert.equal((await startLoginAttempt(EMAIL, '198.51.100.1')).block.status, 423);
+    assert.equal(await clearThrottle('account', EMAIL), true);
+    assert.ok((await startLoginAttempt(EMAIL, '198.51.100.1')).attempt);
+  });
+
+  it('forgets the account\'s failures after a right password', async () => {
+    await failLogin();
+    accountRow().lastFailureAt = new Date(Date.now() - 5000);
+
+    const { attempt } = await startLoginAttempt(EMAIL, IP);
+    await recordLoginSuccess(attempt);
+
+    assert.equal(accountRow(), undefined);
+    assert.equal(db.tables.loginThrottle.find(row => row.scope === 'ip').failures, 1);
+  });
+});
+
+describe('recordSignup', () => {
+  it('caps signups per address and hour', async () => {
+    for (let i = 0; i < 10; i++) {
+      assert.equal(await recordSignup(IP), null);
+    }
+
+    assert.equal((await recordSignup(IP)).status, 429);
+    assert.equal(await recordSignup('198.51.100.1'), null);
+  });
+});
+
+describe('getClientIp', () => {
+  it('trusts only the address the proxy appended', () => {
+    const req = { headers: { 'x-forwarded-for': '10.0.0.1, 198.51.100.1' }, socket: { remoteAddress: '127.0.0.1' } };
+
+    assert.equal(getClientIp(req), '198.51.100.1');
+    assert.equal(getClientIp({ headers: {}, socket: { remoteAddress: '127.0.0.1' } }), '127.0.0.1');
+  });
+});
+
+describe('PUT /api/auth/password', () => {
+  it('throttles guesses of the current password like logins', async () => {
+    const { token } = await signIn(db, { email: EMAIL, passwordHash: bcrypt.hashSync('right-password', 4) });
+    const change = body => callRoute(passwordRoute, { method: 'PUT', body, token, ip: IP });
+
+    for (let i = 0; i < 3; i++) {
+      const res = await change({ currentPassword: 'guess', newPassword: 'a-new-password-1' });
+      assert.equal(res.body.error, 'Current password is incorrect');
+    }
+
+    const throttled = await change({ currentPassword: 'right-password', newPassword: 'a-new-password-1' });
+
+    assert.equal(throttled.statusCode, 429);
+    assert.equal(throttled.headers['retry-after'], '1');
+  });
+});
+
+describe('PUT /api/auth/me', () => {
+  it('tells a missing current password from a wrong one when changing the email', async () => {
+    const { token } = await signIn(db, { email: EMAIL, passwordHash: bcrypt.hashSync('right-password', 4) });
+    const change = body => callRoute(meRoute, { method: 'PUT', body: { email: 'new@example.com', ...body }, token, ip: IP });
+
+    const missing = await change({});
+    const wrong = await change({ currentPassword: 'guess' });
+    const right = await change({ currentPassword: 'right-password' });
+
+    assert.deepEqual([missing.statusCode, missing.body.error], [400, 'Current password required to change your email']);
+    assert.deepEqual([wrong.statusCode, wrong.body.error], [400, 'Current password is incorrect']);
+    assert.equal(right.body.user.email, 'new@example.com');
+  });
+});
+
+describe('POST /api/auth/login', () => {
+  it('finds the account whatever the case and surrounding spaces of the email', async () => {
+    db.seed('user', { email: EMAIL, passwordHash: bcrypt.hashSync('right-password', 4) });
+
+    const res = await callRoute(loginRoute, { method: 'POST', body: { email: '  Analyst@Example.com ', password: 'right-password' }, ip: IP });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.user.email, EMAIL);
+  });
+});
@@ -0,0 +1,93 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakePrisma } from './helpers/fake-prisma.js';
+
+const db = installFakePrisma();
+const { validateMarkets, createProjectSnapshots } = await import('../lib/markets.js');
+
+describe('validateMarkets', () => {
+  it('rejects a market the project already tracks as its primary one', () => {
+    const error = validateMarkets([{ locationCode: 2840, languageCode: 'en' }], { locationCode: 2840, languageCode: 'en' });
+    assert.match(error, /already tracked/);
+  });
+
+  it('rejects unsupported locations and accepts new markets', () => {
+    assert.match(validateMarkets([{ locationCode: 1 }]), /Unsupported location/);
+    assert.equal(validateMarkets([{ locationCode: 2276, languageCode: 'de' }], { locationCode: 2840 }), null);
+  });
+});
+
+describe('createProjectSnapshots', () => {
+  beforeEach(() => db.reset());
+
+  // Acme and Rival tracked in the US (primary) and Germany
+  function seedProject() {
+    const [project] = db.seed('project', { userId: 'u1', name: 'Shoes', locationCode: 2840, languageCode: 'en', ctrModel: 'industry' });
+    const [market] = db.seed('projectMarket', {
+      projectId: project.id, locationCode: 2276, languageCode: 'de', brandVolumes: { Acme: 500, Rival: 1500 }
+    });
+    db.seed('brand', { projectId: project.id, name: 'Acme', domain: 'acme.com', volume: 1000 });
+    db.seed('competitor', { projectId: project.id, name: 'Rival', domain: 'rival.com', volume: 1000 });
+
+    // Acme's US volume comes from its term set: 1000 + 500, the outlet term is excluded
+    db.seed('brandTerm',
+      { projectId: project.id, brandName: 'Acme', term: 'acme', rule: 'include', volume: 1000, sortOrder: 0 },
+      { projectId: project.id, brandName: 'Acme', term: 'acme shoes', rule: 'include', volume: 500, sortOrder: 1 },
+      { projectId: project.id, brandName: 'Acme', term: 'acme shoes outlet', rule: 'include', volume: 200, sortOrder: 2 },
+      { projectId: project.id, brandName: 'Acme', term: 'outlet', rule: 'exclude', volume: 0, sortOrder: 3 }
+    );
+
+    const [us] = db.seed('marketKeyword', { projectId: project.id, keyword: 'running shoes', volume: 1000, sortOrder: 0 });
+    const [de] = db.seed('marketKeyword', { projectId: project.id, marketId: market.id, keyword: 'laufschuhe', volume: 2000, sortOrder: 0 });
+    db.seed('position',
+      { keywordId: us.id, brandName: 'Acme', position: 2 },
+      { keywordId: us.id, brandName: 'Rival', position: 1 },
+      { keywordId: de.id, brandName: 'Acme', position: 3 },
+      { keywordId: de.id, brandName: 'Rival', position: 1 }
+    );
+
+    // An analyst locked Acme's German position at 1
+    db.seed('positionOverride', {
+      projectId: project.id, marketId: market.id, marketKey: market.id, keyword: 'laufschuhe', brandName: 'Acme',
+      position: 1, reason: 'Checked by hand', setByEmail: 'analyst@example.com'
+    });
+
+    return { project, market };
+  }
+
+  it('stores a snapshot per market and a volume-weighted rollup', async () => {
+    const { project, market } = seedProject();
+
+    const { snapshot } = await createProjectSnapshots(project.id);
+
+    const [primary, german, rollup] = db.tables.snapshot;
+    assert.equal(primary.marketId, null);
+    assert.equal(primary.locationCode, 2840);
+    assert.equal(german.marketId, market.id);
+    assert.equal(german.locationCode, 2276);
+    assert.equal(rollup.isRollup, true);
+
+    // Brand terms: 1500 of 2500 brand searches in the US
+    assert.equal(primary.sos, 60);
+    // Override: position 1 (31.6% CTR) instead of the fetched 3
+    assert.equal(german.allBrandsData.find(b => b.name === 'Acme').visibleVolume, 632);
+
+    // (1500 + 500) of 4500 brand searches, (158 + 632) of 3000 market volume
+    assert.ok(Math.abs(snapshot.sos - 44.444) < 0.001);
+    assert.ok(Math.abs(snapshot.sov - 26.333) < 0.001);
+    assert.equal(db.tables.project[0].currentSOV, snapshot.sov);
+  });
+
+  it('stores the keyword rankings each snapshot was calculated from', async () => {
+    const { project } = seedProject();
+
+    await createProjectSnapshots(project.id);
+
+    const primary = db.tables.snapshot[0];
+    const rows = db.tables.snapshotPosition.filter(row => row.snapshotId === primary.id);
+    assert.deepEqual(
+      rows.map(row => [row.keyword, row.brandName, row.position, row.keywordVolume]),
+      [['running shoes', 'Acme', 2, 1000], ['running shoes', 'Rival', 1, 1000]]
+    );
+  });
+});
@@ -0,0 +1,89 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakePrisma } from './helpers/fake-prisma.js';
+import { callRoute } from './helpers/http.js';
+
+const db = installFakePrisma();
+const { requestPasswordReset, resetPassword } = await import('../lib/password-reset.js');
+const { recordResetRequest } = await import('../lib/login-throttle.js');
+const { registerEmailTransport } = await import('../lib/email.js');
+const { createSession } = await import('../lib/sessions.js');
+const { comparePassword } = await import('../lib/auth.js');
+const { default: resetRoute } = await import('../api/auth/password-reset.js');
+
+const sent = [];
+registerEmailTransport('memory', async email => sent.push(email));
+
+const environment = { ...process.env };
+
+beforeEach(() => {
+  db.reset();
+  sent.length = 0;
+  process.env.EMAIL_TRANSPORT = 'memory';
+});
+
+afterEach(() => {
+  process.env = { ...environment };
+});
+
+const linkToken = email => email.text.match(/\?reset=([\w-]+)/)[1];
+
+describe('requestPasswordReset', () => {
+  it('takes as long for unknown emails and never throws', async () => {
+    const started = Date.now();
+
+    await requestPasswordReset('nobody@example.com');
+
+    assert.ok(Date.now() - started >= 1900);
+    assert.equal(sent.length, 0);
+  });
+});
+
+describe('resetPassword', () => {
+  it('sets the password once per link and signs out every session', async () => {
+    db.seed('user', { id: 'u1', email: 'analyst@example.com', passwordHash: 'old' });
+    await createSession('u1', { headers: {}, socket: {} });
+    await requestPasswordReset('Analyst@Example.com');
+    const token = linkToken(sent[0]);
+
+    assert.equal((await resetPassword(token, 'a-new-password-1')).id, 'u1');
+
+    assert.ok(await comparePassword('a-new-password-1', db.tables.user[0].passwordHash));
+    assert.ok(db.tables.session.every(session => session.revokedAt));
+    assert.equal(await resetPassword(token, 'another-password-2'), null);
+  });
+});
+
+describe('recordResetRequest', () => {
+  it('caps requests per email, however it is written', async () => {
+    for (const ip of ['198.51.100.1', '198.51.100.2', '198.51.100.3']) {
+      assert.equal(await recordResetRequest('analyst@example.com', ip), null);
+    }
+
+    const block = await recordResetRequest(' Analyst@Example.com', '198.51.100.4');
+    assert.equal(block.status, 429);
+    assert.match(block.error, /for this email/);
+  });
+});
+
+describe('POST /api/auth/password-reset', () => {
+  it('rejects invalid emails before counting them', async () => {
+    const res = await callRoute(resetRoute, { method: 'POST', body: { email: 'analyst@example.com\r\nBcc: x@example.com' } });
+
+    assert.equal(res.statusCode, 400);
+    assert.deepEqual(db.tables.loginThrottle ?? [], []);
+  });
+
+  it('fails every request alike when production has no email transport', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    delete process.env.EMAIL_TRANSPORT;
+    process.env.NODE_ENV = 'production';
+    db.seed('user', { id: 'u1', email: 'analyst@example.com', passwordHash: 'old' });
+
+    const known = await callRoute(resetRoute, { method: 'POST', body: { email: 'analyst@example.com' } });
+    const unknown = await callRoute(resetRoute, { method: 'POST', body: { email: 'nobody@example.com' } });
+
+    assert.deepEqual([known.statusCode, unknown.statusCode], [500, 500]);
+    assert.deepEqual(db.tables.passwordResetToken ?? [], []);
+  });
+});
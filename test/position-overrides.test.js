@@ -0,0 +1,70 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakePrisma } from './helpers/fake-prisma.js';
+
+const db = installFakePrisma();
+const {
+  validatePositionOverride, applyPositionOverrides, setPositionOverride, removePositionOverride
+} = await import('../lib/position-overrides.js');
+
+const analyst = { id: 'u1', email: 'analyst@example.com' };
+
+beforeEach(() => db.reset());
+
+describe('validatePositionOverride', () => {
+  it('needs a position from 1 to 100 (or null) and a reason', () => {
+    assert.equal(validatePositionOverride({ keyword: 'shoes', brandName: 'Acme', position: null, reason: 'Not ranking' }), null);
+    assert.match(validatePositionOverride({ keyword: 'shoes', brandName: 'Acme', position: 0, reason: 'x' }), /Position/);
+    assert.match(validatePositionOverride({ keyword: 'shoes', brandName: 'Acme', position: 3, reason: ' ' }), /reason/);
+  });
+});
+
+describe('setPositionOverride', () => {
+  it('keeps one override per keyword and brand, logging what it replaced', async () => {
+    await setPositionOverride('p1', null, { keyword: 'Running Shoes', brandName: 'Acme', position: 4, reason: 'Checked by hand' }, analyst);
+    await setPositionOverride('p1', null, { keyword: 'running shoes ', brandName: 'Acme', position: 2, reason: 'Rechecked' }, analyst);
+    await setPositionOverride('p1', 'm1', { keyword: 'running shoes', brandName: 'Acme', position: 9, reason: 'German SERP' }, analyst);
+
+    assert.deepEqual(db.tables.positionOverride.map(o => [o.marketKey, o.keyword, o.position]), [
+      ['primary', 'running shoes', 2],
+      ['m1', 'running shoes', 9]
+    ]);
+    assert.deepEqual(db.tables.positionOverrideEvent.map(e => [e.action, e.position, e.previousPosition]), [
+      ['set', 4, null],
+      ['updated', 2, 4],
+      ['set', 9, null]
+    ]);
+  });
+
+  it('logs removals and reports when there was nothing to remove', async () => {
+    await setPositionOverride('p1', null, { keyword: 'shoes', brandName: 'Acme', position: 4, reason: 'Checked by hand' }, analyst);
+
+    assert.equal(await removePositionOverride('p1', null, { keyword: 'Shoes', brandName: 'Acme', reason: 'Fixed upstream' }, analyst), true);
+    assert.equal(await removePositionOverride('p1', null, { keyword: 'shoes', brandName: 'Acme' }, analyst), false);
+
+    assert.deepEqual(db.tables.positionOverride, []);
+    assert.deepEqual(db.tables.positionOverrideEvent.at(-1), {
+      ...db.tables.positionOverrideEvent.at(-1), action: 'removed', previousPosition: 4, reason: 'Fixed upstream'
+    });
+  });
+});
+
+describe('applyPositionOverrides', () => {
+  it('replaces every domain\'s position of the brand and leaves the input untouched', () => {
+    const keywordData = {
+      marketKeywords: [{ keyword: 'Running Shoes' }, { keyword: 'trail shoes' }],
+      positions: { 0: { Acme: 7, Rival: 1 }, 1: { Acme: 3 } },
+      extraPositions: { 0: { Acme: [12] } }
+    };
+
+    const result = applyPositionOverrides(keywordData, [
+      { keyword: 'running shoes', brandName: 'Acme', position: 2 },
+      { keyword: 'trail shoes', brandName: 'Acme', position: null },
+      { keyword: 'hiking boots', brandName: 'Acme', position: 1 }
+    ]);
+
+    assert.deepEqual(result.positions, { 0: { Acme: 2, Rival: 1 }, 1: {} });
+    assert.deepEqual(result.extraPositions, { 0: {} });
+    assert.deepEqual(keywordData.positions[0], { Acme: 7, Rival: 1 });
+  });
+});
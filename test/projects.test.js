@@ -0,0 +1,72 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakePrisma } from './helpers/fake-prisma.js';
+import { callRoute, signIn } from './helpers/http.js';
+
+const db = installFakePrisma();
+const { default: projectRoute } = await import('../api/projects/[id].js');
+
+beforeEach(() => db.reset());
+
+// Acme ranks first for its only keyword; `members` share the project's workspace ({ role, user })
+function seedProject(members) {
+  const [workspace] = db.seed('workspace', { name: 'Team' });
+  db.seed('workspaceMember', ...members.map(({ role, user }) => ({ workspaceId: workspace.id, userId: user.id, role })));
+  const [project] = db.seed('project', {
+    userId: members[0].user.id, workspaceId: workspace.id, name: 'Shoes', locationCode: 2840, languageCode: 'en', ctrModel: 'industry'
+  });
+  db.seed('brand', { projectId: project.id, name: 'Acme', domain: 'acme.com', volume: 500 });
+  db.seed('competitor', { projectId: project.id, name: 'Rival', domain: 'rival.com', volume: 500 });
+  const [keyword] = db.seed('marketKeyword', { projectId: project.id, keyword: 'running shoes', volume: 1000, sortOrder: 0 });
+  db.seed('position', { keywordId: keyword.id, brandName: 'Acme', position: 1 });
+  return project;
+}
+
+describe('PUT /api/projects/:id', () => {
+  it('recalculates the current metrics when only the CTR model changes', async () => {
+    const { user: editor, token } = await signIn(db);
+    const project = seedProject([{ role: 'editor', user: editor }]);
+
+    const res = await callRoute(projectRoute, { method: 'PUT', query: { id: project.id }, body: { ctrModel: 'branded' }, token });
+
+    assert.equal(res.statusCode, 200);
+    // Position 1 is 50% of clicks on the branded curve, 31.6% on the industry one
+    assert.equal(db.tables.project[0].currentSOV, 50);
+    assert.equal(db.tables.snapshot.at(-1).ctrModel, 'branded');
+  });
+
+  it('refuses changes from viewers', async () => {
+    const { user: viewer, token } = await signIn(db);
+    const [owner] = db.seed('user', { email: 'owner@example.com' });
+    const project = seedProject([{ role: 'owner', user: owner }, { role: 'viewer', user: viewer }]);
+
+    const res = await callRoute(projectRoute, { method: 'PUT', query: { id: project.id }, body: { ctrModel: 'branded' }, token });
+
+    assert.equal(res.statusCode, 403);
+    assert.equal(db.tables.project[0].ctrModel, 'industry');
+    assert.deepEqual(db.tables.snapshot ?? [], []);
+  });
+
+  it('bills scheduled runs to whoever sets the schedule', async () => {
+    const { user: editor, token } = await signIn(db);
+    const [owner] = db.seed('user', { email: 'owner@example.com' });
+    const project = seedProject([{ role: 'owner', user: owner }, { role: 'editor', user: editor }]);
+
+    await callRoute(projectRoute, { method: 'PUT', query: { id: project.id }, body: { snapshotSchedule: 'weekly' }, token });
+
+    assert.equal(db.tables.project[0].snapshotSchedule, 'weekly');
+    assert.equal(db.tables.project[0].scheduledById, editor.id);
+    assert.ok(db.tables.project[0].nextSnapshotAt > new Date());
+  });
+
+  it('hands a schedule whose payer left to the editor who saves it', async () => {
+    const { user: editor, token } = await signIn(db);
+    const [owner] = db.seed('user', { email: 'owner@example.com' });
+    const project = seedProject([{ role: 'owner', user: owner }, { role: 'editor', user: editor }]);
+    Object.assign(db.tables.project[0], { snapshotSchedule: 'monthly', scheduledById: 'departed-user' });
+
+    await callRoute(projectRoute, { method: 'PUT', query: { id: project.id }, body: { snapshotSchedule: 'monthly', name: 'Running shoes' }, token });
+
+    assert.equal(db.tables.project[0].scheduledById, editor.id);
+  });
+});
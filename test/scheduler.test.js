@@ -0,0 +1,153 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakePrisma } from './helpers/fake-prisma.js';
+import { jsonResponse as respond, taskEnvelope as envelope } from './helpers/dataforseo.js';
+
+const db = installFakePrisma();
+const { getNextSnapshotDate, findDueProjects, claimDueProject, failStaleRuns, runScheduledSnapshot } = await import('../lib/scheduler.js');
+
+const NOW = new Date('2026-03-10T06:00:00Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+beforeEach(() => {
+  db.reset();
+  delete process.env.DATAFORSEO_LOGIN;
+  delete process.env.DATAFORSEO_PASSWORD;
+});
+
+describe('getNextSnapshotDate', () => {
+  it('moves weekly schedules a week and monthly ones a calendar month', () => {
+    assert.equal(getNextSnapshotDate('weekly', NOW).toISOString(), '2026-03-17T06:00:00.000Z');
+    assert.equal(getNextSnapshotDate('monthly', NOW).toISOString(), '2026-04-10T06:00:00.000Z');
+  });
+
+  it('has no next date for manual projects', () => {
+    assert.equal(getNextSnapshotDate(null, NOW), null);
+  });
+});
+
+describe('findDueProjects', () => {
+  it('finds scheduled projects whose run is due, most overdue first', async () => {
+    db.seed('project',
+      { id: 'later', userId: 'u1', name: 'Later', snapshotSchedule: 'weekly', nextSnapshotAt: new Date(NOW.getTime() + 1000) },
+      { id: 'due', userId: 'u1', name: 'Due', snapshotSchedule: 'weekly', nextSnapshotAt: new Date(NOW - 1000) },
+      { id: 'overdue', userId: 'u1', name: 'Overdue', snapshotSchedule: 'monthly', nextSnapshotAt: new Date(NOW - DAY_MS) },
+      { id: 'manual', userId: 'u1', name: 'Manual', snapshotSchedule: null, nextSnapshotAt: new Date(NOW - DAY_MS) }
+    );
+
+    const due = await findDueProjects(10, NOW);
+
+    assert.deepEqual(due.map(p => p.id), ['overdue', 'due']);
+  });
+});
+
+describe('claimDueProject', () => {
+  it('lets only one of two overlapping cron runs claim a due project', async () => {
+    const [project] = db.seed('project', { userId: 'u1', snapshotSchedule: 'weekly', nextSnapshotAt: new Date(NOW - 1000) });
+
+    const claims = await Promise.all([claimDueProject(project.id, NOW), claimDueProject(project.id, NOW)]);
+
+    assert.deepEqual(claims.sort(), [false, true]);
+    assert.equal(db.tables.project[0].nextSnapshotAt.getTime(), NOW.getTime() + DAY_MS);
+  });
+
+  it('does not claim projects that are not due or have no schedule', async () => {
+    const [later, manual] = db.seed('project',
+      { userId: 'u1', snapshotSchedule: 'weekly', nextSnapshotAt: new Date(NOW.getTime() + 1000) },
+      { userId: 'u1', snapshotSchedule: null, nextSnapshotAt: new Date(NOW - 1000) }
+    );
+
+    assert.equal(await claimDueProject(later.id, NOW), false);
+    assert.equal(await claimDueProject(manual.id, NOW), false);
+  });
+});
+
+describe('failStaleRuns', () => {
+  it('fails runs cut off by the time limit and leaves recent ones running', async () => {
+    db.seed('snapshotRun',
+      { projectId: 'p1', startedAt: new Date(NOW - 20 * 60 * 1000) },
+      { projectId: 'p2', startedAt: new Date(NOW - 5 * 60 * 1000) }
+    );
+
+    assert.equal(await failStaleRuns(NOW), 1);
+    assert.deepEqual(db.tables.snapshotRun.map(run => run.status), ['failed', 'running']);
+  });
+});
+
+describe('runScheduledSnapshot', () => {
+  // Acme and Rival on one keyword, scheduled weekly and due now
+  function seedProject() {
+    db.seed('user', { id: 'u1', email: 'analyst@example.com' });
+    const [project] = db.seed('project', { userId: 'u1', name: 'Shoes', snapshotSchedule: 'weekly', nextSnapshotAt: new Date(NOW - 1000) });
+    db.seed('brand', { projectId: project.id, name: 'Acme', domain: 'acme.com', volume: 100 });
+    db.seed('competitor', { projectId: project.id, name: 'Rival', domain: 'rival.com', volume: 100, sortOrder: 0 });
+    const [keyword] = db.seed('marketKeyword', { projectId: project.id, keyword: 'running shoes', volume: 500, sortOrder: 0 });
+    db.seed('position', { keywordId: keyword.id, brandName: 'Acme', position: 9 });
+    return project;
+  }
+
+  it('refreshes volumes and positions, stores a snapshot and schedules the next run', async (t) => {
+    t.mock.method(globalThis, 'fetch', async (url, request) => {
+      const [task] = JSON.parse(request.body);
+      if (url.includes('search_volume')) {
+        return respond(200, envelope([
+          { keyword: 'acme', search_volume: 600 },
+          { keyword: 'rival', search_volume: 400 },
+          { keyword: 'running shoes', search_volume: 1000 }
+        ]));
+      }
+      const ranked = { 'acme.com': 1, 'rival.com': 3 }[task.target];
+      return respond(200, envelope([{
+        items: [{
+          keyword_data: { keyword: 'running shoes', keyword_info: { search_volume: 1000 } },
+          ranked_serp_element: { serp_item: { rank_group: ranked } }
+        }]
+      }]));
+    });
+    process.env.DATAFORSEO_LOGIN = 'env-login';
+    process.env.DATAFORSEO_PASSWORD = 'env-password';
+    const project = seedProject();
+
+    const run = await runScheduledSnapshot(project.id, NOW);
+
+    assert.equal(run.status, 'success');
+    assert.equal(db.tables.brand[0].volume, 600);
+    assert.equal(db.tables.marketKeyword[0].volume, 1000);
+    assert.deepEqual(db.tables.position.map(p => [p.brandName, p.position]), [['Acme', 1], ['Rival', 3]]);
+    assert.equal(run.snapshotId, db.tables.snapshot[0].id);
+    assert.equal(db.tables.snapshot[0].sos, 60);
+    assert.equal(db.tables.project[0].nextSnapshotAt.toISOString(), '2026-03-17T06:00:00.000Z');
+  });
+
+  it('logs a failed run and retries it the next day', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const project = seedProject();
+
+    const run = await runScheduledSnapshot(project.id, NOW);
+
+    assert.equal(run.status, 'failed');
+    assert.match(run.error, /credentials not configured/);
+    assert.deepEqual(db.tables.snapshot ?? [], []);
+    assert.equal(db.tables.project[0].nextSnapshotAt.getTime(), NOW.getTime() + DAY_MS);
+  });
+
+  it('fails the run and retries tomorrow when the scheduler can no longer edit the project', async () => {
+    const [workspace] = db.seed('workspace', { name: 'Team' });
+    db.seed('workspaceMember', { workspaceId: workspace.id, userId: 'owner', role: 'owner' });
+    const [project] = db.seed('project', {
+      userId: 'owner',
+      workspaceId: workspace.id,
+      scheduledById: 'former-member',
+      snapshotSchedule: 'weekly',
+      nextSnapshotAt: new Date(NOW - 1000)
+    });
+
+    const [run, skipped] = await Promise.all([runScheduledSnapshot(project.id, NOW), runScheduledSnapshot(project.id, NOW)]);
+
+    assert.equal(skipped, null);
+    assert.equal(run.status, 'failed');
+    assert.match(run.error, /can no longer edit the project/);
+    assert.equal(db.tables.snapshotRun.length, 1);
+    assert.equal(db.tables.project[0].nextSnapshotAt.getTime(), NOW.getTime() + DAY_MS);
+  });
+});
@@ -0,0 +1,229 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakePrisma } from './helpers/fake-prisma.js';
+import { callRoute, signIn } from './helpers/http.js';
+import { jsonResponse as respond, taskEnvelope as envelope } from './helpers/dataforseo.js';
+
+const db = installFakePrisma();
+const { createSerpJob, advanceSerpJob, getSerpJobProgress } = await import('../lib/serp-jobs.js');
+const { default: jobRoute } = await import('../api/projects/[id]/serp-jobs/[jobId].js');
+
+const KEYWORDS = ['running shoes', 'trail shoes'];
+
+beforeEach(() => {
+  db.reset();
+  process.env.DATAFORSEO_LOGIN = 'env-login';
+  process.env.DATAFORSEO_PASSWORD = 'env-password';
+});
+
+// Acme (acme.com) and Rival (rival.com) in a workspace `owner` shares with `others` ({ role, user })
+async function seedJob(owner, others = []) {
+  const [workspace] = db.seed('workspace', { name: 'Team' });
+  db.seed('workspaceMember',
+    { workspaceId: workspace.id, userId: owner.id, role: 'owner' },
+    ...others.map(({ role, user }) => ({ workspaceId: workspace.id, userId: user.id, role }))
+  );
+  const [project] = db.seed('project', { userId: owner.id, workspaceId: workspace.id, name: 'Shoes', locationCode: 2840, languageCode: 'en' });
+
+  const [keyword] = db.seed('marketKeyword', { projectId: project.id, keyword: 'running shoes', volume: 1000, sortOrder: 0 });
+  db.seed('marketKeyword', { projectId: project.id, keyword: 'trail shoes', volume: 500, sortOrder: 1 });
+  // Matched loosely by an earlier ranked-keywords refresh
+  db.seed('position', { keywordId: keyword.id, brandName: 'Acme', position: 8, matchType: 'fuzzy' });
+
+  const job = await createSerpJob({
+    ...project,
+    brand: { name: 'Acme', domain: 'acme.com' },
+    competitors: [{ name: 'Rival', domain: 'rival.com' }]
+  }, KEYWORDS, null, owner);
+
+  return { project, job, keyword };
+}
+
+// DataForSEO's task queue: every post is accepted, every SERP has Acme at 3 and Rival at 5.
+// `waiting` task ids are still being processed
+function stubTaskQueue(t, waiting = new Set()) {
+  return t.mock.method(globalThis, 'fetch', async (url, request) => {
+    if (url.includes('task_post')) {
+      const tasks = JSON.parse(request.body);
+      return respond(200, {
+        status_code: 20000,
+        tasks_count: tasks.length,
+        tasks: tasks.map(task => ({ id: `task-${task.tag}`, status_code: 20100, cost: 0.002, data: task }))
+      });
+    }
+
+    if ([...waiting].some(id => url.endsWith(encodeURIComponent(id)))) {
+      return respond(200, { status_code: 20000, tasks: [{ status_code: 40602, status_message: 'Task In Queue.' }] });
+    }
+
+    return respond(200, envelope([{
+      items: [
+        { type: 'featured_snippet', rank_group: 1, domain: 'rival.com', url: 'https://rival.com/guide' },
+        { type: 'organic', rank_group: 3, domain: 'www.acme.com', url: 'https://www.acme.com/running' },
+        { type: 'organic', rank_group: 5, domain: 'rival.com', url: 'https://rival.com/' }
+      ]
+    }], { cost: 0 }));
+  });
+}
+
+const postedKeywords = fetch => fetch.mock.calls
+  .filter(call => call.arguments[0].includes('task_post'))
+  .flatMap(call => JSON.parse(call.arguments[1].body).map(task => task.keyword));
+
+describe('advanceSerpJob', () => {
+  it('posts the keywords, collects their SERPs and stores the positions', async (t) => {
+    const fetch = stubTaskQueue(t);
+    const [owner] = db.seed('user', { email: 'owner@example.com' });
+    const { job } = await seedJob(owner);
+
+    const result = await advanceSerpJob(job.id);
+
+    assert.deepEqual(postedKeywords(fetch), KEYWORDS);
+    assert.equal(result.status, 'completed');
+    assert.deepEqual(result.progress, { total: 2, completed: 2, failed: 0, pending: 0, percent: 100 });
+
+    const [runningShoes] = db.tables.marketKeyword;
+    const rankings = db.tables.position.filter(p => p.keywordId === runningShoes.id);
+    assert.deepEqual(rankings.map(p => [p.brandName, p.position, p.features]), [
+      ['Acme', 3, []],
+      ['Rival', 5, ['featured_snippet']]
+    ]);
+    assert.deepEqual(runningShoes.serpFeatures, ['featured_snippet']);
+  });
+
+  it('keeps the job running while DataForSEO is still processing tasks', async (t) => {
+    const waiting = new Set();
+    const fetch = stubTaskQueue(t, waiting);
+    const [owner] = db.seed('user', { email: 'owner@example.com' });
+    const { job } = await seedJob(owner);
+    waiting.add(`task-${db.tables.serpTask[1].id}`);
+
+    const first = await advanceSerpJob(job.id);
+
+    assert.equal(first.status, 'running');
+    assert.equal(first.progress.pending, 1);
+
+    waiting.clear();
+    const second = await advanceSerpJob(job.id);
+
+    assert.equal(second.status, 'completed');
+    assert.deepEqual(postedKeywords(fetch), KEYWORDS);
+  });
+
+  it('posts each keyword once when two polls advance the job together', async (t) => {
+    const fetch = stubTaskQueue(t);
+    const [owner] = db.seed('user', { email: 'owner@example.com' });
+    const { job } = await seedJob(owner);
+
+    await Promise.all([advanceSerpJob(job.id), advanceSerpJob(job.id)]);
+
+    assert.deepEqual(postedKeywords(fetch).sort(), KEYWORDS);
+    assert.ok(db.tables.serpTask.every(task => task.status === 'completed'));
+    assert.equal(db.tables.serpJob[0].status, 'completed');
+  });
+
+  it('replaces an earlier loose match with the exact SERP position', async (t) => {
+    stubTaskQueue(t);
+    const [owner] = db.seed('user', { email: 'owner@example.com' });
+    const { job, keyword } = await seedJob(owner);
+
+    await advanceSerpJob(job.id);
+
+    const acme = db.tables.position.find(p => p.keywordId === keyword.id && p.brandName === 'Acme');
+    assert.deepEqual({ position: acme.position, matchType: acme.matchType }, { position: 3, matchType: 'exact' });
+  });
+
+  it('puts refused posts back in the queue', async (t) => {
+    t.mock.method(globalThis, 'fetch', async () => respond(401, { status_code: 40100, status_message: 'Unauthorized' }));
+    t.mock.method(console, 'error', () => {});
+    const [owner] = db.seed('user', { email: 'owner@example.com' });
+    const { job } = await seedJob(owner);
+
+    await advanceSerpJob(job.id);
+
+    assert.deepEqual(db.tables.serpTask.map(task => [task.status, task.claimToken]), [['pending', null], ['pending', null]]);
+    assert.equal(db.tables.serpJob[0].status, 'failed');
+  });
+
+  it('fails tasks whose posting was cut off instead of posting them again', async (t) => {
+    const fetch = stubTaskQueue(t);
+    const [owner] = db.seed('user', { email: 'owner@example.com' });
+    const { job } = await seedJob(owner);
+    const [stale] = db.tables.serpTask;
+    Object.assign(stale, { status: 'posting', claimToken: 'crashed', checkedAt: new Date(Date.now() - 60 * 60 * 1000) });
+
+    assert.equal((await getSerpJobProgress(job.id)).pending, 2);
+    await advanceSerpJob(job.id);
+
+    assert.deepEqual(postedKeywords(fetch), ['trail shoes']);
+    assert.equal(stale.status, 'failed');
+  });
+
+  it('does not post the same tasks again when a post fails midway', async (t) => {
+    const fetch = t.mock.method(globalThis, 'fetch', async () => respond(500, { status_code: 50000, status_message: 'Internal error' }));
+    t.mock.method(console, 'error', () => {});
+    const [owner] = db.seed('user', { email: 'owner@example.com' });
+    const { job } = await seedJob(owner);
+
+    const result = await advanceSerpJob(job.id);
+
+    assert.equal(fetch.mock.callCount(), 1);
+    assert.equal(result.status, 'running');
+    assert.deepEqual(db.tables.serpTask.map(task => task.status), ['posting', 'posting']);
+  });
+
+  it('posts one batch per poll and leaves the rest to the cron', async (t) => {
+    const fetch = stubTaskQueue(t);
+    const [owner] = db.seed('user', { email: 'owner@example.com' });
+    const { project } = await seedJob(owner);
+    const keywords = Array.from({ length: 150 }, (_, idx) => `shoe ${idx}`);
+    const job = await createSerpJob({ ...project, brand: { name: 'Acme', domain: 'acme.com' }, competitors: [] }, keywords, null, owner);
+
+    const polled = await advanceSerpJob(job.id);
+
+    assert.equal(postedKeywords(fetch).length, 100);
+    assert.equal(polled.progress.completed, 5);
+
+    const background = await advanceSerpJob(job.id, { background: true });
+
+    assert.equal(postedKeywords(fetch).length, 150);
+    assert.equal(background.progress.completed, 25);
+  });
+
+  it('fails the job once its starter can no longer edit the project', async (t) => {
+    const fetch = stubTaskQueue(t);
+    t.mock.method(console, 'error', () => {});
+    const [owner, editor] = db.seed('user', { email: 'owner@example.com' }, { email: 'editor@example.com' });
+    const { job } = await seedJob(owner, [{ role: 'editor', user: editor }]);
+    db.tables.serpJob[0].createdById = editor.id;
+    db.tables.workspaceMember.splice(db.tables.workspaceMember.findIndex(m => m.userId === editor.id), 1);
+
+    const result = await advanceSerpJob(job.id);
+
+    assert.equal(result.status, 'failed');
+    assert.match(result.error, /can no longer edit/);
+    assert.equal(fetch.mock.callCount(), 0);
+  });
+});
+
+describe('GET /api/projects/:id/serp-jobs/:jobId', () => {
+  it('only reads progress for viewers and advances the job for editors', async (t) => {
+    const fetch = stubTaskQueue(t);
+    const { user: viewer, token: viewerToken } = await signIn(db, { email: 'viewer@example.com' });
+    const { user: editor, token: editorToken } = await signIn(db, { email: 'editor@example.com' });
+    const [owner] = db.seed('user', { email: 'owner@example.com' });
+    const { project, job } = await seedJob(owner, [{ role: 'viewer', user: viewer }, { role: 'editor', user: editor }]);
+    const query = { id: project.id, jobId: job.id };
+
+    const viewed = await callRoute(jobRoute, { query, token: viewerToken });
+
+    assert.equal(viewed.statusCode, 200);
+    assert.equal(viewed.body.job.progress.pending, 2);
+    assert.equal(fetch.mock.callCount(), 0);
+
+    const edited = await callRoute(jobRoute, { query, token: editorToken });
+
+    assert.equal(edited.body.job.status, 'completed');
+    assert.deepEqual(postedKeywords(fetch).sort(), KEYWORDS);
+  });
+});
@@ -0,0 +1,60 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakePrisma } from './helpers/fake-prisma.js';
+
+const db = installFakePrisma();
+const { createSession, refreshSession, revokeSession } = await import('../lib/sessions.js');
+const { getUserFromRequest, verifyToken } = await import('../lib/auth.js');
+
+const device = { headers: { 'user-agent': 'node-test', 'x-forwarded-for': '203.0.113.7' }, socket: {} };
+const withToken = token => ({ headers: { authorization: `Bearer ${token}` } });
+
+beforeEach(() => {
+  db.reset();
+  db.seed('user', { id: 'u1', email: 'analyst@example.com', passwordHash: 'unused' });
+});
+
+describe('refreshSession', () => {
+  it('swaps the refresh token for a new one on the same session', async () => {
+    const first = await createSession('u1', device);
+
+    const next = await refreshSession(first.refreshToken, device);
+
+    assert.notEqual(next.refreshToken, first.refreshToken);
+    assert.equal(verifyToken(next.token).sid, verifyToken(first.token).sid);
+    assert.equal(await refreshSession(first.refreshToken, device), null);
+  });
+
+  it('lets only one of two simultaneous refreshes through', async () => {
+    const { refreshToken } = await createSession('u1', device);
+
+    const results = await Promise.all([refreshSession(refreshToken, device), refreshSession(refreshToken, device)]);
+
+    assert.equal(results.filter(Boolean).length, 1);
+    assert.ok(!db.tables.session[0].revokedAt);
+  });
+
+  it('revokes the session when a swapped token comes back after the grace period', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const { refreshToken } = await createSession('u1', device);
+    const next = await refreshSession(refreshToken, device);
+    db.tables.session[0].rotatedAt = new Date(Date.now() - 60 * 1000);
+
+    assert.equal(await refreshSession(refreshToken, device), null);
+
+    assert.ok(db.tables.session[0].revokedAt);
+    assert.equal(await refreshSession(next.refreshToken, device), null);
+  });
+});
+
+describe('revokeSession', () => {
+  it('signs out the access tokens of the session', async () => {
+    const { token } = await createSession('u1', device);
+    assert.equal((await getUserFromRequest(withToken(token))).id, 'u1');
+
+    assert.equal(await revokeSession('u1', verifyToken(token).sid), true);
+
+    assert.equal(await getUserFromRequest(withToken(token)), null);
+    assert.equal(await revokeSession('u1', verifyToken(token).sid), false);
+  });
+});
@@ -0,0 +1,151 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakePrisma } from './helpers/fake-prisma.js';
+
+const db = installFakePrisma();
+const {
+  buildSnapshotPositions, saveSnapshot, diffSnapshotPositions, findSnapshotPair, compareSnapshots, recalculateSnapshotSov
+} = await import('../lib/snapshots.js');
+const { CTR_MODELS, calculateSnapshot } = await import('../lib/calculations.js');
+
+const industry = CTR_MODELS.industry.curve;
+
+beforeEach(() => db.reset());
+
+function row(keyword, brandName, position, keywordVolume = 1000) {
+  return { keyword, brandName, position, keywordVolume, features: [], serpFeatures: [] };
+}
+
+describe('buildSnapshotPositions', () => {
+  it('keeps a row per tracked keyword and brand, and expanded keywords only where a brand ranks', () => {
+    const rows = buildSnapshotPositions({ allBrands: [{ name: 'Acme' }, { name: 'Rival' }] }, {
+      marketKeywords: [{ keyword: 'Running Shoes', volume: 1000, segment: 'Running' }],
+      positions: { 0: { Acme: 4 } },
+      expandedKeywords: [
+        { keyword: 'running shoes', volume: 1000, positions: { Acme: 4 } },
+        { keyword: 'trail shoes', volume: 300, positions: { Rival: 7 } }
+      ]
+    });
+
+    assert.deepEqual(rows.map(r => [r.keyword, r.brandName, r.position, r.segment ?? null, !!r.expanded]), [
+      ['Running Shoes', 'Acme', 4, 'Running', false],
+      ['Running Shoes', 'Rival', null, 'Running', false],
+      ['trail shoes', 'Rival', 7, null, true]
+    ]);
+  });
+});
+
+describe('saveSnapshot', () => {
+  it('stores the rankings with the snapshot and updates the current metrics', async () => {
+    const [project] = db.seed('project', { userId: 'u1', name: 'Shoes' });
+    const snapshot = { sos: 50, sov: 31.6, gap: -18.4, status: 'declining', allBrands: [{ name: 'Acme' }] };
+
+    const saved = await saveSnapshot(project.id, snapshot, {
+      marketKeywords: [{ keyword: 'running shoes', volume: 1000 }],
+      positions: { 0: { Acme: 1 } }
+    });
+
+    assert.deepEqual(db.tables.snapshotPosition.map(r => [r.snapshotId, r.keyword, r.position]), [[saved.id, 'running shoes', 1]]);
+    assert.equal(db.tables.project[0].currentSOV, 31.6);
+  });
+});
+
+describe('diffSnapshotPositions', () => {
+  it('classifies rank movements and sorts them by visible volume impact', () => {
+    const from = { positions: [row('shoes', 'Acme', 5), row('boots', 'Acme', 3), row('socks', 'Acme', null)], ctrCurve: industry };
+    const to = { positions: [row('shoes', 'Acme', 1), row('socks', 'Acme', null), row('sandals', 'Acme', 10, 100)], ctrCurve: industry };
+
+    const changes = diffSnapshotPositions(from, to);
+
+    assert.deepEqual(changes.map(c => [c.keyword, c.status, c.change]), [
+      ['shoes', 'improved', 4],
+      ['boots', 'lost', null],
+      ['sandals', 'new', null]
+    ]);
+    assert.equal(changes[0].visibleVolumeChange, 316 - 53);
+  });
+});
+
+describe('compareSnapshots', () => {
+  it('reports metric deltas and the keywords the brand gained and lost', () => {
+    const from = {
+      sos: 40, sov: 20, gap: -20,
+      allBrandsData: [{ name: 'Acme', isBrand: true, sos: 40, sov: 20 }, { name: 'Rival', sos: 60, sov: 30 }],
+      positions: [row('shoes', 'Acme', 3), row('boots', 'Acme', null)]
+    };
+    const to = {
+      sos: 45, sov: 25, gap: -20,
+      allBrandsData: [{ name: 'Acme', isBrand: true, sos: 45, sov: 25 }],
+      positions: [row('shoes', 'Acme', null), row('boots', 'Acme', 2), row('socks', 'Acme', 1, 100)]
+    };
+
+    const diff = compareSnapshots(from, to);
+
+    assert.equal(diff.brand, 'Acme');
+    assert.deepEqual(diff.metrics.sov, { from: 20, to: 25, change: 5 });
+    assert.deepEqual(diff.keywordsGained, ['boots', 'socks']);
+    assert.deepEqual(diff.keywordsLost, ['shoes']);
+    assert.deepEqual(diff.keywordsAdded, ['socks']);
+    assert.equal(diff.brands.find(b => b.name === 'Rival').status, 'removed');
+  });
+});
+
+describe('findSnapshotPair', () => {
+  it('compares the latest snapshot with the previous one of the same market', async () => {
+    const at = (day) => new Date(`2026-03-0${day}T00:00:00Z`);
+    const [oldest, german, latest] = db.seed('snapshot',
+      { projectId: 'p1', marketId: null, isRollup: false, timestamp: at(1) },
+      { projectId: 'p1', marketId: 'm1', isRollup: false, timestamp: at(2) },
+      { projectId: 'p1', marketId: null, isRollup: false, timestamp: at(3) },
+      { projectId: 'p1', marketId: null, isRollup: true, timestamp: at(4) },
+      { projectId: 'p2', marketId: null, isRollup: false, timestamp: at(5) }
+    );
+
+    const latestPair = await findSnapshotPair('p1');
+    const chosenPair = await findSnapshotPair('p1', { from: german.id, to: latest.id });
+
+    assert.deepEqual([latestPair.fromSnapshot.id, latestPair.toSnapshot.id], [oldest.id, latest.id]);
+    assert.deepEqual([chosenPair.fromSnapshot.id, chosenPair.toSnapshot.id], [german.id, latest.id]);
+  });
+});
+
+describe('recalculateSnapshotSov', () => {
+  it('recomputes visibility from the stored rankings under another curve', () => {
+    const snapshot = {
+      sos: 50,
+      totalMarketVolume: 1000,
+      allBrandsData: [{ name: 'Acme', isBrand: true, sos: 50, sov: 31.6 }],
+      positions: [row('shoes', 'Acme', 1)]
+    };
+
+    const result = recalculateSnapshotSov(snapshot, CTR_MODELS.branded.curve);
+
+    assert.equal(result.visibleVolume, 500);
+    assert.equal(result.sov, 50);
+    assert.equal(result.allBrands[0].originalSov, 31.6);
+    assert.equal(result.status, 'neutral');
+  });
+
+  it('matches the SOV the snapshot was taken with when expanded keywords miss a tracked one', () => {
+    const input = {
+      brand: { name: 'Acme', volume: 500 },
+      competitors: [],
+      marketKeywords: [{ keyword: 'running shoes', volume: 1000 }, { keyword: 'acme sneakers', volume: 500 }],
+      positions: { 0: { Acme: 1 }, 1: { Acme: 2 } },
+      expandedKeywords: [
+        { keyword: 'running shoes', volume: 1000, positions: {} },
+        { keyword: 'cheap running shoes', volume: 3000, positions: { Acme: 3 } }
+      ],
+      expandedTotalMarketVolume: 4000
+    };
+    const snapshot = calculateSnapshot(input);
+
+    const result = recalculateSnapshotSov({
+      ...snapshot,
+      allBrandsData: snapshot.allBrands,
+      positions: buildSnapshotPositions(snapshot, input)
+    }, snapshot.ctrCurve);
+
+    assert.ok(Math.abs(result.sov - snapshot.sov) < 1e-9, `${result.sov} is not ${snapshot.sov}`);
+  });
+});
@@ -0,0 +1,95 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakePrisma } from './helpers/fake-prisma.js';
+
+const db = installFakePrisma();
+const {
+  estimateCost, reserveBudget, settleBudget, recordUsage, getMonthToDateSpend, getUsageSummary
+} = await import('../lib/usage.js');
+
+const ENDPOINT = '/keywords_data/google/search_volume/live';
+
+describe('estimateCost', () => {
+  it('prices each task by its rate plus its limit or keyword count', () => {
+    assert.equal(estimateCost(ENDPOINT, [{ keywords: ['a', 'b'] }, { keywords: ['c'] }]), 0.15);
+    assert.equal(estimateCost('/dataforseo_labs/google/ranked_keywords/live', [{ limit: 1000 }]), 0.11);
+    assert.equal(estimateCost('/dataforseo_labs/google/historical_search_volume/live', [{ keywords: ['a', 'b'] }]), 0.0102);
+    assert.equal(estimateCost('/serp/google/organic/task_post', [{}, {}]), 0.0012);
+  });
+});
+
+describe('reserveBudget', () => {
+  beforeEach(() => db.reset());
+
+  it('lets everything through for users without a budget, but still counts it', async () => {
+    db.seed('user', { id: 'u1', email: 'a@example.com', monthlyBudget: null });
+    await recordUsage({ userId: 'u1', endpoint: ENDPOINT, cost: 100 });
+
+    assert.equal(await reserveBudget('u1', 0.5), null);
+    assert.equal(db.tables.user[0].budgetCommitted, 100.5);
+  });
+
+  it('refuses a reservation that would go over the budget, counting those in flight', async () => {
+    db.seed('user', { id: 'u1', email: 'a@example.com', monthlyBudget: 1 });
+    await recordUsage({ userId: 'u1', endpoint: ENDPOINT, cost: 0.5 });
+
+    assert.equal(await reserveBudget('u1', 0.3), null);
+    assert.deepEqual(await reserveBudget('u1', 0.3), { budget: 1, spent: 0.8, estimate: 0.3 });
+    assert.equal(await reserveBudget('u1', 0.2), null);
+  });
+
+  it('settles a reservation to the real cost', async () => {
+    db.seed('user', { id: 'u1', email: 'a@example.com', monthlyBudget: 1 });
+
+    await reserveBudget('u1', 0.6);
+    await settleBudget('u1', 0.6, 0.1);
+    await reserveBudget('u1', 0.4);
+    await settleBudget('u1', 0.4);
+
+    assert.equal(Math.round(db.tables.user[0].budgetCommitted * 10000) / 10000, 0.1);
+  });
+
+  it('starts each month from that month\'s recorded spend', async () => {
+    const now = new Date('2026-03-10T00:00:00Z');
+    db.seed('user', { id: 'u1', email: 'a@example.com', monthlyBudget: 1, budgetMonth: new Date('2026-02-01T00:00:00Z'), budgetCommitted: 0.9 });
+    db.seed('apiUsage', { userId: 'u1', endpoint: ENDPOINT, cost: 0.25, createdAt: new Date('2026-03-02T00:00:00Z') });
+
+    assert.equal(await reserveBudget('u1', 0.5, now), null);
+    assert.deepEqual(db.tables.user.map(u => [u.budgetMonth.toISOString(), u.budgetCommitted]), [['2026-03-01T00:00:00.000Z', 0.75]]);
+  });
+
+  it('only counts this month\'s spend', async () => {
+    const now = new Date('2026-03-10T00:00:00Z');
+    db.seed('apiUsage',
+      { userId: 'u1', endpoint: ENDPOINT, cost: 5, createdAt: new Date('2026-02-28T23:59:59Z') },
+      { userId: 'u1', endpoint: ENDPOINT, cost: 0.25, createdAt: new Date('2026-03-01T00:00:00Z') }
+    );
+
+    assert.equal(await getMonthToDateSpend('u1', now), 0.25);
+  });
+
+  it('does not record free calls', async () => {
+    await recordUsage({ userId: 'u1', endpoint: ENDPOINT, cost: 0 });
+    assert.equal(db.tables.apiUsage, undefined);
+  });
+});
+
+describe('getUsageSummary', () => {
+  beforeEach(() => db.reset());
+
+  it('totals spend per day, month, project and endpoint', async () => {
+    const now = new Date('2026-03-10T12:00:00Z');
+    const [project] = db.seed('project', { userId: 'u1', name: 'Shoes' });
+    db.seed('apiUsage',
+      { userId: 'u1', projectId: project.id, endpoint: ENDPOINT, cost: 0.5, createdAt: new Date('2026-03-09T10:00:00Z') },
+      { userId: 'u1', projectId: project.id, endpoint: ENDPOINT, cost: 0.25, createdAt: new Date('2026-03-09T11:00:00Z') },
+      { userId: 'u1', endpoint: '/other', cost: 1, createdAt: new Date('2026-01-15T00:00:00Z') }
+    );
+
+    const summary = await getUsageSummary('u1', {}, now);
+
+    assert.deepEqual(summary.daily, [{ date: '2026-03-09', cost: 0.75, calls: 2 }]);
+    assert.deepEqual(summary.monthly.map(m => [m.month, m.cost]), [['2026-01', 1], ['2026-03', 0.75]]);
+    assert.deepEqual(summary.projects, [{ projectId: project.id, name: 'Shoes', cost: 0.75, calls: 2 }]);
+  });
+});
@@ -0,0 +1,142 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakePrisma } from './helpers/fake-prisma.js';
+import { callRoute, signIn } from './helpers/http.js';
+
+const db = installFakePrisma();
+const {
+  hasRole, requireProjectRole, getPayingMember, updateMember, acceptInvitation, ensureDefaultWorkspace
+} = await import('../lib/workspaces.js');
+const { default: signupRoute } = await import('../api/auth/signup.js');
+const { default: projectsRoute } = await import('../api/projects/index.js');
+
+beforeEach(() => db.reset());
+
+function recordResponse() {
+  return {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+// A workspace project shared with `members` ({ id: role })
+function seedWorkspace(members) {
+  const [workspace] = db.seed('workspace', { name: 'Team' });
+  for (const [userId, role] of Object.entries(members)) {
+    db.seed('user', { id: userId, email: `${userId}@example.com` });
+    db.seed('workspaceMember', { workspaceId: workspace.id, userId, role });
+  }
+  const [project] = db.seed('project', { userId: Object.keys(members)[0], workspaceId: workspace.id, name: 'Shoes' });
+  return { workspace, project };
+}
+
+describe('roles', () => {
+  it('orders viewer < editor < owner', () => {
+    assert.equal(hasRole('owner', 'editor'), true);
+    assert.equal(hasRole('viewer', 'editor'), false);
+    assert.equal(hasRole(null, 'viewer'), false);
+  });
+
+  it('hides projects from non-members and refuses members without the role', async () => {
+    const { project } = seedWorkspace({ owner: 'owner', viewer: 'viewer' });
+    db.seed('user', { id: 'stranger', email: 'stranger@example.com' });
+
+    const hidden = recordResponse();
+    assert.equal(await requireProjectRole(hidden, project.id, { id: 'stranger' }), null);
+    assert.equal(hidden.statusCode, 404);
+
+    const refused = recordResponse();
+    assert.equal(await requireProjectRole(refused, project.id, { id: 'viewer' }, 'editor'), null);
+    assert.equal(refused.statusCode, 403);
+
+    const access = await requireProjectRole(recordResponse(), project.id, { id: 'owner' }, 'editor');
+    assert.equal(access.role, 'owner');
+    assert.equal(access.project.id, project.id);
+  });
+
+  it('lets the creator of a project from before workspaces own it', async () => {
+    const [project] = db.seed('project', { userId: 'creator', workspaceId: null, name: 'Legacy' });
+
+    const access = await requireProjectRole(recordResponse(), project.id, { id: 'creator' }, 'owner');
+    assert.equal(access.role, 'owner');
+  });
+});
+
+describe('personal workspaces', () => {
+  it('are created with the account', async () => {
+    const { statusCode } = await callRoute(signupRoute, {
+      method: 'POST',
+      body: { email: 'new@example.com', password: 'correct horse battery', name: 'Nina' }
+    });
+
+    assert.equal(statusCode, 201);
+    assert.deepEqual(db.tables.workspace.map(w => [w.name, w.defaultForUserId]), [["Nina's workspace", db.tables.user[0].id]]);
+    assert.deepEqual(db.tables.workspaceMember.map(m => [m.userId, m.role]), [[db.tables.user[0].id, 'owner']]);
+  });
+
+  it('are created once for older accounts, however many first projects race, and adopt their projects', async () => {
+    const [user] = db.seed('user', { email: 'old@example.com' });
+    db.seed('project', { userId: user.id, workspaceId: null, name: 'Legacy' });
+
+    const ids = await Promise.all([ensureDefaultWorkspace(user), ensureDefaultWorkspace(user), ensureDefaultWorkspace(user)]);
+
+    assert.equal(db.tables.workspace.length, 1);
+    assert.deepEqual(ids, Array(3).fill(db.tables.workspace[0].id));
+    assert.equal(db.tables.project[0].workspaceId, db.tables.workspace[0].id);
+  });
+
+  it('are not created by listing projects', async () => {
+    const { token } = await signIn(db, { email: 'old@example.com' });
+    db.seed('project', { userId: db.tables.user[0].id, workspaceId: null, name: 'Legacy' });
+
+    const { body } = await callRoute(projectsRoute, { token });
+
+    assert.equal(body.projects.length, 1);
+    assert.deepEqual(db.tables.workspace ?? [], []);
+  });
+});
+
+describe('getPayingMember', () => {
+  it('only bills users who can still edit the project', async () => {
+    const { project } = seedWorkspace({ owner: 'owner', editor: 'editor', viewer: 'viewer' });
+
+    assert.equal((await getPayingMember(project.id, 'editor')).id, 'editor');
+    assert.equal(await getPayingMember(project.id, 'viewer'), null);
+
+    await updateMember(db.tables.workspace[0].id, 'editor', null);
+    assert.equal(await getPayingMember(project.id, 'editor'), null);
+  });
+});
+
+describe('updateMember', () => {
+  it('keeps at least one owner', async () => {
+    const { workspace } = seedWorkspace({ owner: 'owner', editor: 'editor' });
+
+    assert.match(await updateMember(workspace.id, 'owner', 'editor'), /at least one owner/);
+    assert.equal(await updateMember(workspace.id, 'editor', 'owner'), null);
+    assert.equal(await updateMember(workspace.id, 'owner', null), null);
+    assert.deepEqual(db.tables.workspaceMember.map(m => [m.userId, m.role]), [['editor', 'owner']]);
+  });
+});
+
+describe('acceptInvitation', () => {
+  it('keeps the higher role of a member and accepts each invitation once', async () => {
+    const { workspace } = seedWorkspace({ owner: 'owner', editor: 'editor' });
+    const [invitation] = db.seed('workspaceInvitation', {
+      workspaceId: workspace.id, email: 'editor@example.com', role: 'viewer', tokenHash: 'hash',
+      invitedByEmail: 'owner@example.com', expiresAt: new Date(Date.now() + 60000)
+    });
+
+    const member = await acceptInvitation(invitation, { id: 'editor' });
+
+    assert.equal(member.role, 'editor');
+    assert.equal(await acceptInvitation(invitation, { id: 'editor' }), null);
+  });
+});